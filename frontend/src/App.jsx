@@ -5,6 +5,12 @@ import { config } from './config/wagmi';
 import SimpleClaim from './pages/SimpleClaim';
 import MyRevenue from './pages/MyRevenue';
 import SeriesDetails from './pages/SeriesDetails';
+import EscrowDetails from './pages/EscrowDetails';
+import IssueSeries from './pages/IssueSeries';
+import IssueEscrow from './pages/IssueEscrow';
+import RouterConsole from './pages/RouterConsole';
+import ProtocolProfile from './pages/ProtocolProfile';
+import Explore from './pages/Explore';
 import Guide from './pages/Guide';
 
 const queryClient = new QueryClient();
@@ -19,6 +25,12 @@ function App() {
             <Route path="/guide" element={<Guide />} />
             <Route path="/my-revenue" element={<MyRevenue />} />
             <Route path="/series/:address" element={<SeriesDetails />} />
+            <Route path="/escrow/:address" element={<EscrowDetails />} />
+            <Route path="/issue" element={<IssueSeries />} />
+            <Route path="/issue/escrow" element={<IssueEscrow />} />
+            <Route path="/router/:address" element={<RouterConsole />} />
+            <Route path="/protocol/:address" element={<ProtocolProfile />} />
+            <Route path="/explore" element={<Explore />} />
           </Routes>
         </Router>
       </QueryClientProvider>
@@ -0,0 +1,51 @@
+// Generated by scripts/generate_frontend_abis.js. Do not edit.
+// Source: contracts/v2/interfaces/ISafetyPolicy.sol
+
+export const I_SAFETY_POLICY_ABI = /** @type {const} */ ([
+  {
+    "inputs": [],
+    "name": "isSafetyPolicy",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "pure",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "protocol",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "revenueShareBPS",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "durationDays",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "totalSupply",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "minDistributionAmount",
+        "type": "uint256"
+      }
+    ],
+    "name": "validateParams",
+    "outputs": [],
+    "stateMutability": "view",
+    "type": "function"
+  }
+]);
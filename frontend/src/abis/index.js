@@ -0,0 +1,19 @@
+// Generated by scripts/generate_frontend_abis.js. Do not edit.
+
+export { EQM_DISCOUNT_FEE_POLICY_ABI } from './EQMDiscountFeePolicy';
+export { ESCROW_DEPLOYER_ABI } from './EscrowDeployer';
+export { FACTORY_VIEWER_ABI } from './FactoryViewer';
+export { I_ACCESS_POLICY_ABI } from './IAccessPolicy';
+export { I_FEE_POLICY_ABI } from './IFeePolicy';
+export { I_PROTOCOL_REPUTATION_REGISTRY_ABI } from './IProtocolReputationRegistry';
+export { I_SAFETY_POLICY_ABI } from './ISafetyPolicy';
+export { PROTOCOL_REPUTATION_REGISTRY_ABI } from './ProtocolReputationRegistry';
+export { REVENUE_BOND_ESCROW_ABI } from './RevenueBondEscrow';
+export { REVENUE_BOND_ESCROW_FACTORY_ABI } from './RevenueBondEscrowFactory';
+export { REVENUE_ROUTER_ABI } from './RevenueRouter';
+export { REVENUE_SERIES_ABI } from './RevenueSeries';
+export { REVENUE_SERIES_FACTORY_ABI } from './RevenueSeriesFactory';
+export { ROUTER_DEPLOYER_ABI } from './RouterDeployer';
+export { SIMPLE_FEE_POLICY_ABI } from './SimpleFeePolicy';
+export { STRICT_SAFETY_POLICY_ABI } from './StrictSafetyPolicy';
+export { WHITELIST_ACCESS_POLICY_ABI } from './WhitelistAccessPolicy';
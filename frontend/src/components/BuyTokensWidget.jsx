@@ -0,0 +1,232 @@
+import { useState } from 'react';
+import { useAccount, useChainId, useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi';
+import { formatEther, parseEther, parseEventLogs } from 'viem';
+import { ESCROW_ABI, ESCROW_STATES } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
+
+// Why buyTokens() would revert with "Not active" in each other escrow state
+const CLOSED_REASONS = {
+  PendingPrincipal: 'The sale opens once the issuer deposits the principal.',
+  Matured: 'This bond has matured, so its primary sale is closed.',
+  Defaulted: 'This bond defaulted before its principal was deposited. No tokens can be bought.',
+};
+
+function parseTokenAmount(value) {
+  try {
+    return value ? parseEther(value) : 0n;
+  } catch {
+    return 0n;
+  }
+}
+
+export default function BuyTokensWidget({ escrowAddress, symbol }) {
+  const { address: userAddress } = useAccount();
+  const chainId = useChainId();
+  const [amountInput, setAmountInput] = useState('');
+  const tokenAmount = parseTokenAmount(amountInput);
+
+  const { data: saleActive } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'saleActive',
+  });
+
+  const { data: stateIndex } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'state',
+  });
+  const state = stateIndex !== undefined ? ESCROW_STATES[Number(stateIndex)] : undefined;
+
+  const { data: tokenPrice } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'tokenPriceWei',
+    query: { enabled: !!saleActive },
+  });
+
+  const { data: minPurchase } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'minPurchaseAmount',
+  });
+
+  const { data: available, refetch: refetchAvailable } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'getAvailableForSale',
+    query: { enabled: !!saleActive },
+  });
+
+  const { data: quote } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'calculateBuyCost',
+    args: [tokenAmount],
+    query: { enabled: !!saleActive && tokenAmount > 0n },
+  });
+
+  const { writeContract, data: hash, isPending, error, reset } = useWriteContract();
+  const { data: receipt, isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+
+  const [totalCost, fee] = quote || [0n, 0n];
+
+  // Mirror the require() checks in RevenueBondEscrow.buyTokens
+  let validationError = null;
+  if (tokenAmount > 0n) {
+    if (minPurchase !== undefined && tokenAmount < minPurchase) {
+      validationError = `Minimum purchase is ${formatEther(minPurchase)} ${symbol || 'tokens'}`;
+    } else if (available !== undefined && tokenAmount > available) {
+      validationError = `Only ${formatEther(available)} ${symbol || 'tokens'} left for sale`;
+    } else if (quote && totalCost === 0n) {
+      validationError = 'Cost rounds to zero, increase the amount';
+    }
+  }
+
+  const purchase = receipt
+    ? parseEventLogs({ abi: ESCROW_ABI, eventName: 'TokensPurchased', logs: receipt.logs })[0]?.args
+    : undefined;
+
+  const isDisabled = !userAddress || state !== 'Active' || tokenAmount === 0n || !quote || !!validationError || isPending || isConfirming;
+  const explorerBase = getExplorerUrl(chainId);
+
+  const handleBuy = () => {
+    writeContract({
+      address: escrowAddress,
+      abi: ESCROW_ABI,
+      functionName: 'buyTokens',
+      args: [tokenAmount],
+      value: totalCost,
+    });
+  };
+
+  const handleReset = () => {
+    reset();
+    setAmountInput('');
+    refetchAvailable();
+  };
+
+  if (state && state !== 'Active') {
+    return (
+      <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Primary Sale</h2>
+        <p className="text-muted text-sm">{CLOSED_REASONS[state]}</p>
+      </div>
+    );
+  }
+
+  if (saleActive === false) {
+    return (
+      <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Primary Sale</h2>
+        <p className="text-muted text-sm">The issuer has not opened a sale for this bond.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">Buy Bond Tokens</h2>
+
+      <div className="grid grid-cols-3 gap-4 mb-4 text-sm">
+        <div>
+          <p className="text-muted">Price</p>
+          <p className="font-medium text-gray-900">{formatEther(tokenPrice || 0n)} ETH / token</p>
+        </div>
+        <div>
+          <p className="text-muted">Available</p>
+          <p className="font-medium text-gray-900">{Number(formatEther(available || 0n)).toLocaleString()} tokens</p>
+        </div>
+        <div>
+          <p className="text-muted">Minimum</p>
+          <p className="font-medium text-gray-900">{formatEther(minPurchase || 0n)} tokens</p>
+        </div>
+      </div>
+
+      {isSuccess && purchase ? (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+          <p className="text-green-800 font-medium mb-2">
+            ✅ Bought {formatEther(purchase.tokenAmount)} {symbol}
+          </p>
+          <div className="text-sm text-green-800 space-y-1 mb-3">
+            <p>Paid: {formatEther(purchase.ethPaid)} ETH</p>
+            <p>To issuer: {formatEther(purchase.ethPaid - purchase.fee)} ETH</p>
+            <p>Protocol fee: {formatEther(purchase.fee)} ETH</p>
+          </div>
+          <div className="flex items-center justify-between">
+            <a
+              href={`${explorerBase}/tx/${hash}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-green-600 hover:text-green-700 text-sm font-medium underline"
+            >
+              View transaction on Arbiscan →
+            </a>
+            <button onClick={handleReset} className="text-sm font-medium text-gray-600 hover:text-gray-900">
+              Buy more
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Amount ({symbol || 'tokens'})</label>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={amountInput}
+              onChange={(e) => setAmountInput(e.target.value.trim())}
+              placeholder={minPurchase ? formatEther(minPurchase) : '1'}
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-equorum-orange focus:outline-none font-mono text-sm"
+            />
+          </div>
+
+          {tokenAmount > 0n && quote && !validationError && (
+            <div className="bg-gray-50 rounded-lg p-4 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-muted">Total cost</span>
+                <span className="font-bold text-gray-900">{formatEther(totalCost)} ETH</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted">of which protocol fee</span>
+                <span className="text-gray-900">{formatEther(fee)} ETH</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted">of which to issuer</span>
+                <span className="text-gray-900">{formatEther(totalCost - fee)} ETH</span>
+              </div>
+            </div>
+          )}
+
+          {validationError && (
+            <p className="text-sm text-red-700 font-medium">{validationError}</p>
+          )}
+
+          <button
+            onClick={handleBuy}
+            disabled={isDisabled}
+            className={`w-full px-6 py-4 rounded-xl font-bold text-lg transition-all duration-200 ${
+              isDisabled
+                ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
+                : 'bg-gradient-to-r from-equorum-orange to-equorum-accent text-white hover:shadow-lg hover:scale-[1.02] shadow-md'
+            }`}
+          >
+            {isPending && '⏳ Confirm in wallet...'}
+            {isConfirming && '⏳ Buying...'}
+            {!isPending && !isConfirming && (
+              !userAddress ? 'Connect wallet to buy' : `Buy for ${formatEther(totalCost)} ETH`
+            )}
+          </button>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+              <p className="text-red-800 font-medium text-sm">
+                ❌ Error: {error.shortMessage || error.message?.slice(0, 100) || 'Transaction failed'}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
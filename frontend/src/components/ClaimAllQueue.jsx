@@ -0,0 +1,224 @@
+import { useEffect, useState } from 'react';
+import { useConfig } from 'wagmi';
+import { useQueryClient } from '@tanstack/react-query';
+import { getBlock, readContract, readContracts, writeContract, waitForTransactionReceipt } from 'wagmi/actions';
+import { formatEther } from 'viem';
+import { ESCROW_STATES } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
+import { errorMessage } from '../utils/issuance';
+import { estimateClaimablePrincipal } from '../utils/principal';
+import {
+  DONE_STATUSES,
+  CLAIMABLE_FUNCTIONS,
+  claimAbi,
+  queueKey,
+  buildClaimQueue,
+  loadQueue,
+  saveQueue,
+} from '../utils/claimQueue';
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-600',
+  submitted: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-green-100 text-green-800',
+  skipped: 'bg-gray-100 text-gray-500',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const STATUS_LABELS = {
+  pending: 'Queued',
+  submitted: 'Confirming',
+  confirmed: 'Claimed',
+  skipped: 'Nothing to claim',
+  failed: 'Failed',
+};
+
+function isUserRejection(error) {
+  return !!error?.walk?.((e) => e?.name === 'UserRejectedRequestError');
+}
+
+// What the claim pays if sent now. Principal uses the maturity-aware estimate against the latest
+// block, since claimPrincipal() matures an escrow that calculateClaimablePrincipal still reports as 0.
+async function readClaimable(config, item, account) {
+  const address = item.series;
+  const abi = claimAbi(item.kind);
+  const functionName = CLAIMABLE_FUNCTIONS[`${item.kind}:${item.functionName}`];
+  if (item.functionName !== 'claimPrincipal') {
+    return readContract(config, { address, abi, functionName, args: [account] });
+  }
+
+  const [claimable, bondInfo, balance, totalTokenSupply] = await readContracts(config, {
+    allowFailure: false,
+    contracts: [
+      { address, abi, functionName, args: [account] },
+      { address, abi, functionName: 'getBondInfo' },
+      { address, abi, functionName: 'balanceOf', args: [account] },
+      { address, abi, functionName: 'totalTokenSupply' },
+    ],
+  });
+  const { timestamp } = await getBlock(config);
+  return estimateClaimablePrincipal({
+    claimable,
+    state: ESCROW_STATES[Number(bondInfo[6])],
+    maturityDate: bondInfo[2],
+    principalAmount: bondInfo[3],
+    balance,
+    totalTokenSupply,
+  }, timestamp);
+}
+
+// Claims every holding one transaction at a time. The queue is persisted per chain and
+// account so a reload mid-run can pick up where it stopped (including txs already sent).
+export default function ClaimAllQueue({ holdings, account, chainId }) {
+  const config = useConfig();
+  const queryClient = useQueryClient();
+  const key = queueKey(chainId, account);
+  const [queue, setQueue] = useState(() => loadQueue(key));
+  const [running, setRunning] = useState(false);
+  const [stopped, setStopped] = useState(false);
+
+  useEffect(() => {
+    saveQueue(key, queue);
+  }, [key, queue]);
+
+  const claimable = buildClaimQueue(holdings);
+  const remaining = queue.filter((item) => !DONE_STATUSES.includes(item.status));
+  const finished = queue.length > 0 && remaining.length === 0;
+  const claimed = queue
+    .filter((item) => item.status === 'confirmed')
+    .reduce((sum, item) => sum + BigInt(item.amount), 0n);
+  const explorerBase = getExplorerUrl(chainId);
+
+  const run = async (initial) => {
+    let items = initial;
+    const update = (index, patch) => {
+      items = items.map((item, i) => (i === index ? { ...item, ...patch } : item));
+      setQueue(items);
+    };
+
+    setQueue(items);
+    setRunning(true);
+    setStopped(false);
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      if (DONE_STATUSES.includes(item.status)) continue;
+      const abi = claimAbi(item.kind);
+
+      try {
+        let hash = item.status === 'submitted' ? item.hash : undefined;
+        if (!hash) {
+          const amount = await readClaimable(config, item, account);
+          if (amount === 0n) {
+            update(i, { status: 'skipped', error: undefined });
+            continue;
+          }
+          hash = await writeContract(config, { address: item.series, abi, functionName: item.functionName });
+          update(i, { status: 'submitted', hash, amount: amount.toString(), error: undefined });
+        }
+
+        const receipt = await waitForTransactionReceipt(config, { hash });
+        update(i, receipt.status === 'success'
+          ? { status: 'confirmed' }
+          : { status: 'failed', error: 'Transaction reverted' });
+      } catch (error) {
+        if (isUserRejection(error)) {
+          // Leave the item queued and stop; the user can resume later
+          update(i, { status: 'pending' });
+          setStopped(true);
+          break;
+        }
+        update(i, { status: 'failed', error: errorMessage(error) });
+      }
+    }
+
+    setRunning(false);
+    // Refresh balances and claimable amounts shown on the page
+    queryClient.invalidateQueries();
+  };
+
+  const start = () => run(buildClaimQueue(holdings));
+  // Failed items are retried from scratch; submitted ones just wait for their receipt
+  const resume = () => run(queue.map((item) => (item.status === 'failed' ? { ...item, status: 'pending', hash: undefined } : item)));
+
+  if (queue.length === 0) {
+    if (claimable.length === 0) return null;
+    return (
+      <button
+        onClick={start}
+        className="w-full mb-10 px-6 py-4 rounded-xl font-bold text-lg bg-gradient-to-r from-equorum-orange to-equorum-accent text-white hover:shadow-lg shadow-md transition-all"
+      >
+        Claim all ({claimable.length} claims)
+      </button>
+    );
+  }
+
+  return (
+    <div className="glass-effect p-6 rounded-2xl shadow-xl mb-10 border-2 border-white/50">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-equorum-dark">Claim all</h2>
+        <p className="text-sm text-gray-600">
+          {queue.length - remaining.length} of {queue.length} done · {formatEther(claimed)} ETH claimed
+        </p>
+      </div>
+
+      <ul className="divide-y divide-gray-100 mb-4">
+        {queue.map((item, i) => (
+          <li key={`${item.series}-${item.functionName}`} className="py-3 flex items-center justify-between gap-4">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900 truncate">
+                {i + 1}. {item.name} · {item.functionName === 'claimPrincipal' ? 'Principal' : 'Revenue'}
+              </p>
+              <p className="text-xs text-gray-500">
+                {formatEther(BigInt(item.amount))} ETH
+                {item.hash && (
+                  <>
+                    {' · '}
+                    <a
+                      href={`${explorerBase}/tx/${item.hash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-equorum-orange hover:underline font-mono"
+                    >
+                      {item.hash.slice(0, 10)}...
+                    </a>
+                  </>
+                )}
+              </p>
+              {item.error && <p className="text-xs text-red-600 mt-1">{item.error}</p>}
+            </div>
+            <span className={`shrink-0 px-3 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[item.status]}`}>
+              {running && item.status === 'pending' && i === queue.findIndex((q) => q.status === 'pending')
+                ? '⏳ Confirm in wallet'
+                : STATUS_LABELS[item.status]}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {stopped && (
+        <p className="text-sm text-yellow-800 mb-3">Paused: the transaction was rejected in the wallet.</p>
+      )}
+
+      <div className="flex gap-3">
+        {!running && !finished && (
+          <button
+            onClick={resume}
+            className="flex-1 py-3 rounded-xl font-bold bg-gradient-to-r from-equorum-orange to-equorum-accent text-white hover:shadow-lg"
+          >
+            Resume ({remaining.length} left)
+          </button>
+        )}
+        {!running && (
+          <button
+            onClick={() => setQueue([])}
+            className="flex-1 py-3 rounded-xl font-bold border-2 border-gray-200 text-gray-700 hover:bg-gray-50"
+          >
+            {finished ? 'Done' : 'Discard queue'}
+          </button>
+        )}
+        {running && <p className="text-sm text-gray-600">⏳ Working through the queue. Keep this tab open.</p>}
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 import { useWriteContract, useWaitForTransactionReceipt, useChainId } from 'wagmi';
 import { formatEther } from 'viem';
 import { SERIES_ABI } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
 
-export default function ClaimButton({ seriesAddress, claimable }) {
+export default function ClaimButton({ seriesAddress, claimable, abi = SERIES_ABI, functionName = 'claimRevenue', label = 'revenue' }) {
   const chainId = useChainId();
   const { writeContract, data: hash, isPending, error } = useWriteContract();
   const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
@@ -10,13 +11,13 @@ export default function ClaimButton({ seriesAddress, claimable }) {
   const handleClaim = () => {
     writeContract({
       address: seriesAddress,
-      abi: SERIES_ABI,
-      functionName: 'claimRevenue',
+      abi,
+      functionName,
     });
   };
   
   const isDisabled = claimable === 0n || isPending || isConfirming;
-  const explorerBase = chainId === 421614 ? 'https://sepolia.arbiscan.io' : 'https://arbiscan.io';
+  const explorerBase = getExplorerUrl(chainId);
   
   return (
     <div className="space-y-3">
@@ -33,7 +34,7 @@ export default function ClaimButton({ seriesAddress, claimable }) {
         {isConfirming && '⏳ Claiming...'}
         {isSuccess && '✅ Claimed!'}
         {!isPending && !isConfirming && !isSuccess && (
-          claimable === 0n ? 'No revenue to claim' : `Claim ${formatEther(claimable)} ETH`
+          claimable === 0n ? `No ${label} to claim` : `Claim ${formatEther(claimable)} ETH`
         )}
       </button>
       
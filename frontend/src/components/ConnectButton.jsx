@@ -1,5 +1,6 @@
 import { useAccount, useConnect, useDisconnect, useBalance, useChainId } from 'wagmi';
 import { formatEther } from 'viem';
+import { getChain } from '../config/chains';
 
 export default function ConnectButton() {
   const { address, isConnected, chain } = useAccount();
@@ -9,8 +10,9 @@ export default function ConnectButton() {
   const { data: balance } = useBalance({ address });
 
   if (isConnected) {
-    const isCorrectNetwork = chainId === 42161 || chainId === 421614;
-    const networkName = chainId === 42161 ? 'Arbitrum One' : chainId === 421614 ? 'Arbitrum Sepolia' : chain?.name || 'Unknown Network';
+    const supportedChain = getChain(chainId);
+    const isCorrectNetwork = !!supportedChain;
+    const networkName = supportedChain?.name || chain?.name || 'Unknown Network';
     
     return (
       <div className="space-y-2">
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+function formatRemaining(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  return `${minutes}m ${secs}s`;
+}
+
+export default function DeadlineCountdown({ deadline, expiredText = 'Deadline passed' }) {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  if (!deadline) return <span>N/A</span>;
+
+  const remaining = Number(deadline) - now;
+
+  if (remaining <= 0) {
+    return <span className="text-red-600 font-semibold">{expiredText}</span>;
+  }
+
+  return <span className="font-mono">{formatRemaining(remaining)}</span>;
+}
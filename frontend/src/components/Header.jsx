@@ -19,6 +19,18 @@ export default function Header() {
           </Link>
           
           <div className="flex items-center gap-2 sm:gap-4">
+            <Link
+              to="/explore"
+              className="hidden md:inline-block px-3 py-2 text-gray-200 hover:text-white font-semibold text-sm transition-colors"
+            >
+              Explore
+            </Link>
+            <Link
+              to="/issue"
+              className="hidden md:inline-block px-3 py-2 text-gray-200 hover:text-white font-semibold text-sm transition-colors"
+            >
+              Issue a bond
+            </Link>
             <Link 
               to="/guide" 
               className="flex items-center gap-2 px-3 sm:px-5 py-2 sm:py-2.5 bg-gradient-to-r from-equorum-orange to-equorum-accent hover:from-equorum-accent hover:to-equorum-orange text-white rounded-lg font-bold transition-all shadow-md hover:shadow-lg text-sm sm:text-base"
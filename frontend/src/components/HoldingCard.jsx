@@ -1,10 +1,14 @@
 import { formatEther } from 'viem';
 import { Link } from 'react-router-dom';
+import { ESCROW_ABI } from '../config/contracts';
 import ClaimButton from './ClaimButton';
 
 export default function HoldingCard({ holding }) {
-  const { address, balance, claimable, name, symbol, info } = holding;
-  const [, , , , , active] = info || [];
+  const { address, balance, claimable, name, symbol, info, kind, state, claimablePrincipal } = holding;
+  const isEscrow = kind === 'escrow';
+  const [, , , , , seriesActive] = info || [];
+  // Subgraph positions carry a state instead of the getSeriesInfo tuple
+  const active = isEscrow ? state === 'Active' : seriesActive ?? state === 'Active';
   
   return (
     <div className="glass-effect p-6 rounded-2xl shadow-xl hover:shadow-2xl transition-all duration-300 border-2 border-white/50 group hover:scale-[1.02] relative overflow-hidden">
@@ -21,7 +25,7 @@ export default function HoldingCard({ holding }) {
               ? 'bg-gradient-to-r from-green-400 to-green-500 text-white' 
               : 'bg-gray-200 text-gray-600'
           }`}>
-            {active ? '● Active' : '○ Matured'}
+            {active ? '● Active' : `○ ${isEscrow && state ? state : 'Matured'}`}
           </span>
         </div>
         
@@ -42,10 +46,22 @@ export default function HoldingCard({ holding }) {
           </div>
         </div>
         
+        {isEscrow && claimablePrincipal > 0n && (
+          <div className="mb-3">
+            <ClaimButton
+              seriesAddress={address}
+              claimable={claimablePrincipal}
+              abi={ESCROW_ABI}
+              functionName="claimPrincipal"
+              label="principal"
+            />
+          </div>
+        )}
+        
         <div className="flex gap-3">
-          <ClaimButton seriesAddress={address} claimable={claimable} />
+          <ClaimButton seriesAddress={address} claimable={claimable} abi={isEscrow ? ESCROW_ABI : undefined} />
           <Link
-            to={`/series/${address}`}
+            to={`/${isEscrow ? 'escrow' : 'series'}/${address}`}
             className="flex-1 px-4 py-2.5 bg-white/80 border-2 border-gray-200 text-gray-700 rounded-xl hover:bg-white hover:border-equorum-orange/30 font-semibold text-center transition-all duration-200 hover:shadow-md"
           >
             View Details →
@@ -0,0 +1,73 @@
+// Shared building blocks for the issuance wizards (soft series and escrow bonds)
+
+export function StepIndicator({ steps, current }) {
+  return (
+    <ol className="flex items-center gap-2 mb-8">
+      {steps.map((label, index) => (
+        <li key={label} className="flex-1">
+          <div className={`h-1.5 rounded-full ${index <= current ? 'bg-equorum-orange' : 'bg-gray-200'}`}></div>
+          <p className={`text-xs mt-2 font-medium ${index === current ? 'text-equorum-dark' : 'text-gray-400'}`}>
+            {index + 1}. {label}
+          </p>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export function Field({ label, hint, error, ...inputProps }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <input
+        {...inputProps}
+        className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none text-sm ${
+          error ? 'border-red-300 focus:border-red-500' : 'border-gray-200 focus:border-equorum-orange'
+        }`}
+      />
+      {error ? (
+        <p className="text-xs text-red-600 mt-1">{error}</p>
+      ) : hint ? (
+        <p className="text-xs text-gray-500 mt-1">{hint}</p>
+      ) : null}
+    </div>
+  );
+}
+
+export function CheckRow({ ok, label, detail }) {
+  return (
+    <div className="flex items-start justify-between py-3 border-b border-gray-100 last:border-0">
+      <span className="text-gray-700">{label}</span>
+      <span className={`text-sm font-medium text-right ${ok ? 'text-green-700' : 'text-red-700'}`}>
+        {ok ? '✓ ' : '✕ '}{detail}
+      </span>
+    </div>
+  );
+}
+
+export function WizardButton({ enabled, children, ...props }) {
+  return (
+    <button
+      {...props}
+      disabled={!enabled}
+      className={`flex-1 w-full py-3 rounded-xl font-bold transition-all ${
+        enabled
+          ? 'bg-gradient-to-r from-equorum-orange to-equorum-accent text-white hover:shadow-lg'
+          : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+export function BackButton(props) {
+  return (
+    <button
+      {...props}
+      className="flex-1 py-3 rounded-xl font-bold border-2 border-gray-200 text-gray-700 hover:bg-gray-50"
+    >
+      Back
+    </button>
+  );
+}
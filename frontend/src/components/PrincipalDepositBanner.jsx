@@ -0,0 +1,99 @@
+import { useEffect } from 'react';
+import { useAccount, useChainId, useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi';
+import { formatEther } from 'viem';
+import { ESCROW_ABI, ESCROW_STATES } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
+import { errorMessage } from '../utils/issuance';
+import DeadlineCountdown from './DeadlineCountdown';
+
+// Reminder shown while an escrow bond sits in PendingPrincipal. The issuing protocol
+// gets a depositPrincipal() action; everyone else sees the countdown to the default deadline.
+export default function PrincipalDepositBanner({ escrowAddress, onDeposited }) {
+  const { address: userAddress } = useAccount();
+  const chainId = useChainId();
+
+  const { data: bondInfo, refetch } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'getBondInfo',
+    query: { enabled: !!escrowAddress },
+  });
+
+  const { data: depositDeadline } = useReadContract({
+    address: escrowAddress,
+    abi: ESCROW_ABI,
+    functionName: 'depositDeadline',
+    query: { enabled: !!escrowAddress },
+  });
+
+  const { writeContract, data: hash, isPending, error } = useWriteContract();
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+
+  useEffect(() => {
+    if (!isSuccess) return;
+    refetch();
+    onDeposited?.();
+  }, [isSuccess, refetch, onDeposited]);
+
+  const [protocol, , , principal, , , stateIndex] = bondInfo || [];
+  const state = stateIndex !== undefined ? ESCROW_STATES[Number(stateIndex)] : undefined;
+  const isIssuer = !!userAddress && !!protocol && userAddress.toLowerCase() === protocol.toLowerCase();
+  const explorerBase = getExplorerUrl(chainId);
+
+  if (isSuccess) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+        <p className="text-green-800 font-medium mb-2">
+          ✅ Principal of {formatEther(principal || 0n)} ETH deposited. The bond is now active and tokens were minted to the issuer.
+        </p>
+        <a
+          href={`${explorerBase}/tx/${hash}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-green-600 hover:text-green-700 text-sm font-medium underline"
+        >
+          View transaction on Arbiscan →
+        </a>
+      </div>
+    );
+  }
+
+  if (state !== 'PendingPrincipal') return null;
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-5 mb-6">
+      <p className="text-yellow-900 font-semibold mb-1">
+        ⚠️ Awaiting principal deposit of {formatEther(principal || 0n)} ETH
+      </p>
+      <p className="text-yellow-800 text-sm mb-3">
+        {isIssuer
+          ? 'Deposit the full principal before the deadline. Until then no tokens exist; after it, anyone can declare a default.'
+          : 'The issuer has not escrowed the principal yet. If it is not deposited in time, the bond can be declared in default.'}
+        {' '}Time left: <DeadlineCountdown deadline={depositDeadline} expiredText="deadline passed" />
+      </p>
+
+      {isIssuer && (
+        <button
+          onClick={() => writeContract({
+            address: escrowAddress,
+            abi: ESCROW_ABI,
+            functionName: 'depositPrincipal',
+            value: principal,
+          })}
+          disabled={isPending || isConfirming || !principal}
+          className={`px-5 py-2.5 rounded-xl font-bold transition-all ${
+            isPending || isConfirming
+              ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
+              : 'bg-gradient-to-r from-equorum-orange to-equorum-accent text-white hover:shadow-lg'
+          }`}
+        >
+          {isPending ? '⏳ Confirm in wallet...' : isConfirming ? '⏳ Depositing...' : `Deposit ${formatEther(principal || 0n)} ETH`}
+        </button>
+      )}
+
+      {error && (
+        <p className="text-red-700 text-sm font-medium mt-3">❌ {errorMessage(error)}</p>
+      )}
+    </div>
+  );
+}
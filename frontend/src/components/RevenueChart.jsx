@@ -1,15 +1,30 @@
 import { useMemo } from 'react';
 import { formatEther } from 'viem';
+import { useSeriesDayData } from '../hooks/useSeriesDayData';
+
+export default function RevenueChart({ events, seriesAddress }) {
+  // Pre-aggregated daily buckets from the subgraph (undefined when it is unavailable)
+  const { days } = useSeriesDayData({ seriesAddress, limit: 30 });
 
-export default function RevenueChart({ events }) {
   // Aggregate revenue by date
   const chartData = useMemo(() => {
+    if (days) {
+      return days
+        .filter((day) => day.revenueRouted > 0n)
+        .map((day) => ({
+          date: new Date(day.timestamp * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+          timestamp: day.timestamp,
+          amount: day.revenueRouted,
+        }))
+        .slice(-7); // Last 7 days
+    }
+
     if (!events || events.length === 0) return [];
     
     const dailyRevenue = {};
     
     events.forEach(event => {
-      if (event.type === 'routed' && event.toSeries) {
+      if (event.type === 'routed' && event.seriesAmount) {
         const date = new Date(event.timestamp * 1000);
         const dateKey = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
         
@@ -21,7 +36,7 @@ export default function RevenueChart({ events }) {
           };
         }
         
-        dailyRevenue[dateKey].amount += event.toSeries;
+        dailyRevenue[dateKey].amount += event.seriesAmount;
       }
     });
     
@@ -29,7 +44,7 @@ export default function RevenueChart({ events }) {
     return Object.values(dailyRevenue)
       .sort((a, b) => a.timestamp - b.timestamp)
       .slice(-7); // Last 7 days
-  }, [events]);
+  }, [days, events]);
   
   if (chartData.length === 0) {
     return null;
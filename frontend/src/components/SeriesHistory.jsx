@@ -1,130 +1,45 @@
-import { useEffect, useState } from 'react';
-import { usePublicClient, useChainId } from 'wagmi';
+import { useState } from 'react';
+import { useChainId } from 'wagmi';
 import { formatEther } from 'viem';
-import { SERIES_ABI, ROUTER_ABI } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
+import { HISTORY_PAGE_SIZE } from '../hooks/useSeriesHistory';
+import { useDistributionHistory } from '../hooks/useDistributionHistory';
 import RevenueChart from './RevenueChart';
 
 export default function SeriesHistory({ seriesAddress, routerAddress, userAddress }) {
-  const publicClient = usePublicClient();
   const chainId = useChainId();
-  const [events, setEvents] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { events, loading, done, error, startBlock, scannedTo, loadMore } = useDistributionHistory({
+    seriesAddress,
+    routerAddress,
+    userAddress,
+  });
+  const [page, setPage] = useState(0);
   
-  const explorerBase = chainId === 421614 ? 'https://sepolia.arbiscan.io' : 'https://arbiscan.io';
+  const explorerBase = getExplorerUrl(chainId);
+  const pageEvents = events.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE);
+  const hasNextPage = (page + 1) * HISTORY_PAGE_SIZE < events.length || !done;
   
-  useEffect(() => {
-    if (!seriesAddress || !routerAddress || !publicClient) return;
-    
-    const fetchEvents = async () => {
-      setLoading(true);
-      try {
-        const currentBlock = await publicClient.getBlockNumber();
-        const fromBlock = currentBlock - 10000n; // Last ~10k blocks
-        
-        // Fetch router events
-        const routerReceivedLogs = await publicClient.getLogs({
-          address: routerAddress,
-          event: {
-            type: 'event',
-            name: 'RevenueReceived',
-            inputs: [
-              { type: 'address', indexed: true, name: 'sender' },
-              { type: 'uint256', indexed: false, name: 'amount' },
-              { type: 'uint256', indexed: false, name: 'timestamp' }
-            ]
-          },
-          fromBlock,
-          toBlock: 'latest'
-        });
-        
-        const routerRoutedLogs = await publicClient.getLogs({
-          address: routerAddress,
-          event: {
-            type: 'event',
-            name: 'RevenueRouted',
-            inputs: [
-              { type: 'uint256', indexed: false, name: 'toSeries' },
-              { type: 'uint256', indexed: false, name: 'toProtocol' },
-              { type: 'uint256', indexed: false, name: 'timestamp' }
-            ]
-          },
-          fromBlock,
-          toBlock: 'latest'
-        });
-        
-        // Fetch series claim events (filtered by user)
-        const seriesClaimLogs = userAddress ? await publicClient.getLogs({
-          address: seriesAddress,
-          event: {
-            type: 'event',
-            name: 'RevenueClaimed',
-            inputs: [
-              { type: 'address', indexed: true, name: 'user' },
-              { type: 'uint256', indexed: false, name: 'amount' }
-            ]
-          },
-          args: {
-            user: userAddress
-          },
-          fromBlock,
-          toBlock: 'latest'
-        }) : [];
-        
-        // Process and combine events
-        const allEvents = [];
-        
-        // Router received events
-        for (const log of routerReceivedLogs) {
-          const block = await publicClient.getBlock({ blockNumber: log.blockNumber });
-          allEvents.push({
-            type: 'received',
-            amount: log.args.amount,
-            timestamp: Number(block.timestamp),
-            txHash: log.transactionHash,
-            blockNumber: log.blockNumber
-          });
-        }
-        
-        // Router routed events
-        for (const log of routerRoutedLogs) {
-          const block = await publicClient.getBlock({ blockNumber: log.blockNumber });
-          allEvents.push({
-            type: 'routed',
-            toSeries: log.args.toSeries,
-            toProtocol: log.args.toProtocol,
-            timestamp: Number(block.timestamp),
-            txHash: log.transactionHash,
-            blockNumber: log.blockNumber
-          });
-        }
-        
-        // User claim events
-        for (const log of seriesClaimLogs) {
-          const block = await publicClient.getBlock({ blockNumber: log.blockNumber });
-          allEvents.push({
-            type: 'claimed',
-            amount: log.args.amount,
-            timestamp: Number(block.timestamp),
-            txHash: log.transactionHash,
-            blockNumber: log.blockNumber
-          });
-        }
-        
-        // Sort by timestamp (most recent first)
-        allEvents.sort((a, b) => b.timestamp - a.timestamp);
-        
-        setEvents(allEvents.slice(0, 10)); // Keep only last 10
-      } catch (error) {
-        console.error('Error fetching events:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    fetchEvents();
-  }, [seriesAddress, routerAddress, userAddress, publicClient, chainId]);
+  // Paging past the loaded events scans further back
+  const nextPage = () => {
+    if ((page + 2) * HISTORY_PAGE_SIZE > events.length && !done) loadMore();
+    setPage(page + 1);
+  };
+  
+  if (error && events.length === 0) {
+    return (
+      <div className="bg-white rounded-2xl shadow-lg p-8">
+        <h2 className="text-2xl font-bold text-equorum-dark mb-6">Revenue History</h2>
+        <div className="text-center py-8">
+          <p className="text-red-600 mb-4">Could not load history from the RPC</p>
+          <button onClick={loadMore} className="text-equorum-orange hover:text-equorum-accent font-medium">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
   
-  if (loading) {
+  if (loading && events.length === 0) {
     return (
       <div className="bg-white rounded-2xl shadow-lg p-8">
         <h2 className="text-2xl font-bold text-equorum-dark mb-6">Revenue History</h2>
@@ -150,14 +65,17 @@ export default function SeriesHistory({ seriesAddress, routerAddress, userAddres
   return (
     <>
       {/* Revenue Chart */}
-      <RevenueChart events={events} />
+      <RevenueChart events={events} seriesAddress={seriesAddress} />
       
       {/* Revenue History List */}
       <div className="bg-white rounded-2xl shadow-lg p-8">
-        <h2 className="text-2xl font-bold text-equorum-dark mb-6">Transaction History</h2>
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-equorum-dark">Transaction History</h2>
+          {loading && pageEvents.length > 0 && <span className="text-xs text-gray-500">Updating...</span>}
+        </div>
         <div className="space-y-4">
-          {events.map((event, index) => (
-          <div key={index} className="border-l-4 border-gray-200 pl-4 py-2">
+          {pageEvents.map((event) => (
+          <div key={`${event.txHash}-${event.logIndex}`} className="border-l-4 border-gray-200 pl-4 py-2">
             <div className="flex items-start justify-between">
               <div>
                 <p className="text-sm text-gray-500 mb-1">
@@ -176,14 +94,20 @@ export default function SeriesHistory({ seriesAddress, routerAddress, userAddres
                   </p>
                 )}
                 
+                {event.type === 'distributed' && (
+                  <p className="font-medium text-gray-900">
+                    +{formatEther(event.amount)} ETH distributed to holders
+                  </p>
+                )}
+                
                 {event.type === 'routed' && (
                   <div>
                     <p className="font-medium text-gray-900">
                       Revenue routed to series
                     </p>
                     <p className="text-sm text-gray-600">
-                      To series: {formatEther(event.toSeries)} ETH • 
-                      To protocol: {formatEther(event.toProtocol)} ETH
+                      To series: {formatEther(event.seriesAmount)} ETH • 
+                      To protocol: {formatEther(event.protocolAmount)} ETH
                     </p>
                   </div>
                 )}
@@ -207,6 +131,43 @@ export default function SeriesHistory({ seriesAddress, routerAddress, userAddres
           </div>
         ))}
         </div>
+        
+        {loading && pageEvents.length === 0 && (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-equorum-orange mx-auto"></div>
+            <p className="text-gray-500 mt-4">Scanning older blocks...</p>
+          </div>
+        )}
+        
+        {error && events.length > 0 && (
+          <p className="text-sm text-red-600 mt-4">
+            Could not load older history.{' '}
+            <button onClick={loadMore} className="font-medium underline">Retry</button>
+          </p>
+        )}
+        
+        <div className="flex items-center justify-between mt-6 pt-4 border-t border-gray-100">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0}
+            className="text-sm font-medium text-equorum-orange hover:text-equorum-accent disabled:text-gray-300"
+          >
+            ← Newer
+          </button>
+          <p className="text-xs text-gray-500 text-center">
+            Page {page + 1} · {events.length} events loaded
+            {done
+              ? ` · complete since launch (block ${startBlock})`
+              : scannedTo !== null && ` · back to block ${scannedTo}`}
+          </p>
+          <button
+            onClick={nextPage}
+            disabled={!hasNextPage || loading}
+            className="text-sm font-medium text-equorum-orange hover:text-equorum-accent disabled:text-gray-300"
+          >
+            {(page + 1) * HISTORY_PAGE_SIZE < events.length ? 'Older →' : 'Load more →'}
+          </button>
+        </div>
       </div>
     </>
   );
@@ -0,0 +1,112 @@
+// Chain registry: every per-network address the app uses, resolved by chain ID.
+// V2 addresses come straight from the deployment manifests written by the deploy scripts,
+// so a redeploy only needs the manifest committed for the frontend to follow.
+
+import arbitrumOneDeployment from '../../../deployments/arbitrum-mainnet/v2-deployment-latest.json';
+import arbitrumSepoliaDeployment from '../../../deployments/arbitrum-sepolia/v2-deployment-latest.json';
+import arbitrumOneV1 from '../../../deployments/arbitrum-mainnet/v1-addresses.json';
+
+export const DEFAULT_CHAIN_ID = 42161;
+
+const NETWORKS = {
+  42161: {
+    name: 'Arbitrum One',
+    explorer: 'https://arbiscan.io',
+    deployment: arbitrumOneDeployment,
+    legacyFactory: arbitrumOneV1.contracts.RevenueSeriesFactory.address,
+    legacyFactoryTx: arbitrumOneV1.contracts.RevenueSeriesFactory.txHash,
+    subgraph: import.meta.env.VITE_SUBGRAPH_URL_ARBITRUM_ONE,
+  },
+  421614: {
+    name: 'Arbitrum Sepolia',
+    explorer: 'https://sepolia.arbiscan.io',
+    deployment: arbitrumSepoliaDeployment,
+    // V1 testnet factory predates the deployment manifests
+    legacyFactory: '0x2B2b7DC0b8276b74dEb57bB30b7AA66697DF7dA8',
+    subgraph: import.meta.env.VITE_SUBGRAPH_URL_ARBITRUM_SEPOLIA,
+  },
+};
+
+function fromManifest({ name, explorer, deployment, legacyFactory, legacyFactoryTx, subgraph }) {
+  const { contracts, transactions = {} } = deployment;
+  return {
+    chainId: deployment.chainId,
+    name,
+    explorer,
+    legacyFactory,
+    subgraph,
+    // Deployment tx per factory, when the manifest recorded it (used to bound log scans)
+    factoryDeployTxs: {
+      [legacyFactory]: legacyFactoryTx,
+      [contracts.revenueSeriesFactory]: transactions.softFactory,
+      [contracts.revenueBondEscrowFactory]: transactions.escrowFactory,
+    },
+    seriesFactory: contracts.revenueSeriesFactory,
+    escrowFactory: contracts.revenueBondEscrowFactory,
+    reputationRegistry: contracts.protocolReputationRegistry,
+    // FactoryViewer only wraps the escrow factory (see FACTORY_VIEWER_ABI)
+    factoryViewers: contracts.factoryViewer ? { [contracts.revenueBondEscrowFactory]: contracts.factoryViewer } : {},
+  };
+}
+
+export const CHAINS = Object.fromEntries(
+  Object.values(NETWORKS).map((network) => {
+    const chain = fromManifest(network);
+    return [chain.chainId, chain];
+  }),
+);
+
+export const SUPPORTED_CHAIN_IDS = Object.keys(CHAINS).map(Number);
+
+export function getChain(chainId) {
+  return CHAINS[chainId];
+}
+
+export function isSupportedChain(chainId) {
+  return chainId in CHAINS;
+}
+
+// Contract getters have no mainnet fallback: writes must never target another chain's contracts
+
+export function getLegacyFactoryAddress(chainId) {
+  return CHAINS[chainId]?.legacyFactory;
+}
+
+export function getSeriesFactoryV2Address(chainId) {
+  return CHAINS[chainId]?.seriesFactory;
+}
+
+export function getEscrowFactoryAddress(chainId) {
+  return CHAINS[chainId]?.escrowFactory;
+}
+
+export function getReputationRegistryAddress(chainId) {
+  return CHAINS[chainId]?.reputationRegistry;
+}
+
+export function getFactoryViewerAddress(chainId, factory) {
+  return factory ? CHAINS[chainId]?.factoryViewers[factory] : undefined;
+}
+
+// Every factory that can have created a series on this chain, oldest first
+export function getSeriesFactories(chainId) {
+  const chain = CHAINS[chainId];
+  if (!chain) return [];
+  return [
+    { kind: 'legacy', address: chain.legacyFactory },
+    { kind: 'soft', address: chain.seriesFactory },
+    { kind: 'escrow', address: chain.escrowFactory },
+  ]
+    .filter((factory) => factory.address)
+    .map((factory) => ({ ...factory, deployTx: chain.factoryDeployTxs[factory.address] }));
+}
+
+// GraphQL endpoint of the subgraph indexing this chain, if one is configured
+export function getSubgraphUrl(chainId) {
+  return CHAINS[chainId]?.subgraph;
+}
+
+// Block explorer base URL; links fall back to mainnet Arbiscan on unknown chains
+export function getExplorerUrl(chainId) {
+  return (CHAINS[chainId] || CHAINS[DEFAULT_CHAIN_ID]).explorer;
+}
@@ -1,13 +1,16 @@
-import { useReadContract } from 'wagmi';
-import { FACTORY_ADDRESS, FACTORY_ABI } from '../config/contracts';
+import { useReadContract, useChainId } from 'wagmi';
+import { FACTORY_ABI } from '../config/contracts';
+import { getLegacyFactoryAddress } from '../config/chains';
 
 export function useAllSeries() {
+  const factoryAddress = getLegacyFactoryAddress(useChainId());
+
   return useReadContract({
-    address: FACTORY_ADDRESS,
+    address: factoryAddress,
     abi: FACTORY_ABI,
     functionName: 'getAllSeries',
     query: {
-      enabled: !!FACTORY_ADDRESS,
+      enabled: !!factoryAddress,
     },
   });
 }
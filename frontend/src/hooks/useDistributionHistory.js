@@ -0,0 +1,103 @@
+import { useMemo } from 'react';
+import { useChainId } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { useSubgraphStatus } from './useSubgraphStatus';
+import { useSeriesHistory } from './useSeriesHistory';
+import { queryAll, querySubgraph, toId, toWei, toBigInt } from '../utils/subgraph';
+
+const EVENT_FIELDS = 'id timestamp blockNumber transactionHash';
+
+const ROUTINGS_QUERY = `
+  query Routings($first: Int!, $where: RevenueRouting_filter) {
+    revenueRoutings(first: $first, where: $where, orderBy: id) { ${EVENT_FIELDS} seriesAmount protocolAmount }
+  }
+`;
+
+const DISTRIBUTIONS_QUERY = `
+  query Distributions($first: Int!, $where: RevenueDistribution_filter) {
+    revenueDistributions(first: $first, where: $where, orderBy: id) { ${EVENT_FIELDS} amount }
+  }
+`;
+
+const CLAIMS_QUERY = `
+  query Claims($first: Int!, $where: RevenueClaim_filter) {
+    revenueClaims(first: $first, where: $where, orderBy: id) { ${EVENT_FIELDS} amount }
+  }
+`;
+
+const SERIES_QUERY = `
+  query Series($id: ID!) {
+    revenueSeries(id: $id) { createdAtBlock }
+  }
+`;
+
+// Event entity ids are `${txHash}-${logIndex}`
+function toEvent(type, entity, amounts) {
+  return {
+    type,
+    ...amounts,
+    timestamp: Number(entity.timestamp),
+    txHash: entity.transactionHash,
+    blockNumber: BigInt(entity.blockNumber),
+    logIndex: Number(entity.id.split('-').pop()),
+  };
+}
+
+async function fetchHistory(url, series, router, user) {
+  const [routings, distributions, claims, meta] = await Promise.all([
+    queryAll(url, ROUTINGS_QUERY, 'revenueRoutings', { router: toId(router), success: true }),
+    queryAll(url, DISTRIBUTIONS_QUERY, 'revenueDistributions', { series: toId(series) }),
+    user
+      ? queryAll(url, CLAIMS_QUERY, 'revenueClaims', { series: toId(series), holderAddress: toId(user) })
+      : [],
+    querySubgraph(url, SERIES_QUERY, { id: toId(series) }),
+  ]);
+
+  const events = [
+    ...routings.map((r) => toEvent('routed', r, {
+      seriesAmount: toWei(r.seriesAmount),
+      protocolAmount: toWei(r.protocolAmount),
+    })),
+    ...distributions.map((d) => toEvent('distributed', d, { amount: toWei(d.amount) })),
+    ...claims.map((c) => toEvent('claimed', c, { amount: toWei(c.amount) })),
+  ].sort((a, b) => (a.blockNumber === b.blockNumber ? b.logIndex - a.logIndex : a.blockNumber > b.blockNumber ? -1 : 1));
+
+  return { events, startBlock: toBigInt(meta.revenueSeries?.createdAtBlock) };
+}
+
+/**
+ * Revenue routed to and distributed by a series, plus the user's claims, newest first.
+ * The subgraph returns the whole history in one go; while it is unavailable this falls back
+ * to scanning logs over RPC (useSeriesHistory). Same return shape as useSeriesHistory.
+ */
+export function useDistributionHistory({ seriesAddress, routerAddress, userAddress }) {
+  const chainId = useChainId();
+  const status = useSubgraphStatus(chainId);
+
+  const graph = useQuery({
+    queryKey: ['subgraph', 'history', status.url, toId(seriesAddress), toId(routerAddress), toId(userAddress)],
+    queryFn: () => fetchHistory(status.url, seriesAddress, routerAddress, userAddress),
+    enabled: status.healthy && !!seriesAddress && !!routerAddress,
+  });
+  const fromGraph = status.healthy && !graph.isError;
+
+  const rpc = useSeriesHistory({
+    seriesAddress: !status.pending && !fromGraph ? seriesAddress : undefined,
+    routerAddress,
+    userAddress,
+  });
+
+  const events = useMemo(() => graph.data?.events || [], [graph.data]);
+
+  if (!fromGraph) return { ...rpc, loading: status.pending || rpc.loading, source: 'rpc' };
+  return {
+    events,
+    loading: graph.isLoading,
+    done: true,
+    error: null,
+    startBlock: graph.data?.startBlock ?? null,
+    scannedTo: null,
+    loadMore: () => {},
+    source: 'subgraph',
+  };
+}
@@ -0,0 +1,81 @@
+import { useReadContract, useReadContracts } from 'wagmi';
+import { ESCROW_ABI, ESCROW_FACTORY_ABI, ESCROW_STATES } from '../config/contracts';
+import { getEscrowFactoryAddress } from '../config/chains';
+import { estimateClaimablePrincipal } from '../utils/principal';
+
+// Escrow bonds where the user holds tokens or still has revenue / principal to claim
+export function useEscrowHoldings(userAddress, chainId) {
+  const factory = getEscrowFactoryAddress(chainId);
+
+  const { data: total, isLoading: countLoading } = useReadContract({
+    address: factory,
+    abi: ESCROW_FACTORY_ABI,
+    functionName: 'totalSeries',
+    query: { enabled: !!factory && !!userAddress },
+  });
+
+  const indexCalls = Array.from({ length: Number(total || 0n) }, (_, i) => ({
+    address: factory,
+    abi: ESCROW_FACTORY_ABI,
+    functionName: 'allSeries',
+    args: [BigInt(i)],
+  }));
+
+  const { data: seriesData, isLoading: seriesLoading } = useReadContracts({
+    contracts: indexCalls,
+    query: { enabled: indexCalls.length > 0 },
+  });
+
+  const allSeries = seriesData?.map((r) => r.result).filter(Boolean) || [];
+
+  const contracts = allSeries.flatMap((seriesAddress) => [
+    { address: seriesAddress, abi: ESCROW_ABI, functionName: 'balanceOf', args: [userAddress] },
+    { address: seriesAddress, abi: ESCROW_ABI, functionName: 'calculateClaimableRevenue', args: [userAddress] },
+    { address: seriesAddress, abi: ESCROW_ABI, functionName: 'calculateClaimablePrincipal', args: [userAddress] },
+    { address: seriesAddress, abi: ESCROW_ABI, functionName: 'name' },
+    { address: seriesAddress, abi: ESCROW_ABI, functionName: 'symbol' },
+    { address: seriesAddress, abi: ESCROW_ABI, functionName: 'getBondInfo' },
+    { address: seriesAddress, abi: ESCROW_ABI, functionName: 'totalTokenSupply' },
+  ]);
+
+  const { data, isLoading: holdingsLoading } = useReadContracts({
+    contracts,
+    query: { enabled: !!userAddress && contracts.length > 0 },
+  });
+
+  const isLoading = countLoading || seriesLoading || holdingsLoading;
+  if (!data) return { data: [], isLoading };
+
+  const holdings = [];
+  for (let i = 0; i < allSeries.length; i++) {
+    const baseIndex = i * 7;
+    const balance = data[baseIndex]?.result || 0n;
+    const claimable = data[baseIndex + 1]?.result || 0n;
+    const bondInfo = data[baseIndex + 5]?.result || [];
+    const state = bondInfo[6] !== undefined ? ESCROW_STATES[Number(bondInfo[6])] : undefined;
+    const claimablePrincipal = estimateClaimablePrincipal({
+      claimable: data[baseIndex + 2]?.result || 0n,
+      state,
+      maturityDate: bondInfo[2],
+      principalAmount: bondInfo[3],
+      balance,
+      totalTokenSupply: data[baseIndex + 6]?.result,
+    });
+
+    // Claiming principal burns the tokens, so revenue can remain after the balance is gone
+    if (balance > 0n || claimable > 0n || claimablePrincipal > 0n) {
+      holdings.push({
+        kind: 'escrow',
+        address: allSeries[i],
+        balance,
+        claimable,
+        claimablePrincipal,
+        name: data[baseIndex + 3]?.result || 'Unknown',
+        symbol: data[baseIndex + 4]?.result || 'UNKNOWN',
+        state,
+      });
+    }
+  }
+
+  return { data: holdings, isLoading };
+}
@@ -0,0 +1,111 @@
+import { useReadContracts } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { SERIES_ABI, ESCROW_ABI, ESCROW_STATES } from '../config/contracts';
+import { useSubgraphStatus } from './useSubgraphStatus';
+import { useAllSeries } from './useAllSeries';
+import { useUserHoldings } from './useUserHoldings';
+import { useEscrowHoldings } from './useEscrowHoldings';
+import { queryAll, toId, toAddress, toWei } from '../utils/subgraph';
+import { estimateClaimablePrincipal } from '../utils/principal';
+
+const POSITIONS_QUERY = `
+  query HolderPositions($first: Int!, $where: SeriesHolder_filter) {
+    seriesHolders(first: $first, where: $where, orderBy: id) {
+      id
+      balance
+      series {
+        id
+        name
+        symbol
+        bondType
+        state
+        escrow { state }
+      }
+    }
+  }
+`;
+
+/**
+ * Every series the user holds or still has revenue / principal to claim from, in the shape
+ * HoldingCard and the claim queue use. Positions come from the subgraph when it is healthy;
+ * claimable amounts are always read on-chain since they accrue between events.
+ * @returns { data, isLoading, source: 'subgraph' | 'rpc' }
+ */
+export function useHolderPositions(userAddress, chainId) {
+  const status = useSubgraphStatus(chainId);
+
+  const graph = useQuery({
+    queryKey: ['subgraph', 'positions', status.url, toId(userAddress)],
+    queryFn: () => queryAll(status.url, POSITIONS_QUERY, 'seriesHolders', { holder: toId(userAddress) }),
+    enabled: status.healthy && !!userAddress,
+  });
+  const fromGraph = status.healthy && !graph.isError;
+
+  const positions = (fromGraph && graph.data) || [];
+  const claimCalls = positions.flatMap(({ series }) => {
+    const address = toAddress(series.id);
+    return series.bondType === 'HYBRID'
+      ? [
+        { address, abi: ESCROW_ABI, functionName: 'calculateClaimableRevenue', args: [userAddress] },
+        { address, abi: ESCROW_ABI, functionName: 'calculateClaimablePrincipal', args: [userAddress] },
+        { address, abi: ESCROW_ABI, functionName: 'getBondInfo' },
+        { address, abi: ESCROW_ABI, functionName: 'totalTokenSupply' },
+      ]
+      : [{ address, abi: SERIES_ABI, functionName: 'calculateClaimable', args: [userAddress] }];
+  });
+  const claims = useReadContracts({
+    contracts: claimCalls,
+    query: { enabled: claimCalls.length > 0 },
+  });
+
+  // RPC fallback: legacy factory series plus escrow bonds
+  const rpcUser = !status.pending && !fromGraph ? userAddress : undefined;
+  const { data: allSeries, isLoading: seriesLoading } = useAllSeries();
+  const soft = useUserHoldings(rpcUser, allSeries);
+  const escrow = useEscrowHoldings(rpcUser, chainId);
+
+  if (!fromGraph) {
+    return {
+      data: [...(soft.data || []), ...(escrow.data || [])],
+      isLoading: status.pending || seriesLoading || soft.isLoading || escrow.isLoading,
+      source: 'rpc',
+    };
+  }
+
+  const holdings = [];
+  let call = 0;
+  for (const { balance, series } of positions) {
+    const isEscrow = series.bondType === 'HYBRID';
+    const tokens = toWei(balance);
+    const claimable = claims.data?.[call]?.result || 0n;
+    const bondInfo = isEscrow ? claims.data?.[call + 2]?.result || [] : [];
+    const claimablePrincipal = isEscrow
+      ? estimateClaimablePrincipal({
+        claimable: claims.data?.[call + 1]?.result || 0n,
+        // On-chain state: the subgraph can lag behind the block the claim is sent in
+        state: bondInfo[6] !== undefined ? ESCROW_STATES[Number(bondInfo[6])] : series.escrow?.state,
+        maturityDate: bondInfo[2],
+        principalAmount: bondInfo[3],
+        balance: tokens,
+        totalTokenSupply: claims.data?.[call + 3]?.result,
+      })
+      : undefined;
+    call += isEscrow ? 4 : 1;
+
+    // Claiming principal burns the tokens, so revenue can remain after the balance is gone
+    if (tokens > 0n || claimable > 0n || claimablePrincipal > 0n) {
+      holdings.push({
+        kind: isEscrow ? 'escrow' : 'soft',
+        address: toAddress(series.id),
+        balance: tokens,
+        claimable,
+        claimablePrincipal,
+        name: series.name,
+        symbol: series.symbol,
+        state: isEscrow ? series.escrow?.state : series.state,
+      });
+    }
+  }
+
+  return { data: holdings, isLoading: graph.isLoading || claims.isLoading, source: 'subgraph' };
+}
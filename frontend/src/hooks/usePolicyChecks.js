@@ -0,0 +1,59 @@
+import { useReadContract } from 'wagmi';
+import { zeroAddress } from 'viem';
+import { SAFETY_POLICY_ABI, ACCESS_POLICY_ABI, FEE_POLICY_ABI } from '../config/contracts';
+
+/**
+ * Run the pluggable factory policies against a set of creation params
+ * @param policies { fee, safety, access } policy addresses (zeroAddress = disabled)
+ * @param protocol Issuing wallet (factories require protocol == msg.sender)
+ * @param params { revenueShareBPS, durationDays, totalSupply, minDistributionAmount }
+ * @param enabled Only query once params pass the hardcoded checks
+ */
+export function usePolicyChecks({ policies, protocol, params, enabled }) {
+  const { fee: feePolicy, safety: safetyPolicy, access: accessPolicy } = policies || {};
+  const policyArgs = [
+    protocol,
+    params.revenueShareBPS,
+    params.durationDays,
+    params.totalSupply,
+    params.minDistributionAmount,
+  ];
+
+  const hasSafety = !!safetyPolicy && safetyPolicy !== zeroAddress;
+  const hasAccess = !!accessPolicy && accessPolicy !== zeroAddress;
+  const hasFee = !!feePolicy && feePolicy !== zeroAddress;
+
+  // validateParams is a view that reverts with the policy's reason when params are rejected
+  const safety = useReadContract({
+    address: safetyPolicy,
+    abi: SAFETY_POLICY_ABI,
+    functionName: 'validateParams',
+    args: policyArgs,
+    query: { enabled: enabled && hasSafety && !!protocol, retry: false },
+  });
+
+  const access = useReadContract({
+    address: accessPolicy,
+    abi: ACCESS_POLICY_ABI,
+    functionName: 'canCreate',
+    args: [protocol],
+    query: { enabled: hasAccess && !!protocol },
+  });
+
+  const feeQuote = useReadContract({
+    address: feePolicy,
+    abi: FEE_POLICY_ABI,
+    functionName: 'getFeeQuote',
+    args: policyArgs,
+    query: { enabled: enabled && hasFee && !!protocol },
+  });
+
+  return {
+    safetyError: hasSafety ? safety.error : null,
+    safetyPassed: !hasSafety || safety.isSuccess,
+    canCreate: hasAccess ? access.data : true,
+    fee: hasFee ? feeQuote.data?.[0] : 0n,
+    feeReceiver: hasFee ? feeQuote.data?.[1] : undefined,
+    isLoading: safety.isLoading || access.isLoading || feeQuote.isLoading,
+  };
+}
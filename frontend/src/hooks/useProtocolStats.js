@@ -0,0 +1,70 @@
+import { useReadContracts } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { SERIES_FACTORY_V2_ABI, ESCROW_FACTORY_ABI } from '../config/contracts';
+import { getSeriesFactoryV2Address, getEscrowFactoryAddress } from '../config/chains';
+import { useSubgraphStatus } from './useSubgraphStatus';
+import { querySubgraph, toWei, toBigInt } from '../utils/subgraph';
+
+const STATS_QUERY = `
+  query ProtocolStats {
+    protocolStats(id: "protocol-stats") {
+      totalRevenueBondsCreated
+      totalCapitalRaised
+      totalRevenueDistributed
+      totalActiveSeries
+      totalMaturedSeries
+      totalDefaultedSeries
+      totalProtocolsFunded
+    }
+  }
+`;
+
+/**
+ * Protocol-wide totals. The subgraph aggregates everything; over RPC only the number of
+ * series issued through the V2 factories is available and the other fields are undefined.
+ * @returns { data, isLoading, source: 'subgraph' | 'rpc' }
+ */
+export function useProtocolStats(chainId) {
+  const status = useSubgraphStatus(chainId);
+
+  const graph = useQuery({
+    queryKey: ['subgraph', 'protocolStats', status.url],
+    queryFn: () => querySubgraph(status.url, STATS_QUERY),
+    enabled: status.healthy,
+  });
+  const fromGraph = status.healthy && !graph.isError;
+
+  const factories = [
+    { address: getSeriesFactoryV2Address(chainId), abi: SERIES_FACTORY_V2_ABI, functionName: 'getTotalSeries' },
+    { address: getEscrowFactoryAddress(chainId), abi: ESCROW_FACTORY_ABI, functionName: 'totalSeries' },
+  ].filter((call) => call.address);
+  const counts = useReadContracts({
+    contracts: factories,
+    query: { enabled: !status.pending && !fromGraph && factories.length > 0 },
+  });
+
+  if (!fromGraph) {
+    return {
+      data: counts.data
+        ? { totalRevenueBondsCreated: counts.data.reduce((sum, r) => sum + (r.result || 0n), 0n) }
+        : undefined,
+      isLoading: status.pending || counts.isLoading,
+      source: 'rpc',
+    };
+  }
+
+  const stats = graph.data?.protocolStats;
+  return {
+    data: stats && {
+      totalRevenueBondsCreated: toBigInt(stats.totalRevenueBondsCreated),
+      totalCapitalRaised: toWei(stats.totalCapitalRaised),
+      totalRevenueDistributed: toWei(stats.totalRevenueDistributed),
+      totalActiveSeries: toBigInt(stats.totalActiveSeries),
+      totalMaturedSeries: toBigInt(stats.totalMaturedSeries),
+      totalDefaultedSeries: toBigInt(stats.totalDefaultedSeries),
+      totalProtocolsFunded: toBigInt(stats.totalProtocolsFunded),
+    },
+    isLoading: graph.isLoading,
+    source: 'subgraph',
+  };
+}
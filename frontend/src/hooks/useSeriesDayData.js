@@ -0,0 +1,51 @@
+import { useChainId } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { useSubgraphStatus } from './useSubgraphStatus';
+import { querySubgraph, toId, toWei } from '../utils/subgraph';
+
+const DAY_DATA_QUERY = `
+  query SeriesDayData($series: String!, $first: Int!) {
+    seriesDayDatas(where: { series: $series }, orderBy: date, orderDirection: desc, first: $first) {
+      date
+      revenueRouted
+      revenueDistributed
+      revenueClaimed
+      totalRevenueDistributed
+    }
+  }
+`;
+
+/**
+ * Daily revenue buckets for a series, aggregated by the subgraph, oldest first.
+ * Only days with activity are returned. There is no RPC fallback: `days` is undefined
+ * while the subgraph is unavailable and callers aggregate the raw events themselves.
+ * @returns { days, isLoading, source: 'subgraph' | null }
+ */
+export function useSeriesDayData({ seriesAddress, limit = 7 }) {
+  const chainId = useChainId();
+  const status = useSubgraphStatus(chainId);
+
+  const graph = useQuery({
+    queryKey: ['subgraph', 'seriesDayData', status.url, toId(seriesAddress), limit],
+    queryFn: () => querySubgraph(status.url, DAY_DATA_QUERY, { series: toId(seriesAddress), first: limit }),
+    enabled: status.healthy && !!seriesAddress,
+  });
+
+  if (!status.healthy || graph.isError) {
+    return { days: undefined, isLoading: status.pending, source: null };
+  }
+
+  return {
+    days: graph.data?.seriesDayDatas
+      .map((d) => ({
+        timestamp: Number(d.date),
+        revenueRouted: toWei(d.revenueRouted),
+        revenueDistributed: toWei(d.revenueDistributed),
+        revenueClaimed: toWei(d.revenueClaimed),
+        totalRevenueDistributed: toWei(d.totalRevenueDistributed),
+      }))
+      .reverse(),
+    isLoading: graph.isLoading,
+    source: 'subgraph',
+  };
+}
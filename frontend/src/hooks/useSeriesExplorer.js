@@ -0,0 +1,191 @@
+import { useReadContracts } from 'wagmi';
+import {
+  SERIES_FACTORY_V2_ABI,
+  ESCROW_FACTORY_ABI,
+  FACTORY_VIEWER_ABI,
+  SERIES_ABI,
+  ESCROW_ABI,
+  ESCROW_STATES,
+  REPUTATION_REGISTRY_ABI,
+} from '../config/contracts';
+import {
+  getSeriesFactoryV2Address,
+  getEscrowFactoryAddress,
+  getFactoryViewerAddress,
+  getReputationRegistryAddress,
+} from '../config/chains';
+
+export const PAGE_SIZE = 20;
+
+// RevenueSeriesFactory has no per-protocol count, so an issuer's soft list is probed page by page
+function isCounted({ kind }, protocol) {
+  return kind !== 'soft' || !protocol;
+}
+
+function countCall({ kind, factory, abi }, protocol) {
+  if (kind === 'soft') return { address: factory, abi, functionName: 'getTotalSeries' };
+  return protocol
+    ? { address: factory, abi, functionName: 'seriesCount', args: [protocol] }
+    : { address: factory, abi, functionName: 'totalSeries' };
+}
+
+// Calls returning the addresses of one contiguous range of a factory's series list. Without a
+// viewer that is one getter call per index, but only for this page (wagmi batches them in a multicall).
+function sliceCalls({ factory, abi, viewer }, protocol, start, count) {
+  if (viewer) {
+    return [protocol
+      ? { address: viewer, abi: FACTORY_VIEWER_ABI, functionName: 'getSeriesByProtocolSlice', args: [protocol, BigInt(start), BigInt(count)] }
+      : { address: viewer, abi: FACTORY_VIEWER_ABI, functionName: 'getAllSeriesSlice', args: [BigInt(start), BigInt(count)] }];
+  }
+  return Array.from({ length: count }, (_, i) => (protocol
+    ? { address: factory, abi, functionName: 'seriesByProtocol', args: [protocol, BigInt(start + i)] }
+    : { address: factory, abi, functionName: 'allSeries', args: [BigInt(start + i)] }));
+}
+
+/**
+ * One page of series across the V2 soft and escrow factories (soft series first)
+ * @param kind 'all' | 'soft' | 'escrow'
+ * @param protocol Optional issuer address; pages through the per-protocol lists instead
+ *   (escrow series first, as only the escrow factory counts an issuer's series)
+ * @returns { rows, total, isTotalExact, isLoading } where each row carries the explorer columns;
+ *   total is a lower bound while an issuer's soft list has not been paged to its end
+ */
+export function useSeriesExplorer({ chainId, kind = 'all', protocol, page = 0, pageSize = PAGE_SIZE }) {
+  const sources = [
+    { kind: 'soft', factory: getSeriesFactoryV2Address(chainId), abi: SERIES_FACTORY_V2_ABI },
+    { kind: 'escrow', factory: getEscrowFactoryAddress(chainId), abi: ESCROW_FACTORY_ABI },
+  ]
+    .filter((source) => source.factory && (kind === 'all' || kind === source.kind))
+    .map((source) => ({ ...source, viewer: getFactoryViewerAddress(chainId, source.factory) }))
+    // The uncounted list goes last so the page offset into every other list stays exact
+    .sort((a, b) => isCounted(b, protocol) - isCounted(a, protocol));
+  const counted = sources.filter((source) => isCounted(source, protocol));
+
+  // 1. How many series each counted factory holds
+  const counts = useReadContracts({
+    contracts: counted.map((source) => countCall(source, protocol)),
+    query: { enabled: counted.length > 0 },
+  });
+  const countsReady = counted.length === 0 || counts.isSuccess;
+
+  const totals = counted.map((_, i) => Number(counts.data?.[i]?.result || 0n));
+
+  // 2. Map the page window onto one or two factory ranges
+  const segments = [];
+  let offset = page * pageSize;
+  let remaining = pageSize;
+  sources.forEach((source, i) => {
+    if (remaining === 0 || !countsReady) return;
+    if (!isCounted(source, protocol)) {
+      segments.push({ source, start: offset, count: remaining, probe: true });
+      return;
+    }
+    if (offset >= totals[i]) {
+      offset -= totals[i];
+      return;
+    }
+    const count = Math.min(totals[i] - offset, remaining);
+    segments.push({ source, start: offset, count });
+    remaining -= count;
+    offset = 0;
+  });
+
+  const addressCalls = [];
+  const plans = segments.map((segment) => {
+    // A probe reads one index past the window: reverted reads mark the end of the list
+    const calls = sliceCalls(segment.source, protocol, segment.start, segment.count + (segment.probe ? 1 : 0));
+    addressCalls.push(...calls);
+    return { ...segment, first: addressCalls.length - calls.length, calls: calls.length };
+  });
+
+  const addresses = useReadContracts({
+    contracts: addressCalls,
+    query: { enabled: addressCalls.length > 0 },
+  });
+
+  let total = totals.reduce((sum, n) => sum + n, 0);
+  let isTotalExact = true;
+  const entries = plans.flatMap((plan) => {
+    let list;
+    if (plan.source.viewer) {
+      list = addresses.data?.[plan.first]?.result || [];
+    } else {
+      const results = addresses.data?.slice(plan.first, plan.first + plan.calls) || [];
+      const end = results.findIndex((r) => r.status !== 'success');
+      list = results.slice(0, end === -1 ? results.length : end).map((r) => r.result);
+    }
+    if (plan.probe) {
+      const hasMore = list.length > plan.count;
+      list = list.slice(0, plan.count);
+      total += plan.start + list.length + (hasMore ? 1 : 0);
+      isTotalExact = !hasMore;
+    }
+    return list.map((address) => ({ kind: plan.source.kind, address }));
+  });
+
+  // 3. Per-series details; escrow bonds also report their lifecycle state
+  const detailCalls = [];
+  const detailIndex = entries.map(({ kind: seriesKind, address }) => {
+    const base = detailCalls.length;
+    detailCalls.push(
+      { address, abi: SERIES_ABI, functionName: 'getSeriesInfo' },
+      { address, abi: SERIES_ABI, functionName: 'name' },
+      { address, abi: SERIES_ABI, functionName: 'symbol' },
+    );
+    if (seriesKind === 'escrow') detailCalls.push({ address, abi: ESCROW_ABI, functionName: 'getBondInfo' });
+    return base;
+  });
+
+  const details = useReadContracts({
+    contracts: detailCalls,
+    query: { enabled: detailCalls.length > 0 },
+  });
+
+  // 4. Reputation score of each distinct issuer on the page
+  const registry = getReputationRegistryAddress(chainId);
+  const protocols = [...new Set(
+    detailIndex.map((base) => details.data?.[base]?.result?.[0]).filter(Boolean),
+  )];
+
+  const scores = useReadContracts({
+    contracts: protocols.map((issuer) => ({
+      address: registry,
+      abi: REPUTATION_REGISTRY_ABI,
+      functionName: 'getReputationScore',
+      args: [issuer],
+    })),
+    query: { enabled: !!registry && protocols.length > 0 },
+  });
+
+  const rows = entries.map(({ kind: seriesKind, address }, i) => {
+    const base = detailIndex[i];
+    // getSeriesInfo returns: protocol, revenueBPS, maturity, totalRevenue, revenuePerToken, isActive, timeRemaining
+    const [issuer, shareBPS, maturity, totalDistributed, , isActive, timeRemaining] = details.data?.[base]?.result || [];
+    const stateIndex = seriesKind === 'escrow' ? details.data?.[base + 3]?.result?.[6] : undefined;
+    const scoreIndex = protocols.indexOf(issuer);
+
+    let state;
+    if (seriesKind === 'escrow') state = stateIndex !== undefined ? ESCROW_STATES[Number(stateIndex)] : undefined;
+    else if (isActive !== undefined) state = isActive && timeRemaining > 0n ? 'Active' : 'Matured';
+
+    return {
+      kind: seriesKind,
+      address,
+      name: details.data?.[base + 1]?.result,
+      symbol: details.data?.[base + 2]?.result,
+      protocol: issuer,
+      shareBPS,
+      maturity,
+      totalDistributed,
+      state,
+      score: scoreIndex >= 0 ? scores.data?.[scoreIndex]?.result : undefined,
+    };
+  });
+
+  return {
+    rows,
+    total,
+    isTotalExact,
+    isLoading: counts.isLoading || addresses.isLoading || details.isLoading,
+  };
+}
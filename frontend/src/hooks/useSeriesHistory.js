@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { usePublicClient } from 'wagmi';
+import { getAbiItem, isAddressEqual } from 'viem';
+import { SERIES_ABI, ROUTER_ABI } from '../config/contracts';
+import { DEFAULT_SPAN } from '../utils/logScanner';
+import { logSources, readCached, syncToHead, syncOlder } from '../utils/logSync';
+import { findSeriesCreation, findDeploymentBlock } from '../utils/seriesCreation';
+
+export const HISTORY_PAGE_SIZE = 10;
+
+const EVENTS = {
+  received: getAbiItem({ abi: ROUTER_ABI, name: 'RevenueReceived' }),
+  routed: getAbiItem({ abi: ROUTER_ABI, name: 'RevenueRouted' }),
+  claimed: getAbiItem({ abi: SERIES_ABI, name: 'RevenueClaimed' }),
+};
+
+function toEvent(record) {
+  const base = {
+    txHash: record.transactionHash,
+    blockNumber: record.blockNumber,
+    logIndex: record.logIndex,
+    timestamp: record.timestamp,
+  };
+  switch (record.eventName) {
+    case 'RevenueReceived':
+      return { ...base, type: 'received', amount: record.args.amount };
+    case 'RevenueRouted':
+      return {
+        ...base,
+        type: 'routed',
+        seriesAmount: record.args.seriesAmount,
+        protocolAmount: record.args.protocolAmount,
+      };
+    default:
+      return { ...base, type: 'claimed', amount: record.args.amount };
+  }
+}
+
+function progress({ range, floor }) {
+  return { done: !!range && range.fromBlock <= floor, scannedTo: range ? range.fromBlock : null };
+}
+
+const INITIAL_STATUS = { loading: true, done: false, error: null, startBlock: null, scannedTo: null };
+
+/**
+ * Router revenue and the user's claims for a series, newest first, back to the block the
+ * series was created in. Cached events (see utils/eventStore) are returned right away, then
+ * the blocks since the last visit are fetched. Each loadMore() scans older blocks until
+ * another page of events is found or the creation block is reached.
+ */
+export function useSeriesHistory({ seriesAddress, routerAddress, userAddress }) {
+  const client = usePublicClient();
+  const [records, setRecords] = useState([]);
+  const [status, setStatus] = useState(INITIAL_STATUS);
+  const [attempt, setAttempt] = useState(0);
+  // Sync position of the current series; replaced (and stale results dropped) when inputs change
+  const scan = useRef(null);
+
+  const load = useCallback(async (session) => {
+    if (!session.ready || session.busy || progress(session).done) return;
+    session.busy = true;
+    setStatus((s) => ({ ...s, loading: true, error: null }));
+    try {
+      const result = await syncOlder(client, session.set, {
+        range: session.range,
+        head: session.head,
+        floor: session.floor,
+        minLogs: HISTORY_PAGE_SIZE,
+        span: session.span,
+      });
+      if (scan.current !== session) return;
+
+      session.range = result.range;
+      session.span = result.span;
+      setRecords((prev) => [...prev, ...result.records]);
+      setStatus((s) => ({ ...s, loading: false, ...progress(session) }));
+    } catch (error) {
+      if (scan.current !== session) return;
+      console.error('Error fetching history:', error);
+      setStatus((s) => ({ ...s, loading: false, error }));
+    } finally {
+      session.busy = false;
+    }
+  }, [client]);
+
+  useEffect(() => {
+    if (!client || !seriesAddress || !routerAddress) return;
+    // Claims are cached for every holder and filtered per user below
+    const set = logSources(client.chain.id, [
+      { address: routerAddress, events: [EVENTS.received, EVENTS.routed] },
+      { address: seriesAddress, events: [EVENTS.claimed] },
+    ]);
+    const session = { set, range: null, head: 0n, floor: 0n, span: DEFAULT_SPAN, ready: false, busy: false };
+    scan.current = session;
+
+    const start = async () => {
+      setRecords([]);
+      setStatus(INITIAL_STATUS);
+      try {
+        const cached = await readCached(set);
+        if (scan.current !== session) return;
+        setRecords(cached.logs);
+
+        const [head, creation] = await Promise.all([
+          client.getBlockNumber(),
+          findSeriesCreation(client, seriesAddress),
+        ]);
+        // Series from an unknown factory (e.g. a local deployment): start where its code appears
+        const floor = creation ? creation.blockNumber : await findDeploymentBlock(client, seriesAddress);
+        const synced = await syncToHead(client, set, cached, head);
+        if (scan.current !== session) return;
+
+        Object.assign(session, { head, floor, range: synced.range, ready: true });
+        setRecords(synced.records);
+        setStatus((s) => ({ ...s, loading: false, startBlock: floor, ...progress(session) }));
+        if (synced.records.length < HISTORY_PAGE_SIZE) await load(session);
+      } catch (error) {
+        if (scan.current !== session) return;
+        console.error('Error syncing history:', error);
+        setStatus((s) => ({ ...s, loading: false, error }));
+      }
+    };
+
+    start();
+  }, [client, seriesAddress, routerAddress, load, attempt]);
+
+  // Retries the initial sync if that is what failed
+  const loadMore = useCallback(() => {
+    if (scan.current?.ready) load(scan.current);
+    else setAttempt((n) => n + 1);
+  }, [load]);
+
+  const events = useMemo(() => records
+    .filter((record) => record.eventName !== 'RevenueClaimed'
+      || (userAddress && isAddressEqual(record.args.user, userAddress)))
+    .map(toEvent), [records, userAddress]);
+
+  return { events, ...status, loadMore };
+}
@@ -0,0 +1,86 @@
+import { useQuery } from '@tanstack/react-query';
+import { useSubgraphStatus } from './useSubgraphStatus';
+import { useSeriesExplorer, PAGE_SIZE } from './useSeriesExplorer';
+import { queryAll, toId, toAddress, toWei, toBigInt } from '../utils/subgraph';
+
+const SERIES_QUERY = `
+  query SeriesList($first: Int!, $where: RevenueSeries_filter) {
+    revenueSeries_collection(first: $first, where: $where, orderBy: id) {
+      id
+      name
+      symbol
+      bondType
+      protocolAddress
+      revenueShareBPS
+      maturityDate
+      createdAt
+      state
+      totalRevenueReceived
+      escrow { state }
+      protocol { reputationScore }
+    }
+  }
+`;
+
+const BOND_TYPES = { soft: 'SOFT', escrow: 'HYBRID' };
+
+function toRow(series) {
+  const kind = series.bondType === 'HYBRID' ? 'escrow' : 'soft';
+  return {
+    kind,
+    address: toAddress(series.id),
+    name: series.name,
+    symbol: series.symbol,
+    protocol: toAddress(series.protocolAddress),
+    shareBPS: toBigInt(series.revenueShareBPS),
+    maturity: toBigInt(series.maturityDate),
+    totalDistributed: toWei(series.totalRevenueReceived),
+    state: kind === 'escrow' ? series.escrow?.state : series.state,
+    score: toBigInt(series.protocol?.reputationScore),
+  };
+}
+
+/**
+ * Paged series list across both V2 factories, from the subgraph when it is healthy and from
+ * RPC reads (useSeriesExplorer) otherwise. Same arguments and rows as useSeriesExplorer.
+ * @returns { rows, total, isTotalExact, isLoading, source: 'subgraph' | 'rpc' }
+ */
+export function useSeriesList({ chainId, kind = 'all', protocol, page = 0, pageSize = PAGE_SIZE }) {
+  const status = useSubgraphStatus(chainId);
+
+  // Series counts are small enough to fetch whole and page client-side, in the RPC order:
+  // soft series first, or escrow series first for one issuer
+  const firstType = protocol ? 'HYBRID' : 'SOFT';
+  const graph = useQuery({
+    queryKey: ['subgraph', 'seriesList', status.url, kind, toId(protocol)],
+    queryFn: async () => {
+      const where = {};
+      if (kind !== 'all') where.bondType = BOND_TYPES[kind];
+      if (protocol) where.protocolAddress = toId(protocol);
+      const series = await queryAll(status.url, SERIES_QUERY, 'revenueSeries_collection', where);
+      return series
+        .sort((a, b) => (a.bondType === b.bondType ? Number(a.createdAt) - Number(b.createdAt) : a.bondType === firstType ? -1 : 1))
+        .map(toRow);
+    },
+    enabled: status.healthy,
+  });
+
+  const fromGraph = status.healthy && !graph.isError;
+  const rpc = useSeriesExplorer({
+    chainId: !status.pending && !fromGraph ? chainId : undefined,
+    kind,
+    protocol,
+    page,
+    pageSize,
+  });
+
+  if (!fromGraph) return { ...rpc, isLoading: status.pending || rpc.isLoading, source: 'rpc' };
+  const all = graph.data || [];
+  return {
+    rows: all.slice(page * pageSize, (page + 1) * pageSize),
+    total: all.length,
+    isTotalExact: true,
+    isLoading: graph.isLoading,
+    source: 'subgraph',
+  };
+}
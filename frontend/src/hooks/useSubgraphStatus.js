@@ -0,0 +1,39 @@
+import { useBlockNumber } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { getSubgraphUrl } from '../config/chains';
+import { querySubgraph, META_QUERY, MAX_LAG_BLOCKS } from '../utils/subgraph';
+
+const POLL_MS = 30_000;
+
+/**
+ * Whether the chain's subgraph can be trusted right now: configured, reachable, free of
+ * indexing errors and within MAX_LAG_BLOCKS of the RPC head
+ * @returns { url, healthy, pending, indexedBlock, lagging }
+ */
+export function useSubgraphStatus(chainId) {
+  const url = getSubgraphUrl(chainId);
+
+  const meta = useQuery({
+    queryKey: ['subgraph', 'meta', url],
+    queryFn: () => querySubgraph(url, META_QUERY),
+    enabled: !!url,
+    refetchInterval: POLL_MS,
+    retry: 1,
+  });
+
+  const { data: head } = useBlockNumber({
+    chainId,
+    query: { enabled: !!url, refetchInterval: POLL_MS },
+  });
+
+  const indexedBlock = meta.data ? BigInt(meta.data._meta.block.number) : undefined;
+  const lagging = indexedBlock !== undefined && head !== undefined && head - indexedBlock > MAX_LAG_BLOCKS;
+
+  return {
+    url,
+    healthy: !!meta.data && !meta.isError && !meta.data._meta.hasIndexingErrors && !lagging,
+    pending: !!url && meta.isLoading,
+    indexedBlock,
+    lagging,
+  };
+}
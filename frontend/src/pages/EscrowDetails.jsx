@@ -0,0 +1,327 @@
+import { useParams, Link } from 'react-router-dom';
+import { useReadContract, useAccount, useChainId } from 'wagmi';
+import { formatEther } from 'viem';
+import { ESCROW_ABI, ESCROW_STATES } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
+import { estimateClaimablePrincipal } from '../utils/principal';
+import ClaimButton from '../components/ClaimButton';
+import BuyTokensWidget from '../components/BuyTokensWidget';
+import DeadlineCountdown from '../components/DeadlineCountdown';
+import PrincipalDepositBanner from '../components/PrincipalDepositBanner';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+const STATE_STYLES = {
+  PendingPrincipal: 'bg-yellow-100 text-yellow-800',
+  Active: 'bg-green-100 text-green-800',
+  Matured: 'bg-gray-100 text-gray-600',
+  Defaulted: 'bg-red-100 text-red-800',
+};
+
+export default function EscrowDetails() {
+  const { address } = useParams();
+  const { address: userAddress } = useAccount();
+  const chainId = useChainId();
+
+  const { data: name } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'name',
+  });
+
+  const { data: symbol } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'symbol',
+  });
+
+  const { data: bondInfo } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'getBondInfo',
+  });
+
+  const { data: seriesInfo } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'getSeriesInfo',
+  });
+
+  const { data: depositDeadline } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'depositDeadline',
+  });
+
+  const { data: router } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'router',
+  });
+
+  const { data: totalSupply } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'totalSupply',
+  });
+
+  const { data: totalTokenSupply } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'totalTokenSupply',
+  });
+
+  const { data: balance } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'balanceOf',
+    args: [userAddress],
+    query: { enabled: !!userAddress },
+  });
+
+  const { data: claimableRevenue } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'calculateClaimableRevenue',
+    args: [userAddress],
+    query: { enabled: !!userAddress },
+  });
+
+  const { data: maturedPrincipal } = useReadContract({
+    address,
+    abi: ESCROW_ABI,
+    functionName: 'calculateClaimablePrincipal',
+    args: [userAddress],
+    query: { enabled: !!userAddress },
+  });
+
+  // getBondInfo returns: protocol, revenueBPS, maturity, principal, totalRevenue, principalRemaining, state
+  const [protocol, revenueShareBPS, maturityDate, principal, totalRevenueReceived, principalRemaining, stateIndex] = bondInfo || [];
+  // getSeriesInfo returns: protocol, revenueBPS, maturity, totalRevenue, revenuePerToken, isActive, timeRemaining
+  const revenuePerToken = seriesInfo?.[4];
+
+  const state = stateIndex !== undefined ? ESCROW_STATES[Number(stateIndex)] : undefined;
+  const principalEscrowed = state && state !== 'PendingPrincipal' && state !== 'Defaulted' ? principal : 0n;
+  const claimablePrincipal = estimateClaimablePrincipal({
+    claimable: maturedPrincipal || 0n,
+    state,
+    maturityDate,
+    principalAmount: principal,
+    balance,
+    totalTokenSupply,
+  });
+  const principalClaimed = principal !== undefined && principalRemaining !== undefined ? principal - principalRemaining : 0n;
+  const hasPosition = (balance || 0n) > 0n || (claimableRevenue || 0n) > 0n || claimablePrincipal > 0n;
+  const explorerBase = getExplorerUrl(chainId);
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-4xl mx-auto p-6">
+          <Link to="/" className="text-equorum-orange hover:text-equorum-accent mb-6 inline-block font-medium">
+            ← Back to My Revenue
+          </Link>
+
+          <div className="flex items-start justify-between mb-8">
+            <div>
+              <h1 className="text-3xl font-bold text-equorum-dark mb-2">{name || 'Loading...'}</h1>
+              <p className="text-muted">{symbol} · Principal-backed bond</p>
+            </div>
+            {state && (
+              <span className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${STATE_STYLES[state]}`}>
+                {state}
+              </span>
+            )}
+          </div>
+
+        <PrincipalDepositBanner escrowAddress={address} />
+
+        {/* User Position */}
+        {userAddress && hasPosition && (
+          <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Your Position</h2>
+            <div className="grid grid-cols-3 gap-4 mb-4">
+              <div>
+                <p className="text-sm text-muted">Holdings</p>
+                <p className="font-medium text-gray-900">
+                  {Number(formatEther(balance || 0n)).toLocaleString()} tokens
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-muted">Claimable Revenue</p>
+                <p className="font-bold text-lg text-gray-900">
+                  {formatEther(claimableRevenue || 0n)} ETH
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-muted">Claimable Principal</p>
+                <p className="font-bold text-lg text-gray-900">
+                  {formatEther(claimablePrincipal)} ETH
+                </p>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <ClaimButton
+                seriesAddress={address}
+                claimable={claimableRevenue || 0n}
+                abi={ESCROW_ABI}
+              />
+              <ClaimButton
+                seriesAddress={address}
+                claimable={claimablePrincipal}
+                abi={ESCROW_ABI}
+                functionName="claimPrincipal"
+                label="principal"
+              />
+            </div>
+            {state === 'Active' && (
+              <p className="text-xs text-muted mt-3">
+                {claimablePrincipal > 0n
+                  ? 'The bond has reached maturity: claiming matures it on-chain. Claiming principal burns your tokens.'
+                  : 'Principal becomes claimable at maturity. Claiming principal burns your tokens.'}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Primary Sale */}
+        {/* The widget explains why the sale is closed outside the Active state */}
+        {state && <BuyTokensWidget escrowAddress={address} symbol={symbol} />}
+
+        {/* Principal Escrow */}
+        <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Principal Escrow</h2>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <p className="text-sm text-muted">Principal Amount</p>
+              <p className="font-medium text-gray-900">
+                {formatEther(principal || 0n)} ETH
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-muted">Escrowed</p>
+              <p className="font-medium text-gray-900">
+                {formatEther(principalEscrowed || 0n)} ETH
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-muted">Claimed by Holders</p>
+              <p className="font-medium text-gray-900">
+                {formatEther(principalClaimed)} ETH
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-muted">Remaining</p>
+              <p className="font-medium text-gray-900">
+                {formatEther(principalRemaining || 0n)} ETH
+              </p>
+            </div>
+            {state === 'PendingPrincipal' && (
+              <div className="col-span-2">
+                <p className="text-sm text-muted">Deposit Deadline</p>
+                <p className="font-medium text-gray-900">
+                  {depositDeadline ? new Date(Number(depositDeadline) * 1000).toLocaleString() : 'N/A'}
+                  {' · '}
+                  <DeadlineCountdown
+                    deadline={depositDeadline}
+                    expiredText="Deadline passed, default can be declared"
+                  />
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Bond Info */}
+        <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Bond Info</h2>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <p className="text-sm text-muted">Total Supply</p>
+              <p className="font-medium text-gray-900">
+                {Number(formatEther(totalSupply || 0n)).toLocaleString()} tokens
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-muted">Revenue Share</p>
+              <p className="font-medium text-gray-900">
+                {revenueShareBPS ? Number(revenueShareBPS) / 100 : 0}% to holders
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-muted">Maturity Date</p>
+              <p className="font-medium text-gray-900">
+                {maturityDate ? new Date(Number(maturityDate) * 1000).toLocaleDateString() : 'N/A'}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-muted">Total Revenue Distributed</p>
+              <p className="font-medium text-gray-900">
+                {formatEther(totalRevenueReceived || 0n)} ETH
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-muted">Revenue per Token</p>
+              <p className="font-medium text-gray-900">
+                {revenuePerToken ? Number(formatEther(revenuePerToken)).toFixed(9) : '0'} ETH
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Contract Addresses */}
+        <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Contract Addresses</h2>
+          <div className="space-y-3 font-mono text-sm">
+            <div>
+              <p className="text-muted mb-1">Escrow</p>
+              <a
+                href={`${explorerBase}/address/${address}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-primary hover:underline break-all"
+              >
+                {address}
+              </a>
+            </div>
+            <div>
+              <p className="text-muted mb-1">Router</p>
+              <a
+                href={`${explorerBase}/address/${router}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-primary hover:underline break-all"
+              >
+                {router || 'N/A'}
+              </a>
+              {router && (
+                <Link to={`/router/${router}`} className="block font-sans text-xs text-equorum-orange hover:underline mt-1">
+                  Open router console →
+                </Link>
+              )}
+            </div>
+            <div>
+              <p className="text-muted mb-1">Protocol</p>
+              <a
+                href={`${explorerBase}/address/${protocol}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-primary hover:underline break-all"
+              >
+                {protocol || 'N/A'}
+              </a>
+              {protocol && (
+                <Link to={`/protocol/${protocol}`} className="block font-sans text-xs text-equorum-orange hover:underline mt-1">
+                  View issuer reputation →
+                </Link>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+    <Footer />
+    </>
+  );
+}
@@ -0,0 +1,241 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useChainId } from 'wagmi';
+import { formatEther, isAddress } from 'viem';
+import { PAGE_SIZE } from '../hooks/useSeriesExplorer';
+import { useSeriesList } from '../hooks/useSeriesList';
+import { useProtocolStats } from '../hooks/useProtocolStats';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+const STATE_STYLES = {
+  PendingPrincipal: 'bg-yellow-100 text-yellow-800',
+  Active: 'bg-green-100 text-green-800',
+  Matured: 'bg-gray-100 text-gray-600',
+  Defaulted: 'bg-red-100 text-red-800',
+};
+
+const COLUMNS = [
+  { key: 'name', label: 'Bond' },
+  { key: 'kind', label: 'Type' },
+  { key: 'protocol', label: 'Protocol' },
+  { key: 'shareBPS', label: 'Share', numeric: true },
+  { key: 'maturity', label: 'Maturity', numeric: true },
+  { key: 'totalDistributed', label: 'Distributed', numeric: true },
+  { key: 'state', label: 'State' },
+  { key: 'score', label: 'Reputation', numeric: true },
+];
+
+function compare(a, b) {
+  if (a === undefined) return 1;
+  if (b === undefined) return -1;
+  if (typeof a === 'bigint' || typeof b === 'bigint') return a < b ? -1 : a > b ? 1 : 0;
+  return String(a).localeCompare(String(b));
+}
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'N/A';
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-white border border-gray-200 p-4 rounded-lg shadow-sm">
+      <p className="text-xs font-medium text-gray-600 mb-1">{label}</p>
+      <p className="text-xl font-bold text-equorum-dark">{value ?? '—'}</p>
+    </div>
+  );
+}
+
+export default function Explore() {
+  const chainId = useChainId();
+  const [kind, setKind] = useState('all');
+  const [protocolInput, setProtocolInput] = useState('');
+  const [stateFilter, setStateFilter] = useState('all');
+  const [minScore, setMinScore] = useState('');
+  const [sort, setSort] = useState({ key: 'maturity', asc: true });
+  const [page, setPage] = useState(0);
+
+  const protocol = isAddress(protocolInput) ? protocolInput : undefined;
+  const { rows, total, isTotalExact, isLoading, source } = useSeriesList({ chainId, kind, protocol, page });
+  const { data: stats } = useProtocolStats(chainId);
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  // State, score and sort apply to the loaded page; type and protocol select what is paged
+  const visible = rows
+    .filter((row) => stateFilter === 'all' || row.state === stateFilter)
+    .filter((row) => !minScore || (row.score !== undefined && row.score >= BigInt(minScore)))
+    .sort((a, b) => (sort.asc ? 1 : -1) * compare(a[sort.key], b[sort.key]));
+
+  const resetPage = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(0);
+  };
+
+  const toggleSort = (key) => setSort((current) => ({ key, asc: current.key === key ? !current.asc : true }));
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-6xl mx-auto p-6">
+          <h1 className="text-3xl font-bold text-equorum-dark mb-2">Explore Bonds</h1>
+          <p className="text-muted mb-8">
+            Every soft and guaranteed bond issued through the V2 factories, {PAGE_SIZE} at a time.
+          </p>
+
+          {/* Protocol totals (only the bond count is available without the subgraph) */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">
+            <Stat label="Bonds issued" value={stats?.totalRevenueBondsCreated?.toString()} />
+            <Stat label="Active" value={stats?.totalActiveSeries?.toString()} />
+            <Stat label="Protocols funded" value={stats?.totalProtocolsFunded?.toString()} />
+            <Stat
+              label="Revenue distributed"
+              value={stats?.totalRevenueDistributed !== undefined
+                ? `${Number(formatEther(stats.totalRevenueDistributed)).toFixed(4)} ETH`
+                : undefined}
+            />
+          </div>
+
+          {/* Filters */}
+          <div className="bg-white border border-gray-200 p-4 rounded-lg shadow-sm mb-6 grid grid-cols-1 sm:grid-cols-4 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Type</label>
+              <select
+                value={kind}
+                onChange={resetPage(setKind)}
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-equorum-orange focus:outline-none"
+              >
+                <option value="all">All bonds</option>
+                <option value="soft">Soft (revenue only)</option>
+                <option value="escrow">Guaranteed (principal-backed)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Protocol</label>
+              <input
+                type="text"
+                value={protocolInput}
+                onChange={resetPage(setProtocolInput)}
+                placeholder="0x... (any)"
+                className={`w-full px-3 py-2 border-2 rounded-lg text-sm font-mono focus:outline-none ${
+                  protocolInput && !protocol ? 'border-red-300' : 'border-gray-200 focus:border-equorum-orange'
+                }`}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">State</label>
+              <select
+                value={stateFilter}
+                onChange={(e) => setStateFilter(e.target.value)}
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-equorum-orange focus:outline-none"
+              >
+                <option value="all">Any state</option>
+                <option value="Active">Active</option>
+                <option value="Matured">Matured</option>
+                <option value="PendingPrincipal">Pending principal</option>
+                <option value="Defaulted">Defaulted</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Min. reputation</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={minScore}
+                onChange={(e) => setMinScore(e.target.value.replace(/\D/g, ''))}
+                placeholder="0-100"
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-equorum-orange focus:outline-none"
+              />
+            </div>
+          </div>
+
+          {/* Table */}
+          <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-muted border-b border-gray-200">
+                  {COLUMNS.map((column) => (
+                    <th key={column.key} className={`px-4 py-3 font-medium ${column.numeric ? 'text-right' : ''}`}>
+                      <button onClick={() => toggleSort(column.key)} className="hover:text-equorum-dark">
+                        {column.label}
+                        {sort.key === column.key ? (sort.asc ? ' ▲' : ' ▼') : ''}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((row) => (
+                  <tr key={row.address} className="border-b border-gray-100 last:border-0 hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <Link
+                        to={`/${row.kind === 'escrow' ? 'escrow' : 'series'}/${row.address}`}
+                        className="text-equorum-orange hover:underline font-medium"
+                      >
+                        {row.name || shortAddress(row.address)}
+                      </Link>
+                      <p className="text-xs text-muted">{row.symbol}</p>
+                    </td>
+                    <td className="px-4 py-3">{row.kind === 'escrow' ? 'Guaranteed' : 'Soft'}</td>
+                    <td className="px-4 py-3 font-mono text-xs">
+                      {row.protocol ? (
+                        <Link to={`/protocol/${row.protocol}`} className="hover:underline">{shortAddress(row.protocol)}</Link>
+                      ) : 'N/A'}
+                    </td>
+                    <td className="px-4 py-3 text-right">{row.shareBPS !== undefined ? `${Number(row.shareBPS) / 100}%` : '—'}</td>
+                    <td className="px-4 py-3 text-right">
+                      {row.maturity ? new Date(Number(row.maturity) * 1000).toLocaleDateString() : '—'}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {row.totalDistributed !== undefined ? `${formatEther(row.totalDistributed)} ETH` : '—'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {row.state ? (
+                        <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${STATE_STYLES[row.state]}`}>
+                          {row.state}
+                        </span>
+                      ) : '—'}
+                    </td>
+                    <td className="px-4 py-3 text-right font-medium">{row.score?.toString() ?? '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {visible.length === 0 && (
+              <p className="text-center text-muted py-10">
+                {isLoading ? 'Loading bonds...' : total === 0 ? 'No bonds found on this network' : 'No bonds on this page match the filters'}
+              </p>
+            )}
+          </div>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between mt-4 text-sm">
+            <p className="text-muted">
+              {total}{isTotalExact ? '' : '+'} bond{total === 1 && isTotalExact ? '' : 's'} · sorting and state/score filters apply to this page
+              {' · '}{source === 'subgraph' ? 'indexed by the subgraph' : 'read on-chain'}
+            </p>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                className="px-3 py-1.5 rounded-lg border-2 border-gray-200 font-medium disabled:opacity-40"
+              >
+                ← Prev
+              </button>
+              <span className="text-gray-700">Page {page + 1} of {pageCount}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page + 1 >= pageCount}
+                className="px-3 py-1.5 rounded-lg border-2 border-gray-200 font-medium disabled:opacity-40"
+              >
+                Next →
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </>
+  );
+}
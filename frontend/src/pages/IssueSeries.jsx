@@ -0,0 +1,336 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  useAccount,
+  useChainId,
+  useReadContract,
+  useSimulateContract,
+  useWriteContract,
+  useWaitForTransactionReceipt,
+} from 'wagmi';
+import { formatEther, parseEventLogs } from 'viem';
+import { SERIES_FACTORY_V2_ABI } from '../config/contracts';
+import { getSeriesFactoryV2Address, getExplorerUrl } from '../config/chains';
+import { usePolicyChecks } from '../hooks/usePolicyChecks';
+import { parseSeriesForm, validateSeriesParams, errorMessage } from '../utils/issuance';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import ConnectButton from '../components/ConnectButton';
+import { StepIndicator, Field, CheckRow, WizardButton, BackButton } from '../components/IssueWizard';
+
+const STEPS = ['Terms', 'Eligibility & Fee', 'Review', 'Done'];
+
+const INITIAL_FORM = {
+  name: '',
+  symbol: '',
+  revenueShareBPS: '2000',
+  durationDays: '365',
+  totalSupply: '1000000',
+  minDistributionAmount: '0.001',
+};
+
+export default function IssueSeries() {
+  const { address: userAddress, isConnected } = useAccount();
+  const chainId = useChainId();
+  const factoryAddress = getSeriesFactoryV2Address(chainId);
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState(INITIAL_FORM);
+
+  const { data: limits } = useReadContract({
+    address: factoryAddress,
+    abi: SERIES_FACTORY_V2_ABI,
+    functionName: 'getSafetyLimits',
+    query: { enabled: !!factoryAddress },
+  });
+
+  const { data: policies } = useReadContract({
+    address: factoryAddress,
+    abi: SERIES_FACTORY_V2_ABI,
+    functionName: 'getPolicies',
+    query: { enabled: !!factoryAddress },
+  });
+
+  const { data: paused } = useReadContract({
+    address: factoryAddress,
+    abi: SERIES_FACTORY_V2_ABI,
+    functionName: 'paused',
+    query: { enabled: !!factoryAddress },
+  });
+
+  const params = parseSeriesForm(form);
+  const fieldErrors = validateSeriesParams(params, limits);
+  const paramsValid = !!limits && Object.keys(fieldErrors).length === 0;
+
+  const checks = usePolicyChecks({
+    policies: policies && { fee: policies[0], safety: policies[1], access: policies[2] },
+    protocol: userAddress,
+    params,
+    enabled: paramsValid,
+  });
+
+  const createArgs = [
+    params.name,
+    params.symbol,
+    userAddress,
+    params.revenueShareBPS,
+    params.durationDays,
+    params.totalSupply,
+    params.minDistributionAmount,
+  ];
+
+  const simulation = useSimulateContract({
+    address: factoryAddress,
+    abi: SERIES_FACTORY_V2_ABI,
+    functionName: 'createSeries',
+    args: createArgs,
+    value: checks.fee,
+    account: userAddress,
+    query: { enabled: step === 2 && paramsValid && checks.fee !== undefined },
+  });
+
+  const { writeContract, data: hash, isPending, error: writeError } = useWriteContract();
+  const { data: receipt, isLoading: isConfirming } = useWaitForTransactionReceipt({ hash });
+
+  const created = receipt
+    ? parseEventLogs({ abi: SERIES_FACTORY_V2_ABI, eventName: 'SeriesCreated', logs: receipt.logs })[0]?.args
+    : undefined;
+  const currentStep = created ? 3 : step;
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const explorerBase = getExplorerUrl(chainId);
+
+  const termsComplete = paramsValid && checks.safetyPassed;
+  const eligible = paused === false && checks.canCreate === true && checks.fee !== undefined;
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen py-8 px-6">
+        <div className="max-w-3xl mx-auto">
+          <h1 className="text-3xl font-bold text-equorum-dark mb-2">Issue a Revenue Bond</h1>
+          <p className="text-gray-600 mb-8">
+            Create a soft (revenue-only) series and its router through the V2 factory. Need a principal-backed bond?{' '}
+            <Link to="/issue/escrow" className="text-equorum-orange hover:underline">Issue a guaranteed bond</Link>.
+          </p>
+
+          <StepIndicator steps={STEPS} current={currentStep} />
+
+          {!isConnected ? (
+            <div className="bg-white rounded-2xl shadow-lg p-8 text-center">
+              <p className="text-gray-600 mb-6">Connect the protocol wallet that will issue the bond</p>
+              <ConnectButton />
+            </div>
+          ) : !factoryAddress ? (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-6">
+              <p className="text-yellow-800 font-medium">No V2 factory is deployed on this network. Switch to Arbitrum One or Sepolia.</p>
+            </div>
+          ) : (
+            <div className="bg-white rounded-2xl shadow-lg p-6 sm:p-8">
+              {/* Step 1: Terms */}
+              {currentStep === 0 && (
+                <div className="space-y-5">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+                    <Field
+                      label="Name"
+                      value={form.name}
+                      onChange={updateField('name')}
+                      placeholder="Equorum Revenue - Camelot 20% 12M"
+                      error={form.name && fieldErrors.name}
+                    />
+                    <Field
+                      label="Symbol"
+                      value={form.symbol}
+                      onChange={updateField('symbol')}
+                      placeholder="EQREV-CAMELOT-20-12M"
+                      error={form.symbol && fieldErrors.symbol}
+                    />
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+                    <Field
+                      label="Revenue share (BPS)"
+                      inputMode="numeric"
+                      value={form.revenueShareBPS}
+                      onChange={updateField('revenueShareBPS')}
+                      hint={params.revenueShareBPS !== undefined ? `${Number(params.revenueShareBPS) / 100}% of revenue to holders` : undefined}
+                      error={fieldErrors.revenueShareBPS}
+                    />
+                    <Field
+                      label="Duration (days)"
+                      inputMode="numeric"
+                      value={form.durationDays}
+                      onChange={updateField('durationDays')}
+                      error={fieldErrors.durationDays}
+                    />
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+                    <Field
+                      label="Total supply (tokens)"
+                      inputMode="decimal"
+                      value={form.totalSupply}
+                      onChange={updateField('totalSupply')}
+                      hint="Minted to your wallet at creation"
+                      error={fieldErrors.totalSupply}
+                    />
+                    <Field
+                      label="Minimum distribution (ETH)"
+                      inputMode="decimal"
+                      value={form.minDistributionAmount}
+                      onChange={updateField('minDistributionAmount')}
+                      hint="Smallest amount the router may distribute at once"
+                      error={fieldErrors.minDistributionAmount}
+                    />
+                  </div>
+
+                  {paramsValid && checks.safetyError && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                      <p className="text-red-800 text-sm font-medium">
+                        Rejected by safety policy: {errorMessage(checks.safetyError)}
+                      </p>
+                    </div>
+                  )}
+
+                  <WizardButton onClick={() => setStep(1)} enabled={termsComplete}>
+                    Continue
+                  </WizardButton>
+                </div>
+              )}
+
+              {/* Step 2: Eligibility & Fee */}
+              {currentStep === 1 && (
+                <div>
+                  <CheckRow
+                    ok={paused === false}
+                    label="Factory accepting new series"
+                    detail={paused ? 'Paused by governance' : 'Open'}
+                  />
+                  <CheckRow
+                    ok={checks.canCreate === true}
+                    label="Access policy"
+                    detail={checks.canCreate ? 'Your wallet may issue' : 'Your wallet is not allowed to issue'}
+                  />
+                  <CheckRow
+                    ok={checks.fee !== undefined}
+                    label="Creation fee"
+                    detail={checks.fee !== undefined ? `${formatEther(checks.fee)} ETH` : 'Loading...'}
+                  />
+
+                  <div className="flex gap-3 mt-6">
+                    <BackButton onClick={() => setStep(0)} />
+                    <WizardButton onClick={() => setStep(2)} enabled={eligible}>
+                      Continue
+                    </WizardButton>
+                  </div>
+                </div>
+              )}
+
+              {/* Step 3: Review */}
+              {currentStep === 2 && (
+                <div>
+                  <dl className="grid grid-cols-2 gap-4 text-sm mb-6">
+                    <div>
+                      <dt className="text-gray-500">Name</dt>
+                      <dd className="font-medium text-gray-900">{params.name}</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Symbol</dt>
+                      <dd className="font-medium text-gray-900">{params.symbol}</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Revenue share</dt>
+                      <dd className="font-medium text-gray-900">{Number(params.revenueShareBPS) / 100}%</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Duration</dt>
+                      <dd className="font-medium text-gray-900">{params.durationDays?.toString()} days</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Total supply</dt>
+                      <dd className="font-medium text-gray-900">{Number(formatEther(params.totalSupply)).toLocaleString()} tokens</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Minimum distribution</dt>
+                      <dd className="font-medium text-gray-900">{formatEther(params.minDistributionAmount)} ETH</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Creation fee</dt>
+                      <dd className="font-medium text-gray-900">{formatEther(checks.fee || 0n)} ETH</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Protocol (issuer)</dt>
+                      <dd className="font-mono text-xs text-gray-900 break-all">{userAddress}</dd>
+                    </div>
+                  </dl>
+
+                  {simulation.isLoading && (
+                    <p className="text-sm text-gray-500 mb-4">Simulating transaction...</p>
+                  )}
+                  {simulation.error && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                      <p className="text-red-800 text-sm font-medium">
+                        Simulation failed: {errorMessage(simulation.error)}
+                      </p>
+                    </div>
+                  )}
+                  {simulation.data && (
+                    <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4">
+                      <p className="text-green-800 text-sm font-medium">Simulation succeeded. The transaction is expected to go through.</p>
+                    </div>
+                  )}
+                  {writeError && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                      <p className="text-red-800 text-sm font-medium">❌ {errorMessage(writeError)}</p>
+                    </div>
+                  )}
+
+                  <div className="flex gap-3">
+                    <BackButton onClick={() => setStep(1)} disabled={isPending || isConfirming} />
+                    <WizardButton
+                      onClick={() => writeContract(simulation.data.request)}
+                      enabled={!!simulation.data && !isPending && !isConfirming}
+                    >
+                      {isPending ? '⏳ Confirm in wallet...' : isConfirming ? '⏳ Creating...' : 'Create series'}
+                    </WizardButton>
+                  </div>
+                </div>
+              )}
+
+              {/* Step 4: Done */}
+              {currentStep === 3 && created && (
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-equorum-dark mb-2">✅ {created.name} created</p>
+                  <p className="text-gray-600 mb-6">
+                    {Number(formatEther(created.totalSupply)).toLocaleString()} {created.symbol} were minted to your wallet.
+                    Send revenue to the router from its console to start paying holders.
+                  </p>
+                  <div className="space-y-3 text-sm text-left bg-gray-50 rounded-xl p-4 mb-6">
+                    <div>
+                      <p className="text-gray-500">Series</p>
+                      <Link to={`/series/${created.series}`} className="font-mono text-equorum-orange hover:underline break-all">
+                        {created.series}
+                      </Link>
+                    </div>
+                    <div>
+                      <p className="text-gray-500">Router</p>
+                      <Link to={`/router/${created.router}`} className="font-mono text-equorum-orange hover:underline break-all">
+                        {created.router}
+                      </Link>
+                    </div>
+                  </div>
+                  <a
+                    href={`${explorerBase}/tx/${hash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm font-medium text-gray-600 hover:text-gray-900 underline"
+                  >
+                    View transaction on Arbiscan →
+                  </a>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+      <Footer />
+    </>
+  );
+}
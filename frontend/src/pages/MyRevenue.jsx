@@ -1,18 +1,20 @@
-import { useAccount } from 'wagmi';
+import { useAccount, useChainId } from 'wagmi';
 import { formatEther } from 'viem';
-import { useAllSeries } from '../hooks/useAllSeries';
-import { useUserHoldings } from '../hooks/useUserHoldings';
+import { useHolderPositions } from '../hooks/useHolderPositions';
+import { queueKey } from '../utils/claimQueue';
 import HoldingCard from '../components/HoldingCard';
+import ClaimAllQueue from '../components/ClaimAllQueue';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
 import ConnectButton from '../components/ConnectButton';
 
 export default function MyRevenue() {
   const { address, isConnected } = useAccount();
-  const { data: allSeries, isLoading: seriesLoading } = useAllSeries();
-  const { data: holdings, isLoading: holdingsLoading } = useUserHoldings(address, allSeries);
+  const chainId = useChainId();
+  const { data: holdings, isLoading } = useHolderPositions(address, chainId);
   
-  const totalClaimable = holdings?.reduce((sum, h) => sum + h.claimable, 0n) || 0n;
+  const totalClaimable = holdings.reduce((sum, h) => sum + h.claimable, 0n);
+  const totalPrincipal = holdings.reduce((sum, h) => sum + (h.claimablePrincipal || 0n), 0n);
   
   if (!isConnected) {
     return (
@@ -37,7 +39,7 @@ export default function MyRevenue() {
     );
   }
   
-  if (seriesLoading || holdingsLoading) {
+  if (isLoading) {
     return (
       <>
         <Header />
@@ -73,19 +75,25 @@ export default function MyRevenue() {
             </div>
             <p className="text-6xl font-bold bg-gradient-to-r from-equorum-dark to-gray-700 bg-clip-text text-transparent mb-2">{formatEther(totalClaimable)} ETH</p>
             <p className="text-gray-500 text-sm">Available to claim across all series</p>
+            {totalPrincipal > 0n && (
+              <p className="text-gray-700 text-sm font-semibold mt-2">+ {formatEther(totalPrincipal)} ETH of matured principal</p>
+            )}
           </div>
         </div>
+
+        {/* Claim All */}
+        <ClaimAllQueue key={queueKey(chainId, address)} holdings={holdings} account={address} chainId={chainId} />
         
         {/* Holdings List */}
         <div className="space-y-6">
           <div className="flex items-center justify-between">
             <h2 className="text-3xl font-bold text-equorum-dark">Your Holdings</h2>
             <span className="px-4 py-2 bg-equorum-orange/10 text-equorum-orange rounded-full text-sm font-semibold">
-              {holdings?.length || 0} Series
+              {holdings.length} Series
             </span>
           </div>
           
-          {holdings && holdings.length > 0 ? (
+          {holdings.length > 0 ? (
             holdings.map(holding => (
               <HoldingCard key={holding.address} holding={holding} />
             ))
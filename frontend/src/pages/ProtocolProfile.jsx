@@ -0,0 +1,301 @@
+import { useParams, Link } from 'react-router-dom';
+import { useReadContract, useReadContracts, useChainId, useBlock } from 'wagmi';
+import { formatEther } from 'viem';
+import { REPUTATION_REGISTRY_ABI, SERIES_ABI, ESCROW_ABI } from '../config/contracts';
+import { getReputationRegistryAddress, getExplorerUrl } from '../config/chains';
+import { scoreBreakdown, seriesDeliveryBPS } from '../utils/reputation';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+const RULE_TEXT = {
+  blacklisted: 'Blacklisted protocols score 0 regardless of history.',
+  new: 'No series registered yet: new protocols start at a neutral 50.',
+  noCommitment: 'Series exist but no revenue was ever promised: flat score of 25.',
+};
+
+function scoreColor(score) {
+  if (score >= 70) return 'text-green-700';
+  if (score >= 40) return 'text-yellow-700';
+  return 'text-red-700';
+}
+
+function ScoreBar({ label, value, max, detail }) {
+  const width = max > 0 ? Math.min(100, (Number(value) / max) * 100) : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-700 font-medium">{label}</span>
+        <span className="text-gray-900 font-semibold">{value.toString()} / {max}</span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full">
+        <div className="h-2 bg-equorum-orange rounded-full" style={{ width: `${width}%` }}></div>
+      </div>
+      {detail && <p className="text-xs text-muted mt-1">{detail}</p>}
+    </div>
+  );
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(Number(timestamp) * 1000).toLocaleDateString() : 'Never';
+}
+
+export default function ProtocolProfile() {
+  const { address } = useParams();
+  const chainId = useChainId();
+  const registry = getReputationRegistryAddress(chainId);
+  const { data: block } = useBlock();
+
+  const { data: stats } = useReadContract({
+    address: registry,
+    abi: REPUTATION_REGISTRY_ABI,
+    functionName: 'getProtocolStats',
+    args: [address],
+    query: { enabled: !!registry },
+  });
+
+  const { data: rawStats } = useReadContract({
+    address: registry,
+    abi: REPUTATION_REGISTRY_ABI,
+    functionName: 'protocolStats',
+    args: [address],
+    query: { enabled: !!registry },
+  });
+
+  const { data: seriesList } = useReadContract({
+    address: registry,
+    abi: REPUTATION_REGISTRY_ABI,
+    functionName: 'getProtocolSeries',
+    args: [address],
+    query: { enabled: !!registry },
+  });
+
+  // getBondInfo only succeeds on escrow bonds, which tells us which detail page to link
+  const contracts = seriesList?.flatMap((series) => [
+    { address: registry, abi: REPUTATION_REGISTRY_ABI, functionName: 'getSeriesRecord', args: [series] },
+    { address: series, abi: SERIES_ABI, functionName: 'name' },
+    { address: series, abi: SERIES_ABI, functionName: 'symbol' },
+    { address: series, abi: ESCROW_ABI, functionName: 'getBondInfo' },
+  ]) || [];
+
+  const { data: seriesData, isLoading: seriesLoading } = useReadContracts({
+    contracts,
+    query: { enabled: contracts.length > 0 },
+  });
+
+  const rows = (seriesList || []).map((series, i) => {
+    const [, expectedRevenue = 0n, actualRevenue = 0n, lastDistribution, distributionCount, expectedCadenceDays, active] =
+      seriesData?.[i * 4]?.result || [];
+    return {
+      address: series,
+      name: seriesData?.[i * 4 + 1]?.result || 'Unknown',
+      symbol: seriesData?.[i * 4 + 2]?.result || '',
+      isEscrow: seriesData?.[i * 4 + 3]?.status === 'success',
+      expectedRevenue,
+      actualRevenue,
+      lastDistribution,
+      distributionCount,
+      expectedCadenceDays,
+      active,
+      deliveryBPS: seriesDeliveryBPS(expectedRevenue, actualRevenue),
+    };
+  });
+
+  const [, revenuePromised, revenueDelivered, latePayments, onTimePayments, reputationScore, isBlacklisted] = stats || [];
+  const lastPaymentTimestamp = rawStats?.[5];
+  const recordsLoaded = !seriesList || seriesList.length === 0 || !!seriesData;
+  const breakdown = rawStats && block && recordsLoaded ? scoreBreakdown(rawStats, rows, block.timestamp) : undefined;
+  const totalPayments = (onTimePayments || 0n) + (latePayments || 0n);
+  const explorerBase = getExplorerUrl(chainId);
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-4xl mx-auto p-6">
+          <Link to="/" className="text-equorum-orange hover:text-equorum-accent mb-6 inline-block font-medium">
+            ← Back to My Revenue
+          </Link>
+
+          <div className="flex items-start justify-between mb-8">
+            <div>
+              <h1 className="text-3xl font-bold text-equorum-dark mb-2">Protocol Reputation</h1>
+              <a
+                href={`${explorerBase}/address/${address}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-muted font-mono text-sm hover:underline break-all"
+              >
+                {address}
+              </a>
+            </div>
+            {isBlacklisted && (
+              <span className="inline-block px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                Blacklisted
+              </span>
+            )}
+          </div>
+
+        {!registry ? (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-6">
+            <p className="text-yellow-800 font-medium">No reputation registry is deployed on this network. Switch to Arbitrum One or Sepolia.</p>
+          </div>
+        ) : (
+          <>
+            {/* Score */}
+            <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Reputation Score</h2>
+              <div className="flex flex-col sm:flex-row gap-8">
+                <div className="text-center sm:w-40">
+                  <p className={`text-5xl font-bold ${reputationScore !== undefined ? scoreColor(Number(reputationScore)) : 'text-gray-300'}`}>
+                    {reputationScore?.toString() ?? '—'}
+                  </p>
+                  <p className="text-sm text-muted mt-1">out of 100</p>
+                </div>
+                <div className="flex-1 space-y-4">
+                  {breakdown?.rule ? (
+                    <p className="text-sm text-gray-700">{RULE_TEXT[breakdown.rule]}</p>
+                  ) : breakdown ? (
+                    <>
+                      <ScoreBar
+                        label="Delivery"
+                        value={breakdown.delivery}
+                        max={50}
+                        detail="Revenue delivered vs promised, weighted by each series' promised amount"
+                      />
+                      <ScoreBar
+                        label="Reliability"
+                        value={breakdown.reliability}
+                        max={50}
+                        detail={breakdown.lowActivity
+                          ? 'On-time payment ratio, halved: fewer than 2 payments per series on average'
+                          : 'Share of payments made on time'}
+                      />
+                    </>
+                  ) : (
+                    <p className="text-sm text-muted">Loading breakdown...</p>
+                  )}
+                  {breakdown?.inactive && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                      <p className="text-yellow-800 text-sm font-medium">
+                        ⚠️ Inactivity penalty: no payment in over 90 days, so the score is halved.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* Track Record */}
+            <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Track Record</h2>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                <div>
+                  <p className="text-sm text-muted">Revenue Promised</p>
+                  <p className="font-medium text-gray-900">{formatEther(revenuePromised || 0n)} ETH</p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">Revenue Delivered</p>
+                  <p className="font-medium text-gray-900">{formatEther(revenueDelivered || 0n)} ETH</p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">Overall Delivery</p>
+                  <p className="font-medium text-gray-900">
+                    {revenuePromised ? `${Number(seriesDeliveryBPS(revenuePromised, revenueDelivered || 0n)) / 100}%` : 'N/A'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">On-time Payments</p>
+                  <p className="font-medium text-green-700">{onTimePayments?.toString() ?? '0'}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">Late Payments</p>
+                  <p className={`font-medium ${latePayments > 0n ? 'text-red-700' : 'text-gray-900'}`}>{latePayments?.toString() ?? '0'}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">On-time Rate</p>
+                  <p className="font-medium text-gray-900">
+                    {totalPayments > 0n ? `${Number((onTimePayments * 10000n) / totalPayments) / 100}%` : 'N/A'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">Last Payment</p>
+                  <p className="font-medium text-gray-900">{formatDate(lastPaymentTimestamp)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">Blacklist Status</p>
+                  <p className={`font-medium ${isBlacklisted ? 'text-red-700' : 'text-green-700'}`}>
+                    {isBlacklisted === undefined ? 'N/A' : isBlacklisted ? 'Blacklisted' : 'In good standing'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted">Inactivity Penalty</p>
+                  <p className={`font-medium ${breakdown?.inactive ? 'text-red-700' : 'text-gray-900'}`}>
+                    {breakdown ? (breakdown.inactive ? 'Applied (score halved)' : 'Not applied') : 'N/A'}
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Series */}
+            <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Series ({rows.length})</h2>
+              {rows.length === 0 ? (
+                <p className="text-muted">{seriesList ? 'No series registered for this protocol' : 'Loading...'}</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-muted border-b border-gray-200">
+                        <th className="py-2 pr-4 font-medium">Series</th>
+                        <th className="py-2 pr-4 font-medium text-right">Promised</th>
+                        <th className="py-2 pr-4 font-medium text-right">Delivered</th>
+                        <th className="py-2 pr-4 font-medium text-right">Delivery</th>
+                        <th className="py-2 pr-4 font-medium text-right">Payments</th>
+                        <th className="py-2 pr-4 font-medium">Last Payment</th>
+                        <th className="py-2 font-medium">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map((row) => (
+                        <tr key={row.address} className="border-b border-gray-100 last:border-0">
+                          <td className="py-3 pr-4">
+                            <Link
+                              to={`/${row.isEscrow ? 'escrow' : 'series'}/${row.address}`}
+                              className="text-equorum-orange hover:underline font-medium"
+                            >
+                              {seriesLoading ? 'Loading...' : row.name}
+                            </Link>
+                            <p className="text-xs text-muted">
+                              {row.symbol}{row.isEscrow ? ' · Guaranteed' : ''}
+                              {row.expectedCadenceDays > 0n ? ` · every ${row.expectedCadenceDays}d` : ''}
+                            </p>
+                          </td>
+                          <td className="py-3 pr-4 text-right">{formatEther(row.expectedRevenue)} ETH</td>
+                          <td className="py-3 pr-4 text-right">{formatEther(row.actualRevenue)} ETH</td>
+                          <td className="py-3 pr-4 text-right font-medium">
+                            {row.deliveryBPS === null ? 'N/A' : `${Number(row.deliveryBPS) / 100}%`}
+                          </td>
+                          <td className="py-3 pr-4 text-right">{row.distributionCount?.toString() ?? '0'}</td>
+                          <td className="py-3 pr-4">{formatDate(row.lastDistribution)}</td>
+                          <td className="py-3">
+                            <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${
+                              row.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                            }`}>
+                              {row.active ? 'Active' : 'Inactive'}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+    <Footer />
+    </>
+  );
+}
@@ -0,0 +1,368 @@
+import { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useReadContract, useAccount, useChainId, useWriteContract, useWaitForTransactionReceipt } from 'wagmi';
+import { formatEther, isAddress, parseEventLogs } from 'viem';
+import { ROUTER_ABI, SERIES_ABI } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
+import { parseAmount, errorMessage } from '../utils/issuance';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import ConnectButton from '../components/ConnectButton';
+
+// Same rounding as RevenueRouter._tryRouteRevenue (series share rounds up)
+function seriesShareOf(amount, shareBPS) {
+  const share = (amount * shareBPS + 9999n) / 10000n;
+  return share > amount ? amount : share;
+}
+
+// RouteAttemptFailed reason after which the router clears pendingToRoute instead of keeping it
+const REASON_SERIES_INACTIVE = 'Series inactive or matured';
+
+// Routing never reverts on a soft failure; it emits RouteAttemptFailed instead
+function describeReceipt(action, receipt) {
+  const failed = parseEventLogs({ abi: ROUTER_ABI, eventName: 'RouteAttemptFailed', logs: receipt.logs })[0];
+  if (failed?.args.reason === REASON_SERIES_INACTIVE) {
+    return { ok: false, text: `${failed.args.reason}: the pending revenue was released and the protocol can withdraw it` };
+  }
+  if (failed) return { ok: false, text: `Revenue kept pending: ${failed.args.reason}` };
+  if (parseEventLogs({ abi: ROUTER_ABI, eventName: 'RevenueRouted', logs: receipt.logs }).length > 0) {
+    return { ok: true, text: 'Revenue routed to the series and protocol' };
+  }
+  const withdrawn = parseEventLogs({ abi: ROUTER_ABI, eventName: 'WithdrawnToProtocol', logs: receipt.logs })[0];
+  if (withdrawn) return { ok: true, text: `${formatEther(withdrawn.args.amount)} ETH withdrawn to the protocol` };
+  return { ok: true, text: `${action} confirmed` };
+}
+
+function Stat({ label, value, highlight }) {
+  return (
+    <div>
+      <p className="text-sm text-muted">{label}</p>
+      <p className={`font-medium ${highlight ? 'text-lg font-bold text-equorum-dark' : 'text-gray-900'}`}>{value}</p>
+    </div>
+  );
+}
+
+function ActionButton({ onClick, disabled, busy, children }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`px-5 py-2.5 rounded-xl font-bold transition-all whitespace-nowrap ${
+        disabled
+          ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
+          : 'bg-gradient-to-r from-equorum-orange to-equorum-accent text-white hover:shadow-lg'
+      }`}
+    >
+      {busy ? '⏳ Confirming...' : children}
+    </button>
+  );
+}
+
+export default function RouterConsole() {
+  const { address } = useParams();
+  const { address: userAddress, isConnected } = useAccount();
+  const chainId = useChainId();
+  const [depositInput, setDepositInput] = useState('');
+  const [withdrawInput, setWithdrawInput] = useState('');
+  const [emergencyTo, setEmergencyTo] = useState('');
+  const [action, setAction] = useState(null);
+
+  const { data: status, refetch: refetchStatus } = useReadContract({
+    address,
+    abi: ROUTER_ABI,
+    functionName: 'getRouterStatus',
+  });
+
+  const { data: pendingToRoute, refetch: refetchPending } = useReadContract({
+    address,
+    abi: ROUTER_ABI,
+    functionName: 'pendingToRoute',
+  });
+
+  const { data: paused, refetch: refetchPaused } = useReadContract({
+    address,
+    abi: ROUTER_ABI,
+    functionName: 'paused',
+  });
+
+  const { data: protocol } = useReadContract({
+    address,
+    abi: ROUTER_ABI,
+    functionName: 'protocol',
+  });
+
+  const { data: owner } = useReadContract({
+    address,
+    abi: ROUTER_ABI,
+    functionName: 'owner',
+  });
+
+  const { data: series } = useReadContract({
+    address,
+    abi: ROUTER_ABI,
+    functionName: 'revenueSeries',
+  });
+
+  const { data: minDistribution } = useReadContract({
+    address: series,
+    abi: SERIES_ABI,
+    functionName: 'minDistributionAmount',
+    query: { enabled: !!series },
+  });
+
+  const { writeContract, data: hash, isPending, error, reset } = useWriteContract();
+  const { data: receipt, isLoading: isConfirming } = useWaitForTransactionReceipt({ hash });
+
+  useEffect(() => {
+    if (!receipt) return;
+    refetchStatus();
+    refetchPending();
+    refetchPaused();
+  }, [receipt, refetchStatus, refetchPending, refetchPaused]);
+
+  const [currentBalance, totalReceived, totalToSeries, totalToProtocol, failedAttempts, shareBPS, canRouteNow] = status || [];
+  const pending = pendingToRoute || 0n;
+  const pendingSeriesShare = shareBPS !== undefined ? seriesShareOf(pending, shareBPS) : undefined;
+  const belowMinimum = pending > 0n && minDistribution !== undefined && pendingSeriesShare < minDistribution;
+  const availableToProtocol = currentBalance !== undefined ? currentBalance - pending : 0n;
+
+  const isProtocol = !!userAddress && !!protocol && userAddress.toLowerCase() === protocol.toLowerCase();
+  const isOwner = !!userAddress && !!owner && userAddress.toLowerCase() === owner.toLowerCase();
+  const canWithdraw = isProtocol || isOwner;
+
+  const depositAmount = parseAmount(depositInput);
+  const withdrawAmount = parseAmount(withdrawInput);
+  const busy = isPending || isConfirming;
+  const outcome = receipt && action ? describeReceipt(action, receipt) : null;
+  const explorerBase = getExplorerUrl(chainId);
+
+  const run = (label, request) => {
+    reset();
+    setAction(label);
+    writeContract({ address, abi: ROUTER_ABI, ...request });
+  };
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-4xl mx-auto p-6">
+          <Link to="/" className="text-equorum-orange hover:text-equorum-accent mb-6 inline-block font-medium">
+            ← Back to My Revenue
+          </Link>
+
+          <div className="flex items-start justify-between mb-8">
+            <div>
+              <h1 className="text-3xl font-bold text-equorum-dark mb-2">Router Console</h1>
+              <p className="text-muted font-mono text-sm break-all">{address}</p>
+            </div>
+            <div className="flex flex-col items-end gap-2">
+              {paused !== undefined && (
+                <span className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${paused ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+                  {paused ? 'Paused' : 'Running'}
+                </span>
+              )}
+              {(isProtocol || isOwner) && (
+                <span className="inline-block px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-equorum-dark">
+                  {isProtocol && isOwner ? 'Protocol & owner' : isProtocol ? 'Protocol' : 'Owner'}
+                </span>
+              )}
+            </div>
+          </div>
+
+        {/* Status */}
+        <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Status</h2>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+            <Stat label="Pending to Route" value={`${formatEther(pending)} ETH`} highlight />
+            <Stat label="Router Balance" value={`${formatEther(currentBalance || 0n)} ETH`} />
+            <Stat label="Available to Protocol" value={`${formatEther(availableToProtocol)} ETH`} />
+            <Stat label="Total Received" value={`${formatEther(totalReceived || 0n)} ETH`} />
+            <Stat label="Routed to Series" value={`${formatEther(totalToSeries || 0n)} ETH`} />
+            <Stat label="Returned to Protocol" value={`${formatEther(totalToProtocol || 0n)} ETH`} />
+            <Stat label="Series Share" value={shareBPS !== undefined ? `${Number(shareBPS) / 100}%` : 'N/A'} />
+            <Stat label="Failed Route Attempts" value={failedAttempts?.toString() ?? 'N/A'} />
+            <Stat label="Min Distribution" value={minDistribution !== undefined ? `${formatEther(minDistribution)} ETH` : 'N/A'} />
+          </div>
+
+          {belowMinimum && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mt-4">
+              <p className="text-yellow-800 text-sm font-medium">
+                ⚠️ The series share of pending revenue ({formatEther(pendingSeriesShare)} ETH) is below the
+                series minimum distribution of {formatEther(minDistribution)} ETH. Routing will keep it pending
+                until more revenue accumulates.
+              </p>
+            </div>
+          )}
+          {canRouteNow === false && (
+            <div className="bg-gray-100 border border-gray-200 rounded-lg p-4 mt-4">
+              <p className="text-gray-700 text-sm font-medium">
+                The series is matured or inactive. Routing now clears the pending amount so the protocol can withdraw it.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {!isConnected ? (
+          <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6 text-center">
+            <p className="text-gray-600 mb-4">Connect a wallet to operate this router</p>
+            <ConnectButton />
+          </div>
+        ) : (
+          <>
+            {/* Deposit & Route: open to anyone on-chain */}
+            <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-1">Deposit & Route</h2>
+              <p className="text-sm text-muted mb-4">
+                Send revenue to the router and route everything pending in one transaction. Anyone may call these.
+              </p>
+              <div className="flex flex-col sm:flex-row gap-3 mb-3">
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={depositInput}
+                  onChange={(e) => setDepositInput(e.target.value)}
+                  placeholder="Revenue amount (ETH)"
+                  className="flex-1 px-4 py-2.5 border-2 border-gray-200 rounded-xl focus:border-equorum-orange focus:outline-none text-sm"
+                />
+                <ActionButton
+                  onClick={() => run('Deposit', { functionName: 'receiveAndRoute', value: depositAmount })}
+                  disabled={busy || paused || !depositAmount}
+                  busy={busy && action === 'Deposit'}
+                >
+                  Deposit & route
+                </ActionButton>
+              </div>
+              <ActionButton
+                onClick={() => run('Route', { functionName: 'routeRevenue' })}
+                disabled={busy || paused || pending === 0n}
+                busy={busy && action === 'Route'}
+              >
+                Route {formatEther(pending)} ETH pending
+              </ActionButton>
+            </div>
+
+            {/* Withdraw: protocol or owner */}
+            <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-1">Withdraw Protocol Share</h2>
+              <p className="text-sm text-muted mb-4">
+                {canWithdraw
+                  ? 'Withdraw the protocol share to the protocol address. Pending revenue must be routed first.'
+                  : 'Only the protocol or the router owner can withdraw.'}
+              </p>
+              {canWithdraw && (
+                <>
+                  {pending > 0n && (
+                    <p className="text-sm text-yellow-800 mb-3">⚠️ Route the {formatEther(pending)} ETH pending before withdrawing.</p>
+                  )}
+                  <div className="flex flex-col sm:flex-row gap-3">
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={withdrawInput}
+                      onChange={(e) => setWithdrawInput(e.target.value)}
+                      placeholder="Amount (ETH)"
+                      className="flex-1 px-4 py-2.5 border-2 border-gray-200 rounded-xl focus:border-equorum-orange focus:outline-none text-sm"
+                    />
+                    <ActionButton
+                      onClick={() => run('Withdraw', { functionName: 'withdrawToProtocol', args: [withdrawAmount] })}
+                      disabled={busy || pending > 0n || !withdrawAmount || withdrawAmount > availableToProtocol}
+                      busy={busy && action === 'Withdraw'}
+                    >
+                      Withdraw
+                    </ActionButton>
+                    <ActionButton
+                      onClick={() => run('Withdraw all', { functionName: 'withdrawAllToProtocol' })}
+                      disabled={busy || pending > 0n || availableToProtocol === 0n}
+                      busy={busy && action === 'Withdraw all'}
+                    >
+                      Withdraw all
+                    </ActionButton>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Owner controls */}
+            {isOwner && (
+              <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm mb-6">
+                <h2 className="text-xl font-semibold text-gray-900 mb-1">Owner Controls</h2>
+                <p className="text-sm text-muted mb-4">
+                  Pausing stops routing. Emergency withdraw only moves funds not owed to bondholders.
+                </p>
+                <div className="mb-4">
+                  <ActionButton
+                    onClick={() => run(paused ? 'Unpause' : 'Pause', { functionName: paused ? 'unpause' : 'pause' })}
+                    disabled={busy || paused === undefined}
+                    busy={busy && (action === 'Pause' || action === 'Unpause')}
+                  >
+                    {paused ? 'Unpause router' : 'Pause router'}
+                  </ActionButton>
+                </div>
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={emergencyTo}
+                    onChange={(e) => setEmergencyTo(e.target.value)}
+                    placeholder="Recipient address (0x...)"
+                    className="flex-1 px-4 py-2.5 border-2 border-gray-200 rounded-xl focus:border-equorum-orange focus:outline-none text-sm font-mono"
+                  />
+                  <ActionButton
+                    onClick={() => run('Emergency withdraw', { functionName: 'emergencyWithdraw', args: [emergencyTo] })}
+                    disabled={busy || !isAddress(emergencyTo) || availableToProtocol === 0n}
+                    busy={busy && action === 'Emergency withdraw'}
+                  >
+                    Emergency withdraw
+                  </ActionButton>
+                </div>
+              </div>
+            )}
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                <p className="text-red-800 text-sm font-medium">❌ {action} failed: {errorMessage(error)}</p>
+              </div>
+            )}
+            {outcome && (
+              <div className={`${outcome.ok ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'} border rounded-lg p-4 mb-6`}>
+                <p className={`${outcome.ok ? 'text-green-800' : 'text-yellow-800'} text-sm font-medium mb-2`}>
+                  {outcome.ok ? '✅' : '⚠️'} {outcome.text}
+                </p>
+                <a
+                  href={`${explorerBase}/tx/${hash}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm font-medium underline text-gray-600 hover:text-gray-900"
+                >
+                  View transaction on Arbiscan →
+                </a>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Contracts */}
+        <div className="bg-white border border-gray-200 p-6 rounded-lg shadow-sm">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Contract Addresses</h2>
+          <div className="space-y-3 font-mono text-sm">
+            {[['Router', address], ['Series', series], ['Protocol', protocol], ['Owner', owner]].map(([label, value]) => (
+              <div key={label}>
+                <p className="text-muted mb-1">{label}</p>
+                <a
+                  href={`${explorerBase}/address/${value}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-primary hover:underline break-all"
+                >
+                  {value || 'N/A'}
+                </a>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+    <Footer />
+    </>
+  );
+}
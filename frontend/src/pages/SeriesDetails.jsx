@@ -1,7 +1,8 @@
 import { useParams, Link } from 'react-router-dom';
-import { useReadContract, useAccount } from 'wagmi';
+import { useReadContract, useAccount, useChainId } from 'wagmi';
 import { formatEther } from 'viem';
 import { SERIES_ABI } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
 import ClaimButton from '../components/ClaimButton';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
@@ -9,6 +10,7 @@ import Footer from '../components/Footer';
 export default function SeriesDetails() {
   const { address } = useParams();
   const { address: userAddress } = useAccount();
+  const chainId = useChainId();
   
   const { data: name } = useReadContract({
     address,
@@ -56,7 +58,15 @@ export default function SeriesDetails() {
     functionName: 'revenuePerTokenStored',
   });
   
-  const [protocol, router, revenueShareBPS, maturityDate, totalRevenueReceived, active] = info || [];
+  const { data: router } = useReadContract({
+    address,
+    abi: SERIES_ABI,
+    functionName: 'router',
+  });
+  
+  // getSeriesInfo returns: protocol, revenueBPS, maturity, totalRevenue, revenuePerToken, isActive, timeRemaining
+  const [protocol, revenueShareBPS, maturityDate, totalRevenueReceived, , active] = info || [];
+  const explorerBase = getExplorerUrl(chainId);
   
   return (
     <>
@@ -153,7 +163,7 @@ export default function SeriesDetails() {
             <div>
               <p className="text-muted mb-1">Series</p>
               <a 
-                href={`https://arbiscan.io/address/${address}`} 
+                href={`${explorerBase}/address/${address}`} 
                 target="_blank" 
                 rel="noopener noreferrer"
                 className="text-primary hover:underline break-all"
@@ -164,24 +174,34 @@ export default function SeriesDetails() {
             <div>
               <p className="text-muted mb-1">Router</p>
               <a 
-                href={`https://arbiscan.io/address/${router}`} 
+                href={`${explorerBase}/address/${router}`} 
                 target="_blank" 
                 rel="noopener noreferrer"
                 className="text-primary hover:underline break-all"
               >
                 {router || 'N/A'}
               </a>
+              {router && (
+                <Link to={`/router/${router}`} className="block font-sans text-xs text-equorum-orange hover:underline mt-1">
+                  Open router console →
+                </Link>
+              )}
             </div>
             <div>
               <p className="text-muted mb-1">Protocol</p>
               <a 
-                href={`https://arbiscan.io/address/${protocol}`} 
+                href={`${explorerBase}/address/${protocol}`} 
                 target="_blank" 
                 rel="noopener noreferrer"
                 className="text-primary hover:underline break-all"
               >
                 {protocol || 'N/A'}
               </a>
+              {protocol && (
+                <Link to={`/protocol/${protocol}`} className="block font-sans text-xs text-equorum-orange hover:underline mt-1">
+                  View issuer reputation →
+                </Link>
+              )}
             </div>
           </div>
         </div>
@@ -1,7 +1,8 @@
 import { useState } from 'react';
-import { useAccount, useReadContract } from 'wagmi';
+import { useAccount, useReadContract, useChainId } from 'wagmi';
 import { formatEther, isAddress } from 'viem';
 import { SERIES_ABI } from '../config/contracts';
+import { getExplorerUrl } from '../config/chains';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
 import ConnectButton from '../components/ConnectButton';
@@ -10,6 +11,7 @@ import SeriesHistory from '../components/SeriesHistory';
 
 export default function SimpleClaim() {
   const { address: userAddress, isConnected, chain } = useAccount();
+  const chainId = useChainId();
   const [seriesAddress, setSeriesAddress] = useState('');
   const [loadedAddress, setLoadedAddress] = useState(null);
   
@@ -82,7 +84,7 @@ export default function SimpleClaim() {
   };
   
   const ownership = balance && totalSupply ? (Number(balance) / Number(totalSupply) * 100).toFixed(2) : '0';
-  const explorerBase = chain?.id === 421614 ? 'https://sepolia.arbiscan.io' : 'https://arbiscan.io';
+  const explorerBase = getExplorerUrl(chainId);
   
   return (
     <>
@@ -285,7 +287,7 @@ export default function SimpleClaim() {
                   </div>
                   
                   {/* Revenue History */}
-                  <SeriesHistory seriesAddress={loadedAddress} routerAddress={router} userAddress={userAddress} />
+                  <SeriesHistory key={loadedAddress} seriesAddress={loadedAddress} routerAddress={router} userAddress={userAddress} />
                 </>
               )}
             </>
@@ -0,0 +1,54 @@
+import { SERIES_ABI, ESCROW_ABI } from '../config/contracts';
+
+// Item lifecycle: pending -> submitted (hash known) -> confirmed | failed, or skipped when nothing is claimable
+export const DONE_STATUSES = ['confirmed', 'skipped'];
+
+// View used to re-check each claim right before it is sent (principal also falls back to
+// estimateClaimablePrincipal, as the view is 0 until someone matures the escrow)
+export const CLAIMABLE_FUNCTIONS = {
+  'soft:claimRevenue': 'calculateClaimable',
+  'escrow:claimRevenue': 'calculateClaimableRevenue',
+  'escrow:claimPrincipal': 'calculateClaimablePrincipal',
+};
+
+export function claimAbi(kind) {
+  return kind === 'escrow' ? ESCROW_ABI : SERIES_ABI;
+}
+
+export function queueKey(chainId, account) {
+  return `equorum:claimQueue:${chainId}:${account?.toLowerCase()}`;
+}
+
+/**
+ * One claim per non-zero claimable amount. Escrow revenue is claimed before principal
+ * since claimPrincipal burns the holder's tokens. The holding's claimablePrincipal is the
+ * estimateClaimablePrincipal() amount, so principal is queued once an Active escrow is past maturity.
+ */
+export function buildClaimQueue(holdings) {
+  return holdings.flatMap((holding) => {
+    const kind = holding.kind || 'soft';
+    const base = { series: holding.address, kind, name: holding.name, status: 'pending' };
+    const items = [];
+    if (holding.claimable > 0n) {
+      items.push({ ...base, functionName: 'claimRevenue', amount: holding.claimable.toString() });
+    }
+    if (kind === 'escrow' && holding.claimablePrincipal > 0n) {
+      items.push({ ...base, functionName: 'claimPrincipal', amount: holding.claimablePrincipal.toString() });
+    }
+    return items;
+  });
+}
+
+// Amounts are stored as decimal strings since bigint is not JSON-serializable
+export function loadQueue(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveQueue(key, queue) {
+  if (queue.length === 0) localStorage.removeItem(key);
+  else localStorage.setItem(key, JSON.stringify(queue));
+}
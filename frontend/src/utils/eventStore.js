@@ -0,0 +1,110 @@
+// Browser-side event store (IndexedDB). Logs are kept per stream: one chain, contract and
+// event. Alongside them, each stream records the contiguous block range it has indexed, so
+// a revisit serves cached logs first and only asks the RPC for blocks outside that range.
+// Without IndexedDB (private windows, old browsers) every call degrades to "nothing cached".
+
+const DB_NAME = 'equorum-events';
+const DB_VERSION = 1;
+const LOGS = 'logs';
+const RANGES = 'ranges';
+
+// Blocks below the indexed head that are re-fetched on every sync, so a reorg can't leave
+// stale logs behind (~4 minutes of Arbitrum blocks)
+export const REORG_WINDOW = 1_000n;
+
+// Block numbers fit comfortably in a double; IndexedDB keys can't be bigint
+const MAX_KEY = Number.MAX_SAFE_INTEGER;
+
+let dbPromise;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(LOGS, { keyPath: ['stream', 'block', 'logIndex'] });
+        db.createObjectStore(RANGES, { keyPath: 'stream' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn('Event cache unavailable:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run `work` in one transaction and resolve once it commits
+async function transact(mode, work) {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([LOGS, RANGES], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    work(tx.objectStore(LOGS), tx.objectStore(RANGES), (value) => {
+      result = value;
+    });
+  });
+}
+
+function blockRange(stream, fromBlock = 0n) {
+  return IDBKeyRange.bound([stream, Number(fromBlock), 0], [stream, MAX_KEY, MAX_KEY]);
+}
+
+export function streamKey(chainId, address, eventName) {
+  return `${chainId}:${address.toLowerCase()}:${eventName}`;
+}
+
+/**
+ * Cached logs of several streams (newest first) and the block range all of them cover
+ * @returns { logs, range: { fromBlock, toBlock } | null }
+ */
+export async function readStreams(streams) {
+  try {
+    const stored = await transact('readonly', (logs, ranges, done) => {
+      const out = { logs: [], ranges: [] };
+      for (const stream of streams) {
+        logs.getAll(blockRange(stream)).onsuccess = (e) => out.logs.push(...e.target.result);
+        ranges.get(stream).onsuccess = (e) => out.ranges.push(e.target.result);
+      }
+      done(out);
+    });
+    if (!stored || stored.ranges.some((range) => !range)) return { logs: [], range: null };
+
+    const fromBlock = stored.ranges.reduce((max, r) => (r.fromBlock > max ? r.fromBlock : max), 0n);
+    const toBlock = stored.ranges.reduce((min, r) => (r.toBlock < min ? r.toBlock : min), stored.ranges[0].toBlock);
+    if (fromBlock > toBlock) return { logs: [], range: null };
+
+    const logs = stored.logs
+      .filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      .sort((a, b) => b.block - a.block || b.logIndex - a.logIndex);
+    return { logs, range: { fromBlock, toBlock } };
+  } catch (error) {
+    console.warn('Event cache read failed:', error);
+    return { logs: [], range: null };
+  }
+}
+
+/**
+ * Store freshly fetched logs and set the range every stream now covers. With `rewindFrom`,
+ * cached logs at or above that block are dropped first (they were re-fetched).
+ * Each log needs `stream` set; bigint fields are stored as-is (structured clone).
+ */
+export async function writeStreams(streams, logs, range, { rewindFrom } = {}) {
+  try {
+    await transact('readwrite', (store, ranges) => {
+      if (rewindFrom !== undefined) {
+        for (const stream of streams) store.delete(blockRange(stream, rewindFrom));
+      }
+      for (const log of logs) store.put({ ...log, block: Number(log.blockNumber) });
+      for (const stream of streams) ranges.put({ stream, ...range });
+    });
+  } catch (error) {
+    console.warn('Event cache write failed:', error);
+  }
+}
@@ -0,0 +1,142 @@
+import { parseEther } from 'viem';
+
+// Enforced by both factories but not exposed by getSafetyLimits() / limits()
+export const MIN_DISTRIBUTION_AMOUNT = parseEther('0.001');
+
+// EscrowValidation: principal must be deposited within 1..90 days of creation
+export const MAX_DEPOSIT_DEADLINE_DAYS = 90n;
+
+// Parse a decimal ETH/token string into wei, or undefined if it isn't a number
+export function parseAmount(value) {
+  if (!value) return undefined;
+  try {
+    return parseEther(value);
+  } catch {
+    return undefined;
+  }
+}
+
+// Parse a whole-number string into a bigint, or undefined if it isn't one
+export function parseInteger(value) {
+  return /^\d+$/.test(value || '') ? BigInt(value) : undefined;
+}
+
+export function parseSeriesForm(form) {
+  return {
+    name: form.name.trim(),
+    symbol: form.symbol.trim(),
+    revenueShareBPS: parseInteger(form.revenueShareBPS),
+    durationDays: parseInteger(form.durationDays),
+    totalSupply: parseAmount(form.totalSupply),
+    minDistributionAmount: parseAmount(form.minDistributionAmount),
+  };
+}
+
+/**
+ * Mirror the hardcoded checks in RevenueSeriesFactory.createSeries
+ * @param params Output of parseSeriesForm
+ * @param limits getSafetyLimits() tuple: [maxShareBPS, minDurationDays, maxDurationDays, minSupply]
+ * @returns Map of field name to error message (empty when valid)
+ */
+export function validateSeriesParams(params, limits) {
+  const errors = {};
+  const [maxShareBPS, minDurationDays, maxDurationDays, minSupply] = limits || [];
+
+  if (!params.name) errors.name = 'Name is required';
+  if (!params.symbol) errors.symbol = 'Symbol is required';
+  else if (/\s/.test(params.symbol)) errors.symbol = 'Symbol cannot contain spaces';
+
+  if (params.revenueShareBPS === undefined) {
+    errors.revenueShareBPS = 'Enter a whole number of basis points';
+  } else if (params.revenueShareBPS === 0n || (maxShareBPS !== undefined && params.revenueShareBPS > maxShareBPS)) {
+    errors.revenueShareBPS = `Must be between 1 and ${maxShareBPS ?? '?'} BPS`;
+  }
+
+  if (params.durationDays === undefined) {
+    errors.durationDays = 'Enter a whole number of days';
+  } else if (
+    minDurationDays !== undefined &&
+    (params.durationDays < minDurationDays || params.durationDays > maxDurationDays)
+  ) {
+    errors.durationDays = `Must be between ${minDurationDays} and ${maxDurationDays} days`;
+  }
+
+  if (params.totalSupply === undefined) {
+    errors.totalSupply = 'Enter a token amount';
+  } else if (minSupply !== undefined && params.totalSupply < minSupply) {
+    errors.totalSupply = `Must be at least ${minSupply / 10n ** 18n} tokens`;
+  }
+
+  if (params.minDistributionAmount === undefined) {
+    errors.minDistributionAmount = 'Enter an ETH amount';
+  } else if (params.minDistributionAmount < MIN_DISTRIBUTION_AMOUNT) {
+    errors.minDistributionAmount = 'Must be at least 0.001 ETH';
+  }
+
+  return errors;
+}
+
+export function parseEscrowForm(form) {
+  return {
+    ...parseSeriesForm(form),
+    principalAmount: parseAmount(form.principalAmount),
+    depositDeadlineDays: parseInteger(form.depositDeadlineDays),
+  };
+}
+
+/**
+ * Mirror EscrowValidation.validateCreateParams
+ * @param params Output of parseEscrowForm
+ * @param limits RevenueBondEscrowFactory.limits() tuple (same layout as getSafetyLimits)
+ */
+export function validateEscrowParams(params, limits) {
+  const errors = validateSeriesParams(params, limits);
+
+  if (params.principalAmount === undefined) {
+    errors.principalAmount = 'Enter an ETH amount';
+  } else if (params.principalAmount === 0n) {
+    errors.principalAmount = 'Principal must be greater than zero';
+  }
+
+  if (params.depositDeadlineDays === undefined) {
+    errors.depositDeadlineDays = 'Enter a whole number of days';
+  } else if (params.depositDeadlineDays === 0n || params.depositDeadlineDays > MAX_DEPOSIT_DEADLINE_DAYS) {
+    errors.depositDeadlineDays = `Must be between 1 and ${MAX_DEPOSIT_DEADLINE_DAYS} days`;
+  }
+
+  return errors;
+}
+
+// Readable text for RevenueBondEscrowFactory custom errors and EscrowValidation revert strings
+export const ESCROW_FACTORY_ERRORS = {
+  ZeroAddress: 'A required address is zero',
+  NotProtocolSender: 'The connected wallet must be the issuing protocol',
+  NoAccess: 'Your wallet is not allowed to issue by the access policy',
+  SelfPolicy: 'A policy cannot point at the factory itself',
+  InvalidFeePolicy: 'The configured fee policy is invalid',
+  InvalidSafetyPolicy: 'The configured safety policy is invalid',
+  InvalidAccessPolicy: 'The configured access policy is invalid',
+  '!protocol': 'Protocol address is required',
+  '!principal': 'Principal must be greater than zero',
+  '!deadline': `Deposit deadline must be between 1 and ${MAX_DEPOSIT_DEADLINE_DAYS} days`,
+  '!bps': 'Revenue share is outside the allowed range',
+  '!duration': 'Duration is outside the allowed range',
+  '!supply': 'Total supply is below the minimum',
+  '!minDist': 'Minimum distribution must be at least 0.001 ETH',
+  '!fee': 'Not enough ETH sent to cover the creation fee',
+  '!feeRcv': 'Fee receiver is not configured',
+  '!feeTx': 'Fee transfer to the receiver failed',
+  '!refund': 'Refund of excess ETH failed',
+};
+
+/**
+ * Best human-readable message from a viem read/simulate/write error
+ * @param messages Optional map of custom error names / revert reasons to readable text
+ */
+export function errorMessage(error, messages = {}) {
+  if (!error) return null;
+  const revert = error.walk?.((e) => e?.name === 'ContractFunctionRevertedError');
+  const key = revert?.data?.errorName || revert?.reason;
+  if (key && messages[key]) return messages[key];
+  return revert?.reason || error.shortMessage || error.message?.slice(0, 140) || 'Transaction failed';
+}
@@ -0,0 +1,73 @@
+// Chunked eth_getLogs scanning. RPCs cap the block range (or result size) of a single
+// getLogs call, so ranges start at DEFAULT_SPAN, halve whenever a call is rejected and
+// double after each success, up to MAX_SPAN.
+
+export const DEFAULT_SPAN = 100_000n;
+export const MIN_SPAN = 1n;
+export const MAX_SPAN = 10_000_000n;
+
+const TIMESTAMP_BATCH = 20;
+const timestampCache = new Map();
+
+/**
+ * Scan [fromBlock, toBlock] newest-first until at least `minLogs` logs are found or the
+ * range is exhausted. Every query is a getLogs parameter object without a block range.
+ * @returns logs (newest first), the next toBlock to resume from (below fromBlock when
+ *          done) and the span to resume with
+ */
+export async function scanLogsBackward(client, {
+  queries,
+  fromBlock,
+  toBlock,
+  minLogs = 1,
+  span = DEFAULT_SPAN,
+  maxSpan = MAX_SPAN,
+}) {
+  const logs = [];
+  let cursor = toBlock;
+
+  while (cursor >= fromBlock && logs.length < minLogs) {
+    const start = cursor - span + 1n > fromBlock ? cursor - span + 1n : fromBlock;
+    let chunk;
+    try {
+      chunk = await Promise.all(
+        queries.map((query) => client.getLogs({ ...query, fromBlock: start, toBlock: cursor })),
+      );
+    } catch (error) {
+      if (span <= MIN_SPAN) throw error;
+      // Don't grow back past a span the RPC has rejected during this scan
+      span /= 2n;
+      maxSpan = span;
+      continue;
+    }
+    logs.push(...chunk.flat().sort(compareLogsDesc));
+    cursor = start - 1n;
+    span = span * 2n < maxSpan ? span * 2n : maxSpan;
+  }
+
+  return { logs, nextToBlock: cursor, span };
+}
+
+export function compareLogsDesc(a, b) {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber > b.blockNumber ? -1 : 1;
+  return b.logIndex - a.logIndex;
+}
+
+/**
+ * Unix timestamps for the given blocks, fetched in parallel batches and cached per chain
+ * (block timestamps never change once a block is final)
+ * @returns Map of blockNumber -> timestamp (number)
+ */
+export async function getBlockTimestamps(client, blockNumbers) {
+  const chainId = client.chain?.id;
+  const key = (blockNumber) => `${chainId}:${blockNumber}`;
+  const missing = [...new Set(blockNumbers)].filter((n) => !timestampCache.has(key(n)));
+
+  for (let i = 0; i < missing.length; i += TIMESTAMP_BATCH) {
+    const batch = missing.slice(i, i + TIMESTAMP_BATCH);
+    const blocks = await Promise.all(batch.map((blockNumber) => client.getBlock({ blockNumber })));
+    for (const block of blocks) timestampCache.set(key(block.number), Number(block.timestamp));
+  }
+
+  return new Map(blockNumbers.map((n) => [n, timestampCache.get(key(n))]));
+}
@@ -0,0 +1,74 @@
+import { scanLogsBackward, getBlockTimestamps } from './logScanner';
+import { streamKey, readStreams, writeStreams, REORG_WINDOW } from './eventStore';
+
+// Cached log loading shared by history and portfolio views: cached records are served first,
+// then syncToHead() fetches the blocks since the last visit and syncOlder() pages backwards.
+// Records are normalized logs: { stream, eventName, args, blockNumber, logIndex, transactionHash, timestamp }.
+
+/**
+ * Describe what to load: one stream per (contract, event) pair
+ * @param sources [{ address, events: [abi event items] }]
+ */
+export function logSources(chainId, sources) {
+  const streams = {};
+  for (const { address, events } of sources) {
+    for (const event of events) {
+      streams[`${address.toLowerCase()}:${event.name}`] = streamKey(chainId, address, event.name);
+    }
+  }
+  return {
+    keys: Object.values(streams),
+    queries: sources.map(({ address, events }) => ({ address, events })),
+    streamOf: (log) => streams[`${log.address.toLowerCase()}:${log.eventName}`],
+  };
+}
+
+// Events that carry a timestamp argument use it; the rest take the block's
+async function fetchRecords(client, set, fromBlock, toBlock, options) {
+  const result = await scanLogsBackward(client, { queries: set.queries, fromBlock, toBlock, ...options });
+  const untimed = result.logs.filter((log) => log.args.timestamp === undefined).map((log) => log.blockNumber);
+  const timestamps = await getBlockTimestamps(client, untimed);
+  const records = result.logs.map((log) => ({
+    stream: set.streamOf(log),
+    eventName: log.eventName,
+    args: log.args,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+    transactionHash: log.transactionHash,
+    timestamp: log.args.timestamp !== undefined ? Number(log.args.timestamp) : timestamps.get(log.blockNumber),
+  }));
+  return { ...result, records };
+}
+
+export function readCached(set) {
+  return readStreams(set.keys);
+}
+
+/**
+ * Bring a cached range up to `head`. The last REORG_WINDOW cached blocks are fetched again
+ * and replace what was stored for them.
+ * @returns records (newest first) and the range now indexed, or range null when nothing was cached
+ */
+export async function syncToHead(client, set, cached, head) {
+  if (!cached.range) return { records: [], range: null };
+  const { fromBlock, toBlock } = cached.range;
+  const rewindFrom = toBlock - REORG_WINDOW + 1n > fromBlock ? toBlock - REORG_WINDOW + 1n : fromBlock;
+
+  const { records } = await fetchRecords(client, set, rewindFrom, head, { minLogs: Infinity });
+  const range = { fromBlock, toBlock: head };
+  await writeStreams(set.keys, records, range, { rewindFrom });
+  return { records: [...records, ...cached.logs.filter((log) => log.blockNumber < rewindFrom)], range };
+}
+
+/**
+ * Extend the indexed range downwards (starting at `head` when nothing is indexed yet) until
+ * `minLogs` more logs are found or `floor` is reached
+ * @returns the older records, the range now indexed and the scan span to resume with
+ */
+export async function syncOlder(client, set, { range, head, floor, minLogs, span }) {
+  const toBlock = range ? range.fromBlock - 1n : head;
+  const result = await fetchRecords(client, set, floor, toBlock, { minLogs, span });
+  const next = { fromBlock: result.nextToBlock + 1n, toBlock: range ? range.toBlock : head };
+  await writeStreams(set.keys, result.records, next);
+  return { records: result.records, range: next, span: result.span };
+}
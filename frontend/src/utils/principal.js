@@ -0,0 +1,24 @@
+// Client-side mirror of RevenueBondEscrow.claimPrincipal(). calculateClaimablePrincipal returns 0
+// until the escrow is Matured, but claimPrincipal() matures an Active escrow itself once the
+// maturity date has passed, so holders can claim without anyone calling matureSeries() first.
+
+/**
+ * Principal the holder would receive from claimPrincipal() now
+ * @param claimable calculateClaimablePrincipal(holder)
+ * @param state ESCROW_STATES name of getBondInfo().currentState
+ * @param maturityDate getBondInfo().maturity (seconds)
+ * @param principalAmount getBondInfo().principal
+ * @param balance balanceOf(holder)
+ * @param totalTokenSupply totalTokenSupply(), the supply at issuance the share is taken of
+ */
+export function estimateClaimablePrincipal(
+  { claimable, state, maturityDate, principalAmount, balance, totalTokenSupply },
+  now = BigInt(Math.floor(Date.now() / 1000))
+) {
+  if (claimable > 0n) return claimable;
+  // Active means the principal is deposited, and no one can claim before the escrow matures,
+  // so principalClaimed is still false for every holder
+  if (state !== 'Active' || maturityDate === undefined || now < maturityDate) return 0n;
+  if (!balance || !principalAmount || !totalTokenSupply) return 0n;
+  return (balance * principalAmount) / totalTokenSupply;
+}
@@ -0,0 +1,84 @@
+// Client-side mirror of ProtocolReputationRegistry scoring. The registry only exposes the
+// final score, so the delivery / reliability split is recomputed from its public state.
+
+export const INACTIVITY_PERIOD = 90n * 86400n;
+
+/**
+ * Delivery ratio of one series in basis points (capped at 100%)
+ * @returns null when the series has no expected revenue
+ */
+export function seriesDeliveryBPS(expectedRevenue, actualRevenue) {
+  if (!expectedRevenue) return null;
+  const ratio = (actualRevenue * 10000n) / expectedRevenue;
+  return ratio > 10000n ? 10000n : ratio;
+}
+
+// _calculateWeightedDeliveryScore: delivery ratios weighted by promised revenue (0-50)
+export function deliveryScore(records) {
+  let totalPromised = 0n;
+  let weightedSum = 0n;
+
+  for (const { expectedRevenue, actualRevenue } of records) {
+    if (!expectedRevenue) continue;
+    totalPromised += expectedRevenue;
+    let ratio = (actualRevenue * 10n ** 18n) / expectedRevenue;
+    if (ratio > 10n ** 18n) ratio = 10n ** 18n;
+    weightedSum += (ratio * expectedRevenue) / 10n ** 18n;
+  }
+
+  if (totalPromised === 0n) return 0n;
+  const score = (weightedSum * 50n) / totalPromised;
+  return score > 50n ? 50n : score;
+}
+
+// _calculateWeightedReliabilityScore: on-time ratio (0-50), halved below 2 payments per series
+export function reliabilityScore({ totalSeriesCreated, totalOnTimePayments, totalLatePayments }) {
+  const totalPayments = totalOnTimePayments + totalLatePayments;
+  if (totalPayments === 0n) return { score: 0n, lowActivity: false };
+
+  const onTimeRatio = (totalOnTimePayments * 100n) / totalPayments;
+  let score = (onTimeRatio * 50n) / 100n;
+  if (score > 50n) score = 50n;
+
+  const lowActivity = totalSeriesCreated > 0n && totalPayments / totalSeriesCreated < 2n;
+  return { score: lowActivity ? score / 2n : score, lowActivity };
+}
+
+/**
+ * Break getReputationScore down into its components
+ * @param stats protocolStats(protocol) tuple
+ * @param records [{ expectedRevenue, actualRevenue }] for every series of the protocol
+ * @param now Current block timestamp (seconds, bigint)
+ * @returns { score, delivery, reliability, lowActivity, inactive, rule }
+ *   rule is 'blacklisted' | 'new' | 'noCommitment' when a flat score applies, else null
+ */
+export function scoreBreakdown(stats, records, now) {
+  const [
+    totalSeriesCreated,
+    totalRevenuePromised,
+    ,
+    totalLatePayments,
+    totalOnTimePayments,
+    lastPaymentTimestamp,
+    blacklisted,
+  ] = stats;
+  const inactive = lastPaymentTimestamp > 0n && now > lastPaymentTimestamp + INACTIVITY_PERIOD;
+  const flat = (score, rule) => ({ score, delivery: 0n, reliability: 0n, lowActivity: false, inactive, rule });
+
+  if (blacklisted) return flat(0n, 'blacklisted');
+  if (totalSeriesCreated === 0n) return flat(50n, 'new');
+  if (totalRevenuePromised === 0n) return flat(25n, 'noCommitment');
+
+  const delivery = deliveryScore(records);
+  const reliability = reliabilityScore({ totalSeriesCreated, totalOnTimePayments, totalLatePayments });
+  const total = delivery + reliability.score;
+
+  return {
+    score: inactive ? total / 2n : total,
+    delivery,
+    reliability: reliability.score,
+    lowActivity: reliability.lowActivity,
+    inactive,
+    rule: null,
+  };
+}
@@ -0,0 +1,89 @@
+import { getAbiItem, zeroAddress } from 'viem';
+import { FACTORY_ABI, SERIES_FACTORY_V2_ABI, ESCROW_FACTORY_ABI } from '../config/contracts';
+import { getSeriesFactories } from '../config/chains';
+import { scanLogsBackward } from './logScanner';
+
+const FACTORY_ABIS = {
+  legacy: FACTORY_ABI,
+  soft: SERIES_FACTORY_V2_ABI,
+  escrow: ESCROW_FACTORY_ABI,
+};
+
+const CREATION_EVENTS = {
+  legacy: getAbiItem({ abi: FACTORY_ABI, name: 'SeriesCreated' }),
+  soft: getAbiItem({ abi: SERIES_FACTORY_V2_ABI, name: 'SeriesCreated' }),
+  escrow: getAbiItem({ abi: ESCROW_FACTORY_ABI, name: 'EscrowSeriesCreated' }),
+};
+
+function storageKey(chainId, series) {
+  return `equorum:seriesCreation:${chainId}:${series.toLowerCase()}`;
+}
+
+/**
+ * Block a contract was deployed in: from its deployment receipt when the manifest recorded
+ * the tx, otherwise a binary search on when its code first appears (~log2(head) calls).
+ */
+export async function findDeploymentBlock(client, address, deployTx) {
+  if (deployTx) {
+    const receipt = await client.getTransactionReceipt({ hash: deployTx });
+    return receipt.blockNumber;
+  }
+  let low = 0n;
+  let high = await client.getBlockNumber();
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    const code = await client.getCode({ address, blockNumber: mid });
+    if (code && code !== '0x') high = mid;
+    else low = mid + 1n;
+  }
+  return low;
+}
+
+/**
+ * Locate the factory log that created a series (SeriesCreated, or EscrowSeriesCreated for
+ * escrow bonds). Only the factory whose routerBySeries knows the series is scanned, from its
+ * deployment block onwards. The result never changes, so it is kept in localStorage.
+ * @returns { kind, factory, blockNumber, transactionHash } or null for unknown series
+ */
+export async function findSeriesCreation(client, series) {
+  const chainId = client.chain?.id;
+  const key = storageKey(chainId, series);
+  try {
+    const cached = JSON.parse(localStorage.getItem(key));
+    if (cached) return { ...cached, blockNumber: BigInt(cached.blockNumber) };
+  } catch {
+    // Corrupt entry: fall through and look it up again
+  }
+
+  for (const factory of getSeriesFactories(chainId)) {
+    const router = await client.readContract({
+      address: factory.address,
+      abi: FACTORY_ABIS[factory.kind],
+      functionName: 'routerBySeries',
+      args: [series],
+    });
+    if (router === zeroAddress) continue;
+
+    const [fromBlock, toBlock] = await Promise.all([
+      findDeploymentBlock(client, factory.address, factory.deployTx),
+      client.getBlockNumber(),
+    ]);
+    const { logs } = await scanLogsBackward(client, {
+      queries: [{ address: factory.address, event: CREATION_EVENTS[factory.kind], args: { series } }],
+      fromBlock,
+      toBlock,
+    });
+    if (logs.length === 0) continue;
+
+    const creation = {
+      kind: factory.kind,
+      factory: factory.address,
+      blockNumber: logs[0].blockNumber,
+      transactionHash: logs[0].transactionHash,
+    };
+    localStorage.setItem(key, JSON.stringify({ ...creation, blockNumber: creation.blockNumber.toString() }));
+    return creation;
+  }
+
+  return null;
+}
@@ -0,0 +1,74 @@
+import { parseEther, getAddress } from 'viem';
+
+// A subgraph further than this behind the RPC head is treated as unavailable (~5 min on Arbitrum)
+export const MAX_LAG_BLOCKS = 1_200n;
+
+// graph-node caps `first` at 1000 and large `skip` values, so long lists page on id instead
+const PAGE = 1000;
+const TIMEOUT_MS = 8_000;
+
+export const META_QUERY = `
+  query Meta {
+    _meta {
+      block { number }
+      hasIndexingErrors
+    }
+  }
+`;
+
+export class SubgraphError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'SubgraphError';
+    this.errors = errors;
+  }
+}
+
+export async function querySubgraph(url, query, variables = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables }),
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!response.ok) throw new SubgraphError(`Subgraph request failed (${response.status})`);
+  const { data, errors } = await response.json();
+  if (errors?.length) throw new SubgraphError(errors[0].message, errors);
+  return data;
+}
+
+/**
+ * Every entity of a collection field. The query must take `$first`, `$where` and order by id;
+ * `id_gt` is added to `where` to walk the pages.
+ */
+export async function queryAll(url, query, field, where = {}) {
+  const all = [];
+  let lastId = '';
+  for (;;) {
+    const data = await querySubgraph(url, query, { first: PAGE, where: { ...where, id_gt: lastId } });
+    const page = data[field];
+    all.push(...page);
+    if (page.length < PAGE) return all;
+    lastId = page[page.length - 1].id;
+  }
+}
+
+// Entity ids and Bytes filters are lowercase hex
+export function toId(address) {
+  return address?.toLowerCase();
+}
+
+export function toAddress(bytes) {
+  return bytes ? getAddress(bytes) : undefined;
+}
+
+// BigDecimal ETH / token amounts (18 decimals) back to wei
+export function toWei(value) {
+  if (value === null || value === undefined) return undefined;
+  const [whole, fraction = ''] = String(value).split('.');
+  return parseEther(`${whole}.${fraction.slice(0, 18) || '0'}`);
+}
+
+export function toBigInt(value) {
+  return value === null || value === undefined ? undefined : BigInt(value);
+}
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // src/config/chains.js imports the deployment manifests from ../deployments
+    fs: { allow: ['..'] },
+  },
 })
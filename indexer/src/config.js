@@ -0,0 +1,108 @@
+/**
+ * Indexer configuration: the deployment to follow, the RPC to follow it on and where to keep
+ * the database. Everything except the deployment has a default; see README.md.
+ */
+const fs = require("fs");
+const path = require("path");
+const { loadManifest } = require("../../scripts/lib/manifest");
+
+const ROOT = path.join(__dirname, "../..");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts/contracts/v2");
+// Start blocks resolved by subgraph/scripts/render-manifest.js
+const NETWORKS_FILE = path.join(ROOT, "subgraph/networks.json");
+
+const RPC_URLS = {
+  42161: process.env.ARBITRUM_RPC || "https://arb1.arbitrum.io/rpc",
+  421614: process.env.ARBITRUM_SEPOLIA_RPC || "https://sepolia-rollup.arbitrum.io/rpc",
+  31337: "http://127.0.0.1:8545",
+};
+
+const ABI_NAMES = [
+  "RevenueSeriesFactory",
+  "RevenueBondEscrowFactory",
+  "ProtocolReputationRegistry",
+  "RevenueSeries",
+  "RevenueBondEscrow",
+  "RevenueRouter",
+];
+
+function integer(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  if (!/^\d+$/.test(value)) throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  return Number(value);
+}
+
+// Artifacts of the v2 contracts, indexed by contract name; needs `npx hardhat compile`
+function loadAbis() {
+  const abis = {};
+  const search = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const full = path.join(dir, entry.name);
+      const name = entry.name.replace(/\.sol$/, "");
+      if (entry.name.endsWith(".sol") && ABI_NAMES.includes(name)) {
+        abis[name] = JSON.parse(fs.readFileSync(path.join(full, `${name}.json`), "utf8")).abi;
+      } else if (!entry.name.endsWith(".sol")) {
+        search(full);
+      }
+    }
+  };
+  if (fs.existsSync(ARTIFACTS_DIR)) search(ARTIFACTS_DIR);
+  const missing = ABI_NAMES.filter((name) => !abis[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing artifacts for ${missing.join(", ")}: run \`npx hardhat compile\` in the repository root`);
+  }
+  return abis;
+}
+
+// Earliest deploy block of the static contracts, if render-manifest.js has resolved them all
+function startBlockFromNetworks(network, contracts) {
+  if (!fs.existsSync(NETWORKS_FILE)) return undefined;
+  const cached = JSON.parse(fs.readFileSync(NETWORKS_FILE, "utf8"))[network] || {};
+  const blocks = Object.entries(contracts).map(([name, address]) =>
+    cached[name]?.address.toLowerCase() === address.toLowerCase() ? cached[name].startBlock : undefined
+  );
+  return blocks.includes(undefined) ? undefined : Math.min(...blocks);
+}
+
+/**
+ * @param deployment Deployment directory name or manifest path (first CLI argument or INDEXER_DEPLOYMENT)
+ * @param contractKeys { [dataSourceName]: key in manifest.contracts }
+ */
+function loadConfig(deployment, contractKeys) {
+  if (!deployment) {
+    throw new Error("Usage: node src/index.js <arbitrum-mainnet|arbitrum-sepolia|path/to/manifest.json>");
+  }
+  // `arbitrum-sepolia` reads deployments/arbitrum-sepolia/v2-deployment-latest.json; a path ending
+  // in .json can point at any other manifest (e.g. one written for a hardhat node)
+  const manifest = loadManifest(deployment);
+
+  const contracts = {};
+  for (const [name, key] of Object.entries(contractKeys)) {
+    contracts[name] = manifest.contracts[key].toLowerCase();
+  }
+
+  const rpcUrl = process.env.INDEXER_RPC_URL || RPC_URLS[manifest.chainId];
+  if (!rpcUrl) throw new Error(`No RPC known for chainId ${manifest.chainId}: set INDEXER_RPC_URL`);
+
+  const network = manifest.network;
+  return {
+    network,
+    chainId: Number(manifest.chainId),
+    rpcUrl,
+    contracts,
+    abis: loadAbis(),
+    database: process.env.INDEXER_DB || path.join(__dirname, "../data", `${network}.sqlite`),
+    port: integer("INDEXER_PORT", 8000),
+    startBlock: integer("INDEXER_START_BLOCK", startBlockFromNetworks(network, contracts) ?? 0),
+    // Blocks behind the head to stay; 0 follows the head and relies on reorg handling
+    confirmations: integer("INDEXER_CONFIRMATIONS", 0),
+    // How many recent blocks can be reverted; older history is pruned
+    reorgDepth: integer("INDEXER_REORG_DEPTH", 256),
+    blockRange: integer("INDEXER_BLOCK_RANGE", 2000),
+    pollInterval: integer("INDEXER_POLL_MS", 2000),
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,257 @@
+/**
+ * SQLite persistence. Each entity type gets a table with one column per stored field, named
+ * after the type and its fields. Bookkeeping tables start with an underscore:
+ *
+ *   _meta          key/value: schema hash, indexed head, fatal indexing error
+ *   _blocks        indexed blocks still inside the reorg window (number, hash, timestamp)
+ *   _events        every decoded log handed to a mapping
+ *   _data_sources  contracts discovered from creation events (templates)
+ *   _history       previous version of each entity changed inside the reorg window
+ *
+ * A reorg is undone by restoring _history entries newer than the common ancestor, newest
+ * first, and deleting everything recorded after it.
+ */
+const Database = require("better-sqlite3");
+const { BigDecimal, sortKey } = require("./decimal");
+const { storedFields } = require("./schema");
+
+function quote(name) {
+  return `"${name}"`;
+}
+
+function columnType(field) {
+  if (field.type === "Boolean" || field.type === "Int") return "INTEGER";
+  return "TEXT";
+}
+
+function toColumn(field, value) {
+  if (value === null || value === undefined) return null;
+  if (field.type === "Boolean") return value ? 1 : 0;
+  if (field.type === "BigInt" || field.type === "BigDecimal") return value.toString();
+  return value;
+}
+
+function fromColumn(field, value) {
+  if (value === null) return null;
+  if (field.type === "Boolean") return value === 1;
+  if (field.type === "BigInt") return BigInt(value);
+  if (field.type === "BigDecimal") return BigDecimal.fromString(value);
+  return value;
+}
+
+/**
+ * Opens the database file. The indexer opens it read-write and creates the tables; the
+ * GraphQL server uses a second, read-only connection so it only ever sees committed blocks.
+ */
+function openDatabase(file, schema, { readonly = false } = {}) {
+  const db = new Database(file, { readonly, fileMustExist: readonly });
+  // Numeric comparisons and ordering over BigInt/BigDecimal text columns
+  db.function("sort_key", { deterministic: true }, (value) => (value === null ? null : sortKey(value)));
+  if (readonly) return db;
+
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS _meta (key TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE IF NOT EXISTS _blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS _events (
+      block_number INTEGER NOT NULL,
+      log_index INTEGER NOT NULL,
+      block_hash TEXT NOT NULL,
+      transaction_hash TEXT NOT NULL,
+      address TEXT NOT NULL,
+      data_source TEXT NOT NULL,
+      event TEXT NOT NULL,
+      params TEXT NOT NULL,
+      PRIMARY KEY (block_number, log_index)
+    );
+    CREATE TABLE IF NOT EXISTS _data_sources (
+      address TEXT PRIMARY KEY,
+      template TEXT NOT NULL,
+      created_block INTEGER NOT NULL,
+      created_log_index INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS _history (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      block_number INTEGER NOT NULL,
+      entity TEXT NOT NULL,
+      id TEXT NOT NULL,
+      previous TEXT
+    );
+    CREATE INDEX IF NOT EXISTS _history_block ON _history (block_number);
+  `);
+
+  const stored = db.prepare("SELECT value FROM _meta WHERE key = 'schema'").get();
+  if (stored && stored.value !== schema.hash) {
+    db.close();
+    throw new Error(`subgraph/schema.graphql changed since ${file} was created; delete it to reindex`);
+  }
+
+  for (const entity of schema.entities.values()) {
+    const fields = storedFields(entity);
+    const columns = fields.map((f) => `${quote(f.name)} ${columnType(f)}${f.name === "id" ? " PRIMARY KEY" : ""}`);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${quote(entity.name)} (${columns.join(", ")})`);
+    // Relation columns back the @derivedFrom lists and the usual `where: { series: ... }` filters
+    for (const field of fields.filter((f) => f.kind === "entity")) {
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS ${quote(`${entity.name}_${field.name}`)} ON ${quote(entity.name)} (${quote(field.name)})`
+      );
+    }
+  }
+  db.prepare("INSERT OR IGNORE INTO _meta (key, value) VALUES ('schema', ?)").run(schema.hash);
+  return db;
+}
+
+class Store {
+  constructor(db, schema) {
+    this.db = db;
+    this.schema = schema;
+    this.statements = new Map();
+  }
+
+  statement(sql) {
+    if (!this.statements.has(sql)) this.statements.set(sql, this.db.prepare(sql));
+    return this.statements.get(sql);
+  }
+
+  // ============================================
+  // ENTITIES
+  // ============================================
+
+  row(type, id) {
+    return this.statement(`SELECT * FROM ${quote(type)} WHERE id = ?`).get(id) || null;
+  }
+
+  load(type, id) {
+    const row = this.row(type, id);
+    if (!row) return null;
+    const entity = {};
+    for (const field of storedFields(this.schema.entities.get(type))) {
+      entity[field.name] = fromColumn(field, row[field.name]);
+    }
+    return entity;
+  }
+
+  writeRow(type, row) {
+    const names = Object.keys(row);
+    this.statement(
+      `INSERT OR REPLACE INTO ${quote(type)} (${names.map(quote).join(", ")}) VALUES (${names.map(() => "?").join(", ")})`
+    ).run(...names.map((name) => row[name]));
+  }
+
+  // ============================================
+  // BLOCKS
+  // ============================================
+
+  meta(key) {
+    const row = this.statement("SELECT value FROM _meta WHERE key = ?").get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    if (value === null) this.statement("DELETE FROM _meta WHERE key = ?").run(key);
+    else this.statement("INSERT OR REPLACE INTO _meta (key, value) VALUES (?, ?)").run(key, value);
+  }
+
+  // Last fully indexed block: { number, hash, timestamp } or null before the first one
+  head() {
+    const value = this.meta("head");
+    return value ? JSON.parse(value) : null;
+  }
+
+  // Indexed blocks still inside the reorg window, newest first
+  recentBlocks() {
+    return this.statement("SELECT number, hash, timestamp FROM _blocks ORDER BY number DESC").all();
+  }
+
+  dataSources() {
+    return this.statement("SELECT address, template FROM _data_sources ORDER BY created_block, created_log_index").all();
+  }
+
+  /**
+   * Persists one block atomically: entity changes from the mappings, the decoded events,
+   * new data sources and the head pointer.
+   * @param withHistory Record previous entity versions so the block can be reverted
+   */
+  commitBlock({ block, changes = [], events = [], dataSources = [], withHistory }) {
+    this.db.transaction(() => {
+      for (const { type, entity } of changes) {
+        const fields = storedFields(this.schema.entities.get(type));
+        if (withHistory) {
+          const previous = this.row(type, entity.id);
+          this.statement("INSERT INTO _history (block_number, entity, id, previous) VALUES (?, ?, ?, ?)").run(
+            block.number,
+            type,
+            entity.id,
+            previous ? JSON.stringify(previous) : null
+          );
+        }
+        const row = {};
+        for (const field of fields) row[field.name] = toColumn(field, entity[field.name]);
+        this.writeRow(type, row);
+      }
+
+      for (const event of events) {
+        this.statement(
+          `INSERT OR REPLACE INTO _events
+             (block_number, log_index, block_hash, transaction_hash, address, data_source, event, params)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(
+          block.number,
+          event.logIndex,
+          block.hash,
+          event.transactionHash,
+          event.address,
+          event.dataSource,
+          event.signature,
+          JSON.stringify(event.params, (key, value) => (typeof value === "bigint" ? value.toString() : value))
+        );
+      }
+
+      for (const source of dataSources) {
+        this.statement(
+          "INSERT OR IGNORE INTO _data_sources (address, template, created_block, created_log_index) VALUES (?, ?, ?, ?)"
+        ).run(source.address, source.template, block.number, source.logIndex);
+      }
+
+      if (withHistory) {
+        this.statement("INSERT OR REPLACE INTO _blocks (number, hash, timestamp) VALUES (?, ?, ?)").run(
+          block.number,
+          block.hash,
+          block.timestamp
+        );
+      }
+      this.setMeta("head", JSON.stringify({ number: block.number, hash: block.hash, timestamp: block.timestamp }));
+    })();
+  }
+
+  /**
+   * Undoes every block after `ancestor` ({ number, hash, timestamp }), which must be one of
+   * recentBlocks().
+   */
+  revertTo(ancestor) {
+    this.db.transaction(() => {
+      const entries = this.statement(
+        "SELECT entity, id, previous FROM _history WHERE block_number > ? ORDER BY seq DESC"
+      ).all(ancestor.number);
+      for (const { entity, id, previous } of entries) {
+        if (previous === null) this.statement(`DELETE FROM ${quote(entity)} WHERE id = ?`).run(id);
+        else this.writeRow(entity, JSON.parse(previous));
+      }
+      this.statement("DELETE FROM _history WHERE block_number > ?").run(ancestor.number);
+      this.statement("DELETE FROM _events WHERE block_number > ?").run(ancestor.number);
+      this.statement("DELETE FROM _data_sources WHERE created_block > ?").run(ancestor.number);
+      this.statement("DELETE FROM _blocks WHERE number > ?").run(ancestor.number);
+      this.setMeta("head", JSON.stringify(ancestor));
+    })();
+  }
+
+  // Forgets history older than `number`: those blocks can no longer be reverted
+  prune(number) {
+    this.db.transaction(() => {
+      this.statement("DELETE FROM _history WHERE block_number < ?").run(number);
+      this.statement("DELETE FROM _blocks WHERE number < ?").run(number);
+    })();
+  }
+}
+
+module.exports = { openDatabase, Store, quote, fromColumn };
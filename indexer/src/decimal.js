@@ -0,0 +1,147 @@
+/**
+ * Arbitrary-precision decimal with graph-node's BigDecimal semantics: every result is
+ * rounded to 34 significant digits and printed without trailing zeros or an exponent,
+ * so the API returns the same strings as the subgraph.
+ */
+
+const PRECISION = 34;
+
+class BigDecimal {
+  // value = digits * 10^-scale
+  constructor(digits, scale) {
+    this.digits = digits;
+    this.scale = scale;
+  }
+
+  static fromBigInt(value) {
+    return new BigDecimal(BigInt(value), 0).normalize();
+  }
+
+  static fromString(value) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(value).trim());
+    if (!match || (match[2] === "" && !match[3])) throw new Error(`Invalid BigDecimal: ${value}`);
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    const digits = BigInt(`${sign}${whole}${fraction}` || "0");
+    return new BigDecimal(digits, fraction.length - Number(exponent)).normalize();
+  }
+
+  plus(other) {
+    const [a, b, scale] = align(this, other);
+    return new BigDecimal(a + b, scale).normalize();
+  }
+
+  minus(other) {
+    const [a, b, scale] = align(this, other);
+    return new BigDecimal(a - b, scale).normalize();
+  }
+
+  times(other) {
+    return new BigDecimal(this.digits * other.digits, this.scale + other.scale).normalize();
+  }
+
+  div(other) {
+    if (other.digits === 0n) throw new Error("BigDecimal division by zero");
+    // Two guard digits beyond the precision, so normalize() rounds the quotient once
+    const shift = PRECISION + 2 + digitCount(other.digits) - digitCount(this.digits);
+    const numerator = shift > 0 ? this.digits * 10n ** BigInt(shift) : this.digits / 10n ** BigInt(-shift);
+    return new BigDecimal(numerator / other.digits, this.scale - other.scale + shift).normalize();
+  }
+
+  neg() {
+    return new BigDecimal(-this.digits, this.scale);
+  }
+
+  compare(other) {
+    const [a, b] = align(this, other);
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  gt(other) {
+    return this.compare(other) > 0;
+  }
+
+  ge(other) {
+    return this.compare(other) >= 0;
+  }
+
+  lt(other) {
+    return this.compare(other) < 0;
+  }
+
+  le(other) {
+    return this.compare(other) <= 0;
+  }
+
+  // Rounds half away from zero to PRECISION significant digits and drops trailing zeros
+  normalize() {
+    let { digits, scale } = this;
+    if (digits === 0n) return new BigDecimal(0n, 0);
+
+    const excess = digitCount(digits) - PRECISION;
+    if (excess > 0) {
+      const divisor = 10n ** BigInt(excess);
+      const negative = digits < 0n;
+      const magnitude = negative ? -digits : digits;
+      let rounded = magnitude / divisor;
+      if ((magnitude % divisor) * 2n >= divisor) rounded += 1n;
+      digits = negative ? -rounded : rounded;
+      scale -= excess;
+    }
+    while (digits % 10n === 0n) {
+      digits /= 10n;
+      scale -= 1;
+    }
+    return new BigDecimal(digits, scale);
+  }
+
+  toString() {
+    const negative = this.digits < 0n;
+    const magnitude = (negative ? -this.digits : this.digits).toString();
+    let text;
+    if (this.scale <= 0) {
+      text = magnitude + "0".repeat(-this.scale);
+    } else if (magnitude.length > this.scale) {
+      text = `${magnitude.slice(0, -this.scale)}.${magnitude.slice(-this.scale)}`;
+    } else {
+      text = `0.${"0".repeat(this.scale - magnitude.length)}${magnitude}`;
+    }
+    return negative ? `-${text}` : text;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+function digitCount(value) {
+  return (value < 0n ? -value : value).toString().length;
+}
+
+function align(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.digits * 10n ** BigInt(scale - a.scale), b.digits * 10n ** BigInt(scale - b.scale), scale];
+}
+
+/**
+ * Text key whose lexicographic order is the numeric order of a BigInt or BigDecimal string.
+ * SQLite compares the stored text columns through it (see db.js).
+ */
+function sortKey(value) {
+  const { digits, scale } = BigDecimal.fromString(value);
+  if (digits === 0n) return "1";
+
+  const magnitude = (digits < 0n ? -digits : digits).toString();
+  // value = 0.<magnitude> * 10^exponent
+  const exponent = magnitude.length - scale;
+  if (digits > 0n) return `2${String(exponent + 50000).padStart(6, "0")}${magnitude}`;
+
+  // Negative numbers sort in reverse; the terminator puts shorter mantissas after longer ones
+  const complement = magnitude.replace(/\d/g, (d) => String(9 - Number(d)));
+  return `0${String(50000 - exponent).padStart(6, "0")}${complement}~`;
+}
+
+module.exports = { BigDecimal, sortKey };
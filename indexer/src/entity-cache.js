@@ -0,0 +1,74 @@
+/**
+ * Per-block entity store seen by the mappings. Mirrors graph-ts semantics: load() returns a
+ * copy, nothing changes until save(), and save() rejects entities that would violate the
+ * schema. The indexer writes the accumulated changes to SQLite when the block is done.
+ */
+const { BigDecimal } = require("./decimal");
+const { storedFields } = require("./schema");
+
+function checkValue(field, value) {
+  switch (field.type) {
+    case "BigInt":
+      return typeof value === "bigint";
+    case "BigDecimal":
+      return value instanceof BigDecimal;
+    case "Boolean":
+      return typeof value === "boolean";
+    case "Int":
+      return Number.isInteger(value);
+    case "Bytes":
+      return typeof value === "string" && /^0x[0-9a-f]*$/.test(value);
+    default:
+      return typeof value === "string";
+  }
+}
+
+class EntityCache {
+  /**
+   * @param schema loadSchema() result
+   * @param loader (type, id) => entity | null, reading what is already persisted
+   */
+  constructor(schema, loader) {
+    this.schema = schema;
+    this.loader = loader;
+    this.updates = new Map();
+  }
+
+  load(type, id) {
+    const key = `${type}:${id}`;
+    const entity = this.updates.has(key) ? this.updates.get(key).entity : this.loader(type, id);
+    return entity ? { ...entity } : null;
+  }
+
+  save(type, entity) {
+    const definition = this.schema.entities.get(type);
+    if (!definition) throw new Error(`Unknown entity type ${type}`);
+
+    const row = { id: entity.id };
+    for (const field of storedFields(definition)) {
+      const value = entity[field.name];
+      if (value === null || value === undefined) {
+        if (field.required) {
+          throw new Error(`${type}[${entity.id}]: missing value for non-nullable field ${field.name}`);
+        }
+        row[field.name] = null;
+        continue;
+      }
+      if (!checkValue(field, value)) {
+        throw new Error(`${type}[${entity.id}]: ${field.name} is not a ${field.type} (${String(value)})`);
+      }
+      if (field.kind === "enum" && !this.schema.enums.get(field.type).includes(value)) {
+        throw new Error(`${type}[${entity.id}]: ${value} is not a ${field.type}`);
+      }
+      row[field.name] = value;
+    }
+    this.updates.set(`${type}:${entity.id}`, { type, entity: row });
+  }
+
+  // Entities saved since the cache was created, in first-save order
+  changes() {
+    return [...this.updates.values()];
+  }
+}
+
+module.exports = { EntityCache };
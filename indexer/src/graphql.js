@@ -0,0 +1,319 @@
+/**
+ * GraphQL API over the SQLite store with graph-node's query conventions, so clients written
+ * for the subgraph (frontend/src/utils/subgraph.js) work unchanged:
+ *
+ *   revenueSeries(id: ID!)                      single entity, lowerCamelCase type name
+ *   revenueSeries_collection(...) / protocols(...)  collections, `_collection` when the plural
+ *                                               equals the singular
+ *   first / skip / orderBy / orderDirection / where, with the _not, _gt, _lt, _gte, _lte,
+ *   _in, _not_in, _contains, _starts_with, _ends_with suffixes, nested `field_` filters and
+ *   and / or
+ *   _meta { block { number hash timestamp } deployment hasIndexingErrors }
+ *
+ * Time-travel queries (`block:` arguments) and full-text search are not supported: the store
+ * only keeps the latest version of each entity.
+ */
+const { buildSchema, GraphQLError } = require("graphql");
+const { sortKey } = require("./decimal");
+const { storedFields } = require("./schema");
+const { quote } = require("./db");
+
+const MAX_FIRST = 1000;
+const MAX_SKIP = 5000;
+const DEFAULT_FIRST = 100;
+
+const NUMERIC = new Set(["BigInt", "BigDecimal", "Int"]);
+
+// ============================================
+// NAMES
+// ============================================
+
+function singularName(type) {
+  return type[0].toLowerCase() + type.slice(1);
+}
+
+// RevenueSeries -> revenueSeries_collection, SeriesDayData -> seriesDayDatas
+function pluralName(type) {
+  const singular = singularName(type);
+  return singular.endsWith("s") ? `${singular}_collection` : `${singular}s`;
+}
+
+// ============================================
+// FILTER OPERATORS
+// ============================================
+
+const COMPARISONS = ["", "_not", "_gt", "_lt", "_gte", "_lte", "_in", "_not_in"];
+const STRING_OPS = [
+  ...COMPARISONS,
+  "_contains",
+  "_contains_nocase",
+  "_not_contains",
+  "_starts_with",
+  "_not_starts_with",
+  "_ends_with",
+  "_not_ends_with",
+];
+
+function operators(field) {
+  if (field.kind === "enum" || field.type === "Boolean") return ["", "_not", "_in", "_not_in"];
+  if (field.kind === "entity" || field.type === "String") return STRING_OPS;
+  if (field.type === "Bytes") return [...COMPARISONS, "_contains", "_not_contains"];
+  return COMPARISONS;
+}
+
+// GraphQL input type of a filter value
+function filterInputType(field) {
+  return field.kind === "entity" ? "String" : field.type;
+}
+
+// ============================================
+// SDL
+// ============================================
+
+function collectionArgs(type) {
+  return `skip: Int = 0, first: Int = ${DEFAULT_FIRST}, orderBy: ${type}_orderBy, orderDirection: OrderDirection, where: ${type}_filter`;
+}
+
+function fieldType(field) {
+  if (field.list) return `[${field.type}!]!`;
+  return field.required ? `${field.type}!` : field.type;
+}
+
+function buildSdl(schema) {
+  const lines = ["scalar BigInt", "scalar BigDecimal", "scalar Bytes", "enum OrderDirection { asc desc }"];
+
+  for (const [name, values] of schema.enums) lines.push(`enum ${name} { ${values.join(" ")} }`);
+
+  const query = [];
+  for (const entity of schema.entities.values()) {
+    const fields = entity.fields.map((field) =>
+      field.derivedFrom
+        ? `  ${field.name}(${collectionArgs(field.type)}): ${fieldType(field)}`
+        : `  ${field.name}: ${fieldType(field)}`
+    );
+    lines.push(`type ${entity.name} {\n${fields.join("\n")}\n}`);
+
+    const filters = [];
+    for (const field of entity.fields) {
+      if (field.derivedFrom) {
+        filters.push(`  ${field.name}_: ${field.type}_filter`);
+        continue;
+      }
+      for (const op of operators(field)) {
+        const input = filterInputType(field);
+        filters.push(`  ${field.name}${op}: ${op.endsWith("_in") ? `[${input}!]` : input}`);
+      }
+      if (field.kind === "entity") filters.push(`  ${field.name}_: ${field.type}_filter`);
+    }
+    filters.push(`  and: [${entity.name}_filter]`, `  or: [${entity.name}_filter]`);
+    lines.push(`input ${entity.name}_filter {\n${filters.join("\n")}\n}`);
+
+    lines.push(`enum ${entity.name}_orderBy { ${storedFields(entity).map((f) => f.name).join(" ")} }`);
+
+    query.push(`  ${singularName(entity.name)}(id: ID!): ${entity.name}`);
+    query.push(`  ${pluralName(entity.name)}(${collectionArgs(entity.name)}): [${entity.name}!]!`);
+  }
+
+  lines.push("type _Block_ { hash: Bytes, number: Int!, timestamp: Int }");
+  lines.push("type _Meta_ { block: _Block_!, deployment: String!, hasIndexingErrors: Boolean! }");
+  query.push("  _meta: _Meta_");
+  lines.push(`type Query {\n${query.join("\n")}\n}`);
+  return lines.join("\n\n");
+}
+
+// ============================================
+// SQL
+// ============================================
+
+function fieldByName(entity, name) {
+  return entity.fields.find((field) => field.name === name);
+}
+
+// Splits `amount_not_in` into the field and the operator, longest operator first
+function parseFilterKey(entity, key) {
+  const candidates = entity.fields
+    .filter((field) => !field.derivedFrom)
+    .flatMap((field) => operators(field).map((op) => ({ field, op })))
+    .filter(({ field, op }) => key === field.name + op)
+    .sort((a, b) => b.op.length - a.op.length);
+  if (candidates.length === 0) throw new GraphQLError(`Unknown filter ${entity.name}_filter.${key}`);
+  return candidates[0];
+}
+
+// Column expression and parameter conversion for comparisons on `field`
+function comparable(field) {
+  const column = quote(field.name);
+  if (NUMERIC.has(field.type)) return { column: `sort_key(${column})`, param: (v) => sortKey(String(v)) };
+  if (field.type === "Boolean") return { column, param: (v) => (v ? 1 : 0) };
+  if (field.type === "Bytes") return { column, param: (v) => String(v).toLowerCase() };
+  return { column, param: (v) => v };
+}
+
+/**
+ * Translates a `where` argument into an SQL condition on the entity's table.
+ * @param params Array the positional parameters are appended to
+ */
+function buildWhere(schema, entity, where, params) {
+  const clauses = [];
+  for (const [key, value] of Object.entries(where || {})) {
+    if (value === undefined) continue;
+
+    if (key === "and" || key === "or") {
+      const parts = value.map((sub) => `(${buildWhere(schema, entity, sub, params)})`);
+      if (parts.length > 0) clauses.push(`(${parts.join(key === "and" ? " AND " : " OR ")})`);
+      continue;
+    }
+
+    if (key.endsWith("_") && fieldByName(entity, key.slice(0, -1))) {
+      const field = fieldByName(entity, key.slice(0, -1));
+      const child = schema.entities.get(field.type);
+      const condition = buildWhere(schema, child, value, params);
+      clauses.push(
+        field.derivedFrom
+          ? `id IN (SELECT ${quote(field.derivedFrom)} FROM ${quote(child.name)} WHERE ${condition})`
+          : `${quote(field.name)} IN (SELECT id FROM ${quote(child.name)} WHERE ${condition})`
+      );
+      continue;
+    }
+
+    const { field, op } = parseFilterKey(entity, key);
+    const { column, param } = comparable(field);
+    const raw = quote(field.name);
+
+    if (value === null) {
+      if (op === "" || op === "_not") clauses.push(`${raw} IS ${op === "" ? "" : "NOT "}NULL`);
+      else throw new GraphQLError(`${entity.name}_filter.${key} does not accept null`);
+      continue;
+    }
+
+    switch (op) {
+      case "":
+        clauses.push(`${column} = ?`);
+        params.push(param(value));
+        break;
+      case "_not":
+        clauses.push(`(${column} != ? OR ${raw} IS NULL)`);
+        params.push(param(value));
+        break;
+      case "_gt":
+      case "_lt":
+      case "_gte":
+      case "_lte": {
+        const sign = { _gt: ">", _lt: "<", _gte: ">=", _lte: "<=" }[op];
+        clauses.push(`${column} ${sign} ?`);
+        params.push(param(value));
+        break;
+      }
+      case "_in":
+      case "_not_in":
+        if (value.length === 0) {
+          clauses.push(op === "_in" ? "0" : "1");
+          break;
+        }
+        clauses.push(`${column} ${op === "_in" ? "IN" : "NOT IN"} (${value.map(() => "?").join(", ")})`);
+        params.push(...value.map(param));
+        break;
+      case "_contains":
+      case "_not_contains":
+        clauses.push(`instr(${raw}, ?) ${op === "_contains" ? ">" : "="} 0`);
+        params.push(param(value));
+        break;
+      case "_contains_nocase":
+        clauses.push(`instr(lower(${raw}), lower(?)) > 0`);
+        params.push(value);
+        break;
+      case "_starts_with":
+      case "_not_starts_with":
+        clauses.push(`substr(${raw}, 1, length(?)) ${op === "_starts_with" ? "=" : "!="} ?`);
+        params.push(value, value);
+        break;
+      case "_ends_with":
+      case "_not_ends_with":
+        clauses.push(`substr(${raw}, -length(?)) ${op === "_ends_with" ? "=" : "!="} ?`);
+        params.push(value, value);
+        break;
+      default:
+        throw new GraphQLError(`Unsupported filter ${key}`);
+    }
+  }
+  return clauses.length > 0 ? clauses.join(" AND ") : "1";
+}
+
+// ============================================
+// RESOLVERS
+// ============================================
+
+function toOutput(entity, row) {
+  if (!row) return null;
+  for (const field of storedFields(entity)) {
+    if (field.type === "Boolean" && row[field.name] !== null) row[field.name] = row[field.name] === 1;
+  }
+  return row;
+}
+
+function checkRange(name, value, max) {
+  if (value < 0 || value > max) {
+    throw new GraphQLError(`The \`${name}\` argument must be between 0 and ${max}, but is ${value}`);
+  }
+}
+
+/**
+ * @param schema loadSchema() result
+ * @param db read-only better-sqlite3 connection (openDatabase(..., { readonly: true }))
+ * @param deployment Value of _meta.deployment
+ */
+function createGraphQLSchema(schema, db, deployment) {
+  const graphqlSchema = buildSchema(buildSdl(schema));
+
+  const loadRow = (entity, id) => toOutput(entity, db.prepare(`SELECT * FROM ${quote(entity.name)} WHERE id = ?`).get(id));
+
+  const collection = (entity, args, extra = null) => {
+    checkRange("first", args.first, MAX_FIRST);
+    checkRange("skip", args.skip, MAX_SKIP);
+
+    const params = [];
+    let condition = buildWhere(schema, entity, args.where, params);
+    if (extra) {
+      condition = `(${condition}) AND ${extra.sql}`;
+      params.push(...extra.params);
+    }
+
+    const direction = args.orderDirection === "desc" ? "DESC" : "ASC";
+    const orderField = args.orderBy ? fieldByName(entity, args.orderBy) : fieldByName(entity, "id");
+    const order = [`${comparable(orderField).column} ${direction}`];
+    if (orderField.name !== "id") order.push("id ASC");
+
+    const sql = `SELECT * FROM ${quote(entity.name)} WHERE ${condition} ORDER BY ${order.join(", ")} LIMIT ? OFFSET ?`;
+    return db
+      .prepare(sql)
+      .all(...params, args.first, args.skip)
+      .map((row) => toOutput(entity, row));
+  };
+
+  const queryFields = graphqlSchema.getQueryType().getFields();
+  for (const entity of schema.entities.values()) {
+    queryFields[singularName(entity.name)].resolve = (_, { id }) => loadRow(entity, id);
+    queryFields[pluralName(entity.name)].resolve = (_, args) => collection(entity, args);
+
+    const objectFields = graphqlSchema.getType(entity.name).getFields();
+    for (const field of entity.fields) {
+      const target = schema.entities.get(field.type);
+      if (field.derivedFrom) {
+        objectFields[field.name].resolve = (parent, args) =>
+          collection(target, args, { sql: `${quote(field.derivedFrom)} = ?`, params: [parent.id] });
+      } else if (field.kind === "entity") {
+        objectFields[field.name].resolve = (parent) => (parent[field.name] === null ? null : loadRow(target, parent[field.name]));
+      }
+    }
+  }
+
+  queryFields._meta.resolve = () => {
+    const meta = Object.fromEntries(db.prepare("SELECT key, value FROM _meta").all().map((r) => [r.key, r.value]));
+    const head = meta.head ? JSON.parse(meta.head) : { number: 0, hash: null, timestamp: null };
+    return { block: head, deployment, hasIndexingErrors: Boolean(meta.fatal_error) };
+  };
+
+  return graphqlSchema;
+}
+
+module.exports = { createGraphQLSchema, buildSdl, buildWhere, singularName, pluralName };
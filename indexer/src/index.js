@@ -0,0 +1,54 @@
+/**
+ * Equorum Protocol indexer
+ *
+ * Follows a v2 deployment over JSON-RPC, stores the subgraph's entities in SQLite and serves
+ * them over GraphQL with the subgraph's schema.
+ *
+ * Usage: node src/index.js <arbitrum-mainnet|arbitrum-sepolia|path/to/manifest.json>
+ */
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+const fs = require("fs");
+const { loadConfig } = require("./config");
+const { loadSchema } = require("./schema");
+const { openDatabase, Store } = require("./db");
+const { Indexer } = require("./indexer");
+const { createGraphQLSchema } = require("./graphql");
+const { createServer } = require("./server");
+const { DATA_SOURCES } = require("./mappings");
+
+async function main() {
+  const contractKeys = Object.fromEntries(Object.entries(DATA_SOURCES).map(([name, source]) => [name, source.contract]));
+  const config = loadConfig(process.argv[2] || process.env.INDEXER_DEPLOYMENT, contractKeys);
+  const schema = loadSchema();
+
+  fs.mkdirSync(path.dirname(config.database), { recursive: true });
+  const store = new Store(openDatabase(config.database, schema), schema);
+  const reader = openDatabase(config.database, schema, { readonly: true });
+
+  console.log(`Indexing ${config.network} (chainId ${config.chainId}) from block ${config.startBlock}`);
+  console.log(`RPC:      ${config.rpcUrl}`);
+  console.log(`Database: ${config.database}`);
+
+  const server = createServer(createGraphQLSchema(schema, reader, `equorum-indexer/${config.network}`));
+  server.listen(config.port, () => {
+    console.log(`GraphQL:  http://localhost:${config.port}/subgraphs/name/equorum-protocol\n`);
+  });
+
+  const indexer = new Indexer(config, store, schema);
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await indexer.run();
+  // run() only returns on its own after a fatal error; the API keeps serving what was indexed
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
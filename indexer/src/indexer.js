@@ -0,0 +1,307 @@
+/**
+ * Follows the v2 contracts over JSON-RPC and feeds their logs to the mappings.
+ *
+ * Logs are fetched in block ranges for every known contract: the static sources from the
+ * deployment manifest plus the series, escrows and routers discovered from creation events.
+ * A contract created mid-range has the rest of the range fetched for it on the spot, starting
+ * after the creating log, as graph-node does for templates.
+ *
+ * Blocks are committed one at a time. Inside the reorg window each commit records the block
+ * hash and the previous version of every entity it touched; every sync first checks the
+ * indexed head against the chain and reverts to the newest common block if it was replaced.
+ */
+const { Contract, Interface, JsonRpcProvider, isError } = require("ethers");
+const { EntityCache } = require("./entity-cache");
+const { DATA_SOURCES, TEMPLATES } = require("./mappings");
+
+// Addresses per eth_getLogs request
+const ADDRESS_BATCH = 500;
+// Provider errors that mean "ask for fewer blocks"
+const RANGE_ERROR = /range|limit|too many|exceed|10000|timeout/i;
+
+// A mapping threw: the data is wrong from here on, so indexing stops (graph-node's failed state)
+class HandlerError extends Error {
+  constructor(message, cause) {
+    super(message, { cause });
+    this.name = "HandlerError";
+  }
+}
+
+// An eth_call failed for a reason other than a revert; the block is retried
+class RpcError extends Error {
+  constructor(message, cause) {
+    super(message, { cause });
+    this.name = "RpcError";
+  }
+}
+
+// The chain changed under a range being indexed; the next sync reverts and retries
+class ChainMovedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ChainMovedError";
+  }
+}
+
+function byPosition(a, b) {
+  return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+function normalize(value) {
+  if (typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)) return value.toLowerCase();
+  if (Array.isArray(value)) return value.map(normalize);
+  return value;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class Indexer {
+  /**
+   * @param config loadConfig() result
+   * @param store db.js Store (read-write connection)
+   * @param schema loadSchema() result
+   */
+  constructor(config, store, schema, { provider, log = console.log } = {}) {
+    this.config = config;
+    this.store = store;
+    this.schema = schema;
+    this.provider = provider || new JsonRpcProvider(config.rpcUrl, config.chainId, { staticNetwork: true });
+    this.log = log;
+    this.stopped = false;
+
+    // topic0 -> { signature, fragment, handler } per data source or template name
+    this.handlers = {};
+    for (const [name, source] of Object.entries({ ...DATA_SOURCES, ...TEMPLATES })) {
+      const iface = new Interface(config.abis[name]);
+      this.handlers[name] = new Map();
+      for (const [signature, handler] of Object.entries(source.handlers)) {
+        const fragment = iface.getEvent(signature.replace(/indexed /g, ""));
+        const indexed = fragment.inputs.map((input) => (input.indexed ? "indexed " : "") + input.type).join(",");
+        if (`${fragment.name}(${indexed})` !== signature) {
+          throw new Error(`${name} ABI does not match ${signature}: recompile the contracts`);
+        }
+        this.handlers[name].set(fragment.topicHash, { signature, fragment, iface, handler });
+      }
+    }
+    this.loadDataSources();
+  }
+
+  // address -> data source or template name
+  loadDataSources() {
+    this.sources = new Map(Object.entries(this.config.contracts).map(([name, address]) => [address, name]));
+    for (const { address, template } of this.store.dataSources()) this.sources.set(address, template);
+  }
+
+  async run() {
+    const fatal = this.store.meta("fatal_error");
+    if (fatal) {
+      this.log(`Indexing stopped after a mapping error, delete the database to reindex: ${fatal}`);
+      return;
+    }
+
+    while (!this.stopped) {
+      try {
+        await this.sync();
+      } catch (err) {
+        if (err instanceof HandlerError) {
+          this.store.setMeta("fatal_error", err.message);
+          this.log(`Indexing stopped: ${err.message}`);
+          if (err.cause) this.log(err.cause.stack);
+          return;
+        }
+        this.log(err instanceof ChainMovedError ? err.message : `Sync failed, retrying: ${err.message}`);
+      }
+      if (!this.stopped) await sleep(this.config.pollInterval);
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  // Indexes everything up to the confirmed head
+  async sync() {
+    this.loadDataSources();
+    const latest = await this.provider.getBlockNumber();
+    const target = latest - this.config.confirmations;
+
+    let head = this.store.head();
+    if (head) head = await this.checkReorg(head);
+
+    let from = head ? head.number + 1 : this.config.startBlock;
+    while (from <= target && !this.stopped) {
+      const to = Math.min(from + this.config.blockRange - 1, target);
+      await this.indexRange(from, to, latest);
+      from = to + 1;
+    }
+  }
+
+  // Returns the head to continue from, reverting first if the indexed head left the chain
+  async checkReorg(head) {
+    const current = await this.provider.getBlock(head.number);
+    if (current && current.hash === head.hash) return head;
+
+    for (const block of this.store.recentBlocks()) {
+      const onChain = await this.provider.getBlock(block.number);
+      if (onChain && onChain.hash === block.hash) {
+        this.log(`Reorg: block ${head.number} replaced, reverting to ${block.number}`);
+        this.store.revertTo(block);
+        this.loadDataSources();
+        return block;
+      }
+    }
+    throw new HandlerError(
+      `Block ${head.number} left the chain and no common ancestor is within INDEXER_REORG_DEPTH (${this.config.reorgDepth})`
+    );
+  }
+
+  async indexRange(from, to, latest) {
+    const withHistory = to > latest - this.config.reorgDepth;
+    const queue = await this.fetchLogs([...this.sources.keys()], from, to);
+
+    while (queue.length > 0) {
+      const number = queue[0].blockNumber;
+      let count = 0;
+      while (count < queue.length && queue[count].blockNumber === number) count++;
+      await this.indexBlock(number, queue.splice(0, count), to, queue, number > latest - this.config.reorgDepth);
+    }
+
+    const head = this.store.head();
+    if (!head || head.number < to) {
+      this.store.commitBlock({ block: await this.getBlock(to), withHistory });
+    }
+    if (withHistory) this.store.prune(latest - this.config.reorgDepth);
+    this.log(`Indexed blocks ${from}-${to} (head ${latest})`);
+  }
+
+  /**
+   * Runs the mappings for one block's logs and commits the result.
+   * @param rangeEnd Last block of the current range; logs of contracts created in this block
+   *   are fetched up to it, and those of later blocks are merged into `queue`
+   */
+  async indexBlock(number, logs, rangeEnd, queue, withHistory) {
+    const block = await this.getBlock(number);
+    const senders = await this.transactionSenders(logs, block);
+
+    const cache = new EntityCache(this.schema, (type, id) => this.store.load(type, id));
+    const events = [];
+    const created = [];
+
+    const pending = [...logs];
+    while (pending.length > 0) {
+      const log = pending.shift();
+      const address = log.address.toLowerCase();
+      const name = this.sources.get(address);
+      const entry = name && this.handlers[name].get(log.topics[0]);
+      if (!entry) continue;
+
+      const decoded = entry.iface.decodeEventLog(entry.fragment, log.data, log.topics);
+      const params = {};
+      entry.fragment.inputs.forEach((input, i) => {
+        params[input.name] = normalize(decoded[i]);
+      });
+
+      const event = {
+        address,
+        logIndex: log.index,
+        params,
+        block: { number: BigInt(block.number), timestamp: BigInt(block.timestamp), hash: block.hash },
+        transaction: { hash: log.transactionHash, from: senders.get(log.transactionHash) },
+      };
+      const newSources = [];
+      const ctx = {
+        store: cache,
+        tryCall: (abi, target, method, args) => this.tryCall(abi, target, method, args, block.number),
+        createDataSource: (template, target) => {
+          if (this.sources.has(target)) return;
+          this.sources.set(target, template);
+          newSources.push(target);
+          created.push({ address: target, template, logIndex: log.index });
+        },
+      };
+
+      try {
+        await entry.handler(event, ctx);
+      } catch (err) {
+        if (err instanceof RpcError) throw err;
+        throw new HandlerError(`${name} ${entry.signature} at block ${number}, log ${log.index}: ${err.message}`, err);
+      }
+      events.push({
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        address,
+        dataSource: name,
+        signature: entry.signature,
+        params,
+      });
+
+      if (newSources.length > 0) {
+        const later = await this.fetchLogs(newSources, number, rangeEnd);
+        const sameBlock = later.filter((l) => l.blockNumber === number && l.index > log.index);
+        for (const sender of await this.transactionSenders(sameBlock, block)) senders.set(...sender);
+        pending.push(...sameBlock);
+        pending.sort(byPosition);
+        queue.push(...later.filter((l) => l.blockNumber > number));
+        queue.sort(byPosition);
+      }
+    }
+
+    this.store.commitBlock({ block, changes: cache.changes(), events, dataSources: created, withHistory });
+  }
+
+  // ============================================
+  // RPC
+  // ============================================
+
+  async getBlock(number) {
+    const block = await this.provider.getBlock(number);
+    if (!block) throw new ChainMovedError(`Block ${number} is not available yet`);
+    return { number: block.number, hash: block.hash, timestamp: block.timestamp };
+  }
+
+  async fetchLogs(addresses, from, to) {
+    const logs = [];
+    for (let i = 0; i < addresses.length; i += ADDRESS_BATCH) {
+      logs.push(...(await this.getLogs(addresses.slice(i, i + ADDRESS_BATCH), from, to)));
+    }
+    return logs.filter((log) => !log.removed).sort(byPosition);
+  }
+
+  async getLogs(address, from, to) {
+    try {
+      return await this.provider.getLogs({ address, fromBlock: from, toBlock: to });
+    } catch (err) {
+      if (from === to || !RANGE_ERROR.test(err.message)) throw err;
+      const middle = Math.floor((from + to) / 2);
+      return [...(await this.getLogs(address, from, middle)), ...(await this.getLogs(address, middle + 1, to))];
+    }
+  }
+
+  // tx hash -> lowercase sender, for RevenueDistribution.from; also checks the logs' block hash
+  async transactionSenders(logs, block) {
+    for (const log of logs) {
+      if (log.blockHash !== block.hash) {
+        throw new ChainMovedError(`Block ${block.number} changed while it was being indexed, retrying`);
+      }
+    }
+    const hashes = [...new Set(logs.map((log) => log.transactionHash))];
+    const transactions = await Promise.all(hashes.map((hash) => this.provider.getTransaction(hash)));
+    return new Map(hashes.map((hash, i) => [hash, transactions[i].from.toLowerCase()]));
+  }
+
+  // Like graph-ts's try_ calls: a view function evaluated at the event's block
+  async tryCall(abi, address, method, args = [], blockTag) {
+    const contract = new Contract(address, this.config.abis[abi], this.provider);
+    try {
+      const value = await contract.getFunction(method).staticCall(...args, { blockTag });
+      return { reverted: false, value: normalize(typeof value?.toArray === "function" ? value.toArray() : value) };
+    } catch (err) {
+      if (isError(err, "CALL_EXCEPTION")) return { reverted: true, value: null };
+      throw new RpcError(`${abi}.${method}() on ${address} at block ${blockTag}: ${err.message}`, err);
+    }
+  }
+}
+
+module.exports = { Indexer };
@@ -0,0 +1,190 @@
+// Port of subgraph/src/aggregates.ts
+const { BigDecimal } = require("../decimal");
+
+// Kept local: helpers.js calls into this module, so importing its constants back would be circular
+const ZERO_BD = BigDecimal.fromString("0");
+const ZERO_BI = 0n;
+const ONE_BI = 1n;
+const PROTOCOL_STATS_ID = "protocol-stats";
+const SECONDS_PER_DAY = 86400n;
+const SECONDS_PER_HOUR = 3600n;
+
+// Volume fields every period entity starts at zero with
+const SERIES_VOLUMES = {
+  revenueRouted: ZERO_BD,
+  routingCount: ZERO_BI,
+  revenueDistributed: ZERO_BD,
+  distributionCount: ZERO_BI,
+  revenueClaimed: ZERO_BD,
+  claimCount: ZERO_BI,
+  purchaseVolume: ZERO_BD,
+  tokensPurchased: ZERO_BD,
+  purchaseCount: ZERO_BI,
+};
+
+const DAY_VOLUMES = {
+  revenueRouted: ZERO_BD,
+  routingCount: ZERO_BI,
+  revenueDistributed: ZERO_BD,
+  distributionCount: ZERO_BI,
+  revenueClaimed: ZERO_BD,
+  claimCount: ZERO_BI,
+  purchaseVolume: ZERO_BD,
+  purchaseCount: ZERO_BI,
+  capitalRaised: ZERO_BD,
+  newSeriesCreated: ZERO_BI,
+};
+
+// ============================================
+// PERIOD ENTITIES
+// ============================================
+// Each loader creates the period on its first event and refreshes the end-of-period
+// fields on every call, so they always hold the value after the last event in the period.
+// Callers must save the series, protocol and ProtocolStats before updating aggregates.
+
+function loadSeriesDayData(store, series, timestamp) {
+  const day = timestamp / SECONDS_PER_DAY;
+  const id = series.id + "-" + day;
+  let data = store.load("SeriesDayData", id);
+  if (data === null) {
+    data = { id, series: series.id, date: day * SECONDS_PER_DAY, ...SERIES_VOLUMES };
+  }
+  data.totalRevenueDistributed = series.totalRevenueDistributed;
+  data.totalRevenueClaimed = series.totalRevenueClaimed;
+  data.revenuePerTokenStored = series.revenuePerTokenStored;
+  data.revenuePerTokenIndex = series.revenuePerTokenIndex;
+  return data;
+}
+
+function loadSeriesHourData(store, series, timestamp) {
+  const hour = timestamp / SECONDS_PER_HOUR;
+  const id = series.id + "-" + hour;
+  let data = store.load("SeriesHourData", id);
+  if (data === null) {
+    data = { id, series: series.id, hourStart: hour * SECONDS_PER_HOUR, ...SERIES_VOLUMES };
+  }
+  data.totalRevenueDistributed = series.totalRevenueDistributed;
+  data.totalRevenueClaimed = series.totalRevenueClaimed;
+  data.revenuePerTokenStored = series.revenuePerTokenStored;
+  data.revenuePerTokenIndex = series.revenuePerTokenIndex;
+  return data;
+}
+
+function loadProtocolDayData(store, protocolId, timestamp) {
+  const day = timestamp / SECONDS_PER_DAY;
+  const id = protocolId + "-" + day;
+  let data = store.load("ProtocolDayData", id);
+  if (data === null) {
+    data = {
+      id,
+      protocol: protocolId,
+      date: day * SECONDS_PER_DAY,
+      ...DAY_VOLUMES,
+      totalRevenueShared: ZERO_BD,
+      totalCapitalRaised: ZERO_BD,
+      seriesCount: ZERO_BI,
+    };
+  }
+  const protocol = store.load("Protocol", protocolId);
+  if (protocol !== null) {
+    data.totalRevenueShared = protocol.totalRevenueShared;
+    data.totalCapitalRaised = protocol.totalCapitalRaised;
+    data.seriesCount = protocol.seriesCount;
+  }
+  return data;
+}
+
+function loadEquorumDayData(store, timestamp) {
+  const day = timestamp / SECONDS_PER_DAY;
+  const id = day.toString();
+  let data = store.load("EquorumDayData", id);
+  if (data === null) {
+    data = {
+      id,
+      date: day * SECONDS_PER_DAY,
+      ...DAY_VOLUMES,
+      totalRevenueBondsCreated: ZERO_BI,
+      totalCapitalRaised: ZERO_BD,
+      totalRevenueDistributed: ZERO_BD,
+      activeSeries: ZERO_BI,
+    };
+  }
+  const stats = store.load("ProtocolStats", PROTOCOL_STATS_ID);
+  if (stats !== null) {
+    data.totalRevenueBondsCreated = stats.totalRevenueBondsCreated;
+    data.totalCapitalRaised = stats.totalCapitalRaised;
+    data.totalRevenueDistributed = stats.totalRevenueDistributed;
+    data.activeSeries = stats.totalActiveSeries;
+  }
+  return data;
+}
+
+// Adds `volumes` ({ field: BigDecimal | bigint }) to the series hour and day, the protocol
+// day and the global day. Fields a period type does not have are skipped.
+function addVolumes(store, series, timestamp, volumes, { seriesPeriods = true } = {}) {
+  const periods = [];
+  if (seriesPeriods) {
+    periods.push(["SeriesDayData", loadSeriesDayData(store, series, timestamp)]);
+    periods.push(["SeriesHourData", loadSeriesHourData(store, series, timestamp)]);
+  }
+  periods.push(["ProtocolDayData", loadProtocolDayData(store, series.protocol, timestamp)]);
+  periods.push(["EquorumDayData", loadEquorumDayData(store, timestamp)]);
+
+  for (const [type, data] of periods) {
+    for (const [field, amount] of Object.entries(volumes)) {
+      if (!(field in data)) continue;
+      data[field] = typeof amount === "bigint" ? data[field] + amount : data[field].plus(amount);
+    }
+    store.save(type, data);
+  }
+}
+
+// ============================================
+// UPDATES
+// ============================================
+
+function updateDistributionData(store, series, timestamp, amount) {
+  addVolumes(store, series, timestamp, { revenueDistributed: amount, distributionCount: ONE_BI });
+}
+
+// Successful routings only; the series share is what RevenueRouted sent to the series
+function updateRoutingData(store, series, timestamp, seriesAmount) {
+  addVolumes(store, series, timestamp, { revenueRouted: seriesAmount, routingCount: ONE_BI });
+}
+
+function updateClaimData(store, series, timestamp, amount) {
+  addVolumes(store, series, timestamp, { revenueClaimed: amount, claimCount: ONE_BI });
+}
+
+// ethPaid is the full sale price, including the fee sent to the treasury
+function updatePurchaseData(store, series, timestamp, ethPaid, tokenAmount) {
+  // tokensPurchased only exists on the series periods
+  addVolumes(store, series, timestamp, {
+    purchaseVolume: ethPaid,
+    tokensPurchased: tokenAmount,
+    purchaseCount: ONE_BI,
+  });
+}
+
+function updateSeriesCreatedData(store, series, timestamp) {
+  addVolumes(store, series, timestamp, { newSeriesCreated: ONE_BI }, { seriesPeriods: false });
+}
+
+function updateCapitalData(store, series, timestamp, amount) {
+  addVolumes(store, series, timestamp, { capitalRaised: amount }, { seriesPeriods: false });
+}
+
+// Refreshes the global end-of-day totals after a state change with no volume (maturity, default)
+function updateEquorumDayData(store, timestamp) {
+  store.save("EquorumDayData", loadEquorumDayData(store, timestamp));
+}
+
+module.exports = {
+  updateDistributionData,
+  updateRoutingData,
+  updateClaimData,
+  updatePurchaseData,
+  updateSeriesCreatedData,
+  updateCapitalData,
+  updateEquorumDayData,
+};
@@ -0,0 +1,107 @@
+// Port of subgraph/src/escrow-factory.ts
+const { ZERO_BD, ZERO_BI, ONE_BI, SECONDS_PER_DAY, createSeries, isZeroAddress, toDecimal } = require("./helpers");
+const { loadFactory } = require("./factory");
+
+// FEE_ESCROW_CREATION in RevenueBondEscrowFactory
+const FEE_ESCROW_CREATION = 1n;
+
+const ABI = "RevenueBondEscrowFactory";
+
+// ============================================
+// HYBRID BONDS (RevenueBondEscrowFactory)
+// ============================================
+
+async function handleEscrowSeriesCreated(event, ctx) {
+  const { store } = ctx;
+  const seriesAddress = event.params.series;
+  const routerAddress = event.params.router;
+
+  // Name, symbol and the escrow terms are not part of the event
+  const call = (method) => ctx.tryCall("RevenueBondEscrow", seriesAddress, method);
+  const name = await call("name");
+  const symbol = await call("symbol");
+  const minDistribution = await call("minDistributionAmount");
+  const minPurchase = await call("minPurchaseAmount");
+  const depositDeadline = await call("depositDeadline");
+
+  const series = createSeries(store, event, {
+    seriesAddress,
+    routerAddress,
+    protocolAddress: event.params.protocol,
+    name: name.reverted ? "" : name.value,
+    symbol: symbol.reverted ? "" : symbol.value,
+    bondType: "HYBRID",
+    revenueShareBPS: event.params.revenueShareBPS,
+    durationDays: event.params.durationDays,
+    totalSupply: event.params.totalSupply,
+    minDistributionAmount: minDistribution.reverted ? ZERO_BI : minDistribution.value,
+  });
+
+  store.save("RevenueBondEscrow", {
+    id: seriesAddress,
+    series: series.id,
+    principalAmount: toDecimal(event.params.principalAmount),
+    minPurchaseAmount: minPurchase.reverted ? ZERO_BD : toDecimal(minPurchase.value),
+    depositDeadline: depositDeadline.reverted ? ZERO_BI : depositDeadline.value,
+    // The escrow sets depositDeadline = block.timestamp + depositDeadlineDays * 1 days
+    depositDeadlineDays: depositDeadline.reverted
+      ? ZERO_BI
+      : (depositDeadline.value - event.block.timestamp) / SECONDS_PER_DAY,
+    state: "PendingPrincipal",
+    principalDeposited: false,
+    principalDepositedAt: null,
+    totalPrincipalClaimed: ZERO_BD,
+    principalClaimCount: ZERO_BI,
+    dustRescued: ZERO_BD,
+    dustRescuedAt: null,
+  });
+
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp, ABI);
+  factory.totalSeriesCreated = factory.totalSeriesCreated + ONE_BI;
+  factory.lastSeriesCreatedAt = event.block.timestamp;
+  store.save("FactoryStats", factory);
+
+  // Start indexing the new contracts
+  ctx.createDataSource("RevenueBondEscrow", seriesAddress);
+  ctx.createDataSource("RevenueRouter", routerAddress);
+}
+
+// ============================================
+// FACTORY CONFIGURATION
+// ============================================
+
+async function handleFeeCollected(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp, ABI);
+  const fee = toDecimal(event.params.amount);
+  factory.totalFeesCollected = factory.totalFeesCollected.plus(fee);
+  if (event.params.feeType === FEE_ESCROW_CREATION) {
+    factory.creationFeeETH = fee;
+  }
+  ctx.store.save("FactoryStats", factory);
+}
+
+async function handleFeePolicyUpdated(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp, ABI);
+  factory.feesEnabled = !isZeroAddress(event.params.newPolicy);
+  ctx.store.save("FactoryStats", factory);
+}
+
+async function handleTreasuryUpdated(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp, ABI);
+  factory.treasury = event.params.newTreasury;
+  ctx.store.save("FactoryStats", factory);
+}
+
+async function handleReputationRegistryUpdated(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp, ABI);
+  factory.reputationRegistry = event.params.newRegistry;
+  ctx.store.save("FactoryStats", factory);
+}
+
+module.exports = {
+  handleEscrowSeriesCreated,
+  handleFeeCollected,
+  handleFeePolicyUpdated,
+  handleTreasuryUpdated,
+  handleReputationRegistryUpdated,
+};
@@ -0,0 +1,114 @@
+// Port of subgraph/src/factory.ts
+const {
+  ZERO_BI,
+  ONE_BI,
+  ZERO_ADDRESS,
+  createSeries,
+  getOrCreateFactoryStats,
+  isZeroAddress,
+  recordTransfer,
+  toDecimal,
+} = require("./helpers");
+
+// ============================================
+// SOFT BONDS (RevenueSeriesFactory)
+// ============================================
+
+async function handleSeriesCreated(event, ctx) {
+  const { store } = ctx;
+  const seriesAddress = event.params.series;
+  const routerAddress = event.params.router;
+
+  const minDistribution = await ctx.tryCall("RevenueSeries", seriesAddress, "minDistributionAmount");
+
+  const series = createSeries(store, event, {
+    seriesAddress,
+    routerAddress,
+    protocolAddress: event.params.protocol,
+    name: event.params.name,
+    symbol: event.params.symbol,
+    bondType: "SOFT",
+    revenueShareBPS: event.params.revenueShareBPS,
+    durationDays: event.params.durationDays,
+    totalSupply: event.params.totalSupply,
+    minDistributionAmount: minDistribution.reverted ? ZERO_BI : minDistribution.value,
+  });
+
+  // The constructor mints the whole supply to the protocol before the template exists
+  recordTransfer(store, series, ZERO_ADDRESS, event.params.protocol, event.params.totalSupply, event.block.timestamp);
+
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp);
+  factory.totalSeriesCreated = factory.totalSeriesCreated + ONE_BI;
+  factory.lastSeriesCreatedAt = event.block.timestamp;
+  store.save("FactoryStats", factory);
+
+  // Start indexing the new contracts
+  ctx.createDataSource("RevenueSeries", seriesAddress);
+  ctx.createDataSource("RevenueRouter", routerAddress);
+}
+
+// ============================================
+// FACTORY CONFIGURATION
+// ============================================
+
+async function handleFeeCollected(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp);
+  const fee = toDecimal(event.params.amount);
+  factory.totalFeesCollected = factory.totalFeesCollected.plus(fee);
+  if (event.params.feeType === "creation") {
+    factory.creationFeeETH = fee;
+  }
+  ctx.store.save("FactoryStats", factory);
+}
+
+async function handleFeePolicyUpdated(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp);
+  factory.feesEnabled = !isZeroAddress(event.params.newPolicy);
+  ctx.store.save("FactoryStats", factory);
+}
+
+async function handleTreasuryUpdated(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp);
+  factory.treasury = event.params.newTreasury;
+  ctx.store.save("FactoryStats", factory);
+}
+
+async function handleReputationRegistryUpdated(event, ctx) {
+  const factory = await loadFactory(ctx, event.address, event.block.timestamp);
+  factory.reputationRegistry = event.params.newRegistry;
+  ctx.store.save("FactoryStats", factory);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Shared with escrow-factory.js: both factories expose the same configuration getters
+async function loadFactory(ctx, address, timestamp, abi = "RevenueSeriesFactory") {
+  const existing = ctx.store.load("FactoryStats", address);
+  if (existing !== null) return existing;
+
+  // First sighting: read the configuration the factory was deployed with
+  const treasury = await ctx.tryCall(abi, address, "treasury");
+  const registry = await ctx.tryCall(abi, address, "reputationRegistry");
+  const feePolicy = await ctx.tryCall(abi, address, "feePolicy");
+
+  const factory = getOrCreateFactoryStats(
+    ctx.store,
+    address,
+    treasury.reverted ? ZERO_ADDRESS : treasury.value,
+    registry.reverted ? ZERO_ADDRESS : registry.value,
+    timestamp
+  );
+  factory.feesEnabled = !feePolicy.reverted && !isZeroAddress(feePolicy.value);
+  return factory;
+}
+
+module.exports = {
+  handleSeriesCreated,
+  handleFeeCollected,
+  handleFeePolicyUpdated,
+  handleTreasuryUpdated,
+  handleReputationRegistryUpdated,
+  loadFactory,
+};
@@ -0,0 +1,432 @@
+// Port of subgraph/src/helpers.ts. Entities are plain objects: BigInt fields hold bigints,
+// BigDecimal fields BigDecimal instances and Bytes fields lowercase hex strings.
+const { BigDecimal } = require("../decimal");
+const {
+  updateClaimData,
+  updateDistributionData,
+  updateEquorumDayData,
+  updateSeriesCreatedData,
+} = require("./aggregates");
+
+// Constants
+const ZERO_BD = BigDecimal.fromString("0");
+const ZERO_BI = 0n;
+const ONE_BI = 1n;
+const PROTOCOL_STATS_ID = "protocol-stats";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const SECONDS_PER_DAY = 86400n;
+// Fixed-point scale the contracts use for ratios and revenuePerToken (1e18)
+const PRECISION = 10n ** 18n;
+
+const WEI_PER_ETH = BigDecimal.fromString("1e18");
+const BPS_PER_PERCENT = BigDecimal.fromString("100");
+
+// ============================================
+// CONVERSIONS
+// ============================================
+
+// ETH and series token amounts both have 18 decimals
+function toDecimal(value) {
+  return BigDecimal.fromBigInt(value).div(WEI_PER_ETH);
+}
+
+// Event entity ids are tx.hash + "-" + logIndex
+function eventId(event) {
+  return event.transaction.hash + "-" + event.logIndex;
+}
+
+// ============================================
+// LOAD OR CREATE
+// ============================================
+
+function getOrCreateProtocol(store, address, timestamp) {
+  let protocol = store.load("Protocol", address);
+  if (protocol === null) {
+    protocol = {
+      id: address,
+      address,
+      seriesCount: ZERO_BI,
+      totalCapitalRaised: ZERO_BD,
+      totalRevenueShared: ZERO_BD,
+      reputationScore: ZERO_BI,
+      totalRevenueDelivered: ZERO_BD,
+      totalRevenueExpected: ZERO_BD,
+      deliveryRate: ZERO_BD,
+      onTimeDeliveries: ZERO_BI,
+      lateDeliveries: ZERO_BI,
+      missedDeliveries: ZERO_BI,
+      blacklisted: false,
+      blacklistedReason: null,
+      blacklistedAt: null,
+      registeredSeriesCount: ZERO_BI,
+      totalRevenuePromisedRaw: ZERO_BI,
+      totalRevenueDeliveredRaw: ZERO_BI,
+      weightedRevenueDeliveredRaw: ZERO_BI,
+      lastPaymentTimestamp: ZERO_BI,
+      createdAt: timestamp,
+      lastActivityTimestamp: timestamp,
+    };
+  }
+  return protocol;
+}
+
+function getOrCreateProtocolStats(store, block) {
+  let stats = store.load("ProtocolStats", PROTOCOL_STATS_ID);
+  if (stats === null) {
+    stats = {
+      id: PROTOCOL_STATS_ID,
+      totalRevenueBondsCreated: ZERO_BI,
+      totalCapitalRaised: ZERO_BD,
+      totalRevenueDistributed: ZERO_BD,
+      totalActiveSeries: ZERO_BI,
+      totalMaturedSeries: ZERO_BI,
+      totalDefaultedSeries: ZERO_BI,
+      totalProtocolsFunded: ZERO_BI,
+      averageDeliveryRate: ZERO_BD,
+    };
+  }
+  stats.lastUpdatedTimestamp = block.timestamp;
+  stats.lastUpdatedBlock = block.number;
+  return stats;
+}
+
+function getOrCreateFactoryStats(store, address, treasury, reputationRegistry, timestamp) {
+  let factory = store.load("FactoryStats", address);
+  if (factory === null) {
+    factory = {
+      id: address,
+      address,
+      treasury,
+      reputationRegistry,
+      creationFeeETH: ZERO_BD,
+      feesEnabled: false,
+      totalSeriesCreated: ZERO_BI,
+      totalFeesCollected: ZERO_BD,
+      // First event seen from the factory; the deploy itself emits nothing we index
+      deployedAt: timestamp,
+      lastSeriesCreatedAt: ZERO_BI,
+    };
+  }
+  return factory;
+}
+
+// ============================================
+// SERIES CREATION (SHARED BY BOTH FACTORIES)
+// ============================================
+
+/**
+ * @param params { seriesAddress, routerAddress, protocolAddress, name, symbol, bondType,
+ *   revenueShareBPS, durationDays, totalSupply, minDistributionAmount }
+ */
+function createSeries(store, event, params) {
+  const timestamp = event.block.timestamp;
+
+  // ============================================
+  // 1. CREATE OR UPDATE PROTOCOL
+  // ============================================
+  const protocol = getOrCreateProtocol(store, params.protocolAddress, timestamp);
+  protocol.seriesCount = protocol.seriesCount + ONE_BI;
+  protocol.lastActivityTimestamp = timestamp;
+  store.save("Protocol", protocol);
+
+  // ============================================
+  // 2. CREATE REVENUE SERIES ENTITY
+  // ============================================
+  const series = {
+    id: params.seriesAddress,
+    name: params.name,
+    symbol: params.symbol,
+    bondType: params.bondType,
+    protocol: protocol.id,
+    protocolAddress: params.protocolAddress,
+    router: params.routerAddress,
+    routerAddress: params.routerAddress,
+
+    revenueShareBPS: params.revenueShareBPS,
+    revenueSharePercentage: BigDecimal.fromBigInt(params.revenueShareBPS).div(BPS_PER_PERCENT),
+    durationDays: params.durationDays,
+    totalSupply: toDecimal(params.totalSupply),
+    totalSupplyRaw: params.totalSupply,
+    minDistributionAmount: toDecimal(params.minDistributionAmount),
+
+    // Both series contracts set maturityDate = block.timestamp + durationDays * 1 days
+    createdAt: timestamp,
+    createdAtBlock: event.block.number,
+    maturityDate: timestamp + params.durationDays * SECONDS_PER_DAY,
+
+    // An escrow only goes live when its principal is deposited (handlePrincipalDeposited)
+    state: "Active",
+    isActive: params.bondType !== "HYBRID",
+
+    totalRevenueReceived: ZERO_BD,
+    totalRevenueDistributed: ZERO_BD,
+    totalRevenueClaimed: ZERO_BD,
+    revenuePerTokenStored: ZERO_BD,
+    revenuePerTokenIndex: ZERO_BI,
+
+    distributionCount: ZERO_BI,
+    lastDistributionTimestamp: ZERO_BI,
+    averageDistributionAmount: ZERO_BD,
+
+    holderCount: ZERO_BI,
+    claimCount: ZERO_BI,
+
+    estimatedAPY: null,
+    escrow: params.bondType === "HYBRID" ? params.seriesAddress : null,
+  };
+  store.save("RevenueSeries", series);
+
+  // ============================================
+  // 3. CREATE REVENUE ROUTER ENTITY
+  // ============================================
+  store.save("RevenueRouter", {
+    id: params.routerAddress,
+    protocol: protocol.id,
+    series: series.id,
+    revenueShareBPS: params.revenueShareBPS,
+    totalRevenueReceived: ZERO_BD,
+    totalRoutedToSeries: ZERO_BD,
+    totalReturnedToProtocol: ZERO_BD,
+    owedToSeries: ZERO_BD,
+    pendingToRoute: ZERO_BD,
+    routingCount: ZERO_BI,
+    failedRouteCount: ZERO_BI,
+    lastRoutingTimestamp: ZERO_BI,
+  });
+
+  // ============================================
+  // 4. UPDATE GLOBAL STATS
+  // ============================================
+  const stats = getOrCreateProtocolStats(store, event.block);
+  stats.totalRevenueBondsCreated = stats.totalRevenueBondsCreated + ONE_BI;
+  if (series.isActive) {
+    stats.totalActiveSeries = stats.totalActiveSeries + ONE_BI;
+  }
+  // Count each issuer once, on its first series
+  if (protocol.seriesCount === ONE_BI) {
+    stats.totalProtocolsFunded = stats.totalProtocolsFunded + ONE_BI;
+  }
+  store.save("ProtocolStats", stats);
+
+  updateSeriesCreatedData(store, series, timestamp);
+
+  return series;
+}
+
+// ============================================
+// SERIES EVENTS (SHARED BY SOFT AND HYBRID BONDS)
+// ============================================
+
+function recordDistribution(store, series, event, value) {
+  const amount = toDecimal(value);
+
+  // Same accumulator as the contract: revenuePerTokenStored += msg.value * 1e18 / totalSupply().
+  // Supply is fixed while a series can receive revenue (escrow burns only after maturity).
+  const revenuePerTokenRaw = series.totalSupplyRaw > ZERO_BI ? (value * PRECISION) / series.totalSupplyRaw : ZERO_BI;
+  const revenuePerToken = toDecimal(revenuePerTokenRaw);
+
+  // ============================================
+  // 1. UPDATE SERIES METRICS
+  // ============================================
+  series.totalRevenueReceived = series.totalRevenueReceived.plus(amount);
+  series.totalRevenueDistributed = series.totalRevenueDistributed.plus(amount);
+  series.revenuePerTokenIndex = series.revenuePerTokenIndex + revenuePerTokenRaw;
+  series.revenuePerTokenStored = toDecimal(series.revenuePerTokenIndex);
+  series.distributionCount = series.distributionCount + ONE_BI;
+  series.lastDistributionTimestamp = event.block.timestamp;
+  series.averageDistributionAmount = series.totalRevenueReceived.div(BigDecimal.fromBigInt(series.distributionCount));
+  store.save("RevenueSeries", series);
+
+  // ============================================
+  // 2. CREATE DISTRIBUTION EVENT
+  // ============================================
+  store.save("RevenueDistribution", {
+    id: eventId(event),
+    series: series.id,
+    amount,
+    revenuePerToken,
+    timestamp: event.block.timestamp,
+    blockNumber: event.block.number,
+    transactionHash: event.transaction.hash,
+    from: event.transaction.from,
+  });
+
+  // ============================================
+  // 3. UPDATE PROTOCOL METRICS
+  // ============================================
+  const protocol = store.load("Protocol", series.protocol);
+  if (protocol !== null) {
+    protocol.totalRevenueShared = protocol.totalRevenueShared.plus(amount);
+    protocol.lastActivityTimestamp = event.block.timestamp;
+    store.save("Protocol", protocol);
+  }
+
+  // ============================================
+  // 4. UPDATE GLOBAL STATS
+  // ============================================
+  const stats = getOrCreateProtocolStats(store, event.block);
+  stats.totalRevenueDistributed = stats.totalRevenueDistributed.plus(amount);
+  store.save("ProtocolStats", stats);
+
+  updateDistributionData(store, series, event.block.timestamp, amount);
+}
+
+function recordClaim(store, series, event, user, value) {
+  const amount = toDecimal(value);
+
+  series.totalRevenueClaimed = series.totalRevenueClaimed.plus(amount);
+  series.claimCount = series.claimCount + ONE_BI;
+  store.save("RevenueSeries", series);
+
+  // _claimFor() settles the holder's rewards and pays all of them out
+  const holder = getOrCreateHolder(store, series, user, event.block.timestamp);
+  checkpointRewards(series, holder);
+  holder.rewards = ZERO_BI;
+  holder.totalRevenueClaimed = holder.totalRevenueClaimed.plus(amount);
+  holder.claimCount = holder.claimCount + ONE_BI;
+  holder.lastClaimTimestamp = event.block.timestamp;
+  store.save("SeriesHolder", holder);
+
+  store.save("RevenueClaim", {
+    id: eventId(event),
+    series: series.id,
+    holder: holder.id,
+    amount,
+    holderAddress: user,
+    timestamp: event.block.timestamp,
+    blockNumber: event.block.number,
+    transactionHash: event.transaction.hash,
+  });
+
+  updateClaimData(store, series, event.block.timestamp, amount);
+}
+
+function recordMaturity(store, series, block) {
+  if (series.state === "Matured") return;
+
+  const wasActive = series.isActive;
+  series.state = "Matured";
+  series.isActive = false;
+  store.save("RevenueSeries", series);
+
+  const stats = getOrCreateProtocolStats(store, block);
+  if (wasActive) {
+    stats.totalActiveSeries = stats.totalActiveSeries - ONE_BI;
+  }
+  stats.totalMaturedSeries = stats.totalMaturedSeries + ONE_BI;
+  store.save("ProtocolStats", stats);
+
+  updateEquorumDayData(store, block.timestamp);
+}
+
+function recordTransfer(store, series, from, to, value, timestamp) {
+  // _update() checkpoints both sides before moving the balance; mints and burns skip address(0)
+  if (from !== ZERO_ADDRESS) {
+    updateHolder(store, series, from, -value, timestamp);
+  }
+  if (to !== ZERO_ADDRESS) {
+    updateHolder(store, series, to, value, timestamp);
+  }
+}
+
+// ============================================
+// HOLDERS
+// ============================================
+
+function getOrCreateHolder(store, series, address, timestamp) {
+  const holderId = series.id + "-" + address;
+  let holder = store.load("SeriesHolder", holderId);
+  if (holder === null) {
+    holder = {
+      id: holderId,
+      series: series.id,
+      holder: address,
+      balance: ZERO_BD,
+      balanceRaw: ZERO_BI,
+      balancePercentage: ZERO_BD,
+      totalRevenueClaimed: ZERO_BD,
+      claimCount: ZERO_BI,
+      lastClaimTimestamp: ZERO_BI,
+      userRevenuePerTokenPaid: ZERO_BI,
+      rewards: ZERO_BI,
+      principalClaimed: false,
+      principalClaimedAmount: null,
+      principalClaimedAt: null,
+      firstAcquiredAt: timestamp,
+      lastAcquiredAt: timestamp,
+      lastTransferTimestamp: timestamp,
+    };
+  }
+  return holder;
+}
+
+// Mirrors _updateRewards(): accrue what the current balance earned since the last checkpoint
+function checkpointRewards(series, holder) {
+  const delta = series.revenuePerTokenIndex - holder.userRevenuePerTokenPaid;
+  if (delta > ZERO_BI) {
+    holder.rewards = holder.rewards + (holder.balanceRaw * delta) / PRECISION;
+  }
+  holder.userRevenuePerTokenPaid = series.revenuePerTokenIndex;
+}
+
+function updateHolder(store, series, address, balanceChange, timestamp) {
+  const holder = getOrCreateHolder(store, series, address, timestamp);
+  checkpointRewards(series, holder);
+
+  const wasHolding = holder.balanceRaw > ZERO_BI;
+  holder.balanceRaw = holder.balanceRaw + balanceChange;
+  holder.balance = toDecimal(holder.balanceRaw);
+  const isHolding = holder.balanceRaw > ZERO_BI;
+
+  if (series.totalSupply.gt(ZERO_BD)) {
+    holder.balancePercentage = holder.balance.div(series.totalSupply).times(BPS_PER_PERCENT);
+  }
+  if (balanceChange > ZERO_BI) {
+    holder.lastAcquiredAt = timestamp;
+  }
+  holder.lastTransferTimestamp = timestamp;
+  store.save("SeriesHolder", holder);
+
+  // Live holder count: addresses with a non-zero balance
+  if (!wasHolding && isHolding) {
+    series.holderCount = series.holderCount + ONE_BI;
+    store.save("RevenueSeries", series);
+  } else if (wasHolding && !isHolding) {
+    series.holderCount = series.holderCount - ONE_BI;
+    store.save("RevenueSeries", series);
+  }
+}
+
+function markPrincipalClaimed(store, series, address, amount, timestamp) {
+  const holder = getOrCreateHolder(store, series, address, timestamp);
+  holder.principalClaimed = true;
+  holder.principalClaimedAmount = amount;
+  holder.principalClaimedAt = timestamp;
+  store.save("SeriesHolder", holder);
+}
+
+function isZeroAddress(address) {
+  return address === ZERO_ADDRESS;
+}
+
+module.exports = {
+  ZERO_BD,
+  ZERO_BI,
+  ONE_BI,
+  PROTOCOL_STATS_ID,
+  ZERO_ADDRESS,
+  SECONDS_PER_DAY,
+  PRECISION,
+  toDecimal,
+  eventId,
+  getOrCreateProtocol,
+  getOrCreateProtocolStats,
+  getOrCreateFactoryStats,
+  createSeries,
+  recordDistribution,
+  recordClaim,
+  recordMaturity,
+  recordTransfer,
+  markPrincipalClaimed,
+  isZeroAddress,
+};
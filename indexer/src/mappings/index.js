@@ -0,0 +1,81 @@
+// Data sources and event handlers, as declared in subgraph/subgraph.template.yaml. Static
+// sources are read from the deployment manifest; templates are created by the factory mappings.
+const factory = require("./factory");
+const escrowFactory = require("./escrow-factory");
+const registry = require("./reputation-registry");
+const series = require("./revenue-series");
+const escrow = require("./revenue-bond-escrow");
+const router = require("./revenue-router");
+
+const DATA_SOURCES = {
+  RevenueSeriesFactory: {
+    // Key in the deployment manifest's `contracts`
+    contract: "revenueSeriesFactory",
+    handlers: {
+      "SeriesCreated(indexed address,indexed address,indexed address,string,string,uint256,uint256,uint256)":
+        factory.handleSeriesCreated,
+      "FeeCollected(indexed address,indexed address,uint256,string)": factory.handleFeeCollected,
+      "FeePolicyUpdated(indexed address,indexed address)": factory.handleFeePolicyUpdated,
+      "TreasuryUpdated(indexed address,indexed address)": factory.handleTreasuryUpdated,
+      "ReputationRegistryUpdated(indexed address,indexed address)": factory.handleReputationRegistryUpdated,
+    },
+  },
+  RevenueBondEscrowFactory: {
+    contract: "revenueBondEscrowFactory",
+    handlers: {
+      "EscrowSeriesCreated(indexed address,indexed address,indexed address,uint256,uint256,uint256,uint256)":
+        escrowFactory.handleEscrowSeriesCreated,
+      "FeeCollected(indexed address,indexed address,uint256,uint8)": escrowFactory.handleFeeCollected,
+      "FeePolicyUpdated(indexed address,indexed address)": escrowFactory.handleFeePolicyUpdated,
+      "TreasuryUpdated(indexed address,indexed address)": escrowFactory.handleTreasuryUpdated,
+      "ReputationRegistryUpdated(indexed address,indexed address)": escrowFactory.handleReputationRegistryUpdated,
+    },
+  },
+  ProtocolReputationRegistry: {
+    contract: "protocolReputationRegistry",
+    handlers: {
+      "SeriesRegistered(indexed address,indexed address,uint256)": registry.handleSeriesRegistered,
+      "ExpectedRevenueUpdated(indexed address,indexed address,uint256,uint256)": registry.handleExpectedRevenueUpdated,
+      "RevenueDistributed(indexed address,indexed address,uint256,uint256)": registry.handleRevenueDistributed,
+      "LatePaymentRecorded(indexed address,indexed address,uint256)": registry.handleLatePaymentRecorded,
+      "ProtocolBlacklisted(indexed address,string)": registry.handleProtocolBlacklisted,
+      "ProtocolWhitelisted(indexed address)": registry.handleProtocolWhitelisted,
+      "ReporterAuthorized(indexed address)": registry.handleReporterAuthorized,
+      "ReporterRevoked(indexed address)": registry.handleReporterRevoked,
+    },
+  },
+};
+
+const TEMPLATES = {
+  RevenueSeries: {
+    handlers: {
+      "RevenueReceived(uint256,uint256)": series.handleRevenueReceived,
+      "RevenueClaimed(indexed address,uint256)": series.handleRevenueClaimed,
+      "SeriesMatured(uint256)": series.handleSeriesMatured,
+      "Transfer(indexed address,indexed address,uint256)": series.handleTransfer,
+    },
+  },
+  RevenueBondEscrow: {
+    handlers: {
+      "PrincipalDeposited(uint256,uint256)": escrow.handlePrincipalDeposited,
+      "PrincipalClaimed(indexed address,uint256)": escrow.handlePrincipalClaimed,
+      "SeriesMatured(uint256)": escrow.handleSeriesMatured,
+      "SeriesDefaulted(uint256)": escrow.handleSeriesDefaulted,
+      "DustRescued(uint256)": escrow.handleDustRescued,
+      "TokensPurchased(indexed address,uint256,uint256,uint256)": escrow.handleTokensPurchased,
+      "RevenueReceived(uint256,uint256)": escrow.handleRevenueReceived,
+      "RevenueClaimed(indexed address,uint256)": escrow.handleRevenueClaimed,
+      "Transfer(indexed address,indexed address,uint256)": escrow.handleTransfer,
+    },
+  },
+  RevenueRouter: {
+    handlers: {
+      "RevenueReceived(indexed address,uint256,uint256)": router.handleRevenueReceived,
+      "RevenueRouted(uint256,uint256,uint256)": router.handleRevenueRouted,
+      "RouteAttemptFailed(string,uint256)": router.handleRouteAttemptFailed,
+      "WithdrawnToProtocol(uint256,uint256)": router.handleWithdrawnToProtocol,
+    },
+  },
+};
+
+module.exports = { DATA_SOURCES, TEMPLATES };
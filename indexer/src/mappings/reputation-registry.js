@@ -0,0 +1,298 @@
+// Port of subgraph/src/reputation-registry.ts
+const { BigDecimal } = require("../decimal");
+const {
+  ZERO_BD,
+  ZERO_BI,
+  ONE_BI,
+  PRECISION,
+  SECONDS_PER_DAY,
+  eventId,
+  getOrCreateProtocol,
+  toDecimal,
+} = require("./helpers");
+
+const PERCENT = BigDecimal.fromString("100");
+
+// getReputationScore() constants
+const NEUTRAL_SCORE = 50n;
+const NO_COMMITMENT_SCORE = 25n;
+const MAX_COMPONENT_SCORE = 50n;
+const HUNDRED = 100n;
+const MIN_PAYMENTS_PER_SERIES = 2n;
+const INACTIVITY_PERIOD = SECONDS_PER_DAY * 90n;
+
+// getSeriesRecord() output index of expectedCadenceDays
+const CADENCE_OUTPUT = 5;
+
+// The registry logs SeriesRegistered before the factory emits its creation event, so
+// these handlers may be the first to see a protocol.
+
+// ============================================
+// SERIES RECORDS
+// ============================================
+
+async function handleSeriesRegistered(event, ctx) {
+  const { store } = ctx;
+  const protocol = getOrCreateProtocol(store, event.params.protocol, event.block.timestamp);
+  const expected = event.params.expectedRevenue;
+
+  const record = {
+    id: event.params.series,
+    protocol: protocol.id,
+    seriesAddress: event.params.series,
+    series: event.params.series,
+    expectedRevenue: toDecimal(expected),
+    expectedRevenueRaw: expected,
+    expectedRevenueUpdatedAt: null,
+    actualRevenue: ZERO_BD,
+    actualRevenueRaw: ZERO_BI,
+    deliveryRatio: ZERO_BD,
+    weightedDeliveredRaw: ZERO_BI,
+    expectedCadenceDays: null,
+    distributionCount: ZERO_BI,
+    lastDistributionTimestamp: event.block.timestamp,
+    latePaymentCount: ZERO_BI,
+    lastLateRecordedAt: null,
+    registeredAt: event.block.timestamp,
+    registeredAtBlock: event.block.number,
+  };
+
+  // The cadence is a registerSeries() argument but is not part of the event
+  const onChain = await ctx.tryCall("ProtocolReputationRegistry", event.address, "getSeriesRecord", [
+    event.params.series,
+  ]);
+  if (!onChain.reverted) {
+    record.expectedCadenceDays = onChain.value[CADENCE_OUTPUT];
+  }
+  store.save("ReputationSeriesRecord", record);
+
+  protocol.registeredSeriesCount = protocol.registeredSeriesCount + ONE_BI;
+  protocol.totalRevenuePromisedRaw = protocol.totalRevenuePromisedRaw + expected;
+  protocol.totalRevenueExpected = toDecimal(protocol.totalRevenuePromisedRaw);
+  saveReputation(store, protocol, event, "SeriesRegistered");
+}
+
+async function handleExpectedRevenueUpdated(event, { store }) {
+  const protocol = getOrCreateProtocol(store, event.params.protocol, event.block.timestamp);
+  const newExpected = event.params.newExpected;
+
+  // updateExpectedRevenue() only runs while expectedRevenue is 0, so it adds to the promised total
+  protocol.totalRevenuePromisedRaw = protocol.totalRevenuePromisedRaw + newExpected;
+  protocol.totalRevenueExpected = toDecimal(protocol.totalRevenuePromisedRaw);
+
+  const record = store.load("ReputationSeriesRecord", event.params.series);
+  if (record !== null) {
+    record.expectedRevenueRaw = newExpected;
+    record.expectedRevenue = toDecimal(newExpected);
+    record.expectedRevenueUpdatedAt = event.block.timestamp;
+    updateRecordDelivery(store, protocol, record);
+  }
+
+  saveReputation(store, protocol, event, "ExpectedRevenueUpdated");
+}
+
+async function handleRevenueDistributed(event, { store }) {
+  const protocol = getOrCreateProtocol(store, event.params.protocol, event.block.timestamp);
+  const amount = event.params.amount;
+
+  // Every recorded distribution counts as an on-time payment in the registry
+  protocol.totalRevenueDeliveredRaw = protocol.totalRevenueDeliveredRaw + amount;
+  protocol.totalRevenueDelivered = toDecimal(protocol.totalRevenueDeliveredRaw);
+  protocol.onTimeDeliveries = protocol.onTimeDeliveries + ONE_BI;
+  protocol.lastPaymentTimestamp = event.block.timestamp;
+
+  const record = store.load("ReputationSeriesRecord", event.params.series);
+  if (record !== null) {
+    record.actualRevenueRaw = record.actualRevenueRaw + amount;
+    record.actualRevenue = toDecimal(record.actualRevenueRaw);
+    record.distributionCount = record.distributionCount + ONE_BI;
+    record.lastDistributionTimestamp = event.block.timestamp;
+    updateRecordDelivery(store, protocol, record);
+  }
+
+  saveReputation(store, protocol, event, "RevenueDistributed");
+}
+
+async function handleLatePaymentRecorded(event, { store }) {
+  const protocol = getOrCreateProtocol(store, event.params.protocol, event.block.timestamp);
+  protocol.lateDeliveries = protocol.lateDeliveries + ONE_BI;
+
+  const recordId = event.params.series;
+  const record = store.load("ReputationSeriesRecord", recordId);
+  if (record !== null) {
+    record.latePaymentCount = record.latePaymentCount + ONE_BI;
+    record.lastLateRecordedAt = event.block.timestamp;
+    store.save("ReputationSeriesRecord", record);
+  }
+
+  store.save("LatePayment", {
+    id: eventId(event),
+    protocol: protocol.id,
+    record: recordId,
+    seriesAddress: event.params.series,
+    daysLate: event.params.dayslate,
+    timestamp: event.block.timestamp,
+    blockNumber: event.block.number,
+    transactionHash: event.transaction.hash,
+  });
+
+  saveReputation(store, protocol, event, "LatePaymentRecorded");
+}
+
+// ============================================
+// BLACKLIST AND REPORTERS
+// ============================================
+
+async function handleProtocolBlacklisted(event, { store }) {
+  const protocol = getOrCreateProtocol(store, event.params.protocol, event.block.timestamp);
+  protocol.blacklisted = true;
+  protocol.blacklistedReason = event.params.reason;
+  protocol.blacklistedAt = event.block.timestamp;
+  saveReputation(store, protocol, event, "ProtocolBlacklisted");
+}
+
+async function handleProtocolWhitelisted(event, { store }) {
+  const protocol = getOrCreateProtocol(store, event.params.protocol, event.block.timestamp);
+  protocol.blacklisted = false;
+  protocol.blacklistedReason = null;
+  protocol.blacklistedAt = null;
+  saveReputation(store, protocol, event, "ProtocolWhitelisted");
+}
+
+async function handleReporterAuthorized(event, { store }) {
+  const reporter = getOrCreateReporter(store, event.params.reporter);
+  reporter.authorized = true;
+  reporter.authorizedAt = event.block.timestamp;
+  reporter.lastUpdatedBlock = event.block.number;
+  store.save("ReputationReporter", reporter);
+}
+
+async function handleReporterRevoked(event, { store }) {
+  const reporter = getOrCreateReporter(store, event.params.reporter);
+  reporter.authorized = false;
+  reporter.revokedAt = event.block.timestamp;
+  reporter.lastUpdatedBlock = event.block.number;
+  store.save("ReputationReporter", reporter);
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function getOrCreateReporter(store, address) {
+  let reporter = store.load("ReputationReporter", address);
+  if (reporter === null) {
+    reporter = {
+      id: address,
+      address,
+      authorized: false,
+      authorizedAt: null,
+      revokedAt: null,
+    };
+  }
+  return reporter;
+}
+
+// Mirrors one iteration of _calculateWeightedDeliveryScore(): the series' capped delivery
+// ratio weighted by its promised revenue, with the contract's rounding
+function weightedDelivered(record) {
+  if (record.expectedRevenueRaw === ZERO_BI) return ZERO_BI;
+
+  let ratio = (record.actualRevenueRaw * PRECISION) / record.expectedRevenueRaw;
+  if (ratio > PRECISION) ratio = PRECISION;
+  return (ratio * record.expectedRevenueRaw) / PRECISION;
+}
+
+// Swaps the record's old contribution for the new one so the protocol sum never needs a loop
+function updateRecordDelivery(store, protocol, record) {
+  const weighted = weightedDelivered(record);
+  protocol.weightedRevenueDeliveredRaw = protocol.weightedRevenueDeliveredRaw - record.weightedDeliveredRaw + weighted;
+  record.weightedDeliveredRaw = weighted;
+
+  if (record.expectedRevenueRaw > ZERO_BI) {
+    const ratio = record.actualRevenue.div(record.expectedRevenue).times(PERCENT);
+    record.deliveryRatio = ratio.gt(PERCENT) ? PERCENT : ratio;
+  }
+  store.save("ReputationSeriesRecord", record);
+}
+
+// Same integer arithmetic as getReputationScore(), evaluated at the event's block
+function calculateScore(protocol, timestamp) {
+  if (protocol.blacklisted) {
+    return { score: ZERO_BI, deliveryScore: ZERO_BI, reliabilityScore: ZERO_BI, inactivityPenalty: false };
+  }
+  if (protocol.registeredSeriesCount === ZERO_BI) {
+    return { score: NEUTRAL_SCORE, deliveryScore: ZERO_BI, reliabilityScore: ZERO_BI, inactivityPenalty: false };
+  }
+  if (protocol.totalRevenuePromisedRaw === ZERO_BI) {
+    return { score: NO_COMMITMENT_SCORE, deliveryScore: ZERO_BI, reliabilityScore: ZERO_BI, inactivityPenalty: false };
+  }
+
+  // _calculateWeightedDeliveryScore(): the promised total is the sum over series with expectedRevenue > 0
+  let deliveryScore = (protocol.weightedRevenueDeliveredRaw * MAX_COMPONENT_SCORE) / protocol.totalRevenuePromisedRaw;
+  if (deliveryScore > MAX_COMPONENT_SCORE) deliveryScore = MAX_COMPONENT_SCORE;
+
+  // _calculateWeightedReliabilityScore()
+  let reliabilityScore = ZERO_BI;
+  const totalPayments = protocol.onTimeDeliveries + protocol.lateDeliveries;
+  if (totalPayments > ZERO_BI) {
+    const onTimeRatio = (protocol.onTimeDeliveries * HUNDRED) / totalPayments;
+    reliabilityScore = (onTimeRatio * MAX_COMPONENT_SCORE) / HUNDRED;
+    if (reliabilityScore > MAX_COMPONENT_SCORE) reliabilityScore = MAX_COMPONENT_SCORE;
+
+    // Gaming detection: many series with few payments each
+    if (totalPayments / protocol.registeredSeriesCount < MIN_PAYMENTS_PER_SERIES) {
+      reliabilityScore = reliabilityScore / 2n;
+    }
+  }
+
+  let score = deliveryScore + reliabilityScore;
+  const inactive =
+    protocol.lastPaymentTimestamp > ZERO_BI && timestamp > protocol.lastPaymentTimestamp + INACTIVITY_PERIOD;
+  if (inactive) {
+    score = score / 2n;
+  }
+
+  return { score, deliveryScore, reliabilityScore, inactivityPenalty: inactive };
+}
+
+function saveReputation(store, protocol, event, trigger) {
+  if (protocol.totalRevenueExpected.gt(ZERO_BD)) {
+    protocol.deliveryRate = protocol.totalRevenueDelivered.div(protocol.totalRevenueExpected).times(PERCENT);
+  }
+
+  const result = calculateScore(protocol, event.block.timestamp);
+  protocol.reputationScore = result.score;
+  protocol.lastActivityTimestamp = event.block.timestamp;
+  store.save("Protocol", protocol);
+
+  store.save("ReputationSnapshot", {
+    id: eventId(event),
+    protocol: protocol.id,
+    trigger,
+    score: result.score,
+    deliveryScore: result.deliveryScore,
+    reliabilityScore: result.reliabilityScore,
+    inactivityPenalty: result.inactivityPenalty,
+    blacklisted: protocol.blacklisted,
+    seriesCount: protocol.registeredSeriesCount,
+    revenuePromised: protocol.totalRevenueExpected,
+    revenueDelivered: protocol.totalRevenueDelivered,
+    onTimePayments: protocol.onTimeDeliveries,
+    latePayments: protocol.lateDeliveries,
+    timestamp: event.block.timestamp,
+    blockNumber: event.block.number,
+    transactionHash: event.transaction.hash,
+  });
+}
+
+module.exports = {
+  handleSeriesRegistered,
+  handleExpectedRevenueUpdated,
+  handleRevenueDistributed,
+  handleLatePaymentRecorded,
+  handleProtocolBlacklisted,
+  handleProtocolWhitelisted,
+  handleReporterAuthorized,
+  handleReporterRevoked,
+};
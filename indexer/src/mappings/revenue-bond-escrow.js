@@ -0,0 +1,184 @@
+// Port of subgraph/src/revenue-bond-escrow.ts
+const {
+  ONE_BI,
+  eventId,
+  getOrCreateProtocolStats,
+  markPrincipalClaimed,
+  recordClaim,
+  recordDistribution,
+  recordMaturity,
+  recordTransfer,
+  toDecimal,
+} = require("./helpers");
+const { updateCapitalData, updateEquorumDayData, updatePurchaseData } = require("./aggregates");
+
+// ============================================
+// PRINCIPAL LIFECYCLE
+// ============================================
+
+async function handlePrincipalDeposited(event, { store }) {
+  const escrow = store.load("RevenueBondEscrow", event.address);
+  if (escrow === null) return;
+
+  const amount = toDecimal(event.params.amount);
+
+  // ============================================
+  // 1. UPDATE ESCROW STATE
+  // ============================================
+  escrow.state = "Active";
+  escrow.principalDeposited = true;
+  escrow.principalDepositedAt = event.block.timestamp;
+  store.save("RevenueBondEscrow", escrow);
+
+  // ============================================
+  // 2. ACTIVATE SERIES, UPDATE PROTOCOL (CAPITAL RAISED)
+  // ============================================
+  const series = store.load("RevenueSeries", escrow.series);
+  if (series === null) return;
+  series.isActive = true;
+  store.save("RevenueSeries", series);
+
+  const protocol = store.load("Protocol", series.protocol);
+  if (protocol !== null) {
+    protocol.totalCapitalRaised = protocol.totalCapitalRaised.plus(amount);
+    protocol.lastActivityTimestamp = event.block.timestamp;
+    store.save("Protocol", protocol);
+  }
+
+  // ============================================
+  // 3. UPDATE GLOBAL STATS
+  // ============================================
+  const stats = getOrCreateProtocolStats(store, event.block);
+  stats.totalCapitalRaised = stats.totalCapitalRaised.plus(amount);
+  stats.totalActiveSeries = stats.totalActiveSeries + ONE_BI;
+  store.save("ProtocolStats", stats);
+
+  updateCapitalData(store, series, event.block.timestamp, amount);
+}
+
+async function handlePrincipalClaimed(event, { store }) {
+  const escrow = store.load("RevenueBondEscrow", event.address);
+  if (escrow === null) return;
+
+  const holderAddress = event.params.user;
+  const amount = toDecimal(event.params.amount);
+
+  escrow.totalPrincipalClaimed = escrow.totalPrincipalClaimed.plus(amount);
+  escrow.principalClaimCount = escrow.principalClaimCount + ONE_BI;
+  store.save("RevenueBondEscrow", escrow);
+
+  const series = store.load("RevenueSeries", escrow.series);
+  if (series !== null) {
+    markPrincipalClaimed(store, series, holderAddress, amount, event.block.timestamp);
+  }
+
+  store.save("PrincipalClaim", {
+    id: eventId(event),
+    escrow: escrow.id,
+    holder: holderAddress,
+    amount,
+    timestamp: event.block.timestamp,
+    blockNumber: event.block.number,
+    transactionHash: event.transaction.hash,
+  });
+}
+
+async function handleSeriesMatured(event, { store }) {
+  const escrow = store.load("RevenueBondEscrow", event.address);
+  if (escrow === null) return;
+
+  escrow.state = "Matured";
+  store.save("RevenueBondEscrow", escrow);
+
+  const series = store.load("RevenueSeries", escrow.series);
+  if (series !== null) {
+    recordMaturity(store, series, event.block);
+  }
+}
+
+async function handleSeriesDefaulted(event, { store }) {
+  const escrow = store.load("RevenueBondEscrow", event.address);
+  if (escrow === null) return;
+
+  escrow.state = "Defaulted";
+  store.save("RevenueBondEscrow", escrow);
+
+  const series = store.load("RevenueSeries", escrow.series);
+  if (series !== null) {
+    series.isActive = false;
+    store.save("RevenueSeries", series);
+  }
+
+  // Only an escrow still pending its principal can default, so it was never counted as active
+  const stats = getOrCreateProtocolStats(store, event.block);
+  stats.totalDefaultedSeries = stats.totalDefaultedSeries + ONE_BI;
+  store.save("ProtocolStats", stats);
+
+  updateEquorumDayData(store, event.block.timestamp);
+}
+
+async function handleDustRescued(event, { store }) {
+  const escrow = store.load("RevenueBondEscrow", event.address);
+  if (escrow === null) return;
+
+  escrow.dustRescued = escrow.dustRescued.plus(toDecimal(event.params.amount));
+  escrow.dustRescuedAt = event.block.timestamp;
+  store.save("RevenueBondEscrow", escrow);
+}
+
+// ============================================
+// PRIMARY SALE
+// ============================================
+
+async function handleTokensPurchased(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  // The tokens themselves move in the Transfer emitted by buyTokens()
+  updatePurchaseData(
+    store,
+    series,
+    event.block.timestamp,
+    toDecimal(event.params.ethPaid),
+    toDecimal(event.params.tokenAmount)
+  );
+}
+
+// ============================================
+// REVENUE AND TOKEN EVENTS
+// ============================================
+// RevenueBondEscrow is a standalone ERC20 with the same revenue events as RevenueSeries,
+// so it shares the series bookkeeping in helpers.js
+
+async function handleRevenueReceived(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  recordDistribution(store, series, event, event.params.amount);
+}
+
+async function handleRevenueClaimed(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  recordClaim(store, series, event, event.params.user, event.params.amount);
+}
+
+async function handleTransfer(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  recordTransfer(store, series, event.params.from, event.params.to, event.params.value, event.block.timestamp);
+}
+
+module.exports = {
+  handlePrincipalDeposited,
+  handlePrincipalClaimed,
+  handleSeriesMatured,
+  handleSeriesDefaulted,
+  handleDustRescued,
+  handleTokensPurchased,
+  handleRevenueReceived,
+  handleRevenueClaimed,
+  handleTransfer,
+};
@@ -0,0 +1,120 @@
+// Port of subgraph/src/revenue-router.ts
+const { BigDecimal } = require("../decimal");
+const { ZERO_BD, ONE_BI, eventId, toDecimal } = require("./helpers");
+const { updateRoutingData } = require("./aggregates");
+
+// RouteAttemptFailed reasons emitted by RevenueRouter._tryRouteRevenue()
+const REASON_SERIES_INACTIVE = "Series inactive or matured";
+const REASON_BELOW_MIN = "Amount below minDistribution";
+
+const BPS_DENOMINATOR = BigDecimal.fromString("10000");
+
+async function handleRevenueReceived(event, { store }) {
+  const router = store.load("RevenueRouter", event.address);
+  if (router === null) return;
+
+  const amount = toDecimal(event.params.amount);
+
+  // Mirrors the router: every receipt is added to pendingToRoute until the next routing
+  router.totalRevenueReceived = router.totalRevenueReceived.plus(amount);
+  router.pendingToRoute = router.pendingToRoute.plus(amount);
+  updateOwedToSeries(router);
+  store.save("RevenueRouter", router);
+}
+
+async function handleRevenueRouted(event, { store }) {
+  const router = store.load("RevenueRouter", event.address);
+  if (router === null) return;
+
+  const seriesAmount = toDecimal(event.params.seriesAmount);
+  const protocolAmount = toDecimal(event.params.protocolAmount);
+
+  // ============================================
+  // 1. UPDATE ROUTER METRICS
+  // ============================================
+  // The protocol share stays in the router until WithdrawnToProtocol
+  router.totalRoutedToSeries = router.totalRoutedToSeries.plus(seriesAmount);
+  router.pendingToRoute = ZERO_BD;
+  router.routingCount = router.routingCount + ONE_BI;
+  router.lastRoutingTimestamp = event.block.timestamp;
+  updateOwedToSeries(router);
+  store.save("RevenueRouter", router);
+
+  // ============================================
+  // 2. CREATE ROUTING EVENT
+  // ============================================
+  saveRouting(store, router, event, seriesAmount, protocolAmount, null);
+
+  // ============================================
+  // 3. UPDATE TIME-SERIES AGGREGATES
+  // ============================================
+  const series = store.load("RevenueSeries", router.series);
+  if (series !== null) {
+    updateRoutingData(store, series, event.block.timestamp, seriesAmount);
+  }
+}
+
+async function handleRouteAttemptFailed(event, { store }) {
+  const router = store.load("RevenueRouter", event.address);
+  if (router === null) return;
+
+  const reason = event.params.reason;
+
+  // ============================================
+  // 1. UPDATE ROUTER METRICS
+  // ============================================
+  // Below-minimum attempts keep accumulating and are not counted as failures on-chain.
+  // An inactive series clears pendingToRoute so the protocol can withdraw; other
+  // failures restore it for a retry.
+  if (reason !== REASON_BELOW_MIN) {
+    router.failedRouteCount = router.failedRouteCount + ONE_BI;
+  }
+  if (reason === REASON_SERIES_INACTIVE) {
+    router.pendingToRoute = ZERO_BD;
+    updateOwedToSeries(router);
+  }
+  store.save("RevenueRouter", router);
+
+  // ============================================
+  // 2. CREATE FAILED ROUTING EVENT
+  // ============================================
+  saveRouting(store, router, event, ZERO_BD, ZERO_BD, reason);
+}
+
+async function handleWithdrawnToProtocol(event, { store }) {
+  const router = store.load("RevenueRouter", event.address);
+  if (router === null) return;
+
+  router.totalReturnedToProtocol = router.totalReturnedToProtocol.plus(toDecimal(event.params.amount));
+  store.save("RevenueRouter", router);
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Bondholders' share of revenue that has been received but not routed yet
+function updateOwedToSeries(router) {
+  router.owedToSeries = router.pendingToRoute.times(BigDecimal.fromBigInt(router.revenueShareBPS)).div(BPS_DENOMINATOR);
+}
+
+function saveRouting(store, router, event, seriesAmount, protocolAmount, failureReason) {
+  store.save("RevenueRouting", {
+    id: eventId(event),
+    router: router.id,
+    seriesAmount,
+    protocolAmount,
+    success: failureReason === null,
+    failureReason,
+    timestamp: event.block.timestamp,
+    blockNumber: event.block.number,
+    transactionHash: event.transaction.hash,
+  });
+}
+
+module.exports = {
+  handleRevenueReceived,
+  handleRevenueRouted,
+  handleRouteAttemptFailed,
+  handleWithdrawnToProtocol,
+};
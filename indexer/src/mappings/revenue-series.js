@@ -0,0 +1,41 @@
+// Port of subgraph/src/revenue-series.ts
+const { recordDistribution, recordClaim, recordMaturity, recordTransfer } = require("./helpers");
+
+// ============================================
+// SOFT BOND EVENTS
+// ============================================
+
+async function handleRevenueReceived(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  recordDistribution(store, series, event, event.params.amount);
+}
+
+async function handleRevenueClaimed(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  recordClaim(store, series, event, event.params.user, event.params.amount);
+}
+
+async function handleSeriesMatured(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  recordMaturity(store, series, event.block);
+}
+
+async function handleTransfer(event, { store }) {
+  const series = store.load("RevenueSeries", event.address);
+  if (series === null) return;
+
+  recordTransfer(store, series, event.params.from, event.params.to, event.params.value, event.block.timestamp);
+}
+
+module.exports = {
+  handleRevenueReceived,
+  handleRevenueClaimed,
+  handleSeriesMatured,
+  handleTransfer,
+};
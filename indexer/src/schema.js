@@ -0,0 +1,81 @@
+/**
+ * Entity definitions read from subgraph/schema.graphql, the single source of truth for both
+ * the subgraph and this indexer. db.js derives its tables from them and graphql.js the API.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parse, Kind } = require("graphql");
+
+const SCHEMA_FILE = path.join(__dirname, "../../subgraph/schema.graphql");
+
+const SCALARS = new Set(["ID", "String", "Bytes", "Boolean", "Int", "BigInt", "BigDecimal"]);
+
+function unwrap(type) {
+  let required = false;
+  let list = false;
+  if (type.kind === Kind.NON_NULL_TYPE) {
+    required = true;
+    type = type.type;
+  }
+  if (type.kind === Kind.LIST_TYPE) {
+    list = true;
+    type = type.type.kind === Kind.NON_NULL_TYPE ? type.type.type : type.type;
+  }
+  return { type: type.name.value, required, list };
+}
+
+function directive(node, name) {
+  return node.directives.find((d) => d.name.value === name);
+}
+
+/**
+ * @returns {{ entities: Map<string, Entity>, enums: Map<string, string[]>, hash: string }}
+ *   Entity: { name, fields: Field[] }
+ *   Field: { name, type, required, list, kind: "scalar" | "enum" | "entity", derivedFrom? }
+ */
+function loadSchema(file = SCHEMA_FILE) {
+  const source = fs.readFileSync(file, "utf8");
+  const document = parse(source);
+
+  const enums = new Map();
+  for (const def of document.definitions) {
+    if (def.kind === Kind.ENUM_TYPE_DEFINITION) {
+      enums.set(def.name.value, def.values.map((v) => v.name.value));
+    }
+  }
+
+  const objectTypes = document.definitions.filter(
+    (def) => def.kind === Kind.OBJECT_TYPE_DEFINITION && directive(def, "entity")
+  );
+  const entityNames = new Set(objectTypes.map((def) => def.name.value));
+
+  const entities = new Map();
+  for (const def of objectTypes) {
+    const fields = def.fields.map((node) => {
+      const field = { name: node.name.value, ...unwrap(node.type) };
+      if (entityNames.has(field.type)) field.kind = "entity";
+      else if (enums.has(field.type)) field.kind = "enum";
+      else if (SCALARS.has(field.type)) field.kind = "scalar";
+      else throw new Error(`${def.name.value}.${field.name}: unknown type ${field.type}`);
+
+      const derived = directive(node, "derivedFrom");
+      if (derived) field.derivedFrom = derived.arguments[0].value.value;
+      if (field.list && !field.derivedFrom) {
+        throw new Error(`${def.name.value}.${field.name}: only @derivedFrom list fields are supported`);
+      }
+      return field;
+    });
+    entities.set(def.name.value, { name: def.name.value, fields });
+  }
+
+  const hash = crypto.createHash("sha256").update(source).digest("hex");
+  return { entities, enums, hash };
+}
+
+// Fields backed by a column: everything except @derivedFrom lists
+function storedFields(entity) {
+  return entity.fields.filter((field) => !field.derivedFrom);
+}
+
+module.exports = { SCHEMA_FILE, loadSchema, storedFields };
@@ -0,0 +1,82 @@
+/**
+ * GraphQL over HTTP, answering on any path so subgraph URLs such as
+ * http://localhost:8000/subgraphs/name/equorum-protocol can be reused as they are.
+ * POST takes { query, variables, operationName }; GET takes the same as query parameters.
+ */
+const http = require("http");
+const { graphql } = require("graphql");
+
+const MAX_BODY = 1024 * 1024;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) reject(new Error("Request body too large"));
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+async function readRequest(req) {
+  if (req.method === "GET") {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    return {
+      query: params.get("query"),
+      variables: params.get("variables") ? JSON.parse(params.get("variables")) : undefined,
+      operationName: params.get("operationName") || undefined,
+    };
+  }
+  return JSON.parse(await readBody(req));
+}
+
+function createServer(schema) {
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "POST") {
+      send(res, 405, { errors: [{ message: `${req.method} is not supported` }] });
+      return;
+    }
+
+    let request;
+    try {
+      request = await readRequest(req);
+    } catch (err) {
+      send(res, 400, { errors: [{ message: `Invalid request: ${err.message}` }] });
+      return;
+    }
+    if (!request || typeof request.query !== "string") {
+      send(res, 400, { errors: [{ message: "Missing `query`" }] });
+      return;
+    }
+
+    // Like graph-node, query errors are reported in the body of a 200 response
+    const result = await graphql({
+      schema,
+      source: request.query,
+      variableValues: request.variables,
+      operationName: request.operationName,
+    });
+    send(res, 200, result);
+  });
+}
+
+module.exports = { createServer };
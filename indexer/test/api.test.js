@@ -0,0 +1,173 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { graphql } = require("graphql");
+const { loadSchema } = require("../src/schema");
+const { openDatabase, Store } = require("../src/db");
+const { EntityCache } = require("../src/entity-cache");
+const { createGraphQLSchema } = require("../src/graphql");
+const factory = require("../src/mappings/factory");
+const series = require("../src/mappings/revenue-series");
+const escrowFactory = require("../src/mappings/escrow-factory");
+const escrow = require("../src/mappings/revenue-bond-escrow");
+
+const FACTORY = "0x00000000000000000000000000000000000000f1";
+const SERIES = "0x00000000000000000000000000000000000000a1";
+const ROUTER = "0x00000000000000000000000000000000000000b1";
+const PROTOCOL = "0x00000000000000000000000000000000000000c1";
+const ESCROW_FACTORY = "0x00000000000000000000000000000000000000f2";
+const ESCROW = "0x00000000000000000000000000000000000000a2";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ETHER = 10n ** 18n;
+
+const schema = loadSchema();
+
+function block(number) {
+  return { number, hash: `0x${number.toString(16).padStart(64, "0")}`, timestamp: 1700000000 + number * 12 };
+}
+
+function event(address, number, params) {
+  const { hash, timestamp } = block(number);
+  return {
+    address,
+    logIndex: 0,
+    params,
+    block: { number: BigInt(number), timestamp: BigInt(timestamp), hash },
+    transaction: { hash: `0x${"ab".repeat(31)}${number.toString(16).padStart(2, "0")}`, from: PROTOCOL },
+  };
+}
+
+// Runs one handler and commits its changes as block `number`
+async function index(store, number, handler, evt) {
+  const cache = new EntityCache(schema, (type, id) => store.load(type, id));
+  const ctx = {
+    store: cache,
+    tryCall: async () => ({ reverted: true, value: null }),
+    createDataSource: () => {},
+  };
+  await handler(evt, ctx);
+  store.commitBlock({ block: block(number), changes: cache.changes(), withHistory: true });
+}
+
+describe("GraphQL API", function () {
+  let db;
+  let store;
+  let api;
+
+  const query = async (source) => {
+    const result = await graphql({ schema: api, source });
+    assert.equal(result.errors, undefined, JSON.stringify(result.errors));
+    // graphql-js builds results as null-prototype objects, which deepEqual tells apart from literals
+    return JSON.parse(JSON.stringify(result.data));
+  };
+
+  beforeEach(async function () {
+    db = openDatabase(":memory:", schema);
+    store = new Store(db, schema);
+    api = createGraphQLSchema(schema, db, "test");
+
+    await index(
+      store,
+      1,
+      factory.handleSeriesCreated,
+      event(FACTORY, 1, {
+        series: SERIES,
+        router: ROUTER,
+        protocol: PROTOCOL,
+        name: "Test Revenue Series",
+        symbol: "TEST-REV",
+        revenueShareBPS: 2000n,
+        durationDays: 365n,
+        totalSupply: 1000000n * ETHER,
+      })
+    );
+    await index(store, 2, series.handleRevenueReceived, event(SERIES, 2, { amount: ETHER / 2n, timestamp: 0n }));
+  });
+
+  it("serves entities under the subgraph's field names", async function () {
+    const data = await query(`{
+      revenueSeries_collection(where: { bondType: SOFT }) {
+        id name totalSupply totalRevenueReceived isActive
+        protocol { id seriesCount }
+        distributions { amount }
+      }
+      _meta { block { number } hasIndexingErrors }
+    }`);
+
+    assert.deepEqual(data.revenueSeries_collection, [
+      {
+        id: SERIES,
+        name: "Test Revenue Series",
+        totalSupply: "1000000",
+        totalRevenueReceived: "0.5",
+        isActive: true,
+        protocol: { id: PROTOCOL, seriesCount: "1" },
+        distributions: [{ amount: "0.5" }],
+      },
+    ]);
+    assert.deepEqual(data._meta, { block: { number: 2 }, hasIndexingErrors: false });
+  });
+
+  it("compares BigDecimal fields numerically", async function () {
+    const match = await query(`{ revenueSeries_collection(where: { totalRevenueReceived_gt: "0.25" }) { id } }`);
+    const none = await query(`{ revenueSeries_collection(where: { totalRevenueReceived_gte: "10" }) { id } }`);
+
+    assert.equal(match.revenueSeries_collection.length, 1);
+    assert.equal(none.revenueSeries_collection.length, 0);
+  });
+
+  it("filters through relations", async function () {
+    const data = await query(`{ revenueSeries_collection(where: { protocol_: { blacklisted: false } }) { id } }`);
+    assert.deepEqual(data.revenueSeries_collection, [{ id: SERIES }]);
+  });
+
+  it("activates an escrow and credits its supply only when the principal is deposited", async function () {
+    const holders = `{
+      revenueSeries(id: "${ESCROW}") { isActive holderCount holders { holder balance } }
+      protocolStats(id: "protocol-stats") { totalActiveSeries }
+    }`;
+    await index(
+      store,
+      3,
+      escrowFactory.handleEscrowSeriesCreated,
+      event(ESCROW_FACTORY, 3, {
+        series: ESCROW,
+        router: ROUTER,
+        protocol: PROTOCOL,
+        revenueShareBPS: 2000n,
+        durationDays: 365n,
+        totalSupply: 1000n * ETHER,
+        principalAmount: 10n * ETHER,
+      })
+    );
+    assert.deepEqual(await query(holders), {
+      revenueSeries: { isActive: false, holderCount: "0", holders: [] },
+      protocolStats: { totalActiveSeries: "1" },
+    });
+
+    // depositPrincipal() mints before it emits PrincipalDeposited
+    await index(store, 4, escrow.handleTransfer, event(ESCROW, 4, { from: ZERO_ADDRESS, to: PROTOCOL, value: 1000n * ETHER }));
+    await index(store, 5, escrow.handlePrincipalDeposited, event(ESCROW, 5, { amount: 10n * ETHER, timestamp: 0n }));
+    assert.deepEqual(await query(holders), {
+      revenueSeries: { isActive: true, holderCount: "1", holders: [{ holder: PROTOCOL, balance: "1000" }] },
+      protocolStats: { totalActiveSeries: "2" },
+    });
+  });
+
+  it("rejects pages larger than graph-node allows", async function () {
+    const result = await graphql({ schema: api, source: "{ protocols(first: 1001) { id } }" });
+    assert.match(result.errors[0].message, /between 0 and 1000/);
+  });
+
+  it("reverts blocks replaced by a reorg", async function () {
+    store.revertTo(block(1));
+
+    const data = await query(`{
+      revenueSeries(id: "${SERIES}") { totalRevenueReceived distributionCount }
+      revenueDistributions { id }
+      _meta { block { number } }
+    }`);
+    assert.deepEqual(data.revenueSeries, { totalRevenueReceived: "0", distributionCount: "0" });
+    assert.deepEqual(data.revenueDistributions, []);
+    assert.equal(data._meta.block.number, 1);
+  });
+});
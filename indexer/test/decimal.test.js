@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { BigDecimal, sortKey } = require("../src/decimal");
+
+const bd = (value) => BigDecimal.fromString(value);
+
+describe("BigDecimal", function () {
+  it("prints like graph-node: no exponent, no trailing zeros", function () {
+    assert.equal(bd("1.500").toString(), "1.5");
+    assert.equal(bd("2e3").toString(), "2000");
+    assert.equal(bd("0.000").toString(), "0");
+    assert.equal(BigDecimal.fromBigInt(10n ** 18n).div(bd("1e18")).toString(), "1");
+  });
+
+  it("rounds to 34 significant digits", function () {
+    assert.equal(bd("1").div(bd("3")).toString(), "0." + "3".repeat(34));
+    assert.equal(bd("2").div(bd("3")).toString(), "0." + "6".repeat(33) + "7");
+  });
+
+  it("compares across scales", function () {
+    assert.ok(bd("0.1").gt(bd("0.09")));
+    assert.ok(bd("-1").lt(bd("0")));
+    assert.ok(bd("20").equals(bd("2e1")));
+  });
+});
+
+describe("sortKey", function () {
+  it("orders numbers as text", function () {
+    const values = ["-100", "-1.5", "-1", "-0.001", "0", "0.002", "1", "1.5", "20", "1e40"];
+    const sorted = [...values].sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : 1));
+    assert.deepEqual(sorted, values);
+  });
+
+  it("gives equal numbers the same key", function () {
+    assert.equal(sortKey("20"), sortKey("20.000"));
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Configuration drift check: compares the live state of a v2 deployment with its manifest (owners,
+ * treasury, registry, policies, paused flags, authorized reporters, deployer ownership, safety
+ * limits) and exits non-zero when anything differs, so it can run on a schedule.
+ *
+ * Usage:
+ *   npx hardhat run scripts/check_drift.js --network arbitrum
+ *   npm run check:drift -- --network arbitrumSepolia
+ *   DEPLOYMENT=path/to/manifest.json npx hardhat run scripts/check_drift.js --network localhost
+ *
+ * Exit codes: 0 no drift, 1 drift, 2 the check could not run (no manifest, wrong chain, RPC error).
+ */
+const hre = require("hardhat");
+const path = require("path");
+const { loadNetworkManifest, manifestPath } = require("./lib/manifest");
+const { findDrift } = require("./lib/drift");
+
+const show = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+
+async function main() {
+  const deployment = process.env.DEPLOYMENT || hre.network.name;
+  const manifest = await loadNetworkManifest(hre, deployment);
+  console.log(
+    `Drift check: ${manifest.network} (chainId ${manifest.chainId}) against ` +
+      path.relative(process.cwd(), manifestPath(deployment))
+  );
+
+  const { checked, drift } = await findDrift(hre, manifest);
+  if (drift.length === 0) {
+    console.log(`✅ No drift: ${checked} values match the manifest`);
+    return 0;
+  }
+  console.log(`❌ ${drift.length} of ${checked} values differ from the manifest:`);
+  for (const { path: where, expected, actual } of drift) {
+    console.log(`  ${where}\n    manifest: ${show(expected)}\n    on-chain: ${show(actual)}`);
+  }
+  return 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("❌ Drift check failed:", error.message || error);
+    process.exit(2);
+  });
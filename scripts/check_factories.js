@@ -1,12 +1,21 @@
 const { ethers } = require("ethers");
+const { loadManifest } = require("./lib/manifest");
+const v1 = require("../deployments/arbitrum-mainnet/v1-addresses.json");
+
 const p = new ethers.JsonRpcProvider("https://arb1.arbitrum.io/rpc");
 
 async function main() {
-  const abi = ["function getAllSeries() view returns (address[])", "function getTotalSeries() view returns (uint256)"];
+  const abi = [
+    "function getAllSeries() view returns (address[])",
+    "function getTotalSeries() view returns (uint256)",
+    "function totalSeries() view returns (uint256)",
+    "function allSeries(uint256) view returns (address)",
+  ];
+  const { contracts } = loadManifest("arbitrum-mainnet");
 
   // V1 Factory
   try {
-    const f1 = new ethers.Contract("0x8afA0318363FfBc29Cc28B3C98d9139C08Af737b", abi, p);
+    const f1 = new ethers.Contract(v1.contracts.RevenueSeriesFactory.address, abi, p);
     const t = await f1.getTotalSeries();
     console.log("V1 Total:", t.toString());
     const a = await f1.getAllSeries();
@@ -15,15 +24,17 @@ async function main() {
 
   // V2 Soft Factory
   try {
-    const f2 = new ethers.Contract("0x280E83c47E243267753B7E2f322f55c52d4D2C3a", abi, p);
+    const f2 = new ethers.Contract(contracts.revenueSeriesFactory, abi, p);
     const a = await f2.getAllSeries();
     console.log("V2 Soft:", JSON.stringify(a));
   } catch(e) { console.error("V2 Soft Error:", e.message); }
 
-  // V2 Escrow Factory
+  // V2 Escrow Factory (no getAllSeries: enumerate allSeries)
   try {
-    const f3 = new ethers.Contract("0x2CfE9a33050EB77fC124ec3eAac4fA4D687bE650", abi, p);
-    const a = await f3.getAllSeries();
+    const f3 = new ethers.Contract(contracts.revenueBondEscrowFactory, abi, p);
+    const t = await f3.totalSeries();
+    const a = [];
+    for (let i = 0n; i < t; i++) a.push(await f3.allSeries(i));
     console.log("V2 Escrow:", JSON.stringify(a));
   } catch(e) { console.error("V2 Escrow Error:", e.message); }
 }
@@ -1,19 +1,23 @@
+/**
+ * Lists the series of a v1 RevenueSeriesFactory (v2 series: npx hardhat series:list).
+ *
+ * Usage:
+ *   npx hardhat run scripts/check_series.js --network arbitrum
+ *   FACTORY=0x... npx hardhat run scripts/check_series.js --network arbitrumSepolia
+ *
+ * The factory defaults to the one recorded in deployments/<network>/v1-addresses.json.
+ */
 const hre = require("hardhat");
+const { v1FactoryAddress } = require("./lib/manifest");
 
 async function main() {
     const network = hre.network.name;
     console.log(`\n🔍 Checking series on ${network}...\n`);
 
-    // Factory addresses
-    const factories = {
-        arbitrumSepolia: "0x2B2b7DC0b8276b74dEb57bB30b7AA66697DF7dA8",
-        arbitrum: "0x8afA0318363FfBc29Cc28B3C98d9139C08Af737b"
-    };
-
-    const factoryAddress = factories[network];
+    const factoryAddress = process.env.FACTORY || v1FactoryAddress(network);
     
     if (!factoryAddress) {
-        console.log("❌ No factory deployed on this network");
+        console.log("❌ No v1 factory recorded for this network: set FACTORY=<address>");
         return;
     }
 
@@ -1,11 +1,15 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { v1FactoryAddress } = require("./lib/manifest");
 
 async function main() {
     console.log("\n=== Creating GENESIS Revenue Series ===\n");
 
-    // Factory address on Arbitrum One
-    const FACTORY_ADDRESS = "0x8afA0318363FfBc29Cc28B3C98d9139C08Af737b";
+    // v1 factory from deployments/<network>/v1-addresses.json, or FACTORY=<address>
+    const FACTORY_ADDRESS = process.env.FACTORY || v1FactoryAddress(hre.network.name);
+    if (!FACTORY_ADDRESS) {
+        throw new Error("No v1 factory recorded for this network: set FACTORY=<address>");
+    }
     
     // Genesis series parameters - Historic first series
     const SERIES_NAME = "Revenue Bonds Genesis - Built for the underdogs";
@@ -6,6 +6,7 @@
 const hre = require("hardhat");
 const fs = require('fs');
 const path = require('path');
+const { loadNetworkManifest, getContracts, deploymentDir } = require('./lib/manifest');
 
 async function main() {
     console.log("\n=== CREATING TEST SERIES ON V2 (TESTNET) ===\n");
@@ -15,13 +16,8 @@ async function main() {
     console.log("Balance:", hre.ethers.utils.formatEther(await deployer.getBalance()), "ETH\n");
 
     // Load deployment info
-    const deploymentPath = path.join(__dirname, '../deployments/arbitrum-sepolia/v2-deployment.json');
-    if (!fs.existsSync(deploymentPath)) {
-        throw new Error("V2 deployment not found. Please run deploy_v2_testnet.js first.");
-    }
-    
-    const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-    const FACTORY_ADDRESS = deployment.contracts.factory;
+    const deployment = await loadNetworkManifest(hre);
+    const FACTORY_ADDRESS = deployment.contracts.revenueSeriesFactory;
     
     console.log("Using Factory:", FACTORY_ADDRESS);
 
@@ -40,7 +36,7 @@ async function main() {
     console.log("- Total Supply:", hre.ethers.utils.formatEther(TOTAL_SUPPLY), "tokens\n");
 
     // Get factory contract
-    const factory = await hre.ethers.getContractAt("RevenueSeriesFactory", FACTORY_ADDRESS);
+    const { softFactory: factory } = await getContracts(hre, deployment);
 
     // Check if fees are enabled
     const feesEnabled = await factory.feesEnabled();
@@ -92,7 +88,7 @@ async function main() {
 
     // Save test series info
     const testSeriesInfo = {
-        network: "arbitrum-sepolia",
+        network: deployment.network,
         timestamp: new Date().toISOString(),
         factory: FACTORY_ADDRESS,
         series: {
@@ -110,12 +106,10 @@ async function main() {
         }
     };
 
-    fs.writeFileSync(
-        path.join(__dirname, '../deployments/arbitrum-sepolia/test-series-v2.json'),
-        JSON.stringify(testSeriesInfo, null, 2)
-    );
+    const testSeriesPath = path.join(deploymentDir(hre.network.name), 'test-series-v2.json');
+    fs.writeFileSync(testSeriesPath, JSON.stringify(testSeriesInfo, null, 2));
 
-    console.log("💾 Test series info saved to: deployments/arbitrum-sepolia/test-series-v2.json\n");
+    console.log("💾 Test series info saved to:", path.relative(process.cwd(), testSeriesPath), "\n");
 
     return {
         series: seriesAddress,
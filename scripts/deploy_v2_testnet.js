@@ -12,8 +12,8 @@
 //   8. Create demo series on each factory to validate end-to-end
 
 const hre = require("hardhat");
-const fs = require("fs");
 const path = require("path");
+const { saveManifest, manifestNetwork } = require("./lib/manifest");
 
 async function main() {
     console.log("\n" + "=".repeat(70));
@@ -243,7 +243,7 @@ async function main() {
     // ============================================
     const deploymentInfo = {
         version: "v2",
-        network: "arbitrum-sepolia",
+        network: manifestNetwork(hre.network.name),
         chainId: Number(network.chainId),
         timestamp: new Date().toISOString(),
         deployer: deployer.address,
@@ -281,22 +281,9 @@ async function main() {
         gasUsed,
     };
 
-    const deploymentsDir = path.join(__dirname, "../deployments/arbitrum-sepolia");
-    if (!fs.existsSync(deploymentsDir)) {
-        fs.mkdirSync(deploymentsDir, { recursive: true });
-    }
-
-    const filename = `v2-deployment-${Date.now()}.json`;
-    fs.writeFileSync(
-        path.join(deploymentsDir, filename),
-        JSON.stringify(deploymentInfo, null, 2)
-    );
-    fs.writeFileSync(
-        path.join(deploymentsDir, "v2-deployment-latest.json"),
-        JSON.stringify(deploymentInfo, null, 2)
-    );
-
-    console.log("Deployment saved to: deployments/arbitrum-sepolia/" + filename);
+    // deployments/arbitrum-sepolia, or deployments/<network> for a local run
+    const saved = saveManifest(hre.network.name, deploymentInfo);
+    console.log("Deployment saved to: " + path.relative(process.cwd(), saved.file));
 
     // ============================================
     // SUMMARY
@@ -313,9 +300,8 @@ async function main() {
     console.log("\n  Arbiscan Sepolia:");
     console.log("    https://sepolia.arbiscan.io/address/" + softFactoryAddress);
     console.log("    https://sepolia.arbiscan.io/address/" + escrowFactoryAddress);
-    console.log("\n  Update frontend web3.js:");
-    console.log("    FACTORY_ADDRESS = '" + softFactoryAddress + "'");
-    console.log("    ESCROW_FACTORY_ADDRESS = '" + escrowFactoryAddress + "'");
+    console.log("\n  Frontend, subgraph and indexer read the manifest:");
+    console.log("    commit " + path.relative(process.cwd(), saved.latest));
     console.log("\n");
 
     return deploymentInfo;
@@ -1,14 +1,23 @@
+/**
+ * Distributes a symbolic amount of revenue to a series (v2 series: npx hardhat series:distribute).
+ *
+ * Usage:
+ *   SERIES=0x... npx hardhat run scripts/distribute_genesis_revenue.js --network arbitrum
+ *   SERIES=0x... AMOUNT=0.01 npx hardhat run scripts/distribute_genesis_revenue.js --network arbitrum
+ */
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
 
 async function main() {
     console.log("\n=== Distributing Genesis Revenue (Symbolic) ===\n");
 
-    // Genesis series address
-    const SERIES_ADDRESS = "0x88122C5805281bAbF3B172fA212a6F6300Bb1EF3";
+    const SERIES_ADDRESS = process.env.SERIES;
+    if (!ethers.isAddress(SERIES_ADDRESS)) {
+        throw new Error("Set SERIES=<address> to the series to distribute to");
+    }
     
-    // Symbolic revenue amount (~$10)
-    const REVENUE_AMOUNT = ethers.parseEther("0.003"); // 0.003 ETH
+    // Symbolic revenue amount (~$10 by default)
+    const REVENUE_AMOUNT = ethers.parseEther(process.env.AMOUNT || "0.003");
 
     console.log("Series Address:", SERIES_ADDRESS);
     console.log("Revenue Amount:", ethers.formatEther(REVENUE_AMOUNT), "ETH");
@@ -70,7 +79,7 @@ async function main() {
     console.log("- Series:", `https://arbiscan.io/address/${SERIES_ADDRESS}`);
     console.log();
     console.log("Next steps:");
-    console.log("1. Check series balance on Arbiscan (should show 0.003 ETH)");
+    console.log(`1. Check series balance on Arbiscan (should show ${ethers.formatEther(REVENUE_AMOUNT)} ETH)`);
     console.log("2. Series now shows as 'Active' with revenue distributed");
     console.log("3. You can claim your revenue back anytime with claimRevenue()");
     console.log("4. Post on Discord/Bitcointalk: 'First revenue already distributed!'");
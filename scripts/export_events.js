@@ -0,0 +1,395 @@
+/**
+ * Export every decoded event of a v2 deployment to JSONL or CSV.
+ *
+ * Covers the two factories and the reputation registry from the deployment manifest, plus every
+ * series, escrow and router they created, enumerated through the factories' view functions at the
+ * end of the range. Each row carries the block number and timestamp, the transaction hash and log
+ * index, the contract and the event arguments; ETH and token amounts (all 18 decimals) are
+ * written in ETH with the raw value alongside in a `<name>Wei` field.
+ *
+ * The range is exported in chunks. After each chunk the output is flushed and a checkpoint file
+ * records the next block, so an interrupted export resumes where it stopped when run again with
+ * the same output file.
+ *
+ * Usage:
+ *   node scripts/export_events.js <deployment> [options]
+ *
+ *   <deployment>         arbitrum-mainnet, arbitrum-sepolia, a Hardhat network name or a path to a v2 manifest JSON
+ *   --from <block>       First block (default: the start block in subgraph/networks.json)
+ *   --to <block|latest>  Last block (default: latest, resolved once and kept in the checkpoint)
+ *   --format jsonl|csv   Output format (default: jsonl)
+ *   --out <file>         Output file (default: exports/<network>-events.<format>)
+ *   --chunk <blocks>     Blocks per eth_getLogs request (default: 2000)
+ *   --rpc <url>          RPC endpoint (default: ARBITRUM_RPC / ARBITRUM_SEPOLIA_RPC by chainId)
+ *
+ * Requires compiled contracts (`npx hardhat compile`) for the ABIs.
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadManifest } = require("./lib/manifest");
+
+const ROOT = path.join(__dirname, "..");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts/contracts/v2");
+const NETWORKS_FILE = path.join(ROOT, "subgraph/networks.json");
+const EXPORTS_DIR = path.join(ROOT, "exports");
+
+const RPC_URLS = {
+  42161: process.env.ARBITRUM_RPC || "https://arb1.arbitrum.io/rpc",
+  421614: process.env.ARBITRUM_SEPOLIA_RPC || "https://sepolia-rollup.arbitrum.io/rpc",
+  31337: "http://127.0.0.1:8545",
+};
+
+// Contracts read from the manifest, by key in its `contracts`
+const STATIC_CONTRACTS = {
+  revenueSeriesFactory: "RevenueSeriesFactory",
+  revenueBondEscrowFactory: "RevenueBondEscrowFactory",
+  protocolReputationRegistry: "ProtocolReputationRegistry",
+};
+const CONTRACT_NAMES = [...Object.values(STATIC_CONTRACTS), "RevenueSeries", "RevenueBondEscrow", "RevenueRouter"];
+
+// uint256 event arguments holding 18-decimal ETH or series token amounts
+const AMOUNT_ARGS = new Set([
+  "amount",
+  "value",
+  "fee",
+  "ethPaid",
+  "tokenAmount",
+  "pricePerToken",
+  "seriesAmount",
+  "protocolAmount",
+  "totalSupply",
+  "principalAmount",
+  "expectedRevenue",
+  "oldExpected",
+  "newExpected",
+]);
+
+const BASE_COLUMNS = ["blockNumber", "blockTimestamp", "blockTime", "transactionHash", "logIndex", "contract", "address", "event"];
+
+const DEFAULT_CHUNK = 2000;
+// Addresses per eth_getLogs request
+const ADDRESS_BATCH = 500;
+// Provider errors that mean "ask for fewer blocks"
+const RANGE_ERROR = /range|limit|too many|exceed|10000|timeout/i;
+
+// ============================================
+// INPUTS
+// ============================================
+
+/** Contract name -> ABI for the contracts whose events are exported */
+function loadAbis() {
+  const abis = {};
+  const search = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const name = entry.name.replace(/\.sol$/, "");
+      if (!entry.name.endsWith(".sol")) search(path.join(dir, entry.name));
+      else if (CONTRACT_NAMES.includes(name)) {
+        abis[name] = JSON.parse(fs.readFileSync(path.join(dir, entry.name, `${name}.json`), "utf8")).abi;
+      }
+    }
+  };
+  if (fs.existsSync(ARTIFACTS_DIR)) search(ARTIFACTS_DIR);
+  const missing = CONTRACT_NAMES.filter((name) => !abis[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing artifacts for ${missing.join(", ")}. Run \`npx hardhat compile\` first.`);
+  }
+  return abis;
+}
+
+// Earliest start block resolved for the manifest's contracts by subgraph/scripts/render-manifest.js
+function defaultStartBlock(manifest) {
+  if (!fs.existsSync(NETWORKS_FILE)) return undefined;
+  const cached = JSON.parse(fs.readFileSync(NETWORKS_FILE, "utf8"))[manifest.network] || {};
+  const blocks = Object.values(cached)
+    .filter((entry) => Object.values(manifest.contracts).some((a) => a.toLowerCase() === entry.address.toLowerCase()))
+    .map((entry) => entry.startBlock);
+  return blocks.length > 0 ? Math.min(...blocks) : undefined;
+}
+
+/**
+ * Every contract to export, as { address, contract }: the manifest's factories and registry and
+ * the series, escrows and routers the factories report at `blockTag`.
+ */
+async function discoverContracts(provider, manifest, abis, blockTag) {
+  const contracts = [];
+  for (const [key, name] of Object.entries(STATIC_CONTRACTS)) {
+    if (!manifest.contracts[key]) throw new Error(`contracts.${key} missing from the deployment manifest`);
+    contracts.push({ address: ethers.getAddress(manifest.contracts[key]), contract: name });
+  }
+
+  const overrides = { blockTag };
+  const soft = new ethers.Contract(manifest.contracts.revenueSeriesFactory, abis.RevenueSeriesFactory, provider);
+  for (const series of await soft.getAllSeries(overrides)) {
+    contracts.push({ address: series, contract: "RevenueSeries" });
+    contracts.push({ address: await soft.routerBySeries(series, overrides), contract: "RevenueRouter" });
+  }
+
+  // The escrow factory has no getAllSeries(); the escrow is the series token itself
+  const escrow = new ethers.Contract(manifest.contracts.revenueBondEscrowFactory, abis.RevenueBondEscrowFactory, provider);
+  const total = await escrow.totalSeries(overrides);
+  for (let i = 0n; i < total; i++) {
+    const series = await escrow.allSeries(i, overrides);
+    contracts.push({ address: series, contract: "RevenueBondEscrow" });
+    contracts.push({ address: await escrow.routerBySeries(series, overrides), contract: "RevenueRouter" });
+  }
+  return contracts;
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+function formatValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(formatValue);
+  return value;
+}
+
+/** Event arguments by name, amounts in ETH with the raw value under `<name>Wei` */
+function formatArgs(fragment, args) {
+  const formatted = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    if (AMOUNT_ARGS.has(input.name) && input.type === "uint256") {
+      formatted[input.name] = ethers.formatEther(value);
+      formatted[`${input.name}Wei`] = value.toString();
+    } else {
+      formatted[input.name] = formatValue(value);
+    }
+  });
+  return formatted;
+}
+
+/** CSV header: the base columns followed by every argument of every exported event */
+function csvColumns(abis) {
+  const columns = [...BASE_COLUMNS];
+  for (const name of CONTRACT_NAMES) {
+    new ethers.Interface(abis[name]).forEachEvent((fragment) => {
+      for (const input of fragment.inputs) {
+        const names = AMOUNT_ARGS.has(input.name) && input.type === "uint256" ? [input.name, `${input.name}Wei`] : [input.name];
+        for (const column of names) if (!columns.includes(column)) columns.push(column);
+      }
+    });
+  }
+  return columns;
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(columns, record) {
+  const flat = { ...record, ...record.args };
+  return columns.map((column) => csvField(flat[column])).join(",") + "\n";
+}
+
+// ============================================
+// RPC
+// ============================================
+
+async function getLogs(provider, address, from, to) {
+  try {
+    return await provider.getLogs({ address, fromBlock: from, toBlock: to });
+  } catch (err) {
+    if (from === to || !RANGE_ERROR.test(err.message)) throw err;
+    const middle = Math.floor((from + to) / 2);
+    return [...(await getLogs(provider, address, from, middle)), ...(await getLogs(provider, address, middle + 1, to))];
+  }
+}
+
+async function blockTimestamps(provider, numbers) {
+  const timestamps = new Map();
+  for (let i = 0; i < numbers.length; i += 20) {
+    const batch = numbers.slice(i, i + 20);
+    const blocks = await Promise.all(batch.map((number) => provider.getBlock(number)));
+    blocks.forEach((block, j) => timestamps.set(batch[j], block.timestamp));
+  }
+  return timestamps;
+}
+
+/** Decoded records for the logs of `contracts` in [from, to], in chain order */
+async function fetchRecords(provider, contracts, interfaces, from, to) {
+  const byAddress = new Map(contracts.map((c) => [c.address.toLowerCase(), c.contract]));
+  const addresses = [...byAddress.keys()];
+
+  const logs = [];
+  for (let i = 0; i < addresses.length; i += ADDRESS_BATCH) {
+    logs.push(...(await getLogs(provider, addresses.slice(i, i + ADDRESS_BATCH), from, to)));
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const timestamps = await blockTimestamps(provider, [...new Set(logs.map((log) => log.blockNumber))]);
+  const records = [];
+  for (const log of logs) {
+    const contract = byAddress.get(log.address.toLowerCase());
+    const parsed = interfaces[contract].parseLog(log);
+    // Events declared outside the contract's ABI (e.g. by a policy it calls) are skipped
+    if (!parsed) continue;
+    const timestamp = timestamps.get(log.blockNumber);
+    records.push({
+      blockNumber: log.blockNumber,
+      blockTimestamp: timestamp,
+      blockTime: new Date(timestamp * 1000).toISOString(),
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      contract,
+      address: ethers.getAddress(log.address),
+      event: parsed.name,
+      args: formatArgs(parsed.fragment, parsed.args),
+    });
+  }
+  return records;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function readCheckpoint(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+// Written to a temporary file first so an interruption never leaves a truncated checkpoint
+function writeCheckpoint(file, checkpoint) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Exports [from, to] to `out`, resuming from `<out>.checkpoint.json` when it exists.
+ * `from` / `to` may be omitted on resume; if given they must match the checkpoint.
+ * @returns {Promise<{ events: number, from: number, to: number }>} Totals for the whole export
+ */
+async function exportEvents({ provider, manifest, abis, from, to, format = "jsonl", out, chunk = DEFAULT_CHUNK, log = console.log }) {
+  if (!["jsonl", "csv"].includes(format)) throw new Error(`Unknown format "${format}" (use jsonl or csv)`);
+  if (!(chunk > 0)) throw new Error("--chunk must be at least 1 block");
+  const checkpointFile = `${out}.checkpoint.json`;
+  let checkpoint = readCheckpoint(checkpointFile);
+
+  if (checkpoint) {
+    const conflicts = [
+      ["--from", from, checkpoint.from],
+      ["--to", to, checkpoint.to],
+      ["--format", format, checkpoint.format],
+      ["chainId", Number(manifest.chainId), checkpoint.chainId],
+    ].filter(([, given, saved]) => given !== undefined && given !== "latest" && given !== saved);
+    if (conflicts.length > 0) {
+      const list = conflicts.map(([name, given, saved]) => `${name} ${given} (checkpoint: ${saved})`).join(", ");
+      throw new Error(`${checkpointFile} belongs to a different export: ${list}. Delete it and ${out} to start over.`);
+    }
+    // Drop anything written after the last checkpoint
+    if (fs.existsSync(out) && fs.statSync(out).size > checkpoint.bytes) fs.truncateSync(out, checkpoint.bytes);
+    if (checkpoint.nextBlock > checkpoint.to) {
+      log(`Already complete: ${checkpoint.events} events in blocks ${checkpoint.from}-${checkpoint.to}`);
+      return { events: checkpoint.events, from: checkpoint.from, to: checkpoint.to };
+    }
+    log(`Resuming at block ${checkpoint.nextBlock} (${checkpoint.events} events so far)`);
+  } else {
+    if (fs.existsSync(out)) {
+      throw new Error(`${out} already exists without a checkpoint. Delete it or choose another --out.`);
+    }
+    if (from === undefined) throw new Error("No start block known for this deployment: pass --from <block>");
+    const end = to === undefined || to === "latest" ? await provider.getBlockNumber() : to;
+    if (end < from) throw new Error(`--to ${end} is before --from ${from}`);
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out, format === "csv" ? csvColumns(abis).join(",") + "\n" : "");
+    checkpoint = { chainId: Number(manifest.chainId), format, from, to: end, nextBlock: from, events: 0, bytes: fs.statSync(out).size };
+    writeCheckpoint(checkpointFile, checkpoint);
+  }
+
+  const contracts = await discoverContracts(provider, manifest, abis, checkpoint.to);
+  const interfaces = Object.fromEntries(CONTRACT_NAMES.map((name) => [name, new ethers.Interface(abis[name])]));
+  const columns = format === "csv" ? csvColumns(abis) : null;
+  log(`Exporting ${contracts.length} contracts, blocks ${checkpoint.nextBlock}-${checkpoint.to}`);
+
+  while (checkpoint.nextBlock <= checkpoint.to) {
+    const start = checkpoint.nextBlock;
+    const end = Math.min(start + chunk - 1, checkpoint.to);
+    const records = await fetchRecords(provider, contracts, interfaces, start, end);
+
+    const lines = records.map((record) => (columns ? csvLine(columns, record) : JSON.stringify(record) + "\n"));
+    if (lines.length > 0) fs.appendFileSync(out, lines.join(""));
+
+    checkpoint.nextBlock = end + 1;
+    checkpoint.events += records.length;
+    checkpoint.bytes = fs.statSync(out).size;
+    writeCheckpoint(checkpointFile, checkpoint);
+
+    const done = ((end - checkpoint.from + 1) / (checkpoint.to - checkpoint.from + 1)) * 100;
+    log(`  Blocks ${start}-${end}: ${records.length} events (${done.toFixed(1)}%)`);
+  }
+
+  log(`✅ ${checkpoint.events} events in blocks ${checkpoint.from}-${checkpoint.to} written to ${out}`);
+  return { events: checkpoint.events, from: checkpoint.from, to: checkpoint.to };
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      options.positional.push(arg);
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`${arg} needs a value`);
+    options[arg.slice(2)] = value;
+  }
+  return options;
+}
+
+function blockNumber(name, value) {
+  if (value === undefined || value === "latest") return value;
+  if (!/^\d+$/.test(value)) throw new Error(`${name} must be a block number${name === "--to" ? " or latest" : ""}`);
+  return Number(value);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const deployment = options.positional[0];
+  if (!deployment) {
+    throw new Error("Usage: node scripts/export_events.js <arbitrum-mainnet|arbitrum-sepolia|manifest.json> [--from N] [--to N|latest] [--format jsonl|csv] [--out file]");
+  }
+  const manifest = loadManifest(deployment);
+  const network = manifest.network;
+  const format = options.format || "jsonl";
+  if (!["jsonl", "csv"].includes(format)) throw new Error(`Unknown format "${format}" (use jsonl or csv)`);
+  const out = options.out || path.join(EXPORTS_DIR, `${network}-events.${format}`);
+
+  const rpcUrl = options.rpc || RPC_URLS[manifest.chainId];
+  if (!rpcUrl) throw new Error(`No RPC known for chainId ${manifest.chainId}: pass --rpc <url>`);
+  const provider = new ethers.JsonRpcProvider(rpcUrl, Number(manifest.chainId), { staticNetwork: true });
+
+  const checkpointExists = fs.existsSync(`${out}.checkpoint.json`);
+  const from = blockNumber("--from", options.from) ?? (checkpointExists ? undefined : defaultStartBlock(manifest));
+
+  console.log(`\nExporting ${network} events to ${path.relative(process.cwd(), out)}\n`);
+  await exportEvents({
+    provider,
+    manifest,
+    abis: loadAbis(),
+    from,
+    to: blockNumber("--to", options.to),
+    format,
+    out,
+    chunk: options.chunk ? blockNumber("--chunk", options.chunk) : DEFAULT_CHUNK,
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { exportEvents, discoverContracts, formatArgs, csvColumns, csvLine, loadAbis };
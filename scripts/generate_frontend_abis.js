@@ -0,0 +1,121 @@
+/**
+ * Generate frontend ABI modules from the Hardhat artifacts of every v2 contract.
+ *
+ * Writes one module per contract to frontend/src/abis/ plus an index. Each module exports
+ * the complete ABI as a JSDoc const assertion, so editors and viem infer argument and
+ * return types from it. Never edit the generated files by hand: recompile and rerun.
+ *
+ * Usage:
+ *   npx hardhat compile && node scripts/generate_frontend_abis.js
+ *   node scripts/generate_frontend_abis.js --check   # exit 1 if the modules are stale
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts/contracts/v2");
+const OUT_DIR = path.join(ROOT, "frontend/src/abis");
+const HEADER = "// Generated by scripts/generate_frontend_abis.js. Do not edit.";
+
+// RevenueBondEscrowFactory -> REVENUE_BOND_ESCROW_FACTORY_ABI, EQMDiscountFeePolicy -> EQM_DISCOUNT_FEE_POLICY_ABI
+function exportName(contractName) {
+  return (
+    contractName
+      .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+      .toUpperCase() + "_ABI"
+  );
+}
+
+// Only the contract named after its source file; helper interfaces declared alongside
+// (e.g. IFactory in FactoryViewer.sol) and ABI-less libraries are skipped.
+function findArtifacts(dir = ARTIFACTS_DIR) {
+  const found = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (!entry.isDirectory()) continue;
+    if (!entry.name.endsWith(".sol")) {
+      found.push(...findArtifacts(full));
+      continue;
+    }
+    const file = path.join(full, entry.name.replace(/\.sol$/, ".json"));
+    if (!fs.existsSync(file)) continue;
+    const artifact = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (artifact.abi.length > 0) found.push(artifact);
+  }
+  return found.sort((a, b) => a.contractName.localeCompare(b.contractName));
+}
+
+function renderModule(artifact) {
+  return [
+    HEADER,
+    `// Source: ${artifact.sourceName}`,
+    "",
+    `export const ${exportName(artifact.contractName)} = /** @type {const} */ (${JSON.stringify(artifact.abi, null, 2)});`,
+    "",
+  ].join("\n");
+}
+
+function renderIndex(artifacts) {
+  const lines = artifacts.map((a) => `export { ${exportName(a.contractName)} } from './${a.contractName}';`);
+  return [HEADER, "", ...lines, ""].join("\n");
+}
+
+/** Map of file name -> expected contents for the current artifacts */
+function render() {
+  if (!fs.existsSync(ARTIFACTS_DIR)) {
+    throw new Error("No v2 artifacts found. Run `npx hardhat compile` first.");
+  }
+  const artifacts = findArtifacts();
+  const files = { "index.js": renderIndex(artifacts) };
+  for (const artifact of artifacts) {
+    files[`${artifact.contractName}.js`] = renderModule(artifact);
+  }
+  return files;
+}
+
+// Line endings are normalized so a CRLF checkout does not read as stale
+function staleFiles(files = render()) {
+  const read = (name) => {
+    const file = path.join(OUT_DIR, name);
+    return fs.existsSync(file) ? fs.readFileSync(file, "utf8").replace(/\r\n/g, "\n") : null;
+  };
+  const stale = Object.keys(files).filter((name) => read(name) !== files[name]);
+  const orphaned = fs.existsSync(OUT_DIR)
+    ? fs.readdirSync(OUT_DIR).filter((name) => name.endsWith(".js") && !(name in files))
+    : [];
+  return [...stale, ...orphaned];
+}
+
+function write(files = render()) {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  for (const name of fs.readdirSync(OUT_DIR)) {
+    if (name.endsWith(".js") && !(name in files)) fs.unlinkSync(path.join(OUT_DIR, name));
+  }
+  for (const [name, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(OUT_DIR, name), contents);
+  }
+  return Object.keys(files);
+}
+
+function main() {
+  const rel = path.relative(ROOT, OUT_DIR);
+  if (process.argv.includes("--check")) {
+    const stale = staleFiles();
+    if (stale.length > 0) {
+      console.error(`❌ Stale ABI modules in ${rel}: ${stale.join(", ")}`);
+      console.error("   Run `npm run abis` and commit the result.");
+      process.exit(1);
+    }
+    console.log(`✅ ABI modules in ${rel} match the artifacts`);
+    return;
+  }
+  const written = write();
+  console.log(`✅ Wrote ${written.length} files to ${rel}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { exportName, render, staleFiles, write, OUT_DIR };
@@ -0,0 +1,444 @@
+/**
+ * The v2 deployment as a graph of steps: five contract deployments, two reporter authorizations
+ * and the ownership transfers that leave the deployer with no power.
+ *
+ * Every step can tell from the chain whether it is already done (code at the recorded address,
+ * reporter authorized, owner already the target), and progress is written to
+ * deployments/<dir>/v2-deployment-partial.json when each transaction is sent and again when it is
+ * mined. Running the deployment again therefore resumes where it stopped: finished steps are
+ * skipped, a transaction that was sent but not yet recorded as mined is waited for instead of sent
+ * twice. When every step is done the state is read back, verified and saved as a new manifest
+ * version, and the partial manifest is removed.
+ *
+ * Without a partial manifest, the network's latest manifest is the starting point, so rerunning a
+ * finished deployment checks it and sends nothing; `fresh` starts a new deployment instead.
+ */
+const fs = require("fs");
+const path = require("path");
+const { V2, manifestPath, manifestNetwork, loadManifest, saveManifest, getContracts } = require("./manifest");
+
+const PARTIAL = "partial";
+
+// manifest.contracts key -> v2 contract name
+const CONTRACTS = {
+  protocolReputationRegistry: "ProtocolReputationRegistry",
+  revenueSeriesFactory: "RevenueSeriesFactory",
+  escrowDeployer: "EscrowDeployer",
+  routerDeployer: "RouterDeployer",
+  revenueBondEscrowFactory: "RevenueBondEscrowFactory",
+};
+
+/**
+ * @typedef {Object} Step
+ * @property {string} id           Also the key of the step's tx hash in manifest.transactions
+ * @property {string} description
+ * @property {string[]} after      Steps that have to be done first
+ * @property {string} [key]        Deploy steps: key of the contract in manifest.contracts
+ * @property {(ctx: Context) => string[]} [args]        Deploy steps: constructor arguments
+ * @property {(ctx: Context) => Promise<boolean>} [done] Other steps: whether the chain already reflects the step
+ * @property {(ctx: Context) => Promise<import("ethers").TransactionResponse>} [send]
+ * @property {(ctx: Context) => boolean} [when]         Steps that only apply to some deployments
+ */
+
+/**
+ * @typedef {Object} Context
+ * @property {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @property {import("ethers").Signer & { address: string }} signer
+ * @property {string} treasury
+ * @property {string} owner       Final owner of the factories and the registry
+ * @property {Object} progress    Partial manifest
+ * @property {"partial"|"latest"|"new"} source Where progress was loaded from
+ * @property {string} file        Path of the partial manifest
+ * @property {(message: string) => void} log
+ */
+
+const same = (a, b) => typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+
+const at = (ctx, key) => ctx.hre.ethers.getContractAt(V2[CONTRACTS[key]], ctx.progress.contracts[key]);
+
+function deploy(id, key, after, args = () => []) {
+  return { id, key, after, args, description: `Deploy ${CONTRACTS[key]}` };
+}
+
+function authorize(id, key, after) {
+  return {
+    id,
+    after,
+    description: `Authorize ${CONTRACTS[key]} as a reputation reporter`,
+    done: async (ctx) =>
+      (await at(ctx, "protocolReputationRegistry")).authorizedReporters(ctx.progress.contracts[key]),
+    send: async (ctx) =>
+      (await at(ctx, "protocolReputationRegistry")).authorizeReporter(ctx.progress.contracts[key]),
+  };
+}
+
+function transferOwnership(id, key, to, after, when) {
+  const [label, target] = to;
+  return {
+    id,
+    after,
+    when,
+    description: `Transfer ${CONTRACTS[key]} ownership to ${label}`,
+    done: async (ctx) => {
+      const owner = await (await at(ctx, key)).owner();
+      if (same(owner, target(ctx))) return true;
+      if (!same(owner, ctx.signer.address)) {
+        throw new Error(`${CONTRACTS[key]} is owned by ${owner}: neither the deployer nor ${label} ${target(ctx)}`);
+      }
+      return false;
+    },
+    send: async (ctx) => (await at(ctx, key)).transferOwnership(target(ctx)),
+  };
+}
+
+const ESCROW_FACTORY = ["RevenueBondEscrowFactory", (ctx) => ctx.progress.contracts.revenueBondEscrowFactory];
+const OWNER = ["the owner", (ctx) => ctx.owner];
+const handsOver = (ctx) => !same(ctx.owner, ctx.signer.address);
+
+/** @type {Step[]} */
+const STEPS = [
+  deploy("registry", "protocolReputationRegistry", []),
+  deploy("softFactory", "revenueSeriesFactory", ["registry"], (ctx) => [
+    ctx.treasury,
+    ctx.progress.contracts.protocolReputationRegistry,
+  ]),
+  deploy("escrowDeployer", "escrowDeployer", []),
+  deploy("routerDeployer", "routerDeployer", []),
+  deploy("escrowFactory", "revenueBondEscrowFactory", ["registry", "escrowDeployer", "routerDeployer"], (ctx) => [
+    ctx.treasury,
+    ctx.progress.contracts.protocolReputationRegistry,
+    ctx.progress.contracts.escrowDeployer,
+    ctx.progress.contracts.routerDeployer,
+  ]),
+  authorize("authSoftFactory", "revenueSeriesFactory", ["registry", "softFactory"]),
+  authorize("authEscrowFactory", "revenueBondEscrowFactory", ["registry", "escrowFactory"]),
+  transferOwnership("escrowDeployerOwnership", "escrowDeployer", ESCROW_FACTORY, ["escrowDeployer", "escrowFactory"]),
+  transferOwnership("routerDeployerOwnership", "routerDeployer", ESCROW_FACTORY, ["routerDeployer", "escrowFactory"]),
+  transferOwnership("softFactoryOwnership", "revenueSeriesFactory", OWNER, ["softFactory"], handsOver),
+  transferOwnership("escrowFactoryOwnership", "revenueBondEscrowFactory", OWNER, ["escrowFactory"], handsOver),
+  // Last: the registry owner is the one who authorizes reporters
+  transferOwnership("registryOwnership", "protocolReputationRegistry", OWNER, ["authSoftFactory", "authEscrowFactory"], handsOver),
+];
+
+/**
+ * Steps in an order that runs each after its dependencies, otherwise keeping their declared order.
+ * @param {Step[]} steps
+ * @returns {Step[]}
+ */
+function orderSteps(steps) {
+  const byId = new Map(steps.map((step) => [step.id, step]));
+  const state = new Map();
+  const ordered = [];
+  const visit = (step, chain) => {
+    if (state.get(step.id) === "done") return;
+    if (state.get(step.id) === "visiting") throw new Error(`Step cycle: ${[...chain, step.id].join(" -> ")}`);
+    state.set(step.id, "visiting");
+    for (const id of step.after) {
+      if (!byId.has(id)) throw new Error(`Step ${step.id} runs after unknown step ${id}`);
+      visit(byId.get(id), [...chain, step.id]);
+    }
+    state.set(step.id, "done");
+    ordered.push(step);
+  };
+  for (const step of steps) visit(step, []);
+  return ordered;
+}
+
+// ============================================
+// PROGRESS
+// ============================================
+
+function saveProgress(ctx) {
+  fs.mkdirSync(path.dirname(ctx.file), { recursive: true });
+  fs.writeFileSync(ctx.file, JSON.stringify(ctx.progress, null, 2));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.deployment] Directory name, Hardhat network name or directory path (default: hre.network.name)
+ * @param {string} [options.treasury]   Default: the deployer
+ * @param {string} [options.owner]      Final owner; default: the deployer, which skips the transfers
+ * @param {string} [options.network]    Manifest `network` of a new deployment (default: from hre.network.name)
+ * @param {boolean} [options.fresh]     Ignore the latest manifest and deploy new contracts
+ * @param {(message: string) => void} [options.log] Receives progress lines
+ * @returns {Promise<Context>}
+ */
+async function createContext(hre, options = {}) {
+  const { deployment = hre.network.name, fresh = false, log = () => {} } = options;
+  const [signer] = await hre.ethers.getSigners();
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const treasury = hre.ethers.getAddress(options.treasury || signer.address);
+  const owner = hre.ethers.getAddress(options.owner || signer.address);
+  const file = manifestPath(deployment, PARTIAL);
+
+  let progress;
+  let source;
+  if (fs.existsSync(file)) {
+    progress = JSON.parse(fs.readFileSync(file, "utf8"));
+    source = "partial";
+  } else if (!fresh && fs.existsSync(manifestPath(deployment))) {
+    const manifest = loadManifest(deployment);
+    progress = {
+      network: manifest.network,
+      chainId: manifest.chainId,
+      deployer: manifest.deployer,
+      owner: manifest.owner || manifest.deployer,
+      treasury: manifest.treasury,
+      contracts: { ...manifest.contracts },
+      transactions: { ...manifest.transactions },
+      gasUsed: { ...manifest.gasUsed },
+      pending: {},
+    };
+    source = "latest";
+  } else {
+    progress = {
+      network: options.network || manifestNetwork(hre.network.name),
+      chainId,
+      deployer: signer.address,
+      owner,
+      treasury,
+      contracts: {},
+      transactions: {},
+      gasUsed: {},
+      pending: {},
+    };
+    source = "new";
+  }
+
+  const where = source === "latest" ? manifestPath(deployment) : file;
+  const remedy =
+    source === "latest" ? "rerun with FRESH=true (or --fresh) to deploy new contracts" : "finish it with the same settings or delete it";
+  if (progress.chainId !== chainId) {
+    throw new Error(`${path.relative(process.cwd(), where)} is for chainId ${progress.chainId}, not ${chainId}: ${remedy}`);
+  }
+  for (const [field, value] of [["treasury", treasury], ["owner", owner]]) {
+    if (!same(progress[field], value)) {
+      throw new Error(`${path.relative(process.cwd(), where)} has ${field} ${progress[field]}, not ${value}: ${remedy}`);
+    }
+  }
+
+  return { hre, signer, treasury, owner, progress, source, file, log };
+}
+
+// ============================================
+// STEPS
+// ============================================
+
+/**
+ * Whether a step still has to run, judged from the chain alone.
+ * @returns {Promise<{ status: "done"|"run"|"skip", detail?: string }>}
+ */
+async function stepStatus(ctx, step) {
+  if (step.when && !step.when(ctx)) return { status: "skip", detail: "owner is the deployer" };
+  if (step.key) {
+    const address = ctx.progress.contracts[step.key];
+    if (!address) return { status: "run" };
+    if ((await ctx.hre.ethers.provider.getCode(address)) === "0x") {
+      throw new Error(`No code at ${address}, the recorded ${CONTRACTS[step.key]}: was the chain reset?`);
+    }
+    return { status: "done", detail: address };
+  }
+  return { status: (await step.done(ctx)) ? "done" : "run" };
+}
+
+function record(ctx, step, receipt) {
+  delete ctx.progress.pending[step.id];
+  ctx.progress.transactions[step.id] = receipt.hash;
+  ctx.progress.gasUsed[step.id] = receipt.gasUsed.toString();
+  if (step.key) ctx.progress.contracts[step.key] = receipt.contractAddress;
+  saveProgress(ctx);
+}
+
+// A transaction sent by a previous run: wait for it, or forget it if it was dropped or reverted
+async function settlePending(ctx, step) {
+  const hash = ctx.progress.pending[step.id];
+  if (!hash) return;
+  const tx = await ctx.hre.ethers.provider.getTransaction(hash);
+  let receipt = null;
+  if (tx) {
+    try {
+      receipt = await tx.wait();
+    } catch (err) {
+      if (err.code !== "CALL_EXCEPTION") throw err;
+    }
+  }
+  if (receipt) {
+    ctx.log(`  ${step.id}: mined ${hash} from the previous run`);
+    record(ctx, step, receipt);
+  } else {
+    ctx.log(`  ${step.id}: ${hash} from the previous run was ${tx ? "reverted" : "dropped"}, sending again`);
+    delete ctx.progress.pending[step.id];
+    saveProgress(ctx);
+  }
+}
+
+async function runStep(ctx, step) {
+  let tx;
+  if (step.key) {
+    const factory = await ctx.hre.ethers.getContractFactory(V2[CONTRACTS[step.key]]);
+    tx = (await factory.deploy(...step.args(ctx))).deploymentTransaction();
+  } else {
+    tx = await step.send(ctx);
+  }
+  ctx.progress.pending[step.id] = tx.hash;
+  saveProgress(ctx);
+  ctx.log(`  ${step.id}: sent ${tx.hash}`);
+
+  const receipt = await tx.wait();
+  record(ctx, step, receipt);
+  ctx.log(`  ${step.id}: done${step.key ? ` at ${receipt.contractAddress}` : ""} (gas ${receipt.gasUsed})`);
+}
+
+// ============================================
+// PLAN / RUN
+// ============================================
+
+/**
+ * What a run would do, without sending anything. A step is planned to run when one it depends on
+ * is; otherwise its status comes from the chain.
+ * @returns {Promise<{ context: Context, steps: { id: string, description: string, status: string, detail?: string }[] }>}
+ */
+async function planDeployment(hre, options = {}) {
+  const ctx = await createContext(hre, options);
+  const planned = new Map();
+  const steps = [];
+  for (const step of orderSteps(STEPS)) {
+    let entry;
+    if (step.when && !step.when(ctx)) {
+      entry = await stepStatus(ctx, step);
+    } else if (ctx.progress.pending[step.id]) {
+      entry = { status: "pending", detail: `waits for ${ctx.progress.pending[step.id]}` };
+    } else if (step.after.some((id) => ["run", "pending"].includes(planned.get(id)))) {
+      entry = { status: "run" };
+    } else {
+      entry = await stepStatus(ctx, step);
+    }
+    planned.set(step.id, entry.status);
+    steps.push({ id: step.id, description: step.description, ...entry });
+  }
+  return { context: ctx, steps };
+}
+
+/**
+ * Manifest of a deployment, read back from the chain.
+ * @param {Object} progress Partial manifest with every contract deployed
+ */
+async function readDeployment(hre, progress) {
+  const { softFactory, escrowFactory } = await getContracts(hre, progress);
+  const [feePolicy, safetyPolicy, accessPolicy] = await softFactory.getPolicies();
+  const limits = await softFactory.getSafetyLimits();
+
+  return {
+    version: "v2",
+    network: progress.network,
+    chainId: progress.chainId,
+    timestamp: new Date().toISOString(),
+    deployer: progress.deployer,
+    ...(!same(progress.owner, progress.deployer) && { owner: progress.owner }),
+    treasury: progress.treasury,
+    contracts: { ...progress.contracts },
+    configuration: {
+      softFactory: {
+        owner: await softFactory.owner(),
+        treasury: await softFactory.treasury(),
+        reputationRegistry: await softFactory.reputationRegistry(),
+        feePolicy,
+        safetyPolicy,
+        accessPolicy,
+        paused: await softFactory.paused(),
+      },
+      escrowFactory: {
+        owner: await escrowFactory.owner(),
+        treasury: await escrowFactory.treasury(),
+        reputationRegistry: await escrowFactory.reputationRegistry(),
+        feePolicy: await escrowFactory.feePolicy(),
+        safetyPolicy: await escrowFactory.safetyPolicy(),
+        accessPolicy: await escrowFactory.accessPolicy(),
+        escrowDeployer: await escrowFactory.escrowDeployer(),
+        routerDeployer: await escrowFactory.routerDeployer(),
+        paused: await escrowFactory.paused(),
+      },
+    },
+    safetyLimits: {
+      maxRevenueShareBPS: limits[0].toString(),
+      minDurationDays: limits[1].toString(),
+      maxDurationDays: limits[2].toString(),
+      minTotalSupply: hre.ethers.formatEther(limits[3]),
+    },
+    transactions: { ...progress.transactions },
+    gasUsed: { ...progress.gasUsed },
+  };
+}
+
+/**
+ * Everything that is not as the deployment intended, one line each; empty when it is correct.
+ * @param {Object} manifest As returned by readDeployment
+ */
+async function checkDeployment(hre, manifest) {
+  const { registry, escrowDeployer, routerDeployer } = await getContracts(hre, manifest);
+  const { contracts, configuration, treasury } = manifest;
+  const owner = manifest.owner || manifest.deployer;
+  const { softFactory: sf, escrowFactory: ef } = configuration;
+  const registryOwner = await registry.owner();
+
+  const errors = [];
+  const expect = (ok, message) => ok || errors.push(message);
+  expect(same(sf.owner, owner), `RevenueSeriesFactory owner is ${sf.owner}, not ${owner}`);
+  expect(same(sf.treasury, treasury), "RevenueSeriesFactory treasury mismatch");
+  expect(same(sf.reputationRegistry, contracts.protocolReputationRegistry), "RevenueSeriesFactory registry mismatch");
+  expect(!sf.paused, "RevenueSeriesFactory is paused");
+  expect(same(ef.owner, owner), `RevenueBondEscrowFactory owner is ${ef.owner}, not ${owner}`);
+  expect(same(ef.treasury, treasury), "RevenueBondEscrowFactory treasury mismatch");
+  expect(same(ef.reputationRegistry, contracts.protocolReputationRegistry), "RevenueBondEscrowFactory registry mismatch");
+  expect(same(ef.escrowDeployer, contracts.escrowDeployer), "RevenueBondEscrowFactory escrowDeployer mismatch");
+  expect(same(ef.routerDeployer, contracts.routerDeployer), "RevenueBondEscrowFactory routerDeployer mismatch");
+  expect(!ef.paused, "RevenueBondEscrowFactory is paused");
+  expect(same(registryOwner, owner), `ProtocolReputationRegistry owner is ${registryOwner}, not ${owner}`);
+  expect(await registry.authorizedReporters(contracts.revenueSeriesFactory), "RevenueSeriesFactory not authorized in registry");
+  expect(await registry.authorizedReporters(contracts.revenueBondEscrowFactory), "RevenueBondEscrowFactory not authorized in registry");
+  expect(same(await escrowDeployer.owner(), contracts.revenueBondEscrowFactory), "EscrowDeployer ownership not transferred");
+  expect(same(await routerDeployer.owner(), contracts.revenueBondEscrowFactory), "RouterDeployer ownership not transferred");
+  return errors;
+}
+
+/**
+ * Runs every step that is not done yet, then verifies the deployment and saves its manifest. The
+ * manifest is only saved when this run or an interrupted one sent transactions; a deployment
+ * that fails verification keeps its partial manifest.
+ * @param {Object} options See createContext
+ * @returns {Promise<{ manifest: Object, sent: string[], saved: { version: string, file: string, latest: string } | null }>}
+ */
+async function runDeployment(hre, options = {}) {
+  const ctx = await createContext(hre, options);
+  const sent = [];
+  for (const step of orderSteps(STEPS)) {
+    await settlePending(ctx, step);
+    const { status } = await stepStatus(ctx, step);
+    if (status !== "run") continue;
+    ctx.log(`  ${step.id}: ${step.description}`);
+    await runStep(ctx, step);
+    sent.push(step.id);
+  }
+
+  const manifest = await readDeployment(hre, ctx.progress);
+  const errors = await checkDeployment(hre, manifest);
+  if (errors.length > 0) {
+    throw new Error(`Deployment verification failed:\n  ${errors.join("\n  ")}`);
+  }
+
+  let saved = null;
+  if (sent.length > 0 || ctx.source === "partial") {
+    saved = saveManifest(options.deployment || hre.network.name, manifest);
+    fs.rmSync(ctx.file, { force: true });
+  }
+  return { manifest, sent, saved };
+}
+
+module.exports = {
+  STEPS,
+  orderSteps,
+  planDeployment,
+  runDeployment,
+  readDeployment,
+  checkDeployment,
+};
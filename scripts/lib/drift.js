@@ -0,0 +1,90 @@
+/**
+ * Configuration drift: differences between what a deployment manifest records and the live state
+ * of its contracts, e.g. a policy swapped or ownership moved outside the expected process.
+ *
+ * Checked: code at every address, the owner of each contract (the deployers must be owned by the
+ * escrow factory), both factories' configuration (treasury, registry, policies, paused), both
+ * factories authorized as reputation reporters and, when the manifest records them, the safety
+ * limits.
+ */
+const { diffManifests, getContracts } = require("./manifest");
+const { readDeployment } = require("./deploy-v2");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// What the manifest says the chain holds, in the shape of liveState
+function expectedState(manifest) {
+  const owner = manifest.owner || manifest.deployer;
+  const { owner: softOwner = owner, ...softFactory } = manifest.configuration.softFactory;
+  const { owner: escrowOwner = owner, ...escrowFactory } = manifest.configuration.escrowFactory;
+  return {
+    owners: {
+      protocolReputationRegistry: owner,
+      revenueSeriesFactory: softOwner,
+      revenueBondEscrowFactory: escrowOwner,
+      escrowDeployer: manifest.contracts.revenueBondEscrowFactory,
+      routerDeployer: manifest.contracts.revenueBondEscrowFactory,
+    },
+    configuration: {
+      softFactory,
+      // Deploys leave the escrow factory's policies unset, and older manifests do not record them
+      escrowFactory: { feePolicy: ZERO_ADDRESS, safetyPolicy: ZERO_ADDRESS, accessPolicy: ZERO_ADDRESS, ...escrowFactory },
+    },
+    authorizedReporters: { revenueSeriesFactory: true, revenueBondEscrowFactory: true },
+    ...(manifest.safetyLimits && { safetyLimits: manifest.safetyLimits }),
+  };
+}
+
+async function liveState(hre, manifest, expected) {
+  const live = await readDeployment(hre, manifest);
+  const { registry, escrowDeployer, routerDeployer } = await getContracts(hre, manifest);
+  const { contracts } = manifest;
+  const { owner: softOwner, ...softFactory } = live.configuration.softFactory;
+  const { owner: escrowOwner, ...escrowFactory } = live.configuration.escrowFactory;
+  return {
+    owners: {
+      protocolReputationRegistry: await registry.owner(),
+      revenueSeriesFactory: softOwner,
+      revenueBondEscrowFactory: escrowOwner,
+      escrowDeployer: await escrowDeployer.owner(),
+      routerDeployer: await routerDeployer.owner(),
+    },
+    configuration: { softFactory, escrowFactory },
+    authorizedReporters: {
+      revenueSeriesFactory: await registry.authorizedReporters(contracts.revenueSeriesFactory),
+      revenueBondEscrowFactory: await registry.authorizedReporters(contracts.revenueBondEscrowFactory),
+    },
+    ...(expected.safetyLimits && { safetyLimits: live.safetyLimits }),
+  };
+}
+
+const countValues = (value) =>
+  value !== null && typeof value === "object" ? Object.values(value).reduce((sum, v) => sum + countValues(v), 0) : 1;
+
+/**
+ * Compares a deployment's live state with its manifest.
+ * @param {import("./manifest").Manifest} manifest
+ * @returns {Promise<{ checked: number, drift: { path: string, expected: *, actual: * }[] }>}
+ *   `checked` counts the values compared; `drift` is empty when the chain matches the manifest
+ */
+async function findDrift(hre, manifest) {
+  // Nothing else can be read from an address without code
+  const missing = [];
+  for (const [key, address] of Object.entries(manifest.contracts)) {
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+      missing.push({ path: `contracts.${key}`, expected: address, actual: "no code" });
+    }
+  }
+  if (missing.length > 0) return { checked: Object.keys(manifest.contracts).length, drift: missing };
+
+  const expected = expectedState(manifest);
+  const actual = await liveState(hre, manifest, expected);
+  const drift = diffManifests(expected, actual).map((change) => ({
+    path: change.path,
+    expected: change.before,
+    actual: change.after,
+  }));
+  return { checked: countValues(expected), drift };
+}
+
+module.exports = { findDrift };
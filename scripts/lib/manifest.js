@@ -0,0 +1,293 @@
+/**
+ * Deployment manifests: the JSON files deploy scripts write to deployments/<dir>/ and every other
+ * script, task, the indexer and the subgraph read back.
+ *
+ * Each deploy writes v2-deployment-<unix ms>.json and a copy named v2-deployment-latest.json, so
+ * the directory holds the history of the network's deployments and "latest" is the one in use.
+ * Manifests are validated against v2-deployment.schema.json on load and on save.
+ *
+ * A deployment is named by its directory (arbitrum-mainnet), by the Hardhat network it is
+ * deployed to (arbitrum) or, for manifests kept elsewhere, by a path ending in .json.
+ *
+ * Does not require Hardhat: functions that need it take `hre` as an argument.
+ */
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+const SCHEMA = require("./v2-deployment.schema.json");
+
+const PREFIX = "v2-deployment-";
+const LATEST = "latest";
+
+// Hardhat network name -> deployments/ directory and the manifest's `network` (the chain's name
+// in The Graph), where they differ from the Hardhat name
+const NETWORKS = {
+  arbitrum: { dir: "arbitrum-mainnet", network: "arbitrum-one" },
+  arbitrumSepolia: { dir: "arbitrum-sepolia", network: "arbitrum-sepolia" },
+};
+
+// Fully qualified names: v1 contracts share the short names
+const V2 = {
+  ProtocolReputationRegistry: "contracts/v2/registry/ProtocolReputationRegistry.sol:ProtocolReputationRegistry",
+  RevenueSeriesFactory: "contracts/v2/core/RevenueSeriesFactory.sol:RevenueSeriesFactory",
+  EscrowDeployer: "contracts/v2/core/EscrowDeployer.sol:EscrowDeployer",
+  RouterDeployer: "contracts/v2/core/RouterDeployer.sol:RouterDeployer",
+  RevenueBondEscrowFactory: "contracts/v2/core/RevenueBondEscrowFactory.sol:RevenueBondEscrowFactory",
+  RevenueSeries: "contracts/v2/core/RevenueSeries.sol:RevenueSeries",
+  RevenueBondEscrow: "contracts/v2/core/RevenueBondEscrow.sol:RevenueBondEscrow",
+  RevenueRouter: "contracts/v2/core/RevenueRouter.sol:RevenueRouter",
+  WhitelistAccessPolicy: "contracts/v2/policies/WhitelistAccessPolicy.sol:WhitelistAccessPolicy",
+};
+
+/**
+ * @typedef {Object} Manifest
+ * @property {"v2"} version
+ * @property {string} network   Network name used by the subgraph and the indexer
+ * @property {number} chainId
+ * @property {string} timestamp ISO 8601
+ * @property {string} deployer
+ * @property {string} [owner]
+ * @property {string} treasury
+ * @property {{ protocolReputationRegistry: string, revenueSeriesFactory: string, escrowDeployer: string,
+ *   routerDeployer: string, revenueBondEscrowFactory: string }} contracts
+ * @property {{ softFactory: Object, escrowFactory: Object }} configuration
+ * @property {Object<string, string>} [safetyLimits]
+ * @property {Object<string, string>} [transactions] Deployment tx hash by step
+ * @property {Object<string, string>} [gasUsed]
+ */
+
+/**
+ * @typedef {Object} V2Contracts
+ * @property {import("ethers").Contract} registry      ProtocolReputationRegistry
+ * @property {import("ethers").Contract} softFactory   RevenueSeriesFactory
+ * @property {import("ethers").Contract} escrowFactory RevenueBondEscrowFactory
+ * @property {import("ethers").Contract} escrowDeployer
+ * @property {import("ethers").Contract} routerDeployer
+ */
+
+class ManifestError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [errors] Schema violations, one line each
+   */
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  ${errors.join("\n  ")}` : message);
+    this.name = "ManifestError";
+    this.errors = errors;
+  }
+}
+
+// ============================================
+// LOCATION
+// ============================================
+
+/** deployments/ directory of a deployment name or Hardhat network name (or any absolute directory) */
+function deploymentDir(deployment) {
+  return path.resolve(DEPLOYMENTS_DIR, NETWORKS[deployment]?.dir || deployment);
+}
+
+/** Value of a manifest's `network` for a deploy to a Hardhat network */
+function manifestNetwork(hardhatNetwork) {
+  return NETWORKS[hardhatNetwork]?.network || hardhatNetwork;
+}
+
+/**
+ * Path of a manifest.
+ * @param {string} deployment Directory name, Hardhat network name or path to a .json manifest
+ * @param {string|number} [version] "latest" (default) or the timestamp of a previous deploy
+ */
+function manifestPath(deployment, version = LATEST) {
+  if (deployment.endsWith(".json")) return path.resolve(deployment);
+  return path.join(deploymentDir(deployment), `${PREFIX}${version}.json`);
+}
+
+/**
+ * Every deploy recorded for a network, oldest first; the newest one is normally also latest.
+ * @returns {{ version: string, timestamp: string, file: string }[]}
+ */
+function listVersions(deployment) {
+  const dir = deploymentDir(deployment);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((name) => name.match(/^v2-deployment-(\d+)\.json$/))
+    .filter(Boolean)
+    .map(([name, version]) => ({
+      version,
+      timestamp: new Date(Number(version)).toISOString(),
+      file: path.join(dir, name),
+    }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Address of the legacy v1 RevenueSeriesFactory, from the v1-addresses.json kept next to the v2
+ * manifests (only Arbitrum One has one).
+ * @returns {string|undefined}
+ */
+function v1FactoryAddress(deployment) {
+  const file = path.join(deploymentDir(deployment), "v1-addresses.json");
+  if (!fs.existsSync(file)) return undefined;
+  return JSON.parse(fs.readFileSync(file, "utf8")).contracts.RevenueSeriesFactory.address;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+let validator;
+
+/**
+ * Schema violations of a manifest, as "<path> <message>" lines; empty when it is valid.
+ * @returns {string[]}
+ */
+function validateManifest(manifest) {
+  validator = validator || new Ajv({ allErrors: true }).compile(SCHEMA);
+  if (validator(manifest)) return [];
+  return validator.errors.map((error) => {
+    const where = error.instancePath ? error.instancePath.slice(1).replace(/\//g, ".") : "manifest";
+    const extra = error.params.additionalProperty ? ` "${error.params.additionalProperty}"` : "";
+    return `${where} ${error.message}${extra}`;
+  });
+}
+
+// ============================================
+// LOAD / SAVE
+// ============================================
+
+/**
+ * Reads and validates a manifest.
+ * @param {string} deployment Directory name, Hardhat network name or path to a .json manifest
+ * @param {{ version?: string|number }} [options]
+ * @returns {Manifest}
+ */
+function loadManifest(deployment, { version } = {}) {
+  const file = manifestPath(deployment, version);
+  const relative = path.relative(process.cwd(), file);
+  if (!fs.existsSync(file)) throw new ManifestError(`No deployment manifest at ${relative}`);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ManifestError(`${relative} is not valid JSON: ${err.message}`);
+  }
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) throw new ManifestError(`${relative} is not a valid v2 deployment manifest`, errors);
+  return manifest;
+}
+
+/**
+ * Loads the manifest of the network Hardhat is connected to (or `deployment`) and checks it was
+ * deployed to the same chain.
+ * @returns {Promise<Manifest>}
+ */
+async function loadNetworkManifest(hre, deployment = hre.network.name) {
+  const manifest = loadManifest(deployment);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (BigInt(manifest.chainId) !== chainId) {
+    throw new ManifestError(
+      `${path.relative(process.cwd(), manifestPath(deployment))} is for chainId ${manifest.chainId}, ` +
+        `but ${hre.network.name} is chainId ${chainId}`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Validates a manifest and writes it as a new version and as latest.
+ * @param {string} deployment Directory name or Hardhat network name
+ * @returns {{ version: string, file: string, latest: string }}
+ */
+function saveManifest(deployment, manifest) {
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) throw new ManifestError("Refusing to save an invalid deployment manifest", errors);
+
+  const dir = deploymentDir(deployment);
+  fs.mkdirSync(dir, { recursive: true });
+  const version = String(Date.parse(manifest.timestamp));
+  const json = JSON.stringify(manifest, null, 2);
+  const file = path.join(dir, `${PREFIX}${version}.json`);
+  const latest = path.join(dir, `${PREFIX}${LATEST}.json`);
+  fs.writeFileSync(file, json);
+  fs.writeFileSync(latest, json);
+  return { version, file, latest };
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+const isAddress = (value) => typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value);
+
+/**
+ * Fields that differ between two manifests, as dotted paths. Addresses are compared without
+ * regard to checksum case.
+ * @param {Object} before
+ * @param {Object} after
+ * @param {{ ignore?: string[] }} [options] Paths to skip, e.g. ["timestamp", "gasUsed"]
+ * @returns {{ path: string, before: *, after: * }[]} `undefined` marks a field only one side has
+ */
+function diffManifests(before, after, { ignore = [] } = {}) {
+  const changes = [];
+  const walk = (a, b, prefix) => {
+    if (ignore.includes(prefix)) return;
+    const objects = [a, b].every((v) => v !== null && typeof v === "object" && !Array.isArray(v));
+    if (objects) {
+      const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+      for (const key of keys) walk(a[key], b[key], prefix ? `${prefix}.${key}` : key);
+      return;
+    }
+    const same = isAddress(a) && isAddress(b) ? a.toLowerCase() === b.toLowerCase() : JSON.stringify(a) === JSON.stringify(b);
+    if (!same) changes.push({ path: prefix, before: a, after: b });
+  };
+  walk(before, after, "");
+  return changes;
+}
+
+// ============================================
+// CONTRACTS
+// ============================================
+
+/** ethers contract for a v2 contract name (RevenueSeries, RevenueRouter, ...) at an address */
+function contractAt(hre, name, address) {
+  if (!V2[name]) throw new Error(`Unknown v2 contract ${name}`);
+  return hre.ethers.getContractAt(V2[name], address);
+}
+
+/**
+ * ethers contracts for every address in a manifest, connected to Hardhat's first signer.
+ * @param {Manifest} manifest
+ * @returns {Promise<V2Contracts>}
+ */
+async function getContracts(hre, manifest) {
+  const { contracts } = manifest;
+  return {
+    registry: await contractAt(hre, "ProtocolReputationRegistry", contracts.protocolReputationRegistry),
+    softFactory: await contractAt(hre, "RevenueSeriesFactory", contracts.revenueSeriesFactory),
+    escrowFactory: await contractAt(hre, "RevenueBondEscrowFactory", contracts.revenueBondEscrowFactory),
+    escrowDeployer: await contractAt(hre, "EscrowDeployer", contracts.escrowDeployer),
+    routerDeployer: await contractAt(hre, "RouterDeployer", contracts.routerDeployer),
+  };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  NETWORKS,
+  V2,
+  ManifestError,
+  deploymentDir,
+  manifestNetwork,
+  manifestPath,
+  listVersions,
+  v1FactoryAddress,
+  validateManifest,
+  loadManifest,
+  loadNetworkManifest,
+  saveManifest,
+  diffManifests,
+  contractAt,
+  getContracts,
+};
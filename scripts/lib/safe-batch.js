@@ -0,0 +1,274 @@
+/**
+ * Safe Transaction Builder batches for the owner operations of a v2 deployment.
+ *
+ * Once the contracts are owned by the Safe, every admin call is proposed through the Safe UI. A
+ * change file describes the calls at a high level; buildBatch turns it into a batch file the
+ * Transaction Builder app imports, with the calldata encoded and the method and inputs filled in
+ * so the app shows each call decoded.
+ *
+ * Change file:
+ *   {
+ *     "name": "Launch whitelist",
+ *     "description": "Optional, shown in the Transaction Builder",
+ *     "changes": [
+ *       { "action": "batchAddToWhitelist", "policy": "0x...", "protocols": ["0x...", "0x..."] },
+ *       { "action": "setAccessPolicy", "factory": "softFactory", "policy": "0x..." }
+ *     ]
+ *   }
+ *
+ * Actions and their fields (`factory` is softFactory, escrowFactory or both):
+ *   setFeePolicy, setSafetyPolicy, setAccessPolicy  factory, policy (the zero address disables it)
+ *   pause, unpause                                  factory
+ *   updateReputationRegistry                        factory, registry
+ *   authorizeReporter                               reporter
+ *   blacklistProtocol                               protocol, reason
+ *   batchAddToWhitelist                             policy (a WhitelistAccessPolicy), protocols
+ *
+ * Registry actions go to the manifest's ProtocolReputationRegistry.
+ */
+const { V2 } = require("./manifest");
+
+// Version of the Transaction Builder app whose file format this writes
+const TX_BUILDER_VERSION = "1.16.5";
+
+const FACTORIES = {
+  softFactory: { contract: "RevenueSeriesFactory", key: "revenueSeriesFactory" },
+  escrowFactory: { contract: "RevenueBondEscrowFactory", key: "revenueBondEscrowFactory" },
+};
+
+// manifest.contracts key -> v2 contract name, to label the calls of a batch
+const MANIFEST_CONTRACTS = {
+  protocolReputationRegistry: "ProtocolReputationRegistry",
+  revenueSeriesFactory: "RevenueSeriesFactory",
+  escrowDeployer: "EscrowDeployer",
+  routerDeployer: "RouterDeployer",
+  revenueBondEscrowFactory: "RevenueBondEscrowFactory",
+};
+
+/**
+ * `on` is where the call goes: "factory" (the change's factory field), "registry" or "policy" (the
+ * change's policy field). `fields` are the change fields passed as the method's arguments, in order.
+ */
+const ACTIONS = {
+  setFeePolicy: { on: "factory", method: "setFeePolicy", fields: ["policy"] },
+  setSafetyPolicy: { on: "factory", method: "setSafetyPolicy", fields: ["policy"] },
+  setAccessPolicy: { on: "factory", method: "setAccessPolicy", fields: ["policy"] },
+  pause: { on: "factory", method: "pause", fields: [] },
+  unpause: { on: "factory", method: "unpause", fields: [] },
+  // The escrow factory names it setReputationRegistry
+  updateReputationRegistry: {
+    on: "factory",
+    method: { softFactory: "updateReputationRegistry", escrowFactory: "setReputationRegistry" },
+    fields: ["registry"],
+  },
+  authorizeReporter: { on: "registry", method: "authorizeReporter", fields: ["reporter"] },
+  blacklistProtocol: { on: "registry", method: "blacklistProtocol", fields: ["protocol", "reason"] },
+  batchAddToWhitelist: { on: "policy", method: "batchAddToWhitelist", fields: ["protocols"] },
+};
+
+class BatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BatchError";
+  }
+}
+
+function abiEntry(hre, contract, method) {
+  return hre.artifacts.readArtifactSync(V2[contract]).abi.find((entry) => entry.type === "function" && entry.name === method);
+}
+
+function argument(hre, type, value, where) {
+  if (type === "address") {
+    if (!hre.ethers.isAddress(value)) throw new BatchError(`${where} must be an address, got ${JSON.stringify(value)}`);
+    return hre.ethers.getAddress(value);
+  }
+  if (type === "address[]") {
+    if (!Array.isArray(value) || value.length === 0) throw new BatchError(`${where} must be a non-empty list of addresses`);
+    return value.map((item, i) => argument(hre, "address", item, `${where}[${i}]`));
+  }
+  if (type === "string") {
+    if (typeof value !== "string" || value.trim() === "") throw new BatchError(`${where} must be a non-empty string`);
+    return value;
+  }
+  throw new BatchError(`${where}: unsupported parameter type ${type}`);
+}
+
+// The calls one change expands to
+function resolveChange(hre, manifest, change, index) {
+  const where = `changes[${index}]`;
+  const action = ACTIONS[change?.action];
+  if (!action) {
+    throw new BatchError(`${where}.action must be one of ${Object.keys(ACTIONS).join(", ")}, got ${JSON.stringify(change?.action)}`);
+  }
+  const allowed = ["action", ...(action.on === "registry" ? [] : [action.on]), ...action.fields];
+  const unknown = Object.keys(change).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) throw new BatchError(`${where}: ${change.action} does not take ${unknown.join(", ")}`);
+
+  let targets;
+  if (action.on === "factory") {
+    const names = change.factory === "both" ? Object.keys(FACTORIES) : [change.factory];
+    if (!FACTORIES[names[0]]) {
+      throw new BatchError(`${where}.factory must be softFactory, escrowFactory or both, got ${JSON.stringify(change.factory)}`);
+    }
+    targets = names.map((name) => ({
+      contract: FACTORIES[name].contract,
+      to: manifest.contracts[FACTORIES[name].key],
+      method: typeof action.method === "string" ? action.method : action.method[name],
+    }));
+  } else if (action.on === "registry") {
+    targets = [{ contract: "ProtocolReputationRegistry", to: manifest.contracts.protocolReputationRegistry, method: action.method }];
+  } else {
+    targets = [{ contract: "WhitelistAccessPolicy", to: argument(hre, "address", change.policy, `${where}.policy`), method: action.method }];
+  }
+
+  return targets.map((target) => {
+    const entry = abiEntry(hre, target.contract, target.method);
+    const args = action.fields.map((field, i) => argument(hre, entry.inputs[i].type, change[field], `${where}.${field}`));
+    return { ...target, to: hre.ethers.getAddress(target.to), entry, args };
+  });
+}
+
+function inputValue(value) {
+  // The Transaction Builder writes arrays unquoted
+  return Array.isArray(value) ? `[${value.join(",")}]` : String(value);
+}
+
+// ============================================
+// CHECKSUM
+// ============================================
+
+// The Transaction Builder's serialization: keys sorted, each object prefixed with its key list
+function serialize(value) {
+  if (Array.isArray(value)) return `[${value.map(serialize).join(",")}]`;
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map((key) => `${serialize(value[key])},`).join("")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * meta.checksum as the Transaction Builder computes it: it warns on import when it does not match.
+ */
+function batchChecksum(hre, batch) {
+  const { checksum, ...meta } = batch.meta;
+  return hre.ethers.id(serialize({ ...batch, meta: { ...meta, name: null } }));
+}
+
+// ============================================
+// BUILD / DECODE
+// ============================================
+
+/**
+ * Safe Transaction Builder batch for a change file.
+ * @param {Object} manifest Deployment manifest (see manifest.js)
+ * @param {{ name: string, description?: string, changes: Object[] }} spec Parsed change file
+ * @param {{ safe: string, createdAt?: number }} options
+ * @returns {Object} Batch file contents
+ */
+function buildBatch(hre, manifest, spec, { safe, createdAt = Date.now() }) {
+  if (typeof spec?.name !== "string" || spec.name.trim() === "") throw new BatchError("name must be a non-empty string");
+  if (!Array.isArray(spec.changes) || spec.changes.length === 0) throw new BatchError("changes must be a non-empty list");
+
+  const calls = spec.changes.flatMap((change, index) => resolveChange(hre, manifest, change, index));
+  const transactions = calls.map(({ to, entry, args }) => ({
+    to,
+    value: "0",
+    data: new hre.ethers.Interface([entry]).encodeFunctionData(entry.name, args),
+    contractMethod: {
+      inputs: entry.inputs.map(({ internalType, name, type }) => ({ internalType, name, type })),
+      name: entry.name,
+      payable: entry.stateMutability === "payable",
+    },
+    contractInputsValues: Object.fromEntries(entry.inputs.map((input, i) => [input.name, inputValue(args[i])])),
+  }));
+
+  const batch = {
+    version: "1.0",
+    chainId: String(manifest.chainId),
+    createdAt,
+    meta: {
+      name: spec.name,
+      description: spec.description || "",
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: hre.ethers.getAddress(safe),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = batchChecksum(hre, batch);
+  return batch;
+}
+
+/**
+ * Each transaction of a batch decoded from its calldata. Contracts are named from the manifest;
+ * other addresses by the first v2 contract whose ABI decodes the call.
+ * @returns {{ to: string, contract: string|null, method: string|null, args: { name: string, type: string, value: * }[] }[]}
+ */
+function decodeBatch(hre, batch, manifest) {
+  const known = {};
+  for (const [key, contract] of Object.entries(MANIFEST_CONTRACTS)) {
+    if (manifest?.contracts[key]) known[manifest.contracts[key].toLowerCase()] = contract;
+  }
+
+  return batch.transactions.map((tx) => {
+    const candidates = known[tx.to.toLowerCase()] ? [known[tx.to.toLowerCase()]] : Object.keys(V2);
+    for (const contract of candidates) {
+      const iface = new hre.ethers.Interface(hre.artifacts.readArtifactSync(V2[contract]).abi);
+      const parsed = tx.data ? iface.parseTransaction({ data: tx.data, value: tx.value }) : null;
+      if (!parsed) continue;
+      return {
+        to: hre.ethers.getAddress(tx.to),
+        contract,
+        method: parsed.name,
+        args: parsed.fragment.inputs.map((input, i) => ({
+          name: input.name,
+          type: input.type,
+          value: Array.isArray(parsed.args[i]) ? [...parsed.args[i]] : parsed.args[i],
+        })),
+      };
+    }
+    return { to: hre.ethers.getAddress(tx.to), contract: null, method: null, args: [] };
+  });
+}
+
+/**
+ * Executes a batch as its Safe on a local Hardhat network, then reverts the chain to where it was.
+ * Stops at the first revert: the Safe executes a batch atomically.
+ * @returns {Promise<{ ok: boolean, gasUsed?: string, error?: string }[]>}
+ */
+async function simulateBatch(hre, batch) {
+  const safe = batch.meta.createdFromSafeAddress;
+  const provider = hre.network.provider;
+  const snapshot = await provider.request({ method: "evm_snapshot" });
+  await provider.request({ method: "hardhat_impersonateAccount", params: [safe] });
+  // Gas money for the impersonated Safe (100 ETH)
+  await provider.request({ method: "hardhat_setBalance", params: [safe, "0x56bc75e2d63100000"] });
+
+  const results = [];
+  try {
+    const signer = await hre.ethers.getSigner(safe);
+    for (const tx of batch.transactions) {
+      try {
+        const receipt = await (await signer.sendTransaction({ to: tx.to, value: tx.value, data: tx.data })).wait();
+        results.push({ ok: true, gasUsed: receipt.gasUsed.toString() });
+      } catch (err) {
+        results.push({ ok: false, error: err.shortMessage || err.message });
+        break;
+      }
+    }
+  } finally {
+    await provider.request({ method: "hardhat_stopImpersonatingAccount", params: [safe] });
+    await provider.request({ method: "evm_revert", params: [snapshot] });
+  }
+  return results;
+}
+
+module.exports = {
+  ACTIONS,
+  BatchError,
+  batchChecksum,
+  buildBatch,
+  decodeBatch,
+  simulateBatch,
+};
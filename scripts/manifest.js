@@ -0,0 +1,105 @@
+/**
+ * Validate, list and diff the v2 deployment manifests in deployments/.
+ *
+ * Usage:
+ *   node scripts/manifest.js validate [deployment...]            # default: every deployments/<dir>
+ *   node scripts/manifest.js versions <deployment>
+ *   node scripts/manifest.js diff <deployment> [from] [to]       # default: previous version -> latest
+ *   node scripts/manifest.js diff <a.json> <b.json>
+ *
+ *   <deployment>  arbitrum-mainnet, arbitrum-sepolia, a Hardhat network name or a manifest path
+ *   [from] [to]   Version timestamps from `versions`, or "latest"
+ *
+ * `validate` exits with 1 when a manifest is invalid; `diff` ignores timestamp and gasUsed.
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  DEPLOYMENTS_DIR,
+  ManifestError,
+  manifestPath,
+  listVersions,
+  loadManifest,
+  diffManifests,
+} = require("./lib/manifest");
+
+function validate(deployments) {
+  if (deployments.length === 0) {
+    deployments = fs
+      .readdirSync(DEPLOYMENTS_DIR, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && fs.existsSync(manifestPath(entry.name)))
+      .map((entry) => entry.name);
+  }
+  let invalid = 0;
+  for (const deployment of deployments) {
+    try {
+      const manifest = loadManifest(deployment);
+      console.log(`✅ ${deployment}: ${manifest.network} (chainId ${manifest.chainId}), deployed ${manifest.timestamp}`);
+    } catch (err) {
+      if (!(err instanceof ManifestError)) throw err;
+      invalid++;
+      console.log(`❌ ${err.message}`);
+    }
+  }
+  return invalid === 0;
+}
+
+function versions(deployment) {
+  const list = listVersions(deployment);
+  if (list.length === 0) {
+    console.log(`No versioned manifests for ${deployment}`);
+    return;
+  }
+  const latest = fs.existsSync(manifestPath(deployment)) ? fs.readFileSync(manifestPath(deployment), "utf8") : null;
+  for (const { version, timestamp, file } of list) {
+    const marker = fs.readFileSync(file, "utf8") === latest ? "  (latest)" : "";
+    console.log(`${version}  ${timestamp}${marker}`);
+  }
+}
+
+function diff(args) {
+  let before, after, label;
+  if (args.length === 2 && args.every((arg) => arg.endsWith(".json"))) {
+    [before, after] = args.map((file) => loadManifest(file));
+    label = args.join(" -> ");
+  } else {
+    const [deployment, from, to = "latest"] = args;
+    const list = listVersions(deployment);
+    // Default: the version before the current latest
+    const previous = from || (list.length >= 2 ? list[list.length - 2].version : undefined);
+    if (!previous) throw new ManifestError(`${deployment} has a single version: nothing to diff against`);
+    before = loadManifest(deployment, { version: previous });
+    after = loadManifest(deployment, { version: to });
+    label = `${deployment} ${previous} -> ${to}`;
+  }
+
+  const changes = diffManifests(before, after, { ignore: ["timestamp", "gasUsed"] });
+  console.log(`${label}: ${changes.length === 0 ? "no changes" : `${changes.length} changed`}`);
+  const show = (value) => (value === undefined ? "(none)" : JSON.stringify(value));
+  for (const change of changes) {
+    console.log(`  ${change.path}\n    - ${show(change.before)}\n    + ${show(change.after)}`);
+  }
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === "validate") {
+    if (!validate(args)) process.exitCode = 1;
+  } else if (command === "versions" && args.length === 1) {
+    versions(args[0]);
+  } else if (command === "diff" && args.length >= 1) {
+    diff(args);
+  } else {
+    console.error(`Usage: node ${path.relative(process.cwd(), __filename)} <validate [deployment...] | versions <deployment> | diff <deployment> [from] [to]>`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err instanceof ManifestError ? `❌ ${err.message}` : err);
+    process.exitCode = 1;
+  }
+}
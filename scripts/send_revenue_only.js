@@ -1,6 +1,17 @@
+/**
+ * Sends revenue to a router and routes it (v2 routers: npx hardhat router:route).
+ *
+ * Usage:
+ *   ROUTER=0x... npx hardhat run scripts/send_revenue_only.js --network arbitrumSepolia
+ */
 const hre = require("hardhat");
 
 async function main() {
+  const routerAddress = process.env.ROUTER;
+  if (!hre.ethers.isAddress(routerAddress)) {
+    throw new Error("Set ROUTER=<address> to the router to send revenue to");
+  }
+
   console.log("\nSending Revenue to Protocol (for screenshot)\n");
 
   const [deployer] = await hre.ethers.getSigners();
@@ -10,7 +21,6 @@ async function main() {
   console.log("Sender:", deployer.address);
   console.log("");
 
-  const routerAddress = "0x3D170736435F9D2e3eC7164dA56EC1DE0dd24A5F";
   const router = await hre.ethers.getContractAt("RevenueRouter", routerAddress);
 
   // Send revenue
@@ -1,6 +1,19 @@
+/**
+ * End-to-end revenue flow against a deployed series: send revenue to its router, route it, claim.
+ *
+ * Usage:
+ *   SERIES=0x... npx hardhat run scripts/test_revenue_flow.js --network arbitrumSepolia
+ *
+ * ROUTER defaults to the series' router.
+ */
 const hre = require("hardhat");
 
 async function main() {
+  const seriesAddress = process.env.SERIES;
+  if (!hre.ethers.isAddress(seriesAddress)) {
+    throw new Error("Set SERIES=<address> to the series to test");
+  }
+
   console.log("\nTesting Revenue Bonds Protocol - End to End Flow\n");
 
   const [deployer] = await hre.ethers.getSigners();
@@ -11,9 +24,8 @@ async function main() {
   console.log("  Tester:", deployer.address);
   console.log("");
 
-  // Arbitrum Sepolia deployment addresses
-  const seriesAddress = "0xb42751FFBCFbe76dd5Fc919088B2a81B52C48D19";
-  const routerAddress = "0x3D170736435F9D2e3eC7164dA56EC1DE0dd24A5F";
+  const series = await hre.ethers.getContractAt("RevenueSeries", seriesAddress);
+  const routerAddress = process.env.ROUTER || (await series.router());
 
   console.log("Contract Addresses:");
   console.log("  Series:", seriesAddress);
@@ -21,7 +33,6 @@ async function main() {
   console.log("");
 
   // Get contract instances
-  const series = await hre.ethers.getContractAt("RevenueSeries", seriesAddress);
   const router = await hre.ethers.getContractAt("RevenueRouter", routerAddress);
 
   // ============================================
@@ -6,6 +6,7 @@
 const hre = require("hardhat");
 const fs = require('fs');
 const path = require('path');
+const { loadNetworkManifest, getContracts, contractAt, deploymentDir } = require('./lib/manifest');
 
 // Test results tracker
 const testResults = {
@@ -46,28 +47,16 @@ async function main() {
     console.log("Balance:", hre.ethers.formatEther(balance), "ETH\n");
 
     // Load deployment info
-    const deploymentPath = path.join(__dirname, '../deployments/arbitrum-sepolia/v2-deployment.json');
-    if (!fs.existsSync(deploymentPath)) {
-        throw new Error("❌ V2 deployment not found. Run deploy_v2_testnet.js first.");
-    }
-    
-    const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-    const FACTORY_ADDRESS = deployment.contracts.factory;
-    const REPUTATION_ADDRESS = deployment.contracts.reputationRegistry;
+    const deployment = await loadNetworkManifest(hre);
+    const FACTORY_ADDRESS = deployment.contracts.revenueSeriesFactory;
+    const REPUTATION_ADDRESS = deployment.contracts.protocolReputationRegistry;
     
     console.log("Factory:", FACTORY_ADDRESS);
     console.log("Reputation Registry:", REPUTATION_ADDRESS);
     console.log("\n" + "=".repeat(70) + "\n");
 
     // Get contract instances
-    const factory = await hre.ethers.getContractAt(
-        "contracts/v2/core/RevenueSeriesFactory.sol:RevenueSeriesFactory",
-        FACTORY_ADDRESS
-    );
-    const reputationRegistry = await hre.ethers.getContractAt(
-        "contracts/v2/registry/ProtocolReputationRegistry.sol:ProtocolReputationRegistry",
-        REPUTATION_ADDRESS
-    );
+    const { softFactory: factory, registry: reputationRegistry } = await getContracts(hre, deployment);
 
     // ============================================
     // TESTE 1: VERIFICAR CONFIGURAÇÃO DO FACTORY
@@ -77,13 +66,14 @@ async function main() {
     try {
         const treasury = await factory.treasury();
         const repRegistry = await factory.reputationRegistry();
-        const feesEnabled = await factory.feesEnabled();
-        const creationFee = await factory.creationFeeETH();
+        const [feePolicy, safetyPolicy, accessPolicy] = await factory.getPolicies();
+        const expected = deployment.configuration.softFactory;
         
         logTest("Factory.treasury() retorna endereço válido", treasury !== hre.ethers.ZeroAddress);
         logTest("Factory.reputationRegistry() aponta para contrato correto", repRegistry === REPUTATION_ADDRESS);
-        logTest("Factory.feesEnabled() está desabilitado (testnet)", !feesEnabled);
-        logTest("Factory.creationFeeETH() é zero", creationFee === 0n);
+        logTest("Factory.getPolicies() igual ao manifest de deployment",
+            feePolicy === expected.feePolicy && safetyPolicy === expected.safetyPolicy && accessPolicy === expected.accessPolicy,
+            `fee ${feePolicy}, safety ${safetyPolicy}, access ${accessPolicy}`);
         
         // Verificar safety limits
         const maxRevShare = await factory.MAX_REVENUE_SHARE_BPS();
@@ -179,10 +169,7 @@ async function main() {
     console.log("📋 TESTE 3: Verificar Parâmetros da Série\n");
     
     try {
-        const series = await hre.ethers.getContractAt(
-            "contracts/v2/core/RevenueSeries.sol:RevenueSeries",
-            seriesAddress
-        );
+        const series = await contractAt(hre, "RevenueSeries", seriesAddress);
         
         const name = await series.name();
         const symbol = await series.symbol();
@@ -223,10 +210,7 @@ async function main() {
     console.log("📋 TESTE 4: Distribuir Revenue para a Série\n");
     
     try {
-        const series = await hre.ethers.getContractAt(
-            "contracts/v2/core/RevenueSeries.sol:RevenueSeries",
-            seriesAddress
-        );
+        const series = await contractAt(hre, "RevenueSeries", seriesAddress);
         
         const revenueAmount = hre.ethers.parseEther("0.001"); // 0.001 ETH (mínimo do contrato)
         console.log("Distribuindo", hre.ethers.formatEther(revenueAmount), "ETH...\n");
@@ -254,10 +238,7 @@ async function main() {
     console.log("📋 TESTE 5: Calcular e Claim Revenue\n");
     
     try {
-        const series = await hre.ethers.getContractAt(
-            "contracts/v2/core/RevenueSeries.sol:RevenueSeries",
-            seriesAddress
-        );
+        const series = await contractAt(hre, "RevenueSeries", seriesAddress);
         
         // Calcular claimable
         const claimable = await series.calculateClaimable(deployer.address);
@@ -460,16 +441,16 @@ async function main() {
     console.log("=".repeat(70) + "\n");
     
     // Save test results
-    const testResultsPath = path.join(__dirname, '../deployments/arbitrum-sepolia/test-results-v2.json');
+    const testResultsPath = path.join(deploymentDir(hre.network.name), 'test-results-v2.json');
     fs.writeFileSync(testResultsPath, JSON.stringify({
         timestamp: new Date().toISOString(),
-        network: "arbitrum-sepolia",
+        network: deployment.network,
         factory: FACTORY_ADDRESS,
         testSeries: seriesAddress,
         results: testResults
     }, null, 2));
     
-    console.log("💾 Resultados salvos em: deployments/arbitrum-sepolia/test-results-v2.json\n");
+    console.log("💾 Resultados salvos em:", path.relative(process.cwd(), testResultsPath), "\n");
 }
 
 main()
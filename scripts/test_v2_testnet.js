@@ -11,17 +11,7 @@
 //   7. Summary
 
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-// Load deployment info
-function loadDeployment() {
-    const filePath = path.join(__dirname, "../deployments/arbitrum-sepolia/v2-deployment-latest.json");
-    if (!fs.existsSync(filePath)) {
-        throw new Error("Deployment file not found. Run deploy_v2_testnet.js first.");
-    }
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
-}
+const { loadNetworkManifest, getContracts, contractAt } = require("./lib/manifest");
 
 async function main() {
     console.log("\n" + "=".repeat(70));
@@ -29,7 +19,8 @@ async function main() {
     console.log("=".repeat(70) + "\n");
 
     const [deployer] = await hre.ethers.getSigners();
-    const deployment = loadDeployment();
+    const deployment = await loadNetworkManifest(hre);
+    const { softFactory, escrowFactory } = await getContracts(hre, deployment);
 
     console.log("Deployer:", deployer.address);
     console.log("Factory:", deployment.contracts.revenueSeriesFactory);
@@ -56,11 +47,6 @@ async function main() {
     // ============================================
     console.log("\n[TEST 1] Creating Soft Bond Series...\n");
 
-    const softFactory = await hre.ethers.getContractAt(
-        "contracts/v2/core/RevenueSeriesFactory.sol:RevenueSeriesFactory",
-        deployment.contracts.revenueSeriesFactory
-    );
-
     let softSeriesAddress, softRouterAddress;
     try {
         const tx = await softFactory.createSeries(
@@ -114,10 +100,7 @@ async function main() {
         console.log("\n[TEST 2] Verifying Soft Series State...\n");
 
         try {
-            const series = await hre.ethers.getContractAt(
-                "contracts/v2/core/RevenueSeries.sol:RevenueSeries",
-                softSeriesAddress
-            );
+            const series = await contractAt(hre, "RevenueSeries", softSeriesAddress);
 
             const name = await series.name();
             const symbol = await series.symbol();
@@ -159,10 +142,7 @@ async function main() {
         console.log("\n[TEST 3] Sending Revenue to Router & Routing...\n");
 
         try {
-            const router = await hre.ethers.getContractAt(
-                "contracts/v2/core/RevenueRouter.sol:RevenueRouter",
-                softRouterAddress
-            );
+            const router = await contractAt(hre, "RevenueRouter", softRouterAddress);
 
             // Send 0.01 ETH to router via receiveAndRoute
             const revAmount = hre.ethers.parseEther("0.01");
@@ -184,10 +164,7 @@ async function main() {
             logTest("No pending after route", pending === 0n, hre.ethers.formatEther(pending));
 
             // Check series received revenue
-            const series = await hre.ethers.getContractAt(
-                "contracts/v2/core/RevenueSeries.sol:RevenueSeries",
-                softSeriesAddress
-            );
+            const series = await contractAt(hre, "RevenueSeries", softSeriesAddress);
             const seriesRevenue = await series.totalRevenueReceived();
             console.log("  Series totalRevenueReceived:", hre.ethers.formatEther(seriesRevenue));
             logTest("Series received revenue", seriesRevenue > 0n, hre.ethers.formatEther(seriesRevenue));
@@ -204,10 +181,7 @@ async function main() {
         console.log("\n[TEST 4] Claiming Revenue...\n");
 
         try {
-            const series = await hre.ethers.getContractAt(
-                "contracts/v2/core/RevenueSeries.sol:RevenueSeries",
-                softSeriesAddress
-            );
+            const series = await contractAt(hre, "RevenueSeries", softSeriesAddress);
 
             const claimable = await series.calculateClaimable(deployer.address);
             console.log("  Claimable:", hre.ethers.formatEther(claimable));
@@ -240,11 +214,6 @@ async function main() {
 
     let escrowSeriesAddress, escrowRouterAddress;
     try {
-        const escrowFactory = await hre.ethers.getContractAt(
-            "contracts/v2/core/RevenueBondEscrowFactory.sol:RevenueBondEscrowFactory",
-            deployment.contracts.revenueBondEscrowFactory
-        );
-
         const tx = await escrowFactory.createEscrowSeries(
             "Test Guaranteed Bond V2",
             "TEST-GUAR-V2",
@@ -297,10 +266,7 @@ async function main() {
         console.log("\n[TEST 6] Verifying Escrow Initial State (PendingPrincipal)...\n");
 
         try {
-            escrow = await hre.ethers.getContractAt(
-                "contracts/v2/core/RevenueBondEscrow.sol:RevenueBondEscrow",
-                escrowSeriesAddress
-            );
+            escrow = await contractAt(hre, "RevenueBondEscrow", escrowSeriesAddress);
 
             const name = await escrow.name();
             const symbol = await escrow.symbol();
@@ -410,10 +376,7 @@ async function main() {
         console.log("\n[TEST 9] Sending Revenue to Escrow Router...\n");
 
         try {
-            const escrowRouter = await hre.ethers.getContractAt(
-                "contracts/v2/core/RevenueRouter.sol:RevenueRouter",
-                escrowRouterAddress
-            );
+            const escrowRouter = await contractAt(hre, "RevenueRouter", escrowRouterAddress);
 
             // Send 0.01 ETH
             const tx = await escrowRouter.receiveAndRoute({ value: hre.ethers.parseEther("0.01") });
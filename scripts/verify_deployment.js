@@ -1,25 +1,38 @@
+/**
+ * Checks a series and its router are wired together and owned by the issuing protocol.
+ *
+ * Usage:
+ *   SERIES=0x... npx hardhat run scripts/verify_deployment.js --network arbitrumSepolia
+ *
+ * ROUTER defaults to the series' router and FACTORY to the v1 factory recorded in
+ * deployments/<network>/v1-addresses.json; set them to check against other addresses.
+ */
 const hre = require("hardhat");
+const { v1FactoryAddress } = require("./lib/manifest");
 
 async function main() {
+  const seriesAddress = process.env.SERIES;
+  if (!hre.ethers.isAddress(seriesAddress)) {
+    throw new Error("Set SERIES=<address> to the series to verify");
+  }
+
   console.log("\nVerifying Deployed Contracts...\n");
 
   const network = await hre.ethers.provider.getNetwork();
   console.log("Network:", network.name, `(chainId: ${network.chainId})`);
   console.log("");
 
-  // Arbitrum Sepolia deployment addresses
-  const factoryAddress = "0x2B2b7DC0b8276b74dEb57bB30b7AA66697DF7dA8";
-  const seriesAddress = "0xb42751FFBCFbe76dd5Fc919088B2a81B52C48D19";
-  const routerAddress = "0x3D170736435F9D2e3eC7164dA56EC1DE0dd24A5F";
+  const series = await hre.ethers.getContractAt("RevenueSeries", seriesAddress);
+  const factoryAddress = process.env.FACTORY || v1FactoryAddress(hre.network.name);
+  const routerAddress = process.env.ROUTER || (await series.router());
 
   console.log("Contract Addresses:");
-  console.log("  Factory:", factoryAddress);
+  if (factoryAddress) console.log("  Factory:", factoryAddress);
   console.log("  Series:", seriesAddress);
   console.log("  Router:", routerAddress);
   console.log("");
 
   // Get contract instances
-  const series = await hre.ethers.getContractAt("RevenueSeries", seriesAddress);
   const router = await hre.ethers.getContractAt("RevenueRouter", routerAddress);
 
   // Get series info
@@ -131,7 +144,7 @@ async function main() {
   
   console.log("Block Explorer Links:");
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("  Factory:", explorerBase + "/address/" + factoryAddress);
+  if (factoryAddress) console.log("  Factory:", explorerBase + "/address/" + factoryAddress);
   console.log("  Series:", explorerBase + "/address/" + seriesAddress);
   console.log("  Router:", explorerBase + "/address/" + routerAddress);
   console.log("");
@@ -0,0 +1,139 @@
+/**
+ * Render subgraph.yaml for one network from subgraph.template.yaml and the v2 deployment manifest.
+ *
+ * Addresses and the graph network name come from deployments/<deployment>/v2-deployment-latest.json.
+ * Each data source starts at the block its contract was deployed in: read from the receipt of the
+ * deployment tx recorded in the manifest or, when the manifest has no tx hash, found by binary
+ * search over eth_getCode. Resolved blocks are cached in networks.json (graph-cli's format), so
+ * later renders of the same addresses need no RPC. Commit networks.json after a render.
+ *
+ * Usage:
+ *   node scripts/render-manifest.js arbitrum-mainnet
+ *   node scripts/render-manifest.js arbitrum-sepolia
+ *   node scripts/render-manifest.js arbitrum-mainnet --offline   # no RPC; uncached blocks start at 0
+ *
+ * RPC endpoints: ARBITRUM_RPC and ARBITRUM_SEPOLIA_RPC, the same variables as hardhat.config.js.
+ */
+const fs = require("fs");
+const path = require("path");
+const { loadManifest } = require("../../scripts/lib/manifest");
+
+const SUBGRAPH_DIR = path.join(__dirname, "..");
+const TEMPLATE_FILE = path.join(SUBGRAPH_DIR, "subgraph.template.yaml");
+const OUTPUT_FILE = path.join(SUBGRAPH_DIR, "subgraph.yaml");
+const NETWORKS_FILE = path.join(SUBGRAPH_DIR, "networks.json");
+
+const RPC_URLS = {
+  42161: process.env.ARBITRUM_RPC || "https://arb1.arbitrum.io/rpc",
+  421614: process.env.ARBITRUM_SEPOLIA_RPC || "https://sepolia-rollup.arbitrum.io/rpc",
+};
+
+// `key` is both the template prefix and the entry in the manifest's `contracts`;
+// `tx` is the entry in its `transactions`
+const DATA_SOURCES = [
+  { name: "RevenueSeriesFactory", key: "revenueSeriesFactory", tx: "softFactory" },
+  { name: "RevenueBondEscrowFactory", key: "revenueBondEscrowFactory", tx: "escrowFactory" },
+  { name: "ProtocolReputationRegistry", key: "protocolReputationRegistry", tx: "registry" },
+];
+
+let rpcId = 0;
+
+async function rpc(url, method, params) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: ++rpcId, method, params }),
+  });
+  if (!res.ok) throw new Error(`${method}: HTTP ${res.status} from ${url}`);
+  const body = await res.json();
+  if (body.error) throw new Error(`${method}: ${body.error.message}`);
+  return body.result;
+}
+
+async function blockFromTx(url, txHash, address) {
+  const receipt = await rpc(url, "eth_getTransactionReceipt", [txHash]);
+  if (!receipt) throw new Error(`Deployment tx ${txHash} not found on ${url}`);
+  if (receipt.contractAddress?.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(`Deployment tx ${txHash} did not create ${address}`);
+  }
+  return Number(receipt.blockNumber);
+}
+
+// Lowest block with code at the address. Needs an RPC that serves historical state.
+async function blockFromCode(url, address) {
+  const hasCode = async (block) => (await rpc(url, "eth_getCode", [address, "0x" + block.toString(16)])) !== "0x";
+
+  let high = Number(await rpc(url, "eth_blockNumber", []));
+  if (!(await hasCode(high))) throw new Error(`No contract at ${address} on ${url}`);
+  let low = 0;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (await hasCode(mid)) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+}
+
+function render(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    if (!(key in values)) throw new Error(`Unknown placeholder ${match} in ${path.basename(TEMPLATE_FILE)}`);
+    return values[key];
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const offline = args.includes("--offline");
+  const deployment = args.find((arg) => !arg.startsWith("--"));
+  if (!deployment) {
+    throw new Error("Usage: node scripts/render-manifest.js <arbitrum-mainnet|arbitrum-sepolia> [--offline]");
+  }
+
+  const manifest = loadManifest(deployment);
+  const network = manifest.network;
+  const url = RPC_URLS[manifest.chainId];
+  if (!url) throw new Error(`No RPC configured for chainId ${manifest.chainId}`);
+
+  const networks = fs.existsSync(NETWORKS_FILE) ? JSON.parse(fs.readFileSync(NETWORKS_FILE, "utf8")) : {};
+  const cache = networks[network] || {};
+  const values = { network };
+
+  console.log(`Rendering subgraph.yaml for ${network} from deployments/${deployment}`);
+  for (const source of DATA_SOURCES) {
+    const address = manifest.contracts[source.key];
+    const cached = cache[source.name];
+    let startBlock = cached?.address.toLowerCase() === address.toLowerCase() ? cached.startBlock : undefined;
+    let origin = "networks.json";
+    if (startBlock === undefined && offline) {
+      startBlock = 0;
+      origin = "offline, not cached: fine for codegen and tests, not for a deploy";
+    } else if (startBlock === undefined) {
+      const txHash = manifest.transactions?.[source.tx];
+      startBlock = txHash ? await blockFromTx(url, txHash, address) : await blockFromCode(url, address);
+      origin = txHash ? `tx ${txHash}` : "eth_getCode search";
+      cache[source.name] = { address, startBlock };
+    }
+
+    values[`${source.key}.address`] = address;
+    values[`${source.key}.startBlock`] = String(startBlock);
+    console.log(`  ${source.name.padEnd(28)} ${address} from block ${startBlock} (${origin})`);
+  }
+
+  if (Object.keys(cache).length > 0) {
+    networks[network] = cache;
+    fs.writeFileSync(NETWORKS_FILE, JSON.stringify(networks, null, 2) + "\n");
+  }
+
+  // The template's leading comment is for people editing it, not for the generated file
+  const template = fs.readFileSync(TEMPLATE_FILE, "utf8").replace(/^(#.*\n)+/, "");
+  const header =
+    `# Generated by scripts/render-manifest.js from deployments/${deployment}/v2-deployment-latest.json.\n` +
+    "# Edit subgraph.template.yaml instead.\n";
+  fs.writeFileSync(OUTPUT_FILE, header + render(template, values));
+  console.log("Wrote subgraph.yaml");
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
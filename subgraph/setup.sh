@@ -4,16 +4,34 @@
 # EQUORUM PROTOCOL SUBGRAPH - SETUP SCRIPT
 # ============================================
 # Este script automatiza o setup inicial do subgraph
+#
+# Uso:
+#   ./setup.sh                      # Sepolia e mainnet
+#   ./setup.sh arbitrum-sepolia     # só uma rede (pasta em ../deployments)
+#   ./setup.sh --offline            # sem RPC: start blocks só de networks.json (ou 0)
 
 set -e
 
+NETWORKS=()
+RENDER_FLAGS=()
+for arg in "$@"; do
+    if [ "$arg" = "--offline" ]; then
+        RENDER_FLAGS+=("$arg")
+    else
+        NETWORKS+=("$arg")
+    fi
+done
+if [ ${#NETWORKS[@]} -eq 0 ]; then
+    NETWORKS=(arbitrum-sepolia arbitrum-mainnet)
+fi
+
 echo "🚀 Equorum Protocol Subgraph Setup"
 echo "===================================="
 echo ""
 
 # Check if we're in the right directory
-if [ ! -f "schema.graphql" ]; then
-    echo "❌ Error: schema.graphql not found. Please run this script from the subgraph directory."
+if [ ! -f "subgraph.template.yaml" ]; then
+    echo "❌ Error: subgraph.template.yaml not found. Please run this script from the subgraph directory."
     exit 1
 fi
 
@@ -43,6 +61,12 @@ else
         echo "   ✓ RevenueSeriesFactory.json"
     fi
 
+    # Copy Escrow Factory ABI
+    if [ -f "../artifacts/contracts/v2/core/RevenueBondEscrowFactory.sol/RevenueBondEscrowFactory.json" ]; then
+        cp "../artifacts/contracts/v2/core/RevenueBondEscrowFactory.sol/RevenueBondEscrowFactory.json" abis/
+        echo "   ✓ RevenueBondEscrowFactory.json"
+    fi
+
     # Copy RevenueSeries ABI
     if [ -f "../artifacts/contracts/v2/core/RevenueSeries.sol/RevenueSeries.json" ]; then
         cp "../artifacts/contracts/v2/core/RevenueSeries.sol/RevenueSeries.json" abis/
@@ -71,17 +95,15 @@ else
 fi
 echo ""
 
-# Step 4: Generate code
-echo "🔨 Step 4: Generating TypeScript code from schema and ABIs..."
-npm run codegen
-echo "✅ Code generated"
-echo ""
-
-# Step 5: Build subgraph
-echo "🏗️  Step 5: Building subgraph..."
-npm run build
-echo "✅ Subgraph built successfully"
-echo ""
+# Step 4: Render, generate code and build each network from the same template
+for network in "${NETWORKS[@]}"; do
+    echo "🌐 Step 4: Building $network..."
+    node scripts/render-manifest.js "$network" "${RENDER_FLAGS[@]}"
+    npm run codegen
+    npx graph build --output-dir "build/$network"
+    echo "✅ $network built in build/$network"
+    echo ""
+done
 
 echo "============================================"
 echo "✅ Setup complete!"
@@ -90,10 +112,10 @@ echo "Next steps:"
 echo "1. Create a subgraph on The Graph Studio: https://thegraph.com/studio/"
 echo "2. Get your deploy key"
 echo "3. Run: graph auth --studio <DEPLOY_KEY>"
-echo "4. Run: npm run deploy"
+echo "4. Run: npm run deploy:sepolia (or deploy:mainnet)"
 echo ""
 echo "Or for local testing:"
 echo "1. Start Graph Node: docker-compose up -d"
 echo "2. Run: npm run create-local"
-echo "3. Run: npm run deploy-local"
+echo "3. Run: npm run render:<network> && npm run deploy-local"
 echo "============================================"
@@ -0,0 +1,264 @@
+import { BigInt, BigDecimal } from "@graphprotocol/graph-ts"
+import {
+  RevenueSeries,
+  Protocol,
+  ProtocolStats,
+  SeriesDayData,
+  SeriesHourData,
+  ProtocolDayData,
+  EquorumDayData
+} from "../generated/schema"
+
+// Kept local: helpers.ts calls into this module, so importing its constants back would be circular
+const ZERO_BD = BigDecimal.fromString("0")
+const ZERO_BI = BigInt.fromI32(0)
+const ONE_BI = BigInt.fromI32(1)
+const PROTOCOL_STATS_ID = "protocol-stats"
+const SECONDS_PER_DAY = BigInt.fromI32(86400)
+const SECONDS_PER_HOUR = BigInt.fromI32(3600)
+
+// ============================================
+// PERIOD ENTITIES
+// ============================================
+// Each loader creates the period on its first event and refreshes the end-of-period
+// fields on every call, so they always hold the value after the last event in the period.
+// Callers must save the series, protocol and ProtocolStats before updating aggregates.
+
+function loadSeriesDayData(series: RevenueSeries, timestamp: BigInt): SeriesDayData {
+  let day = timestamp.div(SECONDS_PER_DAY)
+  let id = series.id + "-" + day.toString()
+  let data = SeriesDayData.load(id)
+  if (data == null) {
+    data = new SeriesDayData(id)
+    data.series = series.id
+    data.date = day.times(SECONDS_PER_DAY)
+    data.revenueRouted = ZERO_BD
+    data.routingCount = ZERO_BI
+    data.revenueDistributed = ZERO_BD
+    data.distributionCount = ZERO_BI
+    data.revenueClaimed = ZERO_BD
+    data.claimCount = ZERO_BI
+    data.purchaseVolume = ZERO_BD
+    data.tokensPurchased = ZERO_BD
+    data.purchaseCount = ZERO_BI
+  }
+  data.totalRevenueDistributed = series.totalRevenueDistributed
+  data.totalRevenueClaimed = series.totalRevenueClaimed
+  data.revenuePerTokenStored = series.revenuePerTokenStored
+  data.revenuePerTokenIndex = series.revenuePerTokenIndex
+  return data as SeriesDayData
+}
+
+function loadSeriesHourData(series: RevenueSeries, timestamp: BigInt): SeriesHourData {
+  let hour = timestamp.div(SECONDS_PER_HOUR)
+  let id = series.id + "-" + hour.toString()
+  let data = SeriesHourData.load(id)
+  if (data == null) {
+    data = new SeriesHourData(id)
+    data.series = series.id
+    data.hourStart = hour.times(SECONDS_PER_HOUR)
+    data.revenueRouted = ZERO_BD
+    data.routingCount = ZERO_BI
+    data.revenueDistributed = ZERO_BD
+    data.distributionCount = ZERO_BI
+    data.revenueClaimed = ZERO_BD
+    data.claimCount = ZERO_BI
+    data.purchaseVolume = ZERO_BD
+    data.tokensPurchased = ZERO_BD
+    data.purchaseCount = ZERO_BI
+  }
+  data.totalRevenueDistributed = series.totalRevenueDistributed
+  data.totalRevenueClaimed = series.totalRevenueClaimed
+  data.revenuePerTokenStored = series.revenuePerTokenStored
+  data.revenuePerTokenIndex = series.revenuePerTokenIndex
+  return data as SeriesHourData
+}
+
+function loadProtocolDayData(protocolId: string, timestamp: BigInt): ProtocolDayData {
+  let day = timestamp.div(SECONDS_PER_DAY)
+  let id = protocolId + "-" + day.toString()
+  let data = ProtocolDayData.load(id)
+  if (data == null) {
+    data = new ProtocolDayData(id)
+    data.protocol = protocolId
+    data.date = day.times(SECONDS_PER_DAY)
+    data.revenueRouted = ZERO_BD
+    data.routingCount = ZERO_BI
+    data.revenueDistributed = ZERO_BD
+    data.distributionCount = ZERO_BI
+    data.revenueClaimed = ZERO_BD
+    data.claimCount = ZERO_BI
+    data.purchaseVolume = ZERO_BD
+    data.purchaseCount = ZERO_BI
+    data.capitalRaised = ZERO_BD
+    data.newSeriesCreated = ZERO_BI
+    data.totalRevenueShared = ZERO_BD
+    data.totalCapitalRaised = ZERO_BD
+    data.seriesCount = ZERO_BI
+  }
+  let protocol = Protocol.load(protocolId)
+  if (protocol != null) {
+    data.totalRevenueShared = protocol.totalRevenueShared
+    data.totalCapitalRaised = protocol.totalCapitalRaised
+    data.seriesCount = protocol.seriesCount
+  }
+  return data as ProtocolDayData
+}
+
+function loadEquorumDayData(timestamp: BigInt): EquorumDayData {
+  let day = timestamp.div(SECONDS_PER_DAY)
+  let id = day.toString()
+  let data = EquorumDayData.load(id)
+  if (data == null) {
+    data = new EquorumDayData(id)
+    data.date = day.times(SECONDS_PER_DAY)
+    data.revenueRouted = ZERO_BD
+    data.routingCount = ZERO_BI
+    data.revenueDistributed = ZERO_BD
+    data.distributionCount = ZERO_BI
+    data.revenueClaimed = ZERO_BD
+    data.claimCount = ZERO_BI
+    data.purchaseVolume = ZERO_BD
+    data.purchaseCount = ZERO_BI
+    data.capitalRaised = ZERO_BD
+    data.newSeriesCreated = ZERO_BI
+    data.totalRevenueBondsCreated = ZERO_BI
+    data.totalCapitalRaised = ZERO_BD
+    data.totalRevenueDistributed = ZERO_BD
+    data.activeSeries = ZERO_BI
+  }
+  let stats = ProtocolStats.load(PROTOCOL_STATS_ID)
+  if (stats != null) {
+    data.totalRevenueBondsCreated = stats.totalRevenueBondsCreated
+    data.totalCapitalRaised = stats.totalCapitalRaised
+    data.totalRevenueDistributed = stats.totalRevenueDistributed
+    data.activeSeries = stats.totalActiveSeries
+  }
+  return data as EquorumDayData
+}
+
+// ============================================
+// UPDATES
+// ============================================
+
+export function updateDistributionData(series: RevenueSeries, timestamp: BigInt, amount: BigDecimal): void {
+  let seriesDay = loadSeriesDayData(series, timestamp)
+  seriesDay.revenueDistributed = seriesDay.revenueDistributed.plus(amount)
+  seriesDay.distributionCount = seriesDay.distributionCount.plus(ONE_BI)
+  seriesDay.save()
+
+  let seriesHour = loadSeriesHourData(series, timestamp)
+  seriesHour.revenueDistributed = seriesHour.revenueDistributed.plus(amount)
+  seriesHour.distributionCount = seriesHour.distributionCount.plus(ONE_BI)
+  seriesHour.save()
+
+  let protocolDay = loadProtocolDayData(series.protocol, timestamp)
+  protocolDay.revenueDistributed = protocolDay.revenueDistributed.plus(amount)
+  protocolDay.distributionCount = protocolDay.distributionCount.plus(ONE_BI)
+  protocolDay.save()
+
+  let equorumDay = loadEquorumDayData(timestamp)
+  equorumDay.revenueDistributed = equorumDay.revenueDistributed.plus(amount)
+  equorumDay.distributionCount = equorumDay.distributionCount.plus(ONE_BI)
+  equorumDay.save()
+}
+
+// Successful routings only; the series share is what RevenueRouted sent to the series
+export function updateRoutingData(series: RevenueSeries, timestamp: BigInt, seriesAmount: BigDecimal): void {
+  let seriesDay = loadSeriesDayData(series, timestamp)
+  seriesDay.revenueRouted = seriesDay.revenueRouted.plus(seriesAmount)
+  seriesDay.routingCount = seriesDay.routingCount.plus(ONE_BI)
+  seriesDay.save()
+
+  let seriesHour = loadSeriesHourData(series, timestamp)
+  seriesHour.revenueRouted = seriesHour.revenueRouted.plus(seriesAmount)
+  seriesHour.routingCount = seriesHour.routingCount.plus(ONE_BI)
+  seriesHour.save()
+
+  let protocolDay = loadProtocolDayData(series.protocol, timestamp)
+  protocolDay.revenueRouted = protocolDay.revenueRouted.plus(seriesAmount)
+  protocolDay.routingCount = protocolDay.routingCount.plus(ONE_BI)
+  protocolDay.save()
+
+  let equorumDay = loadEquorumDayData(timestamp)
+  equorumDay.revenueRouted = equorumDay.revenueRouted.plus(seriesAmount)
+  equorumDay.routingCount = equorumDay.routingCount.plus(ONE_BI)
+  equorumDay.save()
+}
+
+export function updateClaimData(series: RevenueSeries, timestamp: BigInt, amount: BigDecimal): void {
+  let seriesDay = loadSeriesDayData(series, timestamp)
+  seriesDay.revenueClaimed = seriesDay.revenueClaimed.plus(amount)
+  seriesDay.claimCount = seriesDay.claimCount.plus(ONE_BI)
+  seriesDay.save()
+
+  let seriesHour = loadSeriesHourData(series, timestamp)
+  seriesHour.revenueClaimed = seriesHour.revenueClaimed.plus(amount)
+  seriesHour.claimCount = seriesHour.claimCount.plus(ONE_BI)
+  seriesHour.save()
+
+  let protocolDay = loadProtocolDayData(series.protocol, timestamp)
+  protocolDay.revenueClaimed = protocolDay.revenueClaimed.plus(amount)
+  protocolDay.claimCount = protocolDay.claimCount.plus(ONE_BI)
+  protocolDay.save()
+
+  let equorumDay = loadEquorumDayData(timestamp)
+  equorumDay.revenueClaimed = equorumDay.revenueClaimed.plus(amount)
+  equorumDay.claimCount = equorumDay.claimCount.plus(ONE_BI)
+  equorumDay.save()
+}
+
+// ethPaid is the full sale price, including the fee sent to the treasury
+export function updatePurchaseData(
+  series: RevenueSeries,
+  timestamp: BigInt,
+  ethPaid: BigDecimal,
+  tokenAmount: BigDecimal
+): void {
+  let seriesDay = loadSeriesDayData(series, timestamp)
+  seriesDay.purchaseVolume = seriesDay.purchaseVolume.plus(ethPaid)
+  seriesDay.tokensPurchased = seriesDay.tokensPurchased.plus(tokenAmount)
+  seriesDay.purchaseCount = seriesDay.purchaseCount.plus(ONE_BI)
+  seriesDay.save()
+
+  let seriesHour = loadSeriesHourData(series, timestamp)
+  seriesHour.purchaseVolume = seriesHour.purchaseVolume.plus(ethPaid)
+  seriesHour.tokensPurchased = seriesHour.tokensPurchased.plus(tokenAmount)
+  seriesHour.purchaseCount = seriesHour.purchaseCount.plus(ONE_BI)
+  seriesHour.save()
+
+  let protocolDay = loadProtocolDayData(series.protocol, timestamp)
+  protocolDay.purchaseVolume = protocolDay.purchaseVolume.plus(ethPaid)
+  protocolDay.purchaseCount = protocolDay.purchaseCount.plus(ONE_BI)
+  protocolDay.save()
+
+  let equorumDay = loadEquorumDayData(timestamp)
+  equorumDay.purchaseVolume = equorumDay.purchaseVolume.plus(ethPaid)
+  equorumDay.purchaseCount = equorumDay.purchaseCount.plus(ONE_BI)
+  equorumDay.save()
+}
+
+export function updateSeriesCreatedData(series: RevenueSeries, timestamp: BigInt): void {
+  let protocolDay = loadProtocolDayData(series.protocol, timestamp)
+  protocolDay.newSeriesCreated = protocolDay.newSeriesCreated.plus(ONE_BI)
+  protocolDay.save()
+
+  let equorumDay = loadEquorumDayData(timestamp)
+  equorumDay.newSeriesCreated = equorumDay.newSeriesCreated.plus(ONE_BI)
+  equorumDay.save()
+}
+
+export function updateCapitalData(series: RevenueSeries, timestamp: BigInt, amount: BigDecimal): void {
+  let protocolDay = loadProtocolDayData(series.protocol, timestamp)
+  protocolDay.capitalRaised = protocolDay.capitalRaised.plus(amount)
+  protocolDay.save()
+
+  let equorumDay = loadEquorumDayData(timestamp)
+  equorumDay.capitalRaised = equorumDay.capitalRaised.plus(amount)
+  equorumDay.save()
+}
+
+// Refreshes the global end-of-day totals after a state change with no volume (maturity, default)
+export function updateEquorumDayData(timestamp: BigInt): void {
+  loadEquorumDayData(timestamp).save()
+}
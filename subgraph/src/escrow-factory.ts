@@ -0,0 +1,143 @@
+import { Address, BigInt } from "@graphprotocol/graph-ts"
+import {
+  RevenueBondEscrowFactory,
+  EscrowSeriesCreated,
+  FeeCollected,
+  FeePolicyUpdated,
+  TreasuryUpdated,
+  ReputationRegistryUpdated
+} from "../generated/RevenueBondEscrowFactory/RevenueBondEscrowFactory"
+import { RevenueBondEscrow as RevenueBondEscrowContract } from "../generated/RevenueBondEscrowFactory/RevenueBondEscrow"
+import {
+  RevenueBondEscrow as RevenueBondEscrowTemplate,
+  RevenueRouter as RevenueRouterTemplate
+} from "../generated/templates"
+import { FactoryStats, RevenueBondEscrow } from "../generated/schema"
+import {
+  ZERO_BD,
+  ZERO_BI,
+  ONE_BI,
+  ZERO_ADDRESS,
+  SECONDS_PER_DAY,
+  createSeries,
+  getOrCreateFactoryStats,
+  isZeroAddress,
+  toDecimal
+} from "./helpers"
+
+// FEE_ESCROW_CREATION in RevenueBondEscrowFactory
+const FEE_ESCROW_CREATION = 1
+
+// ============================================
+// HYBRID BONDS (RevenueBondEscrowFactory)
+// ============================================
+
+export function handleEscrowSeriesCreated(event: EscrowSeriesCreated): void {
+  let seriesAddress = event.params.series
+  let routerAddress = event.params.router
+
+  // Name, symbol and the escrow terms are not part of the event
+  let contract = RevenueBondEscrowContract.bind(seriesAddress)
+  let name = contract.try_name()
+  let symbol = contract.try_symbol()
+  let minDistribution = contract.try_minDistributionAmount()
+  let minPurchase = contract.try_minPurchaseAmount()
+  let depositDeadline = contract.try_depositDeadline()
+
+  let series = createSeries(
+    event,
+    seriesAddress,
+    routerAddress,
+    event.params.protocol,
+    name.reverted ? "" : name.value,
+    symbol.reverted ? "" : symbol.value,
+    "HYBRID",
+    event.params.revenueShareBPS,
+    event.params.durationDays,
+    event.params.totalSupply,
+    minDistribution.reverted ? ZERO_BI : minDistribution.value
+  )
+
+  let escrow = new RevenueBondEscrow(seriesAddress.toHexString())
+  escrow.series = series.id
+  escrow.principalAmount = toDecimal(event.params.principalAmount)
+  escrow.minPurchaseAmount = minPurchase.reverted ? ZERO_BD : toDecimal(minPurchase.value)
+  escrow.depositDeadline = depositDeadline.reverted ? ZERO_BI : depositDeadline.value
+  // The escrow sets depositDeadline = block.timestamp + depositDeadlineDays * 1 days
+  escrow.depositDeadlineDays = depositDeadline.reverted
+    ? ZERO_BI
+    : depositDeadline.value.minus(event.block.timestamp).div(SECONDS_PER_DAY)
+  escrow.state = "PendingPrincipal"
+  escrow.principalDeposited = false
+  escrow.principalDepositedAt = null
+  escrow.totalPrincipalClaimed = ZERO_BD
+  escrow.principalClaimCount = ZERO_BI
+  escrow.dustRescued = ZERO_BD
+  escrow.dustRescuedAt = null
+  escrow.save()
+
+  let factory = loadFactory(event.address, event.block.timestamp)
+  factory.totalSeriesCreated = factory.totalSeriesCreated.plus(ONE_BI)
+  factory.lastSeriesCreatedAt = event.block.timestamp
+  factory.save()
+
+  // Start indexing the new contracts
+  RevenueBondEscrowTemplate.create(seriesAddress)
+  RevenueRouterTemplate.create(routerAddress)
+}
+
+// ============================================
+// FACTORY CONFIGURATION
+// ============================================
+
+export function handleFeeCollected(event: FeeCollected): void {
+  let factory = loadFactory(event.address, event.block.timestamp)
+  let fee = toDecimal(event.params.amount)
+  factory.totalFeesCollected = factory.totalFeesCollected.plus(fee)
+  if (event.params.feeType == FEE_ESCROW_CREATION) {
+    factory.creationFeeETH = fee
+  }
+  factory.save()
+}
+
+export function handleFeePolicyUpdated(event: FeePolicyUpdated): void {
+  let factory = loadFactory(event.address, event.block.timestamp)
+  factory.feesEnabled = !isZeroAddress(event.params.newPolicy)
+  factory.save()
+}
+
+export function handleTreasuryUpdated(event: TreasuryUpdated): void {
+  let factory = loadFactory(event.address, event.block.timestamp)
+  factory.treasury = event.params.newTreasury
+  factory.save()
+}
+
+export function handleReputationRegistryUpdated(event: ReputationRegistryUpdated): void {
+  let factory = loadFactory(event.address, event.block.timestamp)
+  factory.reputationRegistry = event.params.newRegistry
+  factory.save()
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function loadFactory(address: Address, timestamp: BigInt): FactoryStats {
+  let existing = FactoryStats.load(address.toHexString())
+  if (existing != null) return existing as FactoryStats
+
+  // First sighting: read the configuration the factory was deployed with
+  let contract = RevenueBondEscrowFactory.bind(address)
+  let treasury = contract.try_treasury()
+  let registry = contract.try_reputationRegistry()
+  let feePolicy = contract.try_feePolicy()
+
+  let factory = getOrCreateFactoryStats(
+    address,
+    treasury.reverted ? Address.fromString(ZERO_ADDRESS) : treasury.value,
+    registry.reverted ? Address.fromString(ZERO_ADDRESS) : registry.value,
+    timestamp
+  )
+  factory.feesEnabled = !feePolicy.reverted && !isZeroAddress(feePolicy.value)
+  return factory
+}
@@ -0,0 +1,424 @@
+import { BigInt, BigDecimal, Address, Bytes, ethereum } from "@graphprotocol/graph-ts"
+import {
+  RevenueSeries,
+  RevenueRouter,
+  RevenueDistribution,
+  RevenueClaim,
+  SeriesHolder,
+  Protocol,
+  ProtocolStats,
+  FactoryStats
+} from "../generated/schema"
+import {
+  updateClaimData,
+  updateDistributionData,
+  updateEquorumDayData,
+  updateSeriesCreatedData
+} from "./aggregates"
+
+// Constants
+export const ZERO_BD = BigDecimal.fromString("0")
+export const ZERO_BI = BigInt.fromI32(0)
+export const ONE_BI = BigInt.fromI32(1)
+export const PROTOCOL_STATS_ID = "protocol-stats"
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+export const SECONDS_PER_DAY = BigInt.fromI32(86400)
+// Fixed-point scale the contracts use for ratios and revenuePerToken (1e18)
+export const PRECISION = BigInt.fromString("1000000000000000000")
+
+const WEI_PER_ETH = BigDecimal.fromString("1e18")
+const BPS_PER_PERCENT = BigDecimal.fromString("100")
+
+// ============================================
+// CONVERSIONS
+// ============================================
+
+// ETH and series token amounts both have 18 decimals
+export function toDecimal(value: BigInt): BigDecimal {
+  return value.toBigDecimal().div(WEI_PER_ETH)
+}
+
+// Event entity ids are tx.hash + "-" + logIndex
+export function eventId(event: ethereum.Event): string {
+  return event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+}
+
+// ============================================
+// LOAD OR CREATE
+// ============================================
+
+export function getOrCreateProtocol(address: Address, timestamp: BigInt): Protocol {
+  let protocol = Protocol.load(address.toHexString())
+  if (protocol == null) {
+    protocol = new Protocol(address.toHexString())
+    protocol.address = address
+    protocol.seriesCount = ZERO_BI
+    protocol.totalCapitalRaised = ZERO_BD
+    protocol.totalRevenueShared = ZERO_BD
+    protocol.reputationScore = ZERO_BI
+    protocol.totalRevenueDelivered = ZERO_BD
+    protocol.totalRevenueExpected = ZERO_BD
+    protocol.deliveryRate = ZERO_BD
+    protocol.onTimeDeliveries = ZERO_BI
+    protocol.lateDeliveries = ZERO_BI
+    protocol.missedDeliveries = ZERO_BI
+    protocol.blacklisted = false
+    protocol.blacklistedReason = null
+    protocol.blacklistedAt = null
+    protocol.registeredSeriesCount = ZERO_BI
+    protocol.totalRevenuePromisedRaw = ZERO_BI
+    protocol.totalRevenueDeliveredRaw = ZERO_BI
+    protocol.weightedRevenueDeliveredRaw = ZERO_BI
+    protocol.lastPaymentTimestamp = ZERO_BI
+    protocol.createdAt = timestamp
+    protocol.lastActivityTimestamp = timestamp
+  }
+  return protocol as Protocol
+}
+
+export function getOrCreateProtocolStats(block: ethereum.Block): ProtocolStats {
+  let stats = ProtocolStats.load(PROTOCOL_STATS_ID)
+  if (stats == null) {
+    stats = new ProtocolStats(PROTOCOL_STATS_ID)
+    stats.totalRevenueBondsCreated = ZERO_BI
+    stats.totalCapitalRaised = ZERO_BD
+    stats.totalRevenueDistributed = ZERO_BD
+    stats.totalActiveSeries = ZERO_BI
+    stats.totalMaturedSeries = ZERO_BI
+    stats.totalDefaultedSeries = ZERO_BI
+    stats.totalProtocolsFunded = ZERO_BI
+    stats.averageDeliveryRate = ZERO_BD
+  }
+  stats.lastUpdatedTimestamp = block.timestamp
+  stats.lastUpdatedBlock = block.number
+  return stats as ProtocolStats
+}
+
+export function getOrCreateFactoryStats(
+  address: Address,
+  treasury: Address,
+  reputationRegistry: Address,
+  timestamp: BigInt
+): FactoryStats {
+  let factory = FactoryStats.load(address.toHexString())
+  if (factory == null) {
+    factory = new FactoryStats(address.toHexString())
+    factory.address = address
+    factory.treasury = treasury
+    factory.reputationRegistry = reputationRegistry
+    factory.creationFeeETH = ZERO_BD
+    factory.feesEnabled = false
+    factory.totalSeriesCreated = ZERO_BI
+    factory.totalFeesCollected = ZERO_BD
+    // First event seen from the factory; the deploy itself emits nothing we index
+    factory.deployedAt = timestamp
+    factory.lastSeriesCreatedAt = ZERO_BI
+  }
+  return factory as FactoryStats
+}
+
+// ============================================
+// SERIES CREATION (SHARED BY BOTH FACTORIES)
+// ============================================
+
+export function createSeries(
+  event: ethereum.Event,
+  seriesAddress: Address,
+  routerAddress: Address,
+  protocolAddress: Address,
+  name: string,
+  symbol: string,
+  bondType: string,
+  revenueShareBPS: BigInt,
+  durationDays: BigInt,
+  totalSupply: BigInt,
+  minDistributionAmount: BigInt
+): RevenueSeries {
+  let timestamp = event.block.timestamp
+
+  // ============================================
+  // 1. CREATE OR UPDATE PROTOCOL
+  // ============================================
+  let protocol = getOrCreateProtocol(protocolAddress, timestamp)
+  protocol.seriesCount = protocol.seriesCount.plus(ONE_BI)
+  protocol.lastActivityTimestamp = timestamp
+  protocol.save()
+
+  // ============================================
+  // 2. CREATE REVENUE SERIES ENTITY
+  // ============================================
+  let series = new RevenueSeries(seriesAddress.toHexString())
+  series.name = name
+  series.symbol = symbol
+  series.bondType = bondType
+  series.protocol = protocol.id
+  series.protocolAddress = protocolAddress
+  series.router = routerAddress.toHexString()
+  series.routerAddress = routerAddress
+
+  series.revenueShareBPS = revenueShareBPS
+  series.revenueSharePercentage = revenueShareBPS.toBigDecimal().div(BPS_PER_PERCENT)
+  series.durationDays = durationDays
+  series.totalSupply = toDecimal(totalSupply)
+  series.totalSupplyRaw = totalSupply
+  series.minDistributionAmount = toDecimal(minDistributionAmount)
+
+  // Both series contracts set maturityDate = block.timestamp + durationDays * 1 days
+  series.createdAt = timestamp
+  series.createdAtBlock = event.block.number
+  series.maturityDate = timestamp.plus(durationDays.times(SECONDS_PER_DAY))
+
+  // An escrow only goes live when its principal is deposited (handlePrincipalDeposited)
+  let isHybrid = bondType == "HYBRID"
+  series.state = "Active"
+  series.isActive = !isHybrid
+
+  series.totalRevenueReceived = ZERO_BD
+  series.totalRevenueDistributed = ZERO_BD
+  series.totalRevenueClaimed = ZERO_BD
+  series.revenuePerTokenStored = ZERO_BD
+  series.revenuePerTokenIndex = ZERO_BI
+
+  series.distributionCount = ZERO_BI
+  series.lastDistributionTimestamp = ZERO_BI
+  series.averageDistributionAmount = ZERO_BD
+
+  series.holderCount = ZERO_BI
+  series.claimCount = ZERO_BI
+
+  series.estimatedAPY = null
+  series.escrow = isHybrid ? seriesAddress.toHexString() : null
+  series.save()
+
+  // ============================================
+  // 3. CREATE REVENUE ROUTER ENTITY
+  // ============================================
+  let router = new RevenueRouter(routerAddress.toHexString())
+  router.protocol = protocol.id
+  router.series = series.id
+  router.revenueShareBPS = revenueShareBPS
+  router.totalRevenueReceived = ZERO_BD
+  router.totalRoutedToSeries = ZERO_BD
+  router.totalReturnedToProtocol = ZERO_BD
+  router.owedToSeries = ZERO_BD
+  router.pendingToRoute = ZERO_BD
+  router.routingCount = ZERO_BI
+  router.failedRouteCount = ZERO_BI
+  router.lastRoutingTimestamp = ZERO_BI
+  router.save()
+
+  // ============================================
+  // 4. UPDATE GLOBAL STATS
+  // ============================================
+  let stats = getOrCreateProtocolStats(event.block)
+  stats.totalRevenueBondsCreated = stats.totalRevenueBondsCreated.plus(ONE_BI)
+  if (series.isActive) {
+    stats.totalActiveSeries = stats.totalActiveSeries.plus(ONE_BI)
+  }
+  // Count each issuer once, on its first series
+  if (protocol.seriesCount.equals(ONE_BI)) {
+    stats.totalProtocolsFunded = stats.totalProtocolsFunded.plus(ONE_BI)
+  }
+  stats.save()
+
+  updateSeriesCreatedData(series, timestamp)
+
+  return series
+}
+
+// ============================================
+// SERIES EVENTS (SHARED BY SOFT AND HYBRID BONDS)
+// ============================================
+
+export function recordDistribution(series: RevenueSeries, event: ethereum.Event, value: BigInt): void {
+  let amount = toDecimal(value)
+
+  // Same accumulator as the contract: revenuePerTokenStored += msg.value * 1e18 / totalSupply().
+  // Supply is fixed while a series can receive revenue (escrow burns only after maturity).
+  let revenuePerTokenRaw = series.totalSupplyRaw.gt(ZERO_BI)
+    ? value.times(PRECISION).div(series.totalSupplyRaw)
+    : ZERO_BI
+  let revenuePerToken = toDecimal(revenuePerTokenRaw)
+
+  // ============================================
+  // 1. UPDATE SERIES METRICS
+  // ============================================
+  series.totalRevenueReceived = series.totalRevenueReceived.plus(amount)
+  series.totalRevenueDistributed = series.totalRevenueDistributed.plus(amount)
+  series.revenuePerTokenIndex = series.revenuePerTokenIndex.plus(revenuePerTokenRaw)
+  series.revenuePerTokenStored = toDecimal(series.revenuePerTokenIndex)
+  series.distributionCount = series.distributionCount.plus(ONE_BI)
+  series.lastDistributionTimestamp = event.block.timestamp
+  series.averageDistributionAmount = series.totalRevenueReceived
+    .div(series.distributionCount.toBigDecimal())
+  series.save()
+
+  // ============================================
+  // 2. CREATE DISTRIBUTION EVENT
+  // ============================================
+  let distribution = new RevenueDistribution(eventId(event))
+  distribution.series = series.id
+  distribution.amount = amount
+  distribution.revenuePerToken = revenuePerToken
+  distribution.timestamp = event.block.timestamp
+  distribution.blockNumber = event.block.number
+  distribution.transactionHash = event.transaction.hash
+  distribution.from = event.transaction.from
+  distribution.save()
+
+  // ============================================
+  // 3. UPDATE PROTOCOL METRICS
+  // ============================================
+  let protocol = Protocol.load(series.protocol)
+  if (protocol != null) {
+    protocol.totalRevenueShared = protocol.totalRevenueShared.plus(amount)
+    protocol.lastActivityTimestamp = event.block.timestamp
+    protocol.save()
+  }
+
+  // ============================================
+  // 4. UPDATE GLOBAL STATS
+  // ============================================
+  let stats = getOrCreateProtocolStats(event.block)
+  stats.totalRevenueDistributed = stats.totalRevenueDistributed.plus(amount)
+  stats.save()
+
+  updateDistributionData(series, event.block.timestamp, amount)
+}
+
+export function recordClaim(series: RevenueSeries, event: ethereum.Event, user: Address, value: BigInt): void {
+  let amount = toDecimal(value)
+
+  series.totalRevenueClaimed = series.totalRevenueClaimed.plus(amount)
+  series.claimCount = series.claimCount.plus(ONE_BI)
+  series.save()
+
+  // _claimFor() settles the holder's rewards and pays all of them out
+  let holder = getOrCreateHolder(series, user, event.block.timestamp)
+  checkpointRewards(series, holder)
+  holder.rewards = ZERO_BI
+  holder.totalRevenueClaimed = holder.totalRevenueClaimed.plus(amount)
+  holder.claimCount = holder.claimCount.plus(ONE_BI)
+  holder.lastClaimTimestamp = event.block.timestamp
+  holder.save()
+
+  let claim = new RevenueClaim(eventId(event))
+  claim.series = series.id
+  claim.holder = holder.id
+  claim.amount = amount
+  claim.holderAddress = user
+  claim.timestamp = event.block.timestamp
+  claim.blockNumber = event.block.number
+  claim.transactionHash = event.transaction.hash
+  claim.save()
+
+  updateClaimData(series, event.block.timestamp, amount)
+}
+
+export function recordMaturity(series: RevenueSeries, block: ethereum.Block): void {
+  if (series.state == "Matured") return
+
+  let wasActive = series.isActive
+  series.state = "Matured"
+  series.isActive = false
+  series.save()
+
+  let stats = getOrCreateProtocolStats(block)
+  if (wasActive) {
+    stats.totalActiveSeries = stats.totalActiveSeries.minus(ONE_BI)
+  }
+  stats.totalMaturedSeries = stats.totalMaturedSeries.plus(ONE_BI)
+  stats.save()
+
+  updateEquorumDayData(block.timestamp)
+}
+
+export function recordTransfer(series: RevenueSeries, from: Address, to: Address, value: BigInt, timestamp: BigInt): void {
+  // _update() checkpoints both sides before moving the balance; mints and burns skip address(0)
+  if (from.toHexString() != ZERO_ADDRESS) {
+    updateHolder(series, from, value.neg(), timestamp)
+  }
+  if (to.toHexString() != ZERO_ADDRESS) {
+    updateHolder(series, to, value, timestamp)
+  }
+}
+
+// ============================================
+// HOLDERS
+// ============================================
+
+function getOrCreateHolder(series: RevenueSeries, address: Address, timestamp: BigInt): SeriesHolder {
+  let holderId = series.id + "-" + address.toHexString()
+  let holder = SeriesHolder.load(holderId)
+  if (holder == null) {
+    holder = new SeriesHolder(holderId)
+    holder.series = series.id
+    holder.holder = address
+    holder.balance = ZERO_BD
+    holder.balanceRaw = ZERO_BI
+    holder.balancePercentage = ZERO_BD
+    holder.totalRevenueClaimed = ZERO_BD
+    holder.claimCount = ZERO_BI
+    holder.lastClaimTimestamp = ZERO_BI
+    holder.userRevenuePerTokenPaid = ZERO_BI
+    holder.rewards = ZERO_BI
+    holder.principalClaimed = false
+    holder.principalClaimedAmount = null
+    holder.principalClaimedAt = null
+    holder.firstAcquiredAt = timestamp
+    holder.lastAcquiredAt = timestamp
+    holder.lastTransferTimestamp = timestamp
+  }
+  return holder as SeriesHolder
+}
+
+// Mirrors _updateRewards(): accrue what the current balance earned since the last checkpoint
+function checkpointRewards(series: RevenueSeries, holder: SeriesHolder): void {
+  let delta = series.revenuePerTokenIndex.minus(holder.userRevenuePerTokenPaid)
+  if (delta.gt(ZERO_BI)) {
+    holder.rewards = holder.rewards.plus(holder.balanceRaw.times(delta).div(PRECISION))
+  }
+  holder.userRevenuePerTokenPaid = series.revenuePerTokenIndex
+}
+
+function updateHolder(series: RevenueSeries, address: Address, balanceChange: BigInt, timestamp: BigInt): void {
+  let holder = getOrCreateHolder(series, address, timestamp)
+  checkpointRewards(series, holder)
+
+  let wasHolding = holder.balanceRaw.gt(ZERO_BI)
+  holder.balanceRaw = holder.balanceRaw.plus(balanceChange)
+  holder.balance = toDecimal(holder.balanceRaw)
+  let isHolding = holder.balanceRaw.gt(ZERO_BI)
+
+  if (series.totalSupply.gt(ZERO_BD)) {
+    holder.balancePercentage = holder.balance
+      .div(series.totalSupply)
+      .times(BPS_PER_PERCENT)
+  }
+  if (balanceChange.gt(ZERO_BI)) {
+    holder.lastAcquiredAt = timestamp
+  }
+  holder.lastTransferTimestamp = timestamp
+  holder.save()
+
+  // Live holder count: addresses with a non-zero balance
+  if (!wasHolding && isHolding) {
+    series.holderCount = series.holderCount.plus(ONE_BI)
+    series.save()
+  } else if (wasHolding && !isHolding) {
+    series.holderCount = series.holderCount.minus(ONE_BI)
+    series.save()
+  }
+}
+
+export function markPrincipalClaimed(series: RevenueSeries, address: Address, amount: BigDecimal, timestamp: BigInt): void {
+  let holder = getOrCreateHolder(series, address, timestamp)
+  holder.principalClaimed = true
+  holder.principalClaimedAmount = amount
+  holder.principalClaimedAt = timestamp
+  holder.save()
+}
+
+export function isZeroAddress(address: Bytes): boolean {
+  return address.toHexString() == ZERO_ADDRESS
+}
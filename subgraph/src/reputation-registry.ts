@@ -1,177 +1,312 @@
-import { BigInt, BigDecimal } from "@graphprotocol/graph-ts"
+import { BigDecimal, BigInt, Bytes, ethereum } from "@graphprotocol/graph-ts"
 import {
+  ProtocolReputationRegistry,
   SeriesRegistered,
-  RevenueReported,
+  ExpectedRevenueUpdated,
+  RevenueDistributed,
+  LatePaymentRecorded,
   ProtocolBlacklisted,
-  ProtocolWhitelisted
-} from "../generated/templates/ProtocolReputationRegistry/ProtocolReputationRegistry"
+  ProtocolWhitelisted,
+  ReporterAuthorized,
+  ReporterRevoked
+} from "../generated/ProtocolReputationRegistry/ProtocolReputationRegistry"
 import {
   Protocol,
-  RevenueSeries,
-  ProtocolStats
+  ReputationSeriesRecord,
+  LatePayment,
+  ReputationSnapshot,
+  ReputationReporter
 } from "../generated/schema"
+import {
+  ZERO_BD,
+  ZERO_BI,
+  ONE_BI,
+  PRECISION,
+  SECONDS_PER_DAY,
+  eventId,
+  getOrCreateProtocol,
+  toDecimal
+} from "./helpers"
+
+const PERCENT = BigDecimal.fromString("100")
+
+// getReputationScore() constants
+const NEUTRAL_SCORE = BigInt.fromI32(50)
+const NO_COMMITMENT_SCORE = BigInt.fromI32(25)
+const MAX_COMPONENT_SCORE = BigInt.fromI32(50)
+const HUNDRED = BigInt.fromI32(100)
+const MIN_PAYMENTS_PER_SERIES = BigInt.fromI32(2)
+const INACTIVITY_PERIOD = SECONDS_PER_DAY.times(BigInt.fromI32(90))
 
-const ZERO_BD = BigDecimal.fromString("0")
-const ZERO_BI = BigInt.fromI32(0)
-const ONE_BI = BigInt.fromI32(1)
-const PROTOCOL_STATS_ID = "protocol-stats"
+// The registry logs SeriesRegistered before the factory emits its creation event, so
+// these handlers may be the first to see a protocol.
+
+// ============================================
+// SERIES RECORDS
+// ============================================
 
 export function handleSeriesRegistered(event: SeriesRegistered): void {
-  let protocolAddress = event.params.protocol
-  let seriesAddress = event.params.series
-  let expectedRevenue = event.params.expectedRevenue.toBigDecimal().div(BigDecimal.fromString("1e18"))
-  let durationDays = event.params.durationDays
-
-  // ============================================
-  // UPDATE PROTOCOL EXPECTED REVENUE
-  // ============================================
-  let protocol = Protocol.load(protocolAddress.toHexString())
-  if (protocol != null) {
-    protocol.totalRevenueExpected = protocol.totalRevenueExpected.plus(expectedRevenue)
-    
-    // Recalculate delivery rate
-    if (protocol.totalRevenueExpected.gt(ZERO_BD)) {
-      protocol.deliveryRate = protocol.totalRevenueDelivered
-        .div(protocol.totalRevenueExpected)
-        .times(BigDecimal.fromString("100"))
-    }
-    
-    protocol.lastActivityTimestamp = event.block.timestamp
-    protocol.save()
+  let protocol = getOrCreateProtocol(event.params.protocol, event.block.timestamp)
+  let expected = event.params.expectedRevenue
+
+  let record = new ReputationSeriesRecord(event.params.series.toHexString())
+  record.protocol = protocol.id
+  record.seriesAddress = event.params.series
+  record.series = record.id
+  record.expectedRevenue = toDecimal(expected)
+  record.expectedRevenueRaw = expected
+  record.expectedRevenueUpdatedAt = null
+  record.actualRevenue = ZERO_BD
+  record.actualRevenueRaw = ZERO_BI
+  record.deliveryRatio = ZERO_BD
+  record.weightedDeliveredRaw = ZERO_BI
+  record.distributionCount = ZERO_BI
+  record.lastDistributionTimestamp = event.block.timestamp
+  record.latePaymentCount = ZERO_BI
+  record.lastLateRecordedAt = null
+  record.registeredAt = event.block.timestamp
+  record.registeredAtBlock = event.block.number
+
+  // The cadence is a registerSeries() argument but is not part of the event
+  let registry = ProtocolReputationRegistry.bind(event.address)
+  let onChain = registry.try_getSeriesRecord(event.params.series)
+  if (!onChain.reverted) {
+    record.expectedCadenceDays = onChain.value.value5
   }
+  record.save()
+
+  protocol.registeredSeriesCount = protocol.registeredSeriesCount.plus(ONE_BI)
+  protocol.totalRevenuePromisedRaw = protocol.totalRevenuePromisedRaw.plus(expected)
+  protocol.totalRevenueExpected = toDecimal(protocol.totalRevenuePromisedRaw)
+  saveReputation(protocol, event, "SeriesRegistered")
 }
 
-export function handleRevenueReported(event: RevenueReported): void {
-  let protocolAddress = event.params.protocol
-  let seriesAddress = event.params.series
-  let actualRevenue = event.params.actualRevenue.toBigDecimal().div(BigDecimal.fromString("1e18"))
-  let expectedRevenue = event.params.expectedRevenue.toBigDecimal().div(BigDecimal.fromString("1e18"))
-  let onTime = event.params.onTime
-
-  // ============================================
-  // 1. UPDATE PROTOCOL REPUTATION
-  // ============================================
-  let protocol = Protocol.load(protocolAddress.toHexString())
-  if (protocol != null) {
-    // Update delivered revenue
-    protocol.totalRevenueDelivered = protocol.totalRevenueDelivered.plus(actualRevenue)
-    
-    // Update delivery counters
-    if (onTime) {
-      protocol.onTimeDeliveries = protocol.onTimeDeliveries.plus(ONE_BI)
-    } else {
-      protocol.lateDeliveries = protocol.lateDeliveries.plus(ONE_BI)
-    }
-    
-    // If actual < expected, it's a missed delivery (partial or full)
-    if (actualRevenue.lt(expectedRevenue)) {
-      protocol.missedDeliveries = protocol.missedDeliveries.plus(ONE_BI)
-    }
-    
-    // Recalculate delivery rate
-    if (protocol.totalRevenueExpected.gt(ZERO_BD)) {
-      protocol.deliveryRate = protocol.totalRevenueDelivered
-        .div(protocol.totalRevenueExpected)
-        .times(BigDecimal.fromString("100"))
-    }
-    
-    // Calculate reputation score (0-100)
-    // Formula: (deliveryRate * 0.7) + (onTimeRate * 0.3)
-    let totalDeliveries = protocol.onTimeDeliveries.plus(protocol.lateDeliveries).plus(protocol.missedDeliveries)
-    let onTimeRate = ZERO_BD
-    if (totalDeliveries.gt(ZERO_BI)) {
-      onTimeRate = protocol.onTimeDeliveries.toBigDecimal()
-        .div(totalDeliveries.toBigDecimal())
-        .times(BigDecimal.fromString("100"))
-    }
-    
-    let reputationScore = protocol.deliveryRate
-      .times(BigDecimal.fromString("0.7"))
-      .plus(onTimeRate.times(BigDecimal.fromString("0.3")))
-    
-    protocol.reputationScore = BigInt.fromString(reputationScore.truncate(0).toString())
-    
-    protocol.lastActivityTimestamp = event.block.timestamp
-    protocol.save()
+export function handleExpectedRevenueUpdated(event: ExpectedRevenueUpdated): void {
+  let protocol = getOrCreateProtocol(event.params.protocol, event.block.timestamp)
+  let newExpected = event.params.newExpected
+
+  // updateExpectedRevenue() only runs while expectedRevenue is 0, so it adds to the promised total
+  protocol.totalRevenuePromisedRaw = protocol.totalRevenuePromisedRaw.plus(newExpected)
+  protocol.totalRevenueExpected = toDecimal(protocol.totalRevenuePromisedRaw)
+
+  let record = ReputationSeriesRecord.load(event.params.series.toHexString())
+  if (record != null) {
+    record.expectedRevenueRaw = newExpected
+    record.expectedRevenue = toDecimal(newExpected)
+    record.expectedRevenueUpdatedAt = event.block.timestamp
+    updateRecordDelivery(protocol, record)
   }
 
-  // ============================================
-  // 2. UPDATE GLOBAL AVERAGE DELIVERY RATE
-  // ============================================
-  updateGlobalDeliveryRate()
+  saveReputation(protocol, event, "ExpectedRevenueUpdated")
 }
 
-export function handleProtocolBlacklisted(event: ProtocolBlacklisted): void {
-  let protocolAddress = event.params.protocol
-  let reason = event.params.reason
-
-  // ============================================
-  // UPDATE PROTOCOL BLACKLIST STATUS
-  // ============================================
-  let protocol = Protocol.load(protocolAddress.toHexString())
-  if (protocol != null) {
-    protocol.blacklisted = true
-    protocol.blacklistedReason = reason
-    protocol.blacklistedAt = event.block.timestamp
-    protocol.reputationScore = ZERO_BI // Reset reputation to 0
-    protocol.lastActivityTimestamp = event.block.timestamp
-    protocol.save()
+export function handleRevenueDistributed(event: RevenueDistributed): void {
+  let protocol = getOrCreateProtocol(event.params.protocol, event.block.timestamp)
+  let amount = event.params.amount
+
+  // Every recorded distribution counts as an on-time payment in the registry
+  protocol.totalRevenueDeliveredRaw = protocol.totalRevenueDeliveredRaw.plus(amount)
+  protocol.totalRevenueDelivered = toDecimal(protocol.totalRevenueDeliveredRaw)
+  protocol.onTimeDeliveries = protocol.onTimeDeliveries.plus(ONE_BI)
+  protocol.lastPaymentTimestamp = event.block.timestamp
+
+  let record = ReputationSeriesRecord.load(event.params.series.toHexString())
+  if (record != null) {
+    record.actualRevenueRaw = record.actualRevenueRaw.plus(amount)
+    record.actualRevenue = toDecimal(record.actualRevenueRaw)
+    record.distributionCount = record.distributionCount.plus(ONE_BI)
+    record.lastDistributionTimestamp = event.block.timestamp
+    updateRecordDelivery(protocol, record)
   }
+
+  saveReputation(protocol, event, "RevenueDistributed")
 }
 
-export function handleProtocolWhitelisted(event: ProtocolWhitelisted): void {
-  let protocolAddress = event.params.protocol
-
-  // ============================================
-  // UPDATE PROTOCOL BLACKLIST STATUS
-  // ============================================
-  let protocol = Protocol.load(protocolAddress.toHexString())
-  if (protocol != null) {
-    protocol.blacklisted = false
-    protocol.blacklistedReason = null
-    protocol.blacklistedAt = null
-    
-    // Recalculate reputation score based on historical performance
-    let totalDeliveries = protocol.onTimeDeliveries.plus(protocol.lateDeliveries).plus(protocol.missedDeliveries)
-    let onTimeRate = ZERO_BD
-    if (totalDeliveries.gt(ZERO_BI)) {
-      onTimeRate = protocol.onTimeDeliveries.toBigDecimal()
-        .div(totalDeliveries.toBigDecimal())
-        .times(BigDecimal.fromString("100"))
-    }
-    
-    let reputationScore = protocol.deliveryRate
-      .times(BigDecimal.fromString("0.7"))
-      .plus(onTimeRate.times(BigDecimal.fromString("0.3")))
-    
-    protocol.reputationScore = BigInt.fromString(reputationScore.truncate(0).toString())
-    
-    protocol.lastActivityTimestamp = event.block.timestamp
-    protocol.save()
+export function handleLatePaymentRecorded(event: LatePaymentRecorded): void {
+  let protocol = getOrCreateProtocol(event.params.protocol, event.block.timestamp)
+  protocol.lateDeliveries = protocol.lateDeliveries.plus(ONE_BI)
+
+  let recordId = event.params.series.toHexString()
+  let record = ReputationSeriesRecord.load(recordId)
+  if (record != null) {
+    record.latePaymentCount = record.latePaymentCount.plus(ONE_BI)
+    record.lastLateRecordedAt = event.block.timestamp
+    record.save()
   }
+
+  let late = new LatePayment(eventId(event))
+  late.protocol = protocol.id
+  late.record = recordId
+  late.seriesAddress = event.params.series
+  late.daysLate = event.params.dayslate
+  late.timestamp = event.block.timestamp
+  late.blockNumber = event.block.number
+  late.transactionHash = event.transaction.hash
+  late.save()
+
+  saveReputation(protocol, event, "LatePaymentRecorded")
+}
+
+// ============================================
+// BLACKLIST AND REPORTERS
+// ============================================
+
+export function handleProtocolBlacklisted(event: ProtocolBlacklisted): void {
+  let protocol = getOrCreateProtocol(event.params.protocol, event.block.timestamp)
+  protocol.blacklisted = true
+  protocol.blacklistedReason = event.params.reason
+  protocol.blacklistedAt = event.block.timestamp
+  saveReputation(protocol, event, "ProtocolBlacklisted")
+}
+
+export function handleProtocolWhitelisted(event: ProtocolWhitelisted): void {
+  let protocol = getOrCreateProtocol(event.params.protocol, event.block.timestamp)
+  protocol.blacklisted = false
+  protocol.blacklistedReason = null
+  protocol.blacklistedAt = null
+  saveReputation(protocol, event, "ProtocolWhitelisted")
+}
+
+export function handleReporterAuthorized(event: ReporterAuthorized): void {
+  let reporter = getOrCreateReporter(event.params.reporter)
+  reporter.authorized = true
+  reporter.authorizedAt = event.block.timestamp
+  reporter.lastUpdatedBlock = event.block.number
+  reporter.save()
+}
+
+export function handleReporterRevoked(event: ReporterRevoked): void {
+  let reporter = getOrCreateReporter(event.params.reporter)
+  reporter.authorized = false
+  reporter.revokedAt = event.block.timestamp
+  reporter.lastUpdatedBlock = event.block.number
+  reporter.save()
 }
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-function updateGlobalDeliveryRate(): void {
-  let protocolStats = ProtocolStats.load(PROTOCOL_STATS_ID)
-  if (protocolStats == null) return
-
-  // Calculate average delivery rate across all protocols
-  // This is a simplified calculation - in production you might want to
-  // iterate through all protocols or maintain a running average
-  
-  // For now, we'll use a placeholder that can be updated by a more sophisticated
-  // aggregation mechanism (possibly off-chain or via a separate indexing job)
-  
-  // Note: TheGraph doesn't support iterating all entities efficiently in mappings
-  // So this would typically be calculated in the frontend by querying all protocols
-  // and computing the average client-side
-  
-  // We'll leave this as a TODO for now and set it to 0
-  // The frontend can calculate this dynamically
-  protocolStats.averageDeliveryRate = ZERO_BD
-  protocolStats.save()
+function getOrCreateReporter(address: Bytes): ReputationReporter {
+  let reporter = ReputationReporter.load(address.toHexString())
+  if (reporter == null) {
+    reporter = new ReputationReporter(address.toHexString())
+    reporter.address = address
+    reporter.authorized = false
+    reporter.authorizedAt = null
+    reporter.revokedAt = null
+  }
+  return reporter as ReputationReporter
+}
+
+// Mirrors one iteration of _calculateWeightedDeliveryScore(): the series' capped delivery
+// ratio weighted by its promised revenue, with the contract's rounding
+function weightedDelivered(record: ReputationSeriesRecord): BigInt {
+  if (record.expectedRevenueRaw.equals(ZERO_BI)) return ZERO_BI
+
+  let ratio = record.actualRevenueRaw.times(PRECISION).div(record.expectedRevenueRaw)
+  if (ratio.gt(PRECISION)) ratio = PRECISION
+  return ratio.times(record.expectedRevenueRaw).div(PRECISION)
+}
+
+// Swaps the record's old contribution for the new one so the protocol sum never needs a loop
+function updateRecordDelivery(protocol: Protocol, record: ReputationSeriesRecord): void {
+  let weighted = weightedDelivered(record)
+  protocol.weightedRevenueDeliveredRaw = protocol.weightedRevenueDeliveredRaw
+    .minus(record.weightedDeliveredRaw)
+    .plus(weighted)
+  record.weightedDeliveredRaw = weighted
+
+  if (record.expectedRevenueRaw.gt(ZERO_BI)) {
+    let ratio = record.actualRevenue.div(record.expectedRevenue).times(PERCENT)
+    record.deliveryRatio = ratio.gt(PERCENT) ? PERCENT : ratio
+  }
+  record.save()
+}
+
+class ReputationScore {
+  score: BigInt
+  deliveryScore: BigInt
+  reliabilityScore: BigInt
+  inactivityPenalty: boolean
+
+  constructor(score: BigInt, deliveryScore: BigInt, reliabilityScore: BigInt, inactivityPenalty: boolean) {
+    this.score = score
+    this.deliveryScore = deliveryScore
+    this.reliabilityScore = reliabilityScore
+    this.inactivityPenalty = inactivityPenalty
+  }
+}
+
+// Same integer arithmetic as getReputationScore(), evaluated at the event's block
+function calculateScore(protocol: Protocol, timestamp: BigInt): ReputationScore {
+  if (protocol.blacklisted) {
+    return new ReputationScore(ZERO_BI, ZERO_BI, ZERO_BI, false)
+  }
+  if (protocol.registeredSeriesCount.equals(ZERO_BI)) {
+    return new ReputationScore(NEUTRAL_SCORE, ZERO_BI, ZERO_BI, false)
+  }
+  if (protocol.totalRevenuePromisedRaw.equals(ZERO_BI)) {
+    return new ReputationScore(NO_COMMITMENT_SCORE, ZERO_BI, ZERO_BI, false)
+  }
+
+  // _calculateWeightedDeliveryScore(): the promised total is the sum over series with expectedRevenue > 0
+  let deliveryScore = protocol.weightedRevenueDeliveredRaw
+    .times(MAX_COMPONENT_SCORE)
+    .div(protocol.totalRevenuePromisedRaw)
+  if (deliveryScore.gt(MAX_COMPONENT_SCORE)) deliveryScore = MAX_COMPONENT_SCORE
+
+  // _calculateWeightedReliabilityScore()
+  let reliabilityScore = ZERO_BI
+  let totalPayments = protocol.onTimeDeliveries.plus(protocol.lateDeliveries)
+  if (totalPayments.gt(ZERO_BI)) {
+    let onTimeRatio = protocol.onTimeDeliveries.times(HUNDRED).div(totalPayments)
+    reliabilityScore = onTimeRatio.times(MAX_COMPONENT_SCORE).div(HUNDRED)
+    if (reliabilityScore.gt(MAX_COMPONENT_SCORE)) reliabilityScore = MAX_COMPONENT_SCORE
+
+    // Gaming detection: many series with few payments each
+    if (totalPayments.div(protocol.registeredSeriesCount).lt(MIN_PAYMENTS_PER_SERIES)) {
+      reliabilityScore = reliabilityScore.div(BigInt.fromI32(2))
+    }
+  }
+
+  let score = deliveryScore.plus(reliabilityScore)
+  let inactive = protocol.lastPaymentTimestamp.gt(ZERO_BI) &&
+    timestamp.gt(protocol.lastPaymentTimestamp.plus(INACTIVITY_PERIOD))
+  if (inactive) {
+    score = score.div(BigInt.fromI32(2))
+  }
+
+  return new ReputationScore(score, deliveryScore, reliabilityScore, inactive)
+}
+
+function saveReputation(protocol: Protocol, event: ethereum.Event, trigger: string): void {
+  if (protocol.totalRevenueExpected.gt(ZERO_BD)) {
+    protocol.deliveryRate = protocol.totalRevenueDelivered
+      .div(protocol.totalRevenueExpected)
+      .times(PERCENT)
+  }
+
+  let result = calculateScore(protocol, event.block.timestamp)
+  protocol.reputationScore = result.score
+  protocol.lastActivityTimestamp = event.block.timestamp
+  protocol.save()
+
+  let snapshot = new ReputationSnapshot(eventId(event))
+  snapshot.protocol = protocol.id
+  snapshot.trigger = trigger
+  snapshot.score = result.score
+  snapshot.deliveryScore = result.deliveryScore
+  snapshot.reliabilityScore = result.reliabilityScore
+  snapshot.inactivityPenalty = result.inactivityPenalty
+  snapshot.blacklisted = protocol.blacklisted
+  snapshot.seriesCount = protocol.registeredSeriesCount
+  snapshot.revenuePromised = protocol.totalRevenueExpected
+  snapshot.revenueDelivered = protocol.totalRevenueDelivered
+  snapshot.onTimePayments = protocol.onTimeDeliveries
+  snapshot.latePayments = protocol.lateDeliveries
+  snapshot.timestamp = event.block.timestamp
+  snapshot.blockNumber = event.block.number
+  snapshot.transactionHash = event.transaction.hash
+  snapshot.save()
 }
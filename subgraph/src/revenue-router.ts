@@ -1,39 +1,39 @@
-import { BigInt, BigDecimal } from "@graphprotocol/graph-ts"
+import { BigDecimal, ethereum } from "@graphprotocol/graph-ts"
 import {
   RevenueReceived,
   RevenueRouted,
-  RouteAttemptFailed
+  RouteAttemptFailed,
+  WithdrawnToProtocol
 } from "../generated/templates/RevenueRouter/RevenueRouter"
 import {
   RevenueRouter,
   RevenueRouting,
   RevenueSeries
 } from "../generated/schema"
+import {
+  ZERO_BD,
+  ONE_BI,
+  eventId,
+  toDecimal
+} from "./helpers"
+import { updateRoutingData } from "./aggregates"
+
+// RouteAttemptFailed reasons emitted by RevenueRouter._tryRouteRevenue()
+const REASON_SERIES_INACTIVE = "Series inactive or matured"
+const REASON_BELOW_MIN = "Amount below minDistribution"
 
-const ZERO_BD = BigDecimal.fromString("0")
-const ZERO_BI = BigInt.fromI32(0)
-const ONE_BI = BigInt.fromI32(1)
+const BPS_DENOMINATOR = BigDecimal.fromString("10000")
 
 export function handleRevenueReceived(event: RevenueReceived): void {
   let router = RevenueRouter.load(event.address.toHexString())
   if (router == null) return
 
-  let totalAmount = event.params.totalAmount.toBigDecimal().div(BigDecimal.fromString("1e18"))
-  let pendingToRoute = event.params.pendingToRoute.toBigDecimal().div(BigDecimal.fromString("1e18"))
+  let amount = toDecimal(event.params.amount)
 
-  // ============================================
-  // UPDATE ROUTER METRICS
-  // ============================================
-  router.totalRevenueReceived = router.totalRevenueReceived.plus(totalAmount)
-  router.pendingToRoute = pendingToRoute
-  
-  // Calculate owedToSeries (this is the cumulative amount that should go to series)
-  // owedToSeries = totalReceived * revenueShareBPS / 10000 - totalRoutedToSeries
-  let expectedToSeries = router.totalRevenueReceived
-    .times(router.revenueShareBPS.toBigDecimal())
-    .div(BigDecimal.fromString("10000"))
-  router.owedToSeries = expectedToSeries.minus(router.totalRoutedToSeries)
-  
+  // Mirrors the router: every receipt is added to pendingToRoute until the next routing
+  router.totalRevenueReceived = router.totalRevenueReceived.plus(amount)
+  router.pendingToRoute = router.pendingToRoute.plus(amount)
+  updateOwedToSeries(router)
   router.save()
 }
 
@@ -41,68 +41,93 @@ export function handleRevenueRouted(event: RevenueRouted): void {
   let router = RevenueRouter.load(event.address.toHexString())
   if (router == null) return
 
-  let seriesAmount = event.params.seriesAmount.toBigDecimal().div(BigDecimal.fromString("1e18"))
-  let protocolAmount = event.params.protocolAmount.toBigDecimal().div(BigDecimal.fromString("1e18"))
-  let totalRouted = event.params.totalRouted.toBigDecimal().div(BigDecimal.fromString("1e18"))
+  let seriesAmount = toDecimal(event.params.seriesAmount)
+  let protocolAmount = toDecimal(event.params.protocolAmount)
 
   // ============================================
   // 1. UPDATE ROUTER METRICS
   // ============================================
+  // The protocol share stays in the router until WithdrawnToProtocol
   router.totalRoutedToSeries = router.totalRoutedToSeries.plus(seriesAmount)
-  router.totalReturnedToProtocol = router.totalReturnedToProtocol.plus(protocolAmount)
+  router.pendingToRoute = ZERO_BD
   router.routingCount = router.routingCount.plus(ONE_BI)
   router.lastRoutingTimestamp = event.block.timestamp
-  
-  // Update pending and owed amounts
-  router.pendingToRoute = ZERO_BD // Reset after successful routing
-  
-  // Recalculate owedToSeries
-  let expectedToSeries = router.totalRevenueReceived
-    .times(router.revenueShareBPS.toBigDecimal())
-    .div(BigDecimal.fromString("10000"))
-  router.owedToSeries = expectedToSeries.minus(router.totalRoutedToSeries)
-  
+  updateOwedToSeries(router)
   router.save()
 
   // ============================================
   // 2. CREATE ROUTING EVENT
   // ============================================
-  let routingId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
-  let routing = new RevenueRouting(routingId)
-  routing.router = router.id
-  routing.seriesAmount = seriesAmount
-  routing.protocolAmount = protocolAmount
-  routing.success = true
-  routing.failureReason = null
-  routing.timestamp = event.block.timestamp
-  routing.blockNumber = event.block.number
-  routing.transactionHash = event.transaction.hash
-  routing.save()
+  saveRouting(router, event, seriesAmount, protocolAmount, null)
+
+  // ============================================
+  // 3. UPDATE TIME-SERIES AGGREGATES
+  // ============================================
+  let series = RevenueSeries.load(router.series)
+  if (series != null) {
+    updateRoutingData(series, event.block.timestamp, seriesAmount)
+  }
 }
 
 export function handleRouteAttemptFailed(event: RouteAttemptFailed): void {
   let router = RevenueRouter.load(event.address.toHexString())
   if (router == null) return
 
-  let attemptedAmount = event.params.attemptedAmount.toBigDecimal().div(BigDecimal.fromString("1e18"))
   let reason = event.params.reason
 
   // ============================================
   // 1. UPDATE ROUTER METRICS
   // ============================================
-  router.failedRouteCount = router.failedRouteCount.plus(ONE_BI)
+  // Below-minimum attempts keep accumulating and are not counted as failures on-chain.
+  // An inactive series clears pendingToRoute so the protocol can withdraw; other
+  // failures restore it for a retry.
+  if (reason != REASON_BELOW_MIN) {
+    router.failedRouteCount = router.failedRouteCount.plus(ONE_BI)
+  }
+  if (reason == REASON_SERIES_INACTIVE) {
+    router.pendingToRoute = ZERO_BD
+    updateOwedToSeries(router)
+  }
   router.save()
 
   // ============================================
   // 2. CREATE FAILED ROUTING EVENT
   // ============================================
-  let routingId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
-  let routing = new RevenueRouting(routingId)
+  saveRouting(router, event, ZERO_BD, ZERO_BD, reason)
+}
+
+export function handleWithdrawnToProtocol(event: WithdrawnToProtocol): void {
+  let router = RevenueRouter.load(event.address.toHexString())
+  if (router == null) return
+
+  router.totalReturnedToProtocol = router.totalReturnedToProtocol.plus(toDecimal(event.params.amount))
+  router.save()
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Bondholders' share of revenue that has been received but not routed yet
+function updateOwedToSeries(router: RevenueRouter): void {
+  router.owedToSeries = router.pendingToRoute
+    .times(router.revenueShareBPS.toBigDecimal())
+    .div(BPS_DENOMINATOR)
+}
+
+function saveRouting(
+  router: RevenueRouter,
+  event: ethereum.Event,
+  seriesAmount: BigDecimal,
+  protocolAmount: BigDecimal,
+  failureReason: string | null
+): void {
+  let routing = new RevenueRouting(eventId(event))
   routing.router = router.id
-  routing.seriesAmount = ZERO_BD
-  routing.protocolAmount = ZERO_BD
-  routing.success = false
-  routing.failureReason = reason
+  routing.seriesAmount = seriesAmount
+  routing.protocolAmount = protocolAmount
+  routing.success = failureReason == null
+  routing.failureReason = failureReason
   routing.timestamp = event.block.timestamp
   routing.blockNumber = event.block.number
   routing.transactionHash = event.transaction.hash
@@ -0,0 +1,122 @@
+import { assert, describe, test, clearStore, afterEach } from "matchstick-as"
+import { BigInt } from "@graphprotocol/graph-ts"
+import {
+  handleRevenueReceived,
+  handleRevenueClaimed
+} from "../src/revenue-series"
+import { handleRevenueRouted, handleRouteAttemptFailed } from "../src/revenue-router"
+import {
+  handlePrincipalDeposited,
+  handleTokensPurchased
+} from "../src/revenue-bond-escrow"
+import {
+  SERIES,
+  PROTOCOL,
+  HOLDER,
+  CREATED_AT,
+  ether,
+  setupSoftSeries,
+  setupEscrowSeries,
+  createSeriesRevenueReceivedEvent,
+  createSeriesRevenueClaimedEvent,
+  createRevenueRoutedEvent,
+  createRouteAttemptFailedEvent,
+  createPrincipalDepositedEvent,
+  createTokensPurchasedEvent
+} from "./utils"
+
+// CREATED_AT (1770000000) falls on day 20486 and hour 491666
+const NEXT_HOUR = CREATED_AT.plus(BigInt.fromI32(3600))
+const NEXT_DAY = CREATED_AT.plus(BigInt.fromI32(86400))
+
+const SERIES_DAY = SERIES.toHexString() + "-20486"
+const SERIES_NEXT_DAY = SERIES.toHexString() + "-20487"
+const SERIES_HOUR = SERIES.toHexString() + "-491666"
+const SERIES_NEXT_HOUR = SERIES.toHexString() + "-491667"
+const PROTOCOL_DAY = PROTOCOL.toHexString() + "-20486"
+
+describe("Time-series aggregates", () => {
+  afterEach(() => {
+    clearStore()
+  })
+
+  test("SeriesCreated opens the protocol and global day", () => {
+    setupSoftSeries()
+
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "date", "1769990400")
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "newSeriesCreated", "1")
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "seriesCount", "1")
+    assert.fieldEquals("EquorumDayData", "20486", "newSeriesCreated", "1")
+    assert.fieldEquals("EquorumDayData", "20486", "totalRevenueBondsCreated", "1")
+    assert.fieldEquals("EquorumDayData", "20486", "activeSeries", "1")
+  })
+
+  test("Distributions add up per hour and per day with end-of-period index", () => {
+    setupSoftSeries()
+    handleRevenueReceived(createSeriesRevenueReceivedEvent(ether("2"), CREATED_AT))
+    handleRevenueReceived(createSeriesRevenueReceivedEvent(ether("1"), NEXT_HOUR))
+
+    assert.fieldEquals("SeriesHourData", SERIES_HOUR, "hourStart", "1769997600")
+    assert.fieldEquals("SeriesHourData", SERIES_HOUR, "revenueDistributed", "2")
+    assert.fieldEquals("SeriesHourData", SERIES_HOUR, "revenuePerTokenStored", "0.002")
+    assert.fieldEquals("SeriesHourData", SERIES_NEXT_HOUR, "revenueDistributed", "1")
+    assert.fieldEquals("SeriesHourData", SERIES_NEXT_HOUR, "revenuePerTokenStored", "0.003")
+    assert.fieldEquals("SeriesHourData", SERIES_NEXT_HOUR, "totalRevenueDistributed", "3")
+
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "date", "1769990400")
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "revenueDistributed", "3")
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "distributionCount", "2")
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "revenuePerTokenIndex", "3000000000000000")
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "revenueDistributed", "3")
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "totalRevenueShared", "3")
+    assert.fieldEquals("EquorumDayData", "20486", "revenueDistributed", "3")
+    assert.fieldEquals("EquorumDayData", "20486", "totalRevenueDistributed", "3")
+  })
+
+  test("A new day starts its volumes at zero but carries the totals", () => {
+    setupSoftSeries()
+    handleRevenueReceived(createSeriesRevenueReceivedEvent(ether("2"), CREATED_AT))
+    handleRevenueClaimed(createSeriesRevenueClaimedEvent(HOLDER, ether("1"), NEXT_DAY))
+
+    assert.fieldEquals("SeriesDayData", SERIES_NEXT_DAY, "date", "1770076800")
+    assert.fieldEquals("SeriesDayData", SERIES_NEXT_DAY, "revenueDistributed", "0")
+    assert.fieldEquals("SeriesDayData", SERIES_NEXT_DAY, "revenueClaimed", "1")
+    assert.fieldEquals("SeriesDayData", SERIES_NEXT_DAY, "claimCount", "1")
+    assert.fieldEquals("SeriesDayData", SERIES_NEXT_DAY, "totalRevenueDistributed", "2")
+    assert.fieldEquals("SeriesDayData", SERIES_NEXT_DAY, "totalRevenueClaimed", "1")
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "revenueClaimed", "0")
+    assert.fieldEquals("EquorumDayData", "20487", "revenueClaimed", "1")
+    assert.fieldEquals("EquorumDayData", "20487", "newSeriesCreated", "0")
+  })
+
+  test("Only successful routings count towards the routed volume", () => {
+    setupSoftSeries()
+    handleRevenueRouted(createRevenueRoutedEvent(ether("2"), ether("8"), CREATED_AT))
+    handleRouteAttemptFailed(createRouteAttemptFailedEvent("Transfer failed", ether("5"), CREATED_AT))
+
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "revenueRouted", "2")
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "routingCount", "1")
+    assert.fieldEquals("SeriesHourData", SERIES_HOUR, "revenueRouted", "2")
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "routingCount", "1")
+    assert.fieldEquals("EquorumDayData", "20486", "revenueRouted", "2")
+  })
+
+  test("Escrow deposits and sales feed capital raised and purchase volume", () => {
+    setupEscrowSeries()
+    handlePrincipalDeposited(createPrincipalDepositedEvent(ether("10"), CREATED_AT))
+    handleTokensPurchased(createTokensPurchasedEvent(HOLDER, ether("100"), ether("1"), NEXT_HOUR))
+
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "capitalRaised", "10")
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "totalCapitalRaised", "10")
+    assert.fieldEquals("EquorumDayData", "20486", "capitalRaised", "10")
+    assert.fieldEquals("EquorumDayData", "20486", "totalCapitalRaised", "10")
+
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "purchaseVolume", "1")
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "tokensPurchased", "100")
+    assert.fieldEquals("SeriesDayData", SERIES_DAY, "purchaseCount", "1")
+    assert.fieldEquals("SeriesHourData", SERIES_NEXT_HOUR, "purchaseCount", "1")
+    assert.notInStore("SeriesHourData", SERIES_HOUR)
+    assert.fieldEquals("ProtocolDayData", PROTOCOL_DAY, "purchaseVolume", "1")
+    assert.fieldEquals("EquorumDayData", "20486", "purchaseCount", "1")
+  })
+})
@@ -0,0 +1,105 @@
+import { assert, describe, test, clearStore, afterEach } from "matchstick-as"
+import { BigInt } from "@graphprotocol/graph-ts"
+import { handleFeeCollected as handleSeriesFactoryFee } from "../src/factory"
+import { handleFeeCollected as handleEscrowFactoryFee } from "../src/escrow-factory"
+import {
+  SERIES_FACTORY,
+  ESCROW_FACTORY,
+  SERIES,
+  ROUTER,
+  PROTOCOL,
+  TREASURY,
+  REGISTRY,
+  CREATED_AT,
+  DURATION_DAYS,
+  ether,
+  setupSoftSeries,
+  setupEscrowSeries,
+  createSeriesFactoryFeeCollectedEvent,
+  createEscrowFactoryFeeCollectedEvent
+} from "./utils"
+
+const MATURITY = CREATED_AT.plus(DURATION_DAYS.times(BigInt.fromI32(86400))).toString()
+
+describe("RevenueSeriesFactory", () => {
+  afterEach(() => {
+    clearStore()
+  })
+
+  test("SeriesCreated indexes a soft bond, its router and issuer", () => {
+    setupSoftSeries()
+
+    let id = SERIES.toHexString()
+    assert.fieldEquals("RevenueSeries", id, "bondType", "SOFT")
+    assert.fieldEquals("RevenueSeries", id, "name", "Equorum Revenue Bond")
+    assert.fieldEquals("RevenueSeries", id, "protocol", PROTOCOL.toHexString())
+    assert.fieldEquals("RevenueSeries", id, "router", ROUTER.toHexString())
+    assert.fieldEquals("RevenueSeries", id, "revenueSharePercentage", "20")
+    assert.fieldEquals("RevenueSeries", id, "totalSupply", "1000")
+    assert.fieldEquals("RevenueSeries", id, "minDistributionAmount", "0.001")
+    assert.fieldEquals("RevenueSeries", id, "maturityDate", MATURITY)
+    assert.fieldEquals("RevenueSeries", id, "state", "Active")
+    assert.fieldEquals("RevenueRouter", ROUTER.toHexString(), "series", id)
+    assert.fieldEquals("Protocol", PROTOCOL.toHexString(), "seriesCount", "1")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalRevenueBondsCreated", "1")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalActiveSeries", "1")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalProtocolsFunded", "1")
+    assert.fieldEquals("FactoryStats", SERIES_FACTORY.toHexString(), "treasury", TREASURY.toHexString())
+    assert.fieldEquals("FactoryStats", SERIES_FACTORY.toHexString(), "reputationRegistry", REGISTRY.toHexString())
+    assert.fieldEquals("FactoryStats", SERIES_FACTORY.toHexString(), "totalSeriesCreated", "1")
+    assert.fieldEquals("SeriesHolder", id + "-" + PROTOCOL.toHexString(), "balance", "1000")
+    assert.fieldEquals("RevenueSeries", id, "holderCount", "1")
+    assert.notInStore("RevenueBondEscrow", id)
+
+    assert.dataSourceCount("RevenueSeries", 1)
+    assert.dataSourceCount("RevenueRouter", 1)
+    assert.dataSourceCount("RevenueBondEscrow", 0)
+  })
+
+  test("FeeCollected accumulates fees and records the creation fee", () => {
+    setupSoftSeries()
+    handleSeriesFactoryFee(createSeriesFactoryFeeCollectedEvent(ether("1"), "creation"))
+
+    assert.fieldEquals("FactoryStats", SERIES_FACTORY.toHexString(), "totalFeesCollected", "1")
+    assert.fieldEquals("FactoryStats", SERIES_FACTORY.toHexString(), "creationFeeETH", "1")
+  })
+})
+
+describe("RevenueBondEscrowFactory", () => {
+  afterEach(() => {
+    clearStore()
+  })
+
+  test("EscrowSeriesCreated indexes a hybrid bond with its escrow terms", () => {
+    setupEscrowSeries()
+
+    let id = SERIES.toHexString()
+    assert.fieldEquals("RevenueSeries", id, "bondType", "HYBRID")
+    assert.fieldEquals("RevenueSeries", id, "name", "Equorum Hybrid Bond")
+    assert.fieldEquals("RevenueSeries", id, "symbol", "EQHB")
+    assert.fieldEquals("RevenueSeries", id, "escrow", id)
+    assert.fieldEquals("RevenueSeries", id, "maturityDate", MATURITY)
+    assert.fieldEquals("RevenueBondEscrow", id, "principalAmount", "10")
+    assert.fieldEquals("RevenueBondEscrow", id, "minPurchaseAmount", "1")
+    assert.fieldEquals("RevenueBondEscrow", id, "depositDeadlineDays", "30")
+    assert.fieldEquals("RevenueBondEscrow", id, "state", "PendingPrincipal")
+    assert.fieldEquals("RevenueSeries", id, "isActive", "false")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalActiveSeries", "0")
+    assert.fieldEquals("FactoryStats", ESCROW_FACTORY.toHexString(), "totalSeriesCreated", "1")
+    // The supply is minted by depositPrincipal(), which the escrow template indexes
+    assert.notInStore("SeriesHolder", id + "-" + PROTOCOL.toHexString())
+    assert.fieldEquals("RevenueSeries", id, "holderCount", "0")
+
+    assert.dataSourceCount("RevenueBondEscrow", 1)
+    assert.dataSourceCount("RevenueRouter", 1)
+    assert.dataSourceCount("RevenueSeries", 0)
+  })
+
+  test("FeeCollected uses the numeric fee type", () => {
+    setupEscrowSeries()
+    handleEscrowFactoryFee(createEscrowFactoryFeeCollectedEvent(ether("2"), 1))
+
+    assert.fieldEquals("FactoryStats", ESCROW_FACTORY.toHexString(), "totalFeesCollected", "2")
+    assert.fieldEquals("FactoryStats", ESCROW_FACTORY.toHexString(), "creationFeeETH", "2")
+  })
+})
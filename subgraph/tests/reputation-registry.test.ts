@@ -0,0 +1,163 @@
+import { assert, describe, test, clearStore, beforeEach, afterEach } from "matchstick-as"
+import { BigInt, ethereum } from "@graphprotocol/graph-ts"
+import {
+  handleSeriesRegistered,
+  handleExpectedRevenueUpdated,
+  handleRevenueDistributed,
+  handleLatePaymentRecorded,
+  handleProtocolBlacklisted,
+  handleProtocolWhitelisted,
+  handleReporterAuthorized,
+  handleReporterRevoked
+} from "../src/reputation-registry"
+import {
+  SERIES,
+  PROTOCOL,
+  CREATED_AT,
+  ether,
+  setupSoftSeries,
+  mockSeriesRecord,
+  createSeriesRegisteredEvent,
+  createExpectedRevenueUpdatedEvent,
+  createRevenueDistributedEvent,
+  createLatePaymentRecordedEvent,
+  createProtocolBlacklistedEvent,
+  createProtocolWhitelistedEvent,
+  createReporterAuthorizedEvent,
+  createReporterRevokedEvent
+} from "./utils"
+
+const LATER = CREATED_AT.plus(BigInt.fromI32(86400))
+const INACTIVE = LATER.plus(BigInt.fromI32(91 * 86400))
+
+// Mock events share a transaction hash; distinct log indexes keep their entities apart
+function snapshotId(event: ethereum.Event, logIndex: i32): string {
+  event.logIndex = BigInt.fromI32(logIndex)
+  return event.transaction.hash.toHexString() + "-" + logIndex.toString()
+}
+
+describe("ProtocolReputationRegistry", () => {
+  beforeEach(() => {
+    mockSeriesRecord(SERIES, PROTOCOL, ether("100"), 30)
+  })
+
+  afterEach(() => {
+    clearStore()
+  })
+
+  test("SeriesRegistered may arrive before the factory event", () => {
+    handleSeriesRegistered(createSeriesRegisteredEvent(PROTOCOL, SERIES, ether("100")))
+    setupSoftSeries()
+
+    let id = PROTOCOL.toHexString()
+    assert.fieldEquals("Protocol", id, "totalRevenueExpected", "100")
+    assert.fieldEquals("Protocol", id, "seriesCount", "1")
+    assert.fieldEquals("Protocol", id, "registeredSeriesCount", "1")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalProtocolsFunded", "1")
+
+    let recordId = SERIES.toHexString()
+    assert.fieldEquals("ReputationSeriesRecord", recordId, "protocol", id)
+    assert.fieldEquals("ReputationSeriesRecord", recordId, "series", recordId)
+    assert.fieldEquals("ReputationSeriesRecord", recordId, "expectedCadenceDays", "30")
+    assert.fieldEquals("ReputationSeriesRecord", recordId, "lastDistributionTimestamp", CREATED_AT.toString())
+
+    // Promised revenue with nothing delivered yet: both components are 0
+    assert.fieldEquals("Protocol", id, "reputationScore", "0")
+  })
+
+  test("The score follows getReputationScore() through an expected revenue update", () => {
+    let registered = createSeriesRegisteredEvent(PROTOCOL, SERIES, BigInt.fromI32(0))
+    let registeredId = snapshotId(registered, 1)
+    handleSeriesRegistered(registered)
+
+    // No revenue promised: transparency penalty
+    let id = PROTOCOL.toHexString()
+    assert.fieldEquals("Protocol", id, "reputationScore", "25")
+    assert.fieldEquals("ReputationSnapshot", registeredId, "score", "25")
+    assert.fieldEquals("ReputationSnapshot", registeredId, "trigger", "SeriesRegistered")
+
+    handleExpectedRevenueUpdated(createExpectedRevenueUpdatedEvent(PROTOCOL, SERIES, ether("100"), LATER))
+    assert.fieldEquals("ReputationSeriesRecord", SERIES.toHexString(), "expectedRevenue", "100")
+    assert.fieldEquals("Protocol", id, "totalRevenueExpected", "100")
+    assert.fieldEquals("Protocol", id, "reputationScore", "0")
+
+    let distributed = createRevenueDistributedEvent(PROTOCOL, SERIES, ether("25"), LATER)
+    let distributedId = snapshotId(distributed, 3)
+    handleRevenueDistributed(distributed)
+
+    // Delivery: 25/100 of 50 -> 12. Reliability: 50, halved for under 2 payments per series -> 25
+    assert.fieldEquals("ReputationSeriesRecord", SERIES.toHexString(), "deliveryRatio", "25")
+    assert.fieldEquals("ReputationSeriesRecord", SERIES.toHexString(), "weightedDeliveredRaw", "25000000000000000000")
+    assert.fieldEquals("Protocol", id, "totalRevenueDelivered", "25")
+    assert.fieldEquals("Protocol", id, "onTimeDeliveries", "1")
+    assert.fieldEquals("Protocol", id, "deliveryRate", "25")
+    assert.fieldEquals("Protocol", id, "reputationScore", "37")
+    assert.fieldEquals("ReputationSnapshot", distributedId, "deliveryScore", "12")
+    assert.fieldEquals("ReputationSnapshot", distributedId, "reliabilityScore", "25")
+    assert.fieldEquals("ReputationSnapshot", distributedId, "score", "37")
+  })
+
+  test("Late payments are recorded per incident and lower reliability", () => {
+    handleSeriesRegistered(createSeriesRegisteredEvent(PROTOCOL, SERIES, ether("100")))
+    handleRevenueDistributed(createRevenueDistributedEvent(PROTOCOL, SERIES, ether("60"), LATER))
+    handleRevenueDistributed(createRevenueDistributedEvent(PROTOCOL, SERIES, ether("60"), LATER))
+
+    // Delivery is capped at 100% of the promise
+    let id = PROTOCOL.toHexString()
+    assert.fieldEquals("ReputationSeriesRecord", SERIES.toHexString(), "deliveryRatio", "100")
+    assert.fieldEquals("Protocol", id, "weightedRevenueDeliveredRaw", "100000000000000000000")
+    assert.fieldEquals("Protocol", id, "reputationScore", "100")
+
+    let event = createLatePaymentRecordedEvent(PROTOCOL, SERIES, 3, LATER)
+    let lateId = snapshotId(event, 4)
+    handleLatePaymentRecorded(event)
+
+    assert.fieldEquals("LatePayment", lateId, "record", SERIES.toHexString())
+    assert.fieldEquals("LatePayment", lateId, "protocol", id)
+    assert.fieldEquals("LatePayment", lateId, "daysLate", "3")
+    assert.fieldEquals("ReputationSeriesRecord", SERIES.toHexString(), "latePaymentCount", "1")
+    assert.fieldEquals("Protocol", id, "lateDeliveries", "1")
+
+    // Reliability: 2 of 3 on time -> 66% -> 33
+    assert.fieldEquals("Protocol", id, "reputationScore", "83")
+    assert.fieldEquals("ReputationSnapshot", lateId, "reliabilityScore", "33")
+  })
+
+  test("Blacklisting zeroes the score and inactivity halves it", () => {
+    handleSeriesRegistered(createSeriesRegisteredEvent(PROTOCOL, SERIES, ether("100")))
+    handleRevenueDistributed(createRevenueDistributedEvent(PROTOCOL, SERIES, ether("50"), LATER))
+    handleRevenueDistributed(createRevenueDistributedEvent(PROTOCOL, SERIES, ether("50"), LATER))
+
+    let blacklisted = createProtocolBlacklistedEvent(PROTOCOL, "Failed to deposit principal", LATER)
+    let blacklistedId = snapshotId(blacklisted, 5)
+    handleProtocolBlacklisted(blacklisted)
+
+    let id = PROTOCOL.toHexString()
+    assert.fieldEquals("Protocol", id, "blacklisted", "true")
+    assert.fieldEquals("Protocol", id, "blacklistedReason", "Failed to deposit principal")
+    assert.fieldEquals("Protocol", id, "reputationScore", "0")
+    assert.fieldEquals("ReputationSnapshot", blacklistedId, "blacklisted", "true")
+
+    // Whitelisted more than 90 days after the last payment
+    let whitelisted = createProtocolWhitelistedEvent(PROTOCOL, INACTIVE)
+    let whitelistedId = snapshotId(whitelisted, 6)
+    handleProtocolWhitelisted(whitelisted)
+
+    assert.fieldEquals("Protocol", id, "blacklisted", "false")
+    assert.fieldEquals("Protocol", id, "reputationScore", "50")
+    assert.fieldEquals("ReputationSnapshot", whitelistedId, "inactivityPenalty", "true")
+    assert.fieldEquals("ReputationSnapshot", whitelistedId, "score", "50")
+  })
+
+  test("ReporterAuthorized and ReporterRevoked track authorized reporters", () => {
+    handleReporterAuthorized(createReporterAuthorizedEvent(SERIES, CREATED_AT))
+
+    let id = SERIES.toHexString()
+    assert.fieldEquals("ReputationReporter", id, "authorized", "true")
+    assert.fieldEquals("ReputationReporter", id, "authorizedAt", CREATED_AT.toString())
+
+    handleReporterRevoked(createReporterRevokedEvent(SERIES, LATER))
+    assert.fieldEquals("ReputationReporter", id, "authorized", "false")
+    assert.fieldEquals("ReputationReporter", id, "revokedAt", LATER.toString())
+  })
+})
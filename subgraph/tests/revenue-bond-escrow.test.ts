@@ -0,0 +1,99 @@
+import { assert, describe, test, clearStore, beforeEach, afterEach } from "matchstick-as"
+import { BigInt } from "@graphprotocol/graph-ts"
+import {
+  handlePrincipalDeposited,
+  handlePrincipalClaimed,
+  handleSeriesMatured,
+  handleSeriesDefaulted,
+  handleRevenueReceived,
+  handleTransfer
+} from "../src/revenue-bond-escrow"
+import {
+  SERIES,
+  PROTOCOL,
+  HOLDER,
+  ZERO,
+  CREATED_AT,
+  ether,
+  setupEscrowSeries,
+  createPrincipalDepositedEvent,
+  createPrincipalClaimedEvent,
+  createSeriesMaturedEvent,
+  createSeriesDefaultedEvent,
+  createSeriesRevenueReceivedEvent,
+  createTransferEvent
+} from "./utils"
+
+const LATER = CREATED_AT.plus(BigInt.fromI32(3600))
+
+describe("RevenueBondEscrow", () => {
+  beforeEach(() => {
+    setupEscrowSeries()
+  })
+
+  afterEach(() => {
+    clearStore()
+  })
+
+  test("PrincipalDeposited activates the escrow and counts capital raised", () => {
+    handlePrincipalDeposited(createPrincipalDepositedEvent(ether("10"), LATER))
+
+    let id = SERIES.toHexString()
+    assert.fieldEquals("RevenueBondEscrow", id, "state", "Active")
+    assert.fieldEquals("RevenueBondEscrow", id, "principalDeposited", "true")
+    assert.fieldEquals("RevenueSeries", id, "isActive", "true")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalActiveSeries", "1")
+    assert.fieldEquals("Protocol", PROTOCOL.toHexString(), "totalCapitalRaised", "10")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalCapitalRaised", "10")
+  })
+
+  test("RevenueReceived is booked on the escrow's series", () => {
+    handlePrincipalDeposited(createPrincipalDepositedEvent(ether("10"), LATER))
+    handleRevenueReceived(createSeriesRevenueReceivedEvent(ether("5"), LATER))
+
+    assert.fieldEquals("RevenueSeries", SERIES.toHexString(), "totalRevenueReceived", "5")
+    assert.fieldEquals("RevenueSeries", SERIES.toHexString(), "revenuePerTokenStored", "0.005")
+  })
+
+  test("SeriesMatured and PrincipalClaimed settle the principal", () => {
+    handlePrincipalDeposited(createPrincipalDepositedEvent(ether("10"), LATER))
+    handleSeriesMatured(createSeriesMaturedEvent(LATER))
+    let event = createPrincipalClaimedEvent(HOLDER, ether("4"), LATER)
+    handlePrincipalClaimed(event)
+
+    let id = SERIES.toHexString()
+    assert.fieldEquals("RevenueBondEscrow", id, "state", "Matured")
+    assert.fieldEquals("RevenueSeries", id, "state", "Matured")
+    assert.fieldEquals("RevenueBondEscrow", id, "totalPrincipalClaimed", "4")
+    assert.fieldEquals("RevenueBondEscrow", id, "principalClaimCount", "1")
+    assert.fieldEquals("SeriesHolder", id + "-" + HOLDER.toHexString(), "principalClaimed", "true")
+    assert.fieldEquals("SeriesHolder", id + "-" + HOLDER.toHexString(), "principalClaimedAmount", "4")
+
+    let claimId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+    assert.fieldEquals("PrincipalClaim", claimId, "escrow", id)
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalMaturedSeries", "1")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalActiveSeries", "0")
+  })
+
+  test("Minting on deposit and burning on principal claim move the holder count", () => {
+    let id = SERIES.toHexString()
+    handlePrincipalDeposited(createPrincipalDepositedEvent(ether("10"), LATER))
+    handleTransfer(createTransferEvent(ZERO, PROTOCOL, ether("1000"), LATER))
+    handleTransfer(createTransferEvent(PROTOCOL, HOLDER, ether("100"), LATER))
+    assert.fieldEquals("RevenueSeries", id, "holderCount", "2")
+
+    handleTransfer(createTransferEvent(HOLDER, ZERO, ether("100"), LATER))
+    assert.fieldEquals("SeriesHolder", id + "-" + HOLDER.toHexString(), "balance", "0")
+    assert.fieldEquals("RevenueSeries", id, "holderCount", "1")
+  })
+
+  test("SeriesDefaulted marks the escrow defaulted", () => {
+    handleSeriesDefaulted(createSeriesDefaultedEvent(LATER))
+
+    let id = SERIES.toHexString()
+    assert.fieldEquals("RevenueBondEscrow", id, "state", "Defaulted")
+    assert.fieldEquals("RevenueSeries", id, "isActive", "false")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalActiveSeries", "0")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalDefaultedSeries", "1")
+  })
+})
@@ -0,0 +1,81 @@
+import { assert, describe, test, clearStore, beforeEach, afterEach } from "matchstick-as"
+import { BigInt } from "@graphprotocol/graph-ts"
+import {
+  handleRevenueReceived,
+  handleRevenueRouted,
+  handleRouteAttemptFailed,
+  handleWithdrawnToProtocol
+} from "../src/revenue-router"
+import {
+  ROUTER,
+  CREATED_AT,
+  ether,
+  setupSoftSeries,
+  createRouterRevenueReceivedEvent,
+  createRevenueRoutedEvent,
+  createRouteAttemptFailedEvent,
+  createWithdrawnToProtocolEvent
+} from "./utils"
+
+const LATER = CREATED_AT.plus(BigInt.fromI32(3600))
+
+describe("RevenueRouter", () => {
+  beforeEach(() => {
+    setupSoftSeries()
+  })
+
+  afterEach(() => {
+    clearStore()
+  })
+
+  test("RevenueReceived adds to pending and the bondholders' share", () => {
+    handleRevenueReceived(createRouterRevenueReceivedEvent(ether("10"), LATER))
+
+    let id = ROUTER.toHexString()
+    assert.fieldEquals("RevenueRouter", id, "totalRevenueReceived", "10")
+    assert.fieldEquals("RevenueRouter", id, "pendingToRoute", "10")
+    assert.fieldEquals("RevenueRouter", id, "owedToSeries", "2")
+  })
+
+  test("RevenueRouted clears pending and records a successful routing", () => {
+    handleRevenueReceived(createRouterRevenueReceivedEvent(ether("10"), LATER))
+    let event = createRevenueRoutedEvent(ether("2"), ether("8"), LATER)
+    handleRevenueRouted(event)
+
+    let id = ROUTER.toHexString()
+    assert.fieldEquals("RevenueRouter", id, "totalRoutedToSeries", "2")
+    assert.fieldEquals("RevenueRouter", id, "pendingToRoute", "0")
+    assert.fieldEquals("RevenueRouter", id, "routingCount", "1")
+    assert.fieldEquals("RevenueRouter", id, "lastRoutingTimestamp", LATER.toString())
+    // The protocol share is only returned once withdrawn
+    assert.fieldEquals("RevenueRouter", id, "totalReturnedToProtocol", "0")
+
+    let routingId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+    assert.fieldEquals("RevenueRouting", routingId, "seriesAmount", "2")
+    assert.fieldEquals("RevenueRouting", routingId, "protocolAmount", "8")
+    assert.fieldEquals("RevenueRouting", routingId, "success", "true")
+  })
+
+  test("RouteAttemptFailed counts failures like the contract", () => {
+    handleRevenueReceived(createRouterRevenueReceivedEvent(ether("10"), LATER))
+
+    handleRouteAttemptFailed(createRouteAttemptFailedEvent("Amount below minDistribution", ether("2"), LATER))
+    assert.fieldEquals("RevenueRouter", ROUTER.toHexString(), "failedRouteCount", "0")
+    assert.fieldEquals("RevenueRouter", ROUTER.toHexString(), "pendingToRoute", "10")
+
+    let event = createRouteAttemptFailedEvent("Series inactive or matured", ether("10"), LATER)
+    handleRouteAttemptFailed(event)
+    assert.fieldEquals("RevenueRouter", ROUTER.toHexString(), "failedRouteCount", "1")
+    assert.fieldEquals("RevenueRouter", ROUTER.toHexString(), "pendingToRoute", "0")
+
+    let routingId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+    assert.fieldEquals("RevenueRouting", routingId, "success", "false")
+    assert.fieldEquals("RevenueRouting", routingId, "failureReason", "Series inactive or matured")
+  })
+
+  test("WithdrawnToProtocol tracks the protocol share paid out", () => {
+    handleWithdrawnToProtocol(createWithdrawnToProtocolEvent(ether("8"), LATER))
+
+    assert.fieldEquals("RevenueRouter", ROUTER.toHexString(), "totalReturnedToProtocol", "8")
+  })
+})
@@ -0,0 +1,117 @@
+import { assert, describe, test, clearStore, beforeEach, afterEach } from "matchstick-as"
+import { BigInt } from "@graphprotocol/graph-ts"
+import {
+  handleRevenueReceived,
+  handleRevenueClaimed,
+  handleSeriesMatured,
+  handleTransfer
+} from "../src/revenue-series"
+import {
+  SERIES,
+  PROTOCOL,
+  HOLDER,
+  CREATED_AT,
+  ether,
+  setupSoftSeries,
+  createSeriesRevenueReceivedEvent,
+  createSeriesRevenueClaimedEvent,
+  createSeriesMaturedEvent,
+  createTransferEvent
+} from "./utils"
+
+const LATER = CREATED_AT.plus(BigInt.fromI32(3600))
+
+describe("RevenueSeries", () => {
+  beforeEach(() => {
+    setupSoftSeries()
+  })
+
+  afterEach(() => {
+    clearStore()
+  })
+
+  test("RevenueReceived records a distribution and updates totals", () => {
+    let event = createSeriesRevenueReceivedEvent(ether("2"), LATER)
+    handleRevenueReceived(event)
+
+    let id = SERIES.toHexString()
+    assert.fieldEquals("RevenueSeries", id, "totalRevenueReceived", "2")
+    assert.fieldEquals("RevenueSeries", id, "distributionCount", "1")
+    assert.fieldEquals("RevenueSeries", id, "revenuePerTokenStored", "0.002")
+    assert.fieldEquals("RevenueSeries", id, "lastDistributionTimestamp", LATER.toString())
+
+    let distributionId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+    assert.fieldEquals("RevenueDistribution", distributionId, "series", id)
+    assert.fieldEquals("RevenueDistribution", distributionId, "amount", "2")
+    assert.fieldEquals("RevenueDistribution", distributionId, "revenuePerToken", "0.002")
+
+    assert.fieldEquals("Protocol", PROTOCOL.toHexString(), "totalRevenueShared", "2")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalRevenueDistributed", "2")
+  })
+
+  test("RevenueClaimed records the claim against the holder", () => {
+    let event = createSeriesRevenueClaimedEvent(HOLDER, ether("1"), LATER)
+    handleRevenueClaimed(event)
+
+    let holderId = SERIES.toHexString() + "-" + HOLDER.toHexString()
+    assert.fieldEquals("SeriesHolder", holderId, "totalRevenueClaimed", "1")
+    assert.fieldEquals("SeriesHolder", holderId, "claimCount", "1")
+    assert.fieldEquals("RevenueSeries", SERIES.toHexString(), "totalRevenueClaimed", "1")
+
+    let claimId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+    assert.fieldEquals("RevenueClaim", claimId, "holder", holderId)
+    assert.fieldEquals("RevenueClaim", claimId, "holderAddress", HOLDER.toHexString())
+  })
+
+  test("Transfer moves balances and the holder count", () => {
+    let id = SERIES.toHexString()
+    // Seeded from SeriesCreated: the constructor mint to the protocol is never seen as a log
+    assert.fieldEquals("SeriesHolder", id + "-" + PROTOCOL.toHexString(), "balance", "1000")
+    assert.fieldEquals("RevenueSeries", id, "holderCount", "1")
+
+    handleTransfer(createTransferEvent(PROTOCOL, HOLDER, ether("250"), LATER))
+
+    assert.fieldEquals("SeriesHolder", id + "-" + PROTOCOL.toHexString(), "balance", "750")
+    assert.fieldEquals("SeriesHolder", id + "-" + HOLDER.toHexString(), "balance", "250")
+    assert.fieldEquals("SeriesHolder", id + "-" + HOLDER.toHexString(), "balancePercentage", "25")
+    assert.fieldEquals("SeriesHolder", id + "-" + HOLDER.toHexString(), "firstAcquiredAt", LATER.toString())
+    assert.fieldEquals("RevenueSeries", id, "holderCount", "2")
+
+    handleTransfer(createTransferEvent(HOLDER, PROTOCOL, ether("250"), LATER))
+    assert.fieldEquals("SeriesHolder", id + "-" + HOLDER.toHexString(), "balanceRaw", "0")
+    assert.fieldEquals("RevenueSeries", id, "holderCount", "1")
+  })
+
+  test("Transfers and claims checkpoint rewards like _updateRewards()", () => {
+    let id = SERIES.toHexString()
+    let protocolId = id + "-" + PROTOCOL.toHexString()
+    let holderId = id + "-" + HOLDER.toHexString()
+
+    // 2 ETH over 1,000 tokens: index 2e15
+    handleRevenueReceived(createSeriesRevenueReceivedEvent(ether("2"), LATER))
+    assert.fieldEquals("RevenueSeries", id, "revenuePerTokenIndex", "2000000000000000")
+
+    // The sender's 1,000 tokens earned the whole 2 ETH before the transfer
+    handleTransfer(createTransferEvent(PROTOCOL, HOLDER, ether("250"), LATER))
+    assert.fieldEquals("SeriesHolder", protocolId, "rewards", "2000000000000000000")
+    assert.fieldEquals("SeriesHolder", protocolId, "userRevenuePerTokenPaid", "2000000000000000")
+    assert.fieldEquals("SeriesHolder", holderId, "rewards", "0")
+    assert.fieldEquals("SeriesHolder", holderId, "userRevenuePerTokenPaid", "2000000000000000")
+
+    // 1 ETH more: the holder's 250 tokens earn 0.25 ETH, settled and paid out on claim
+    handleRevenueReceived(createSeriesRevenueReceivedEvent(ether("1"), LATER))
+    handleRevenueClaimed(createSeriesRevenueClaimedEvent(HOLDER, BigInt.fromString("250000000000000000"), LATER))
+    assert.fieldEquals("SeriesHolder", holderId, "rewards", "0")
+    assert.fieldEquals("SeriesHolder", holderId, "userRevenuePerTokenPaid", "3000000000000000")
+    assert.fieldEquals("SeriesHolder", holderId, "totalRevenueClaimed", "0.25")
+  })
+
+  test("SeriesMatured moves the series out of the active count", () => {
+    handleSeriesMatured(createSeriesMaturedEvent(LATER))
+
+    assert.fieldEquals("RevenueSeries", SERIES.toHexString(), "state", "Matured")
+    assert.fieldEquals("RevenueSeries", SERIES.toHexString(), "isActive", "false")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalActiveSeries", "0")
+    assert.fieldEquals("ProtocolStats", "protocol-stats", "totalMaturedSeries", "1")
+  })
+})
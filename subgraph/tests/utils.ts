@@ -0,0 +1,340 @@
+import { newMockEvent, createMockedFunction } from "matchstick-as"
+import { Address, BigInt, ethereum } from "@graphprotocol/graph-ts"
+import {
+  SeriesCreated,
+  FeeCollected as SeriesFactoryFeeCollected
+} from "../generated/RevenueSeriesFactory/RevenueSeriesFactory"
+import {
+  EscrowSeriesCreated,
+  FeeCollected as EscrowFactoryFeeCollected
+} from "../generated/RevenueBondEscrowFactory/RevenueBondEscrowFactory"
+import {
+  RevenueReceived as SeriesRevenueReceived,
+  RevenueClaimed as SeriesRevenueClaimed,
+  SeriesMatured,
+  Transfer
+} from "../generated/templates/RevenueSeries/RevenueSeries"
+import {
+  PrincipalDeposited,
+  PrincipalClaimed,
+  SeriesDefaulted,
+  TokensPurchased
+} from "../generated/templates/RevenueBondEscrow/RevenueBondEscrow"
+import {
+  RevenueReceived as RouterRevenueReceived,
+  RevenueRouted,
+  RouteAttemptFailed,
+  WithdrawnToProtocol
+} from "../generated/templates/RevenueRouter/RevenueRouter"
+import {
+  SeriesRegistered,
+  ExpectedRevenueUpdated,
+  RevenueDistributed,
+  LatePaymentRecorded,
+  ProtocolBlacklisted,
+  ProtocolWhitelisted,
+  ReporterAuthorized,
+  ReporterRevoked
+} from "../generated/ProtocolReputationRegistry/ProtocolReputationRegistry"
+import { handleSeriesCreated } from "../src/factory"
+import { handleEscrowSeriesCreated } from "../src/escrow-factory"
+
+export const SERIES_FACTORY = Address.fromString("0x280e83c47e243267753b7e2f322f55c52d4d2c3a")
+export const ESCROW_FACTORY = Address.fromString("0x2cfe9a33050eb77fc124ec3eaac4fa4d687be650")
+export const REGISTRY = Address.fromString("0xfe0a22d77fdf98cc556cbc2dc6b3749eba4e89ba")
+export const TREASURY = Address.fromString("0xba69aed75e8562f9d23064aebb21683202c5279b")
+export const ZERO = Address.fromString("0x0000000000000000000000000000000000000000")
+
+export const PROTOCOL = Address.fromString("0x0000000000000000000000000000000000000a11")
+export const SERIES = Address.fromString("0x0000000000000000000000000000000000000b01")
+export const ROUTER = Address.fromString("0x0000000000000000000000000000000000000c01")
+export const HOLDER = Address.fromString("0x0000000000000000000000000000000000000d01")
+
+export const CREATED_AT = BigInt.fromI32(1770000000)
+export const DURATION_DAYS = BigInt.fromI32(365)
+export const SHARE_BPS = BigInt.fromI32(2000)
+
+export function ether(value: string): BigInt {
+  return BigInt.fromString(value).times(BigInt.fromString("1000000000000000000"))
+}
+
+function param(name: string, value: ethereum.Value): ethereum.EventParam {
+  return new ethereum.EventParam(name, value)
+}
+
+function mockEvent(address: Address, timestamp: BigInt): ethereum.Event {
+  let event = newMockEvent()
+  event.address = address
+  event.block.timestamp = timestamp
+  event.parameters = new Array()
+  return event
+}
+
+// ============================================
+// FACTORIES
+// ============================================
+
+function mockFactoryConfig(factory: Address): void {
+  createMockedFunction(factory, "treasury", "treasury():(address)")
+    .returns([ethereum.Value.fromAddress(TREASURY)])
+  createMockedFunction(factory, "reputationRegistry", "reputationRegistry():(address)")
+    .returns([ethereum.Value.fromAddress(REGISTRY)])
+  createMockedFunction(factory, "feePolicy", "feePolicy():(address)")
+    .returns([ethereum.Value.fromAddress(ZERO)])
+}
+
+export function createSeriesCreatedEvent(
+  series: Address,
+  router: Address,
+  protocol: Address,
+  totalSupply: BigInt
+): SeriesCreated {
+  let event = changetype<SeriesCreated>(mockEvent(SERIES_FACTORY, CREATED_AT))
+  event.parameters.push(param("series", ethereum.Value.fromAddress(series)))
+  event.parameters.push(param("router", ethereum.Value.fromAddress(router)))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  event.parameters.push(param("name", ethereum.Value.fromString("Equorum Revenue Bond")))
+  event.parameters.push(param("symbol", ethereum.Value.fromString("EQRB")))
+  event.parameters.push(param("revenueShareBPS", ethereum.Value.fromUnsignedBigInt(SHARE_BPS)))
+  event.parameters.push(param("durationDays", ethereum.Value.fromUnsignedBigInt(DURATION_DAYS)))
+  event.parameters.push(param("totalSupply", ethereum.Value.fromUnsignedBigInt(totalSupply)))
+  return event
+}
+
+export function createEscrowSeriesCreatedEvent(
+  series: Address,
+  router: Address,
+  protocol: Address,
+  totalSupply: BigInt,
+  principalAmount: BigInt
+): EscrowSeriesCreated {
+  let event = changetype<EscrowSeriesCreated>(mockEvent(ESCROW_FACTORY, CREATED_AT))
+  event.parameters.push(param("series", ethereum.Value.fromAddress(series)))
+  event.parameters.push(param("router", ethereum.Value.fromAddress(router)))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  event.parameters.push(param("revenueShareBPS", ethereum.Value.fromUnsignedBigInt(SHARE_BPS)))
+  event.parameters.push(param("durationDays", ethereum.Value.fromUnsignedBigInt(DURATION_DAYS)))
+  event.parameters.push(param("totalSupply", ethereum.Value.fromUnsignedBigInt(totalSupply)))
+  event.parameters.push(param("principalAmount", ethereum.Value.fromUnsignedBigInt(principalAmount)))
+  return event
+}
+
+export function createSeriesFactoryFeeCollectedEvent(amount: BigInt, feeType: string): SeriesFactoryFeeCollected {
+  let event = changetype<SeriesFactoryFeeCollected>(mockEvent(SERIES_FACTORY, CREATED_AT))
+  event.parameters.push(param("payer", ethereum.Value.fromAddress(PROTOCOL)))
+  event.parameters.push(param("receiver", ethereum.Value.fromAddress(TREASURY)))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  event.parameters.push(param("feeType", ethereum.Value.fromString(feeType)))
+  return event
+}
+
+export function createEscrowFactoryFeeCollectedEvent(amount: BigInt, feeType: i32): EscrowFactoryFeeCollected {
+  let event = changetype<EscrowFactoryFeeCollected>(mockEvent(ESCROW_FACTORY, CREATED_AT))
+  event.parameters.push(param("payer", ethereum.Value.fromAddress(PROTOCOL)))
+  event.parameters.push(param("receiver", ethereum.Value.fromAddress(TREASURY)))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  event.parameters.push(param("feeType", ethereum.Value.fromI32(feeType)))
+  return event
+}
+
+// Creates SERIES/ROUTER through the soft factory handler with 1,000 tokens
+export function setupSoftSeries(): void {
+  mockFactoryConfig(SERIES_FACTORY)
+  createMockedFunction(SERIES, "minDistributionAmount", "minDistributionAmount():(uint256)")
+    .returns([ethereum.Value.fromUnsignedBigInt(BigInt.fromString("1000000000000000"))])
+  handleSeriesCreated(createSeriesCreatedEvent(SERIES, ROUTER, PROTOCOL, ether("1000")))
+}
+
+// Creates SERIES/ROUTER through the escrow factory handler with 1,000 tokens and 10 ETH principal
+export function setupEscrowSeries(): void {
+  mockFactoryConfig(ESCROW_FACTORY)
+  createMockedFunction(SERIES, "name", "name():(string)")
+    .returns([ethereum.Value.fromString("Equorum Hybrid Bond")])
+  createMockedFunction(SERIES, "symbol", "symbol():(string)")
+    .returns([ethereum.Value.fromString("EQHB")])
+  createMockedFunction(SERIES, "minDistributionAmount", "minDistributionAmount():(uint256)")
+    .returns([ethereum.Value.fromUnsignedBigInt(BigInt.fromString("1000000000000000"))])
+  createMockedFunction(SERIES, "minPurchaseAmount", "minPurchaseAmount():(uint256)")
+    .returns([ethereum.Value.fromUnsignedBigInt(ether("1"))])
+  createMockedFunction(SERIES, "depositDeadline", "depositDeadline():(uint256)")
+    .returns([ethereum.Value.fromUnsignedBigInt(CREATED_AT.plus(BigInt.fromI32(30 * 86400)))])
+  handleEscrowSeriesCreated(createEscrowSeriesCreatedEvent(SERIES, ROUTER, PROTOCOL, ether("1000"), ether("10")))
+}
+
+// ============================================
+// SERIES / ESCROW
+// ============================================
+
+export function createSeriesRevenueReceivedEvent(amount: BigInt, timestamp: BigInt): SeriesRevenueReceived {
+  let event = changetype<SeriesRevenueReceived>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+export function createSeriesRevenueClaimedEvent(user: Address, amount: BigInt, timestamp: BigInt): SeriesRevenueClaimed {
+  let event = changetype<SeriesRevenueClaimed>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("user", ethereum.Value.fromAddress(user)))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  return event
+}
+
+export function createSeriesMaturedEvent(timestamp: BigInt): SeriesMatured {
+  let event = changetype<SeriesMatured>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+export function createTransferEvent(from: Address, to: Address, value: BigInt, timestamp: BigInt): Transfer {
+  let event = changetype<Transfer>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("from", ethereum.Value.fromAddress(from)))
+  event.parameters.push(param("to", ethereum.Value.fromAddress(to)))
+  event.parameters.push(param("value", ethereum.Value.fromUnsignedBigInt(value)))
+  return event
+}
+
+export function createPrincipalDepositedEvent(amount: BigInt, timestamp: BigInt): PrincipalDeposited {
+  let event = changetype<PrincipalDeposited>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+export function createPrincipalClaimedEvent(user: Address, amount: BigInt, timestamp: BigInt): PrincipalClaimed {
+  let event = changetype<PrincipalClaimed>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("user", ethereum.Value.fromAddress(user)))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  return event
+}
+
+export function createSeriesDefaultedEvent(timestamp: BigInt): SeriesDefaulted {
+  let event = changetype<SeriesDefaulted>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+export function createTokensPurchasedEvent(buyer: Address, tokenAmount: BigInt, ethPaid: BigInt, timestamp: BigInt): TokensPurchased {
+  let event = changetype<TokensPurchased>(mockEvent(SERIES, timestamp))
+  event.parameters.push(param("buyer", ethereum.Value.fromAddress(buyer)))
+  event.parameters.push(param("tokenAmount", ethereum.Value.fromUnsignedBigInt(tokenAmount)))
+  event.parameters.push(param("ethPaid", ethereum.Value.fromUnsignedBigInt(ethPaid)))
+  // SALE_FEE_BPS = 200
+  event.parameters.push(param("fee", ethereum.Value.fromUnsignedBigInt(ethPaid.div(BigInt.fromI32(50)))))
+  return event
+}
+
+// ============================================
+// ROUTER
+// ============================================
+
+export function createRouterRevenueReceivedEvent(amount: BigInt, timestamp: BigInt): RouterRevenueReceived {
+  let event = changetype<RouterRevenueReceived>(mockEvent(ROUTER, timestamp))
+  event.parameters.push(param("from", ethereum.Value.fromAddress(PROTOCOL)))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+export function createRevenueRoutedEvent(seriesAmount: BigInt, protocolAmount: BigInt, timestamp: BigInt): RevenueRouted {
+  let event = changetype<RevenueRouted>(mockEvent(ROUTER, timestamp))
+  event.parameters.push(param("seriesAmount", ethereum.Value.fromUnsignedBigInt(seriesAmount)))
+  event.parameters.push(param("protocolAmount", ethereum.Value.fromUnsignedBigInt(protocolAmount)))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+export function createRouteAttemptFailedEvent(reason: string, amount: BigInt, timestamp: BigInt): RouteAttemptFailed {
+  let event = changetype<RouteAttemptFailed>(mockEvent(ROUTER, timestamp))
+  event.parameters.push(param("reason", ethereum.Value.fromString(reason)))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  return event
+}
+
+export function createWithdrawnToProtocolEvent(amount: BigInt, timestamp: BigInt): WithdrawnToProtocol {
+  let event = changetype<WithdrawnToProtocol>(mockEvent(ROUTER, timestamp))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+// ============================================
+// REPUTATION REGISTRY
+// ============================================
+
+// handleSeriesRegistered() reads the expected cadence back from the registry
+export function mockSeriesRecord(series: Address, protocol: Address, expectedRevenue: BigInt, cadenceDays: i32): void {
+  createMockedFunction(
+    REGISTRY,
+    "getSeriesRecord",
+    "getSeriesRecord(address):(address,uint256,uint256,uint256,uint256,uint256,bool)"
+  )
+    .withArgs([ethereum.Value.fromAddress(series)])
+    .returns([
+      ethereum.Value.fromAddress(protocol),
+      ethereum.Value.fromUnsignedBigInt(expectedRevenue),
+      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(0)),
+      ethereum.Value.fromUnsignedBigInt(CREATED_AT),
+      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(0)),
+      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(cadenceDays)),
+      ethereum.Value.fromBoolean(true)
+    ])
+}
+
+export function createSeriesRegisteredEvent(protocol: Address, series: Address, expectedRevenue: BigInt): SeriesRegistered {
+  let event = changetype<SeriesRegistered>(mockEvent(REGISTRY, CREATED_AT))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  event.parameters.push(param("series", ethereum.Value.fromAddress(series)))
+  event.parameters.push(param("expectedRevenue", ethereum.Value.fromUnsignedBigInt(expectedRevenue)))
+  return event
+}
+
+export function createExpectedRevenueUpdatedEvent(protocol: Address, series: Address, newExpected: BigInt, timestamp: BigInt): ExpectedRevenueUpdated {
+  let event = changetype<ExpectedRevenueUpdated>(mockEvent(REGISTRY, timestamp))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  event.parameters.push(param("series", ethereum.Value.fromAddress(series)))
+  event.parameters.push(param("oldExpected", ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(0))))
+  event.parameters.push(param("newExpected", ethereum.Value.fromUnsignedBigInt(newExpected)))
+  return event
+}
+
+export function createRevenueDistributedEvent(protocol: Address, series: Address, amount: BigInt, timestamp: BigInt): RevenueDistributed {
+  let event = changetype<RevenueDistributed>(mockEvent(REGISTRY, timestamp))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  event.parameters.push(param("series", ethereum.Value.fromAddress(series)))
+  event.parameters.push(param("amount", ethereum.Value.fromUnsignedBigInt(amount)))
+  event.parameters.push(param("timestamp", ethereum.Value.fromUnsignedBigInt(timestamp)))
+  return event
+}
+
+export function createLatePaymentRecordedEvent(protocol: Address, series: Address, daysLate: i32, timestamp: BigInt): LatePaymentRecorded {
+  let event = changetype<LatePaymentRecorded>(mockEvent(REGISTRY, timestamp))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  event.parameters.push(param("series", ethereum.Value.fromAddress(series)))
+  event.parameters.push(param("dayslate", ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(daysLate))))
+  return event
+}
+
+export function createProtocolBlacklistedEvent(protocol: Address, reason: string, timestamp: BigInt): ProtocolBlacklisted {
+  let event = changetype<ProtocolBlacklisted>(mockEvent(REGISTRY, timestamp))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  event.parameters.push(param("reason", ethereum.Value.fromString(reason)))
+  return event
+}
+
+export function createProtocolWhitelistedEvent(protocol: Address, timestamp: BigInt): ProtocolWhitelisted {
+  let event = changetype<ProtocolWhitelisted>(mockEvent(REGISTRY, timestamp))
+  event.parameters.push(param("protocol", ethereum.Value.fromAddress(protocol)))
+  return event
+}
+
+export function createReporterAuthorizedEvent(reporter: Address, timestamp: BigInt): ReporterAuthorized {
+  let event = changetype<ReporterAuthorized>(mockEvent(REGISTRY, timestamp))
+  event.parameters.push(param("reporter", ethereum.Value.fromAddress(reporter)))
+  return event
+}
+
+export function createReporterRevokedEvent(reporter: Address, timestamp: BigInt): ReporterRevoked {
+  let event = changetype<ReporterRevoked>(mockEvent(REGISTRY, timestamp))
+  event.parameters.push(param("reporter", ethereum.Value.fromAddress(reporter)))
+  return event
+}
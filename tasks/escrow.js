@@ -0,0 +1,100 @@
+const { task } = require("hardhat/config");
+const {
+  ESCROW_STATES,
+  DEPLOYMENT_HELP,
+  JSON_HELP,
+  fail,
+  resolveSeries,
+  address,
+  formatDate,
+  print,
+} = require("./utils");
+
+task("escrow:info", "Show a guaranteed bond's principal, sale and state, and optionally one holder's position")
+  .addParam("escrow", "RevenueBondEscrow address")
+  .addOptionalParam("account", "Holder to show the balance and claimable revenue and principal of")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const { kind, series: escrow, router } = await resolveSeries(hre, address(hre, args.escrow, "escrow"), args.deployment);
+    if (kind !== "escrow") fail(`${args.escrow} is a soft bond: use series:info`);
+
+    const [name, symbol, bond, deadline, deposited, saleActive, price, forSale, minPurchase] = await Promise.all([
+      escrow.name(),
+      escrow.symbol(),
+      escrow.getBondInfo(),
+      escrow.depositDeadline(),
+      escrow.principalDeposited(),
+      escrow.saleActive(),
+      escrow.tokenPriceWei(),
+      escrow.getAvailableForSale(),
+      escrow.minPurchaseAmount(),
+    ]);
+    const eth = hre.ethers.formatEther;
+    const info = {
+      address: await escrow.getAddress(),
+      name,
+      symbol,
+      protocol: bond.protocolAddress,
+      router,
+      state: ESCROW_STATES[Number(bond.currentState)],
+      revenueShareBPS: Number(bond.revenueBPS),
+      maturityDate: formatDate(bond.maturity),
+      principalAmount: eth(bond.principal),
+      principalDeposited: deposited,
+      principalRemaining: eth(bond.principalRemaining),
+      depositDeadline: formatDate(deadline),
+      totalRevenueReceived: eth(bond.totalRevenue),
+      sale: {
+        active: saleActive,
+        tokenPrice: eth(price),
+        availableTokens: eth(forSale),
+        minPurchase: eth(minPurchase),
+      },
+    };
+
+    const rows = [
+      `${name} (${symbol})`,
+      ["Address", info.address],
+      ["Protocol", info.protocol],
+      ["Router", router],
+      ["State", info.state],
+      ["Revenue share", `${info.revenueShareBPS / 100}%`],
+      ["Maturity", info.maturityDate],
+      ["Revenue received", `${info.totalRevenueReceived} ETH`],
+      "Principal",
+      ["Amount", `${info.principalAmount} ETH`],
+      ["Deposited", deposited ? "Yes" : `No (deadline ${info.depositDeadline})`],
+      ["Remaining", `${info.principalRemaining} ETH`],
+      "Sale",
+      ["Active", saleActive ? "Yes" : "No"],
+      ["Price", `${info.sale.tokenPrice} ETH per token`],
+      ["Available", `${info.sale.availableTokens} ${symbol}`],
+      ["Min purchase", `${info.sale.minPurchase} ${symbol}`],
+    ];
+
+    if (args.account) {
+      const account = address(hre, args.account, "account");
+      const [tokens, revenue, principal] = await Promise.all([
+        escrow.balanceOf(account),
+        escrow.calculateClaimableRevenue(account),
+        escrow.calculateClaimablePrincipal(account),
+      ]);
+      info.holder = {
+        address: account,
+        balance: eth(tokens),
+        claimableRevenue: eth(revenue),
+        claimablePrincipal: eth(principal),
+      };
+      rows.push(
+        "Holder",
+        ["Address", account],
+        ["Balance", `${info.holder.balance} ${symbol}`],
+        ["Claimable revenue", `${info.holder.claimableRevenue} ETH`],
+        ["Claimable principal", `${info.holder.claimablePrincipal} ETH`]
+      );
+    }
+
+    print(args, info, rows);
+    return info;
+  });
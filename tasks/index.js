@@ -0,0 +1,9 @@
+/**
+ * Hardhat tasks for day-to-day protocol operations, loaded by hardhat.config.js.
+ * Run `npx hardhat --network <network> help <task>` for the parameters of each one.
+ */
+require("./series");
+require("./router");
+require("./escrow");
+require("./registry");
+require("./safe");
@@ -0,0 +1,79 @@
+const { task } = require("hardhat/config");
+const {
+  DEPLOYMENT_HELP,
+  JSON_HELP,
+  loadDeployment,
+  contractAt,
+  address,
+  formatDate,
+  print,
+} = require("./utils");
+
+task("registry:score", "Show a protocol's reputation score, payment history and series records")
+  .addParam("protocol", "Protocol address")
+  .addOptionalParam("registry", "ProtocolReputationRegistry address (default: from the deployment manifest)")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const protocol = address(hre, args.protocol, "protocol");
+    const registryAddress = args.registry
+      ? address(hre, args.registry, "registry")
+      : loadDeployment(hre, args.deployment).contracts.protocolReputationRegistry;
+    const registry = await contractAt(hre, "ProtocolReputationRegistry", registryAddress);
+
+    const [stats, seriesList] = await Promise.all([
+      registry.getProtocolStats(protocol),
+      registry.getProtocolSeries(protocol),
+    ]);
+    const eth = hre.ethers.formatEther;
+    const series = [];
+    for (const seriesAddress of seriesList) {
+      const record = await registry.getSeriesRecord(seriesAddress);
+      series.push({
+        address: seriesAddress,
+        active: record.active,
+        expectedRevenue: eth(record.expectedRevenue),
+        actualRevenue: eth(record.actualRevenue),
+        distributionCount: Number(record.distributionCount),
+        expectedCadenceDays: Number(record.expectedCadenceDays),
+        lastDistribution: record.lastDistribution > 0n ? formatDate(record.lastDistribution) : null,
+      });
+    }
+
+    const data = {
+      protocol,
+      registry: registryAddress,
+      reputationScore: Number(stats.reputationScore),
+      blacklisted: stats.isBlacklisted,
+      seriesCreated: Number(stats.seriesCreated),
+      revenuePromised: eth(stats.revenuePromised),
+      revenueDelivered: eth(stats.revenueDelivered),
+      onTimePayments: Number(stats.onTimePayments),
+      latePayments: Number(stats.latePayments),
+      series,
+    };
+
+    const rows = [
+      "Protocol Reputation",
+      ["Protocol", protocol],
+      ["Score", `${data.reputationScore}/100${data.blacklisted ? " (blacklisted)" : ""}`],
+      ["Series created", data.seriesCreated],
+      ["Revenue promised", `${data.revenuePromised} ETH`],
+      ["Revenue delivered", `${data.revenueDelivered} ETH`],
+      ["On-time payments", data.onTimePayments],
+      ["Late payments", data.latePayments],
+    ];
+    for (const s of series) {
+      rows.push(
+        `Series ${s.address}`,
+        ["Status", s.active ? "Active" : "Inactive"],
+        ["Expected revenue", `${s.expectedRevenue} ETH`],
+        ["Delivered", `${s.actualRevenue} ETH in ${s.distributionCount} distributions`],
+        ["Cadence", s.expectedCadenceDays ? `every ${s.expectedCadenceDays} days` : "none"],
+        ["Last distribution", s.lastDistribution || "never"]
+      );
+    }
+
+    print(args, data, rows);
+    return data;
+  });
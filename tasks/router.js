@@ -0,0 +1,115 @@
+const { task } = require("hardhat/config");
+const {
+  DEPLOYMENT_HELP,
+  JSON_HELP,
+  fail,
+  contractAt,
+  resolveSeries,
+  address,
+  signer,
+  print,
+  send,
+} = require("./utils");
+
+// --router as given, or the router of --series looked up through the factories
+async function resolveRouter(hre, args) {
+  if (args.router) return contractAt(hre, "RevenueRouter", address(hre, args.router, "router"));
+  if (!args.series) fail("Pass --router or --series");
+  const { router } = await resolveSeries(hre, address(hre, args.series, "series"), args.deployment);
+  return contractAt(hre, "RevenueRouter", router);
+}
+
+async function routerStatus(hre, router) {
+  const [series, protocol, paused, pendingToRoute, status] = await Promise.all([
+    router.revenueSeries(),
+    router.protocol(),
+    router.paused(),
+    router.pendingToRoute(),
+    router.getRouterStatus(),
+  ]);
+  const eth = hre.ethers.formatEther;
+  return {
+    address: await router.getAddress(),
+    series,
+    protocol,
+    paused,
+    revenueShareBPS: Number(status.shareBPS),
+    balance: eth(status.currentBalance),
+    pendingToRoute: eth(pendingToRoute),
+    totalRevenueReceived: eth(status.totalReceived),
+    totalRoutedToSeries: eth(status.totalToSeries),
+    totalReturnedToProtocol: eth(status.totalToProtocol),
+    failedRouteCount: Number(status.failedAttempts),
+    canRouteNow: status.canRouteNow && !paused,
+  };
+}
+
+task("router:status", "Show a revenue router's balance, totals and whether it can route")
+  .addOptionalParam("router", "Router address")
+  .addOptionalParam("series", "Series address, to look up its router instead")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const status = await routerStatus(hre, await resolveRouter(hre, args));
+    print(args, status, [
+      "Revenue Router",
+      ["Address", status.address],
+      ["Series", status.series],
+      ["Protocol", status.protocol],
+      ["Series share", `${status.revenueShareBPS / 100}%`],
+      ["Balance", `${status.balance} ETH`],
+      ["Pending to route", `${status.pendingToRoute} ETH`],
+      ["Total received", `${status.totalRevenueReceived} ETH`],
+      ["Routed to series", `${status.totalRoutedToSeries} ETH`],
+      ["Returned to protocol", `${status.totalReturnedToProtocol} ETH`],
+      ["Failed routes", status.failedRouteCount],
+      ["Paused", status.paused ? "Yes" : "No"],
+      ["Can route now", status.canRouteNow ? "Yes" : "No"],
+    ]);
+    return status;
+  });
+
+task("router:route", "Route a router's pending revenue to its series and protocol (anyone can call)")
+  .addOptionalParam("router", "Router address")
+  .addOptionalParam("series", "Series address, to look up its router instead")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const router = await resolveRouter(hre, args);
+    const before = await routerStatus(hre, router);
+    if (before.paused) fail("Router is paused");
+    if (before.balance === "0.0") fail("No revenue to route");
+
+    const account = await signer(hre);
+    const result = await send(args, "Routing", router.connect(account).routeRevenue());
+
+    // routeRevenue() does not revert when it cannot route: the outcome is in the events
+    const data = { router: before.address, routed: false, transactionHash: result.hash, blockNumber: result.blockNumber };
+    for (const log of result.receipt.logs) {
+      const event = router.interface.parseLog(log);
+      if (event?.name === "RevenueRouted") {
+        Object.assign(data, {
+          routed: true,
+          seriesAmount: hre.ethers.formatEther(event.args.seriesAmount),
+          protocolAmount: hre.ethers.formatEther(event.args.protocolAmount),
+        });
+      } else if (event?.name === "RouteAttemptFailed") {
+        Object.assign(data, { reason: event.args.reason, amount: hre.ethers.formatEther(event.args.amount) });
+      }
+    }
+
+    print(
+      args,
+      data,
+      data.routed
+        ? [
+            "Revenue routed",
+            ["Router", data.router],
+            ["To series", `${data.seriesAmount} ETH`],
+            ["To protocol", `${data.protocolAmount} ETH`],
+            ["Block", data.blockNumber],
+          ]
+        : ["Nothing routed", ["Router", data.router], ["Reason", data.reason], ["Amount", `${data.amount} ETH`]]
+    );
+    return data;
+  });
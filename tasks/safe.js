@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { BatchError, batchChecksum, buildBatch, decodeBatch, simulateBatch } = require("../scripts/lib/safe-batch");
+const { DEPLOYMENT_HELP, JSON_HELP, fail, loadDeployment, address, print } = require("./utils");
+
+function readJson(file, name) {
+  if (!fs.existsSync(file)) fail(`No ${name} at ${file}`);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    return fail(`${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.join(", ")}]`;
+  return typeof value === "string" && !value.startsWith("0x") ? JSON.stringify(value) : String(value);
+}
+
+// Rows of the decoded summary, shared by safe:batch and safe:decode
+function summaryRows(batch, calls, checksumOk, simulation = []) {
+  const rows = [
+    "Safe Transaction Builder Batch",
+    ["Name", batch.meta.name],
+    ["Safe", batch.meta.createdFromSafeAddress],
+    ["Chain ID", batch.chainId],
+    ["Transactions", batch.transactions.length],
+    ["Checksum", `${batch.meta.checksum || "none"}${checksumOk === false ? " (does not match the batch)" : ""}`],
+  ];
+  calls.forEach((call, i) => {
+    const tx = batch.transactions[i];
+    rows.push(`#${i + 1} ${call.contract ? `${call.contract}.${call.method}` : "Unknown call"}`, ["To", call.to]);
+    if (!call.contract) rows.push(["Data", tx.data]);
+    for (const arg of call.args) rows.push([arg.name, formatValue(arg.value)]);
+    if (tx.value !== "0") rows.push(["Value", `${tx.value} wei`]);
+    if (simulation[i]) {
+      rows.push(["Simulation", simulation[i].ok ? `ok (gas ${simulation[i].gasUsed})` : `reverted: ${simulation[i].error}`]);
+    }
+  });
+  return rows;
+}
+
+function summaryData(batch, calls, checksumOk) {
+  return {
+    name: batch.meta.name,
+    safe: batch.meta.createdFromSafeAddress,
+    chainId: batch.chainId,
+    checksum: batch.meta.checksum || null,
+    checksumOk,
+    transactions: calls.map((call, i) => ({ ...call, value: batch.transactions[i].value, data: batch.transactions[i].data })),
+  };
+}
+
+task("safe:batch", "Write a Safe Transaction Builder batch for owner operations described in a change file")
+  .addPositionalParam("changes", "Change file (JSON); see scripts/lib/safe-batch.js for the format")
+  .addOptionalParam("out", "Batch file to write (default: the change file with a .safe.json extension)")
+  .addOptionalParam("safe", "Safe that executes the batch (default: the deployment manifest's owner)")
+  .addFlag("simulate", "First execute the batch as the Safe (hardhat or localhost only; the chain is reverted after)")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const manifest = loadDeployment(hre, args.deployment);
+    const spec = readJson(args.changes, "change file");
+    const safe = args.safe ? address(hre, args.safe, "safe") : manifest.owner;
+    if (!safe) fail("The deployment manifest has no owner: pass --safe");
+
+    let batch;
+    try {
+      batch = buildBatch(hre, manifest, spec, { safe });
+    } catch (err) {
+      if (err instanceof BatchError) fail(`${args.changes}: ${err.message}`);
+      throw err;
+    }
+    const calls = decodeBatch(hre, batch, manifest);
+
+    let simulation;
+    if (args.simulate) {
+      if (!["hardhat", "localhost"].includes(hre.network.name)) {
+        fail(`--simulate impersonates the Safe, which only a local Hardhat node allows (not ${hre.network.name})`);
+      }
+      simulation = await simulateBatch(hre, batch);
+    }
+    const reverted = simulation?.findIndex((result) => !result.ok) ?? -1;
+
+    const out = args.out || `${args.changes.replace(/\.json$/, "")}.safe.json`;
+    if (reverted === -1) fs.writeFileSync(out, JSON.stringify(batch, null, 2));
+
+    const data = { file: reverted === -1 ? out : null, ...summaryData(batch, calls, true), simulation: simulation || null };
+    const rows = summaryRows(batch, calls, true, simulation);
+    if (reverted === -1) rows.push("Output", ["Batch file", path.relative(process.cwd(), path.resolve(out))]);
+    print(args, data, rows);
+
+    if (reverted !== -1) fail(`Transaction #${reverted + 1} reverted in the simulation: ${simulation[reverted].error}`);
+    if (!args.json) console.log("Import the batch file in the Safe app: Apps > Transaction Builder > drag and drop.\n");
+    return data;
+  });
+
+task("safe:decode", "Decode a Safe Transaction Builder batch file and check its checksum")
+  .addPositionalParam("batch", "Batch file (JSON)")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const batch = readJson(args.batch, "batch file");
+    if (!Array.isArray(batch.transactions) || !batch.meta) fail(`${args.batch} is not a Transaction Builder batch`);
+    const manifest = loadDeployment(hre, args.deployment);
+
+    // null when the batch has no checksum, which the Transaction Builder accepts
+    const checksumOk = batch.meta.checksum ? batch.meta.checksum === batchChecksum(hre, batch) : null;
+    const calls = decodeBatch(hre, batch, manifest);
+    const data = summaryData(batch, calls, checksumOk);
+    print(args, data, summaryRows(batch, calls, checksumOk));
+    return data;
+  });
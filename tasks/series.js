@@ -0,0 +1,224 @@
+const { task } = require("hardhat/config");
+const {
+  ESCROW_STATES,
+  DEPLOYMENT_HELP,
+  JSON_HELP,
+  fail,
+  factories,
+  contractAt,
+  resolveSeries,
+  address,
+  ether,
+  signer,
+  formatDate,
+  print,
+  send,
+} = require("./utils");
+
+// Fields shared by soft bonds and escrows
+async function summarize(hre, kind, series, router) {
+  const [name, symbol, protocol, revenueShareBPS, totalSupply, totalRevenueReceived, info] = await Promise.all([
+    series.name(),
+    series.symbol(),
+    series.protocol(),
+    series.revenueShareBPS(),
+    series.totalSupply(),
+    series.totalRevenueReceived(),
+    series.getSeriesInfo(),
+  ]);
+  const status = kind === "escrow" ? ESCROW_STATES[Number(await series.state())] : info.isActive ? "Active" : "Matured";
+  return {
+    address: await series.getAddress(),
+    kind,
+    name,
+    symbol,
+    protocol,
+    router,
+    revenueShareBPS: Number(revenueShareBPS),
+    totalSupply: hre.ethers.formatEther(totalSupply),
+    totalRevenueReceived: hre.ethers.formatEther(totalRevenueReceived),
+    maturityDate: formatDate(info.maturity),
+    status,
+  };
+}
+
+function claimable(kind, series, account) {
+  return kind === "escrow" ? series.calculateClaimableRevenue(account) : series.calculateClaimable(account);
+}
+
+task("series:list", "List every series created by the v2 factories")
+  .addOptionalParam("protocol", "Only series issued by this protocol")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const { soft, escrow } = await factories(hre, args.deployment);
+    const protocol = args.protocol && address(hre, args.protocol, "protocol");
+
+    const softSeries = protocol ? await soft.getSeriesByProtocol(protocol) : await soft.getAllSeries();
+    const escrowCount = protocol ? await escrow.seriesCount(protocol) : await escrow.totalSeries();
+    const escrowSeries = [];
+    for (let i = 0n; i < escrowCount; i++) {
+      escrowSeries.push(protocol ? await escrow.seriesByProtocol(protocol, i) : await escrow.allSeries(i));
+    }
+
+    const list = [];
+    for (const addr of softSeries) {
+      const series = await contractAt(hre, "RevenueSeries", addr);
+      list.push(await summarize(hre, "soft", series, await soft.routerBySeries(addr)));
+    }
+    for (const addr of escrowSeries) {
+      const series = await contractAt(hre, "RevenueBondEscrow", addr);
+      list.push(await summarize(hre, "escrow", series, await escrow.routerBySeries(addr)));
+    }
+
+    if (args.json) {
+      print(args, list);
+      return list;
+    }
+    console.log(`\n${list.length} series on ${hre.network.name}${protocol ? ` issued by ${protocol}` : ""}`);
+    for (const s of list) {
+      print(args, s, [
+        `${s.name} (${s.symbol})`,
+        ["Address", s.address],
+        ["Type", s.kind === "escrow" ? "Guaranteed (escrow)" : "Soft"],
+        ["Protocol", s.protocol],
+        ["Router", s.router],
+        ["Revenue share", `${s.revenueShareBPS / 100}%`],
+        ["Revenue received", `${s.totalRevenueReceived} ETH`],
+        ["Maturity", s.maturityDate],
+        ["Status", s.status],
+      ]);
+    }
+    return list;
+  });
+
+task("series:info", "Show a series' terms, revenue and, optionally, one holder's position")
+  .addParam("series", "Series address (soft bond or escrow)")
+  .addOptionalParam("account", "Holder to show the balance and claimable revenue of")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const { kind, series, router } = await resolveSeries(hre, address(hre, args.series, "series"), args.deployment);
+    const info = await summarize(hre, kind, series, router);
+    const [minDistribution, revenuePerToken, seriesInfo, balance] = await Promise.all([
+      series.minDistributionAmount(),
+      series.revenuePerTokenStored(),
+      series.getSeriesInfo(),
+      hre.ethers.provider.getBalance(info.address),
+    ]);
+    Object.assign(info, {
+      minDistributionAmount: hre.ethers.formatEther(minDistribution),
+      revenuePerTokenStored: revenuePerToken,
+      timeRemainingDays: Number(seriesInfo.timeRemaining / 86400n),
+      balance: hre.ethers.formatEther(balance),
+    });
+
+    const rows = [
+      `${info.name} (${info.symbol})`,
+      ["Address", info.address],
+      ["Type", kind === "escrow" ? "Guaranteed (escrow)" : "Soft"],
+      ["Protocol", info.protocol],
+      ["Router", info.router],
+      ["Revenue share", `${info.revenueShareBPS / 100}%`],
+      ["Total supply", info.totalSupply],
+      ["Revenue received", `${info.totalRevenueReceived} ETH`],
+      ["Contract balance", `${info.balance} ETH`],
+      ["Min distribution", `${info.minDistributionAmount} ETH`],
+      ["Maturity", `${info.maturityDate} (${info.timeRemainingDays} days left)`],
+      ["Status", info.status],
+    ];
+
+    if (args.account) {
+      const account = address(hre, args.account, "account");
+      const [tokens, pending] = await Promise.all([series.balanceOf(account), claimable(kind, series, account)]);
+      info.holder = {
+        address: account,
+        balance: hre.ethers.formatEther(tokens),
+        claimable: hre.ethers.formatEther(pending),
+      };
+      rows.push(
+        "Holder",
+        ["Address", account],
+        ["Balance", `${info.holder.balance} ${info.symbol}`],
+        ["Claimable", `${info.holder.claimable} ETH`]
+      );
+    }
+
+    print(args, info, rows);
+    return info;
+  });
+
+task("series:distribute", "Distribute revenue to a series' holders (sent by the issuing protocol)")
+  .addParam("series", "Series address (soft bond or escrow)")
+  .addParam("amount", "Amount in ETH")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const { series } = await resolveSeries(hre, address(hre, args.series, "series"), args.deployment);
+    const amount = ether(hre, args.amount, "amount");
+    const account = await signer(hre);
+
+    // distributeRevenue() reverts with less specific messages; check the usual causes first
+    const [protocol, minDistribution, info] = await Promise.all([
+      series.protocol(),
+      series.minDistributionAmount(),
+      series.getSeriesInfo(),
+    ]);
+    if (account.address !== protocol) fail(`Only the issuing protocol ${protocol} can distribute; signer is ${account.address}`);
+    if (!info.isActive) fail("Series is not active (matured, defaulted or awaiting principal)");
+    if (amount < minDistribution) {
+      fail(`Amount is below the series minimum of ${hre.ethers.formatEther(minDistribution)} ETH`);
+    }
+
+    const result = await send(args, "Distributing", series.connect(account).distributeRevenue({ value: amount }));
+    const data = {
+      series: await series.getAddress(),
+      amount: hre.ethers.formatEther(amount),
+      transactionHash: result.hash,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+    };
+    print(args, data, [
+      "Revenue distributed",
+      ["Series", data.series],
+      ["Amount", `${data.amount} ETH`],
+      ["Block", data.blockNumber],
+      ["Gas used", data.gasUsed],
+    ]);
+    return data;
+  });
+
+task("series:claim", "Claim the signer's revenue from a series")
+  .addParam("series", "Series address (soft bond or escrow)")
+  .addOptionalParam("holder", "Claim on behalf of this holder instead (soft bonds only; revenue goes to the holder)")
+  .addOptionalParam("deployment", DEPLOYMENT_HELP)
+  .addFlag("json", JSON_HELP)
+  .setAction(async (args, hre) => {
+    const { kind, series } = await resolveSeries(hre, address(hre, args.series, "series"), args.deployment);
+    const account = await signer(hre);
+    const holder = args.holder ? address(hre, args.holder, "holder") : account.address;
+    if (holder !== account.address && kind === "escrow") fail("Escrows have no claimFor(): the holder must claim");
+
+    const pending = await claimable(kind, series, holder);
+    if (pending === 0n) fail(`Nothing to claim for ${holder}`);
+
+    const tx = holder === account.address ? series.connect(account).claimRevenue() : series.connect(account).claimFor(holder);
+    const result = await send(args, "Claiming", tx);
+    const data = {
+      series: await series.getAddress(),
+      holder,
+      amount: hre.ethers.formatEther(pending),
+      transactionHash: result.hash,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+    };
+    print(args, data, [
+      "Revenue claimed",
+      ["Series", data.series],
+      ["Holder", holder],
+      ["Amount", `${data.amount} ETH`],
+      ["Block", data.blockNumber],
+      ["Gas used", data.gasUsed],
+    ]);
+    return data;
+  });
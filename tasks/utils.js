@@ -0,0 +1,141 @@
+/**
+ * Shared helpers for the Hardhat tasks: deployment manifest lookup, v2 contract instances,
+ * argument parsing and human / JSON output.
+ */
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ManifestError, loadManifest, contractAt } = require("../scripts/lib/manifest");
+
+const PLUGIN = "equorum";
+
+const ESCROW_STATES = ["PendingPrincipal", "Active", "Matured", "Defaulted"];
+
+// Help text of the parameters every task accepts
+const DEPLOYMENT_HELP = "Deployment directory or manifest path (default: the network's v2-deployment-latest.json)";
+const JSON_HELP = "Print JSON instead of text";
+
+function fail(message) {
+  throw new HardhatPluginError(PLUGIN, message);
+}
+
+// ============================================
+// DEPLOYMENT
+// ============================================
+
+/**
+ * The latest manifest of the selected network, or of `deployment` (a --deployment argument:
+ * directory name or path to a JSON manifest).
+ */
+function loadDeployment(hre, deployment) {
+  try {
+    return loadManifest(deployment || hre.network.name);
+  } catch (err) {
+    if (err instanceof ManifestError) fail(err.message);
+    throw err;
+  }
+}
+
+async function factories(hre, deploymentFile) {
+  const { contracts } = loadDeployment(hre, deploymentFile);
+  return {
+    soft: await contractAt(hre, "RevenueSeriesFactory", contracts.revenueSeriesFactory),
+    escrow: await contractAt(hre, "RevenueBondEscrowFactory", contracts.revenueBondEscrowFactory),
+  };
+}
+
+/**
+ * Identifies a series through the factories that created it.
+ * @returns {Promise<{ kind: "soft" | "escrow", series: Contract, router: string }>}
+ */
+async function resolveSeries(hre, address, deploymentFile) {
+  const { soft, escrow } = await factories(hre, deploymentFile);
+  const softRouter = await soft.routerBySeries(address);
+  if (softRouter !== hre.ethers.ZeroAddress) {
+    return { kind: "soft", series: await contractAt(hre, "RevenueSeries", address), router: softRouter };
+  }
+  const escrowRouter = await escrow.routerBySeries(address);
+  if (escrowRouter !== hre.ethers.ZeroAddress) {
+    return { kind: "escrow", series: await contractAt(hre, "RevenueBondEscrow", address), router: escrowRouter };
+  }
+  return fail(`${address} was not created by this deployment's factories`);
+}
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+function address(hre, value, name) {
+  if (!hre.ethers.isAddress(value)) fail(`--${name} must be an address, got "${value}"`);
+  return hre.ethers.getAddress(value);
+}
+
+function ether(hre, value, name) {
+  let wei;
+  try {
+    wei = hre.ethers.parseEther(value);
+  } catch {
+    fail(`--${name} must be an ETH amount such as 0.5, got "${value}"`);
+  }
+  if (wei <= 0n) fail(`--${name} must be greater than zero`);
+  return wei;
+}
+
+async function signer(hre) {
+  const [account] = await hre.ethers.getSigners();
+  if (!account) fail(`No account configured for ${hre.network.name}: set PRIVATE_KEY in .env`);
+  return account;
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+function formatDate(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function toJson(data) {
+  return JSON.stringify(data, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+/**
+ * Prints `data` as JSON with --json, otherwise as aligned "label: value" lines from `rows`
+ * ([label, value] pairs; a string on its own prints as a section heading).
+ */
+function print(args, data, rows) {
+  if (args.json) {
+    console.log(toJson(data));
+    return;
+  }
+  const width = Math.max(...rows.filter(Array.isArray).map(([label]) => label.length));
+  for (const row of rows) {
+    if (Array.isArray(row)) console.log(`  ${`${row[0]}:`.padEnd(width + 2)}${row[1]}`);
+    else console.log(`\n${row}\n${"━".repeat(54)}`);
+  }
+  console.log();
+}
+
+/** Sends a transaction and returns its receipt summary, printing progress unless --json */
+async function send(args, label, txPromise) {
+  const tx = await txPromise;
+  if (!args.json) console.log(`\n${label}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  return { receipt, hash: tx.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+}
+
+module.exports = {
+  ESCROW_STATES,
+  DEPLOYMENT_HELP,
+  JSON_HELP,
+  fail,
+  loadDeployment,
+  contractAt,
+  factories,
+  resolveSeries,
+  address,
+  ether,
+  signer,
+  formatDate,
+  toJson,
+  print,
+  send,
+};
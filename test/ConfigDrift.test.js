@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runDeployment } = require("../scripts/lib/deploy-v2");
+const { getContracts } = require("../scripts/lib/manifest");
+const { findDrift } = require("../scripts/lib/drift");
+
+const { ethers } = hre;
+
+describe("Configuration drift", function () {
+  let owner, other, dir, manifest, contracts, safe, snapshot;
+
+  // Sends owner operations as the Safe
+  async function asSafe() {
+    await hre.network.provider.request({ method: "hardhat_impersonateAccount", params: [safe] });
+    await hre.network.provider.request({ method: "hardhat_setBalance", params: [safe, "0xde0b6b3a7640000"] });
+    return ethers.getSigner(safe);
+  }
+
+  const paths = async (m = manifest) => (await findDrift(hre, m)).drift.map((d) => d.path);
+
+  before(async function () {
+    [owner, other] = await ethers.getSigners();
+    safe = ethers.Wallet.createRandom().address;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "equorum-drift-"));
+    ({ manifest } = await runDeployment(hre, { deployment: dir, treasury: safe, owner: safe }));
+    contracts = await getContracts(hre, manifest);
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    snapshot = await hre.network.provider.request({ method: "evm_snapshot" });
+  });
+
+  afterEach(async function () {
+    await hre.network.provider.request({ method: "evm_revert", params: [snapshot] });
+  });
+
+  it("Should report no drift for a deployment that matches its manifest", async function () {
+    const { checked, drift } = await findDrift(hre, manifest);
+    expect(drift).to.deep.equal([]);
+    expect(checked).to.be.greaterThan(20);
+  });
+
+  it("Should report a swapped policy and a paused factory", async function () {
+    const policy = await ethers.deployContract("contracts/v2/policies/WhitelistAccessPolicy.sol:WhitelistAccessPolicy");
+    const signer = await asSafe();
+    await contracts.softFactory.connect(signer).setAccessPolicy(await policy.getAddress());
+    await contracts.escrowFactory.connect(signer).pause();
+
+    const { drift } = await findDrift(hre, manifest);
+    expect(drift).to.deep.equal([
+      { path: "configuration.softFactory.accessPolicy", expected: ethers.ZeroAddress, actual: await policy.getAddress() },
+      { path: "configuration.escrowFactory.paused", expected: false, actual: true },
+    ]);
+  });
+
+  it("Should report ownership moved away from the Safe", async function () {
+    const signer = await asSafe();
+    await contracts.registry.connect(signer).transferOwnership(other.address);
+
+    const { drift } = await findDrift(hre, manifest);
+    expect(drift).to.deep.equal([{ path: "owners.protocolReputationRegistry", expected: safe, actual: other.address }]);
+  });
+
+  it("Should report a revoked reporter and a changed treasury", async function () {
+    const signer = await asSafe();
+    await contracts.registry.connect(signer).revokeReporter(manifest.contracts.revenueBondEscrowFactory);
+    await contracts.softFactory.connect(signer).setTreasury(other.address);
+
+    expect(await paths()).to.deep.equal([
+      "configuration.softFactory.treasury",
+      "authorizedReporters.revenueBondEscrowFactory",
+    ]);
+  });
+
+  it("Should expect the owner and unset escrow policies when the manifest does not record them", async function () {
+    const { owner: softOwner, ...softFactory } = manifest.configuration.softFactory;
+    const { owner: escrowOwner, feePolicy, safetyPolicy, accessPolicy, ...escrowFactory } = manifest.configuration.escrowFactory;
+    const older = { ...manifest, configuration: { softFactory, escrowFactory } };
+    delete older.safetyLimits;
+    expect(await paths(older)).to.deep.equal([]);
+
+    // Without an owner field, the deployer is the expected owner
+    delete older.owner;
+    expect(await paths(older)).to.include.members([
+      "owners.protocolReputationRegistry",
+      "owners.revenueSeriesFactory",
+      "owners.revenueBondEscrowFactory",
+    ]);
+  });
+
+  it("Should report contracts without code instead of reading them", async function () {
+    const moved = { ...manifest, contracts: { ...manifest.contracts, revenueSeriesFactory: other.address } };
+    const { drift } = await findDrift(hre, moved);
+    expect(drift).to.deep.equal([{ path: "contracts.revenueSeriesFactory", expected: other.address, actual: "no code" }]);
+  });
+
+  it("Should report a deployer that is not owned by the escrow factory", async function () {
+    // A manifest listing an EscrowDeployer still owned by whoever deployed it
+    const deployer = await ethers.deployContract("contracts/v2/core/EscrowDeployer.sol:EscrowDeployer");
+    const address = await deployer.getAddress();
+    const escrowFactory = { ...manifest.configuration.escrowFactory, escrowDeployer: address };
+    const listed = {
+      ...manifest,
+      contracts: { ...manifest.contracts, escrowDeployer: address },
+      configuration: { ...manifest.configuration, escrowFactory },
+    };
+
+    const { drift } = await findDrift(hre, listed);
+    expect(drift).to.deep.equal([
+      { path: "owners.escrowDeployer", expected: manifest.contracts.revenueBondEscrowFactory, actual: owner.address },
+      { path: "configuration.escrowFactory.escrowDeployer", expected: address, actual: manifest.contracts.escrowDeployer },
+    ]);
+  });
+});
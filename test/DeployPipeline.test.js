@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { STEPS, orderSteps, planDeployment, runDeployment } = require("../scripts/lib/deploy-v2");
+const { V2, loadManifest, listVersions, getContracts } = require("../scripts/lib/manifest");
+
+const { ethers } = hre;
+
+describe("V2 deployment pipeline", function () {
+  let dir, partial, owner, safe;
+
+  const statuses = (plan) => Object.fromEntries(plan.steps.map((step) => [step.id, step.status]));
+  const options = (extra = {}) => ({ deployment: dir, treasury: safe.address, owner: safe.address, ...extra });
+
+  beforeEach(async function () {
+    [owner, safe] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "equorum-deploy-"));
+    partial = path.join(dir, "v2-deployment-partial.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Step graph", function () {
+    it("Should order every step after the steps it depends on", function () {
+      const ordered = orderSteps(STEPS).map((step) => step.id);
+      expect(ordered).to.have.lengthOf(STEPS.length);
+      for (const step of STEPS) {
+        for (const dependency of step.after) {
+          expect(ordered.indexOf(dependency), `${step.id} after ${dependency}`).to.be.lessThan(ordered.indexOf(step.id));
+        }
+      }
+      expect(ordered.at(-1)).to.equal("registryOwnership");
+    });
+
+    it("Should reject cycles and unknown dependencies", function () {
+      expect(() => orderSteps([{ id: "a", after: ["b"] }, { id: "b", after: ["a"] }])).to.throw("Step cycle: a -> b -> a");
+      expect(() => orderSteps([{ id: "a", after: ["missing"] }])).to.throw("unknown step missing");
+    });
+  });
+
+  describe("Plan", function () {
+    it("Should plan every step of a new deployment without sending anything", async function () {
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+      const plan = await planDeployment(hre, options());
+
+      expect(plan.context.source).to.equal("new");
+      expect(new Set(Object.values(statuses(plan)))).to.deep.equal(new Set(["run"]));
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+      expect(fs.existsSync(partial)).to.equal(false);
+    });
+
+    it("Should skip the hand-over to an owner who is the deployer", async function () {
+      const plan = await planDeployment(hre, { deployment: dir });
+      const planned = statuses(plan);
+      expect(planned.softFactoryOwnership).to.equal("skip");
+      expect(planned.escrowFactoryOwnership).to.equal("skip");
+      expect(planned.registryOwnership).to.equal("skip");
+      expect(planned.escrowDeployerOwnership).to.equal("run");
+    });
+  });
+
+  describe("Run", function () {
+    it("Should deploy, hand over to the owner and save a verified manifest", async function () {
+      const { manifest, sent, saved } = await runDeployment(hre, options());
+
+      expect(sent).to.deep.equal(orderSteps(STEPS).map((step) => step.id));
+      expect(saved.latest).to.equal(path.join(dir, "v2-deployment-latest.json"));
+      expect(fs.existsSync(partial)).to.equal(false);
+
+      const latest = loadManifest(dir);
+      expect(latest.owner).to.equal(safe.address);
+      expect(latest.deployer).to.equal(owner.address);
+      expect(Object.keys(latest.transactions)).to.have.lengthOf(STEPS.length);
+      expect(latest.contracts).to.deep.equal(manifest.contracts);
+
+      const { registry, softFactory, escrowFactory, escrowDeployer } = await getContracts(hre, latest);
+      expect(await registry.owner()).to.equal(safe.address);
+      expect(await softFactory.owner()).to.equal(safe.address);
+      expect(await escrowFactory.owner()).to.equal(safe.address);
+      expect(await softFactory.treasury()).to.equal(safe.address);
+      expect(await escrowDeployer.owner()).to.equal(latest.contracts.revenueBondEscrowFactory);
+      expect(await registry.authorizedReporters(latest.contracts.revenueSeriesFactory)).to.equal(true);
+    });
+
+    it("Should send nothing and save nothing when rerun after it finished", async function () {
+      await runDeployment(hre, options());
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+      const plan = await planDeployment(hre, options());
+      expect(plan.context.source).to.equal("latest");
+      expect(Object.values(statuses(plan))).to.not.include("run");
+
+      const { sent, saved } = await runDeployment(hre, options());
+      expect(sent).to.deep.equal([]);
+      expect(saved).to.equal(null);
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+      expect(listVersions(dir)).to.have.lengthOf(1);
+    });
+
+    it("Should deploy new contracts when asked for a fresh deployment", async function () {
+      const first = await runDeployment(hre, options());
+      const second = await runDeployment(hre, options({ fresh: true }));
+      expect(second.manifest.contracts.protocolReputationRegistry).to.not.equal(
+        first.manifest.contracts.protocolReputationRegistry
+      );
+    });
+
+    it("Should refuse to continue with a different owner or treasury", async function () {
+      await runDeployment(hre, options());
+      await expect(runDeployment(hre, options({ owner: owner.address }))).to.be.rejectedWith(
+        `has owner ${safe.address}, not ${owner.address}: rerun with FRESH=true (or --fresh)`
+      );
+    });
+  });
+
+  describe("Resume", function () {
+    async function deployed(name, ...args) {
+      const contract = await ethers.deployContract(V2[name], args);
+      await contract.waitForDeployment();
+      return contract;
+    }
+
+    it("Should resume from the partial manifest and the chain's state", async function () {
+      // A previous run deployed the registry and the soft factory and authorized it, then died
+      const registry = await deployed("ProtocolReputationRegistry");
+      const softFactory = await deployed("RevenueSeriesFactory", safe.address, await registry.getAddress());
+      await (await registry.authorizeReporter(await softFactory.getAddress())).wait();
+      const { chainId } = await ethers.provider.getNetwork();
+      fs.writeFileSync(
+        partial,
+        JSON.stringify({
+          network: "hardhat",
+          chainId: Number(chainId),
+          deployer: owner.address,
+          owner: safe.address,
+          treasury: safe.address,
+          contracts: {
+            protocolReputationRegistry: await registry.getAddress(),
+            revenueSeriesFactory: await softFactory.getAddress(),
+          },
+          transactions: { registry: registry.deploymentTransaction().hash },
+          gasUsed: {},
+          pending: {},
+        })
+      );
+
+      const plan = await planDeployment(hre, options());
+      expect(plan.context.source).to.equal("partial");
+      expect(statuses(plan)).to.include({
+        registry: "done",
+        softFactory: "done",
+        authSoftFactory: "done",
+        escrowFactory: "run",
+        softFactoryOwnership: "run",
+      });
+
+      const { manifest, sent, saved } = await runDeployment(hre, options());
+      for (const id of ["registry", "softFactory", "authSoftFactory"]) expect(sent).to.not.include(id);
+      expect(sent).to.include.members(["escrowFactory", "authEscrowFactory", "registryOwnership"]);
+      expect(manifest.contracts.protocolReputationRegistry).to.equal(await registry.getAddress());
+      expect(manifest.transactions.registry).to.equal(registry.deploymentTransaction().hash);
+      expect(manifest.transactions).to.not.have.property("authSoftFactory");
+      expect(saved).to.not.equal(null);
+      expect(fs.existsSync(partial)).to.equal(false);
+    });
+
+    it("Should adopt a deploy transaction that was sent but not recorded as mined", async function () {
+      const registry = await deployed("ProtocolReputationRegistry");
+      const hash = registry.deploymentTransaction().hash;
+      const { chainId } = await ethers.provider.getNetwork();
+      fs.writeFileSync(
+        partial,
+        JSON.stringify({
+          network: "hardhat",
+          chainId: Number(chainId),
+          deployer: owner.address,
+          owner: owner.address,
+          treasury: owner.address,
+          contracts: {},
+          transactions: {},
+          gasUsed: {},
+          pending: { registry: hash },
+        })
+      );
+
+      const plan = await planDeployment(hre, { deployment: dir });
+      expect(statuses(plan)).to.include({ registry: "pending", softFactory: "run" });
+
+      const { manifest, sent } = await runDeployment(hre, { deployment: dir });
+      expect(sent).to.not.include("registry");
+      expect(manifest.contracts.protocolReputationRegistry).to.equal(await registry.getAddress());
+      expect(manifest.transactions.registry).to.equal(hash);
+    });
+
+    it("Should keep the partial manifest when a step fails", async function () {
+      // The soft factory cannot be deployed with a zero treasury
+      await expect(runDeployment(hre, options({ treasury: ethers.ZeroAddress }))).to.be.rejected;
+
+      const progress = JSON.parse(fs.readFileSync(partial, "utf8"));
+      expect(progress.contracts).to.have.property("protocolReputationRegistry");
+      expect(progress.contracts).to.not.have.property("revenueSeriesFactory");
+      expect(fs.existsSync(path.join(dir, "v2-deployment-latest.json"))).to.equal(false);
+
+      const plan = await planDeployment(hre, options({ treasury: ethers.ZeroAddress }));
+      expect(statuses(plan)).to.include({ registry: "done", softFactory: "run" });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployFullStack } = require("./helpers");
+const {
+  ManifestError,
+  deploymentDir,
+  manifestNetwork,
+  manifestPath,
+  listVersions,
+  v1FactoryAddress,
+  validateManifest,
+  loadManifest,
+  loadNetworkManifest,
+  saveManifest,
+  diffManifests,
+  getContracts,
+} = require("../scripts/lib/manifest");
+
+const { ethers } = hre;
+
+describe("Deployment manifests", function () {
+  let dir;
+
+  const A = "0x1111111111111111111111111111111111111111";
+  const B = "0x2222222222222222222222222222222222222222";
+
+  function manifest(overrides = {}) {
+    return {
+      version: "v2",
+      network: "hardhat",
+      chainId: 31337,
+      timestamp: "2026-02-09T17:15:39.174Z",
+      deployer: A,
+      treasury: A,
+      contracts: {
+        protocolReputationRegistry: A,
+        revenueSeriesFactory: A,
+        escrowDeployer: A,
+        routerDeployer: A,
+        revenueBondEscrowFactory: A,
+      },
+      configuration: {
+        softFactory: {
+          treasury: A,
+          reputationRegistry: A,
+          feePolicy: ethers.ZeroAddress,
+          safetyPolicy: ethers.ZeroAddress,
+          accessPolicy: ethers.ZeroAddress,
+          paused: false,
+        },
+        escrowFactory: { treasury: A, reputationRegistry: A, escrowDeployer: A, routerDeployer: A, paused: false },
+      },
+      ...overrides,
+    };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "equorum-manifest-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Committed manifests", function () {
+    it("Should validate every versioned manifest in deployments/", function () {
+      for (const deployment of ["arbitrum-mainnet", "arbitrum-sepolia"]) {
+        expect(loadManifest(deployment).version).to.equal("v2");
+        for (const { version } of listVersions(deployment)) {
+          expect(() => loadManifest(deployment, { version }), `${deployment} ${version}`).to.not.throw();
+        }
+      }
+    });
+
+    it("Should map Hardhat network names to deployment directories", function () {
+      expect(manifestPath("arbitrum")).to.equal(manifestPath("arbitrum-mainnet"));
+      expect(manifestPath("arbitrumSepolia")).to.equal(manifestPath("arbitrum-sepolia"));
+      expect(deploymentDir("localhost")).to.match(/deployments[/\\]localhost$/);
+      expect(loadManifest("arbitrum").chainId).to.equal(42161);
+      expect(manifestNetwork("arbitrum")).to.equal("arbitrum-one");
+      expect(manifestNetwork("localhost")).to.equal("localhost");
+    });
+
+    it("Should find the v1 factory only where v1-addresses.json records one", function () {
+      expect(v1FactoryAddress("arbitrum")).to.equal("0x8afA0318363FfBc29Cc28B3C98d9139C08Af737b");
+      expect(v1FactoryAddress("arbitrumSepolia")).to.equal(undefined);
+      expect(v1FactoryAddress("localhost")).to.equal(undefined);
+    });
+
+    it("Should reject the pre-v2 manifest layout with the failing fields", function () {
+      let error;
+      try {
+        loadManifest(path.join(deploymentDir("arbitrum-sepolia"), "v2-deployment.json"));
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.instanceOf(ManifestError);
+      expect(error.errors).to.include("manifest must have required property 'version'");
+      expect(error.errors).to.include('contracts must NOT have additional properties "factory"');
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should accept a complete manifest", function () {
+      expect(validateManifest(manifest())).to.deep.equal([]);
+    });
+
+    it("Should report malformed addresses, hashes and unknown fields", function () {
+      const errors = validateManifest(
+        manifest({
+          treasury: "0x1234",
+          chainId: "31337",
+          transactions: { registry: "0xabc" },
+          extra: true,
+        })
+      );
+      expect(errors).to.include("treasury must match pattern \"^0x[0-9a-fA-F]{40}$\"");
+      expect(errors).to.include("chainId must be integer");
+      expect(errors).to.include("transactions.registry must match pattern \"^0x[0-9a-fA-F]{64}$\"");
+      expect(errors).to.include('manifest must NOT have additional properties "extra"');
+    });
+  });
+
+  describe("Versions", function () {
+    it("Should save each deploy as a version and as latest", function () {
+      const first = saveManifest(dir, manifest());
+      const second = saveManifest(dir, manifest({ timestamp: "2026-03-01T00:00:00.000Z", treasury: B }));
+
+      expect(first.version).to.equal(String(Date.parse("2026-02-09T17:15:39.174Z")));
+      expect(listVersions(dir).map((v) => v.version)).to.deep.equal([first.version, second.version]);
+      expect(loadManifest(dir).treasury).to.equal(B);
+      expect(loadManifest(dir, { version: first.version }).treasury).to.equal(A);
+    });
+
+    it("Should refuse to save an invalid manifest", function () {
+      expect(() => saveManifest(dir, manifest({ contracts: {} }))).to.throw(ManifestError, "Refusing to save");
+      expect(fs.readdirSync(dir)).to.deep.equal([]);
+    });
+  });
+
+  describe("Diff", function () {
+    it("Should list changed, added and removed fields by path", function () {
+      const before = manifest({ owner: A });
+      const after = manifest({ transactions: { registry: `0x${"ab".repeat(32)}` } });
+      after.configuration.softFactory.paused = true;
+      after.contracts.revenueSeriesFactory = B;
+
+      expect(diffManifests(before, after)).to.deep.equal([
+        { path: "contracts.revenueSeriesFactory", before: A, after: B },
+        { path: "configuration.softFactory.paused", before: false, after: true },
+        { path: "owner", before: A, after: undefined },
+        { path: "transactions", before: undefined, after: { registry: `0x${"ab".repeat(32)}` } },
+      ]);
+    });
+
+    it("Should ignore checksum case and the paths asked to", function () {
+      const checksummed = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+      const before = manifest({ treasury: checksummed });
+      const after = manifest({ treasury: checksummed.toLowerCase(), timestamp: "2026-03-01T00:00:00.000Z" });
+      expect(diffManifests(before, after, { ignore: ["timestamp"] })).to.deep.equal([]);
+    });
+  });
+
+  describe("Contracts", function () {
+    it("Should return contract instances for the manifest's addresses", async function () {
+      const { treasury, registry, factory } = await deployFullStack();
+      const file = path.join(dir, "v2-deployment-latest.json");
+      const contracts = {
+        ...manifest().contracts,
+        protocolReputationRegistry: await registry.getAddress(),
+        revenueSeriesFactory: await factory.getAddress(),
+      };
+      fs.writeFileSync(file, JSON.stringify(manifest({ contracts })));
+
+      const loaded = await loadNetworkManifest(hre, file);
+      const { softFactory, registry: registryContract } = await getContracts(hre, loaded);
+      expect(await softFactory.treasury()).to.equal(treasury.address);
+      expect(await softFactory.reputationRegistry()).to.equal(await registryContract.getAddress());
+    });
+
+    it("Should refuse a manifest deployed to another chain", async function () {
+      let error;
+      try {
+        await loadNetworkManifest(hre, "arbitrum-mainnet");
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).to.include("is for chainId 42161, but hardhat is chainId 31337");
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployFullStack, createSeriesViaFactory } = require("./helpers");
+const { exportEvents, csvColumns, loadAbis } = require("../scripts/export_events");
+
+describe("Event export", function () {
+  let protocol, alice, buyer, registry, factory, escrowFactory;
+  let series, router, escrow;
+  let manifest, abis, dir, from, to;
+
+  const ESCROW_FACTORY_PATH = "contracts/v2/core/RevenueBondEscrowFactory.sol:RevenueBondEscrowFactory";
+  const ESCROW_DEPLOYER_PATH = "contracts/v2/core/EscrowDeployer.sol:EscrowDeployer";
+  const ROUTER_DEPLOYER_PATH = "contracts/v2/core/RouterDeployer.sol:RouterDeployer";
+  const ESCROW_PATH = "contracts/v2/core/RevenueBondEscrow.sol:RevenueBondEscrow";
+
+  const readJsonl = (file) =>
+    fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+
+  before(async function () {
+    abis = loadAbis();
+    let treasury;
+    ({ treasury, protocol, rest: [alice, buyer], registry, factory } = await deployFullStack());
+    from = await ethers.provider.getBlockNumber();
+
+    const escrowDeployer = await (await ethers.getContractFactory(ESCROW_DEPLOYER_PATH)).deploy();
+    const routerDeployer = await (await ethers.getContractFactory(ROUTER_DEPLOYER_PATH)).deploy();
+    escrowFactory = await (await ethers.getContractFactory(ESCROW_FACTORY_PATH)).deploy(
+      treasury.address,
+      await registry.getAddress(),
+      await escrowDeployer.getAddress(),
+      await routerDeployer.getAddress()
+    );
+    await registry.authorizeReporter(await escrowFactory.getAddress());
+    await escrowDeployer.transferOwnership(await escrowFactory.getAddress());
+    await routerDeployer.transferOwnership(await escrowFactory.getAddress());
+
+    // Soft bond: sell a quarter of the supply, route 1 ETH, claim
+    ({ series, router } = await createSeriesViaFactory(factory, protocol, { name: "Revenue, Series \"A\"" }));
+    await series.connect(protocol).transfer(alice.address, ethers.parseEther("250000"));
+    await protocol.sendTransaction({ to: await router.getAddress(), value: ethers.parseEther("1") });
+    await router.routeRevenue();
+    await series.connect(alice).claimRevenue();
+
+    // Guaranteed bond: deposit principal, sell tokens, distribute
+    const args = [
+      "Escrow Bond", "ESC", protocol.address, 2000, 365,
+      ethers.parseEther("1000"), ethers.parseEther("1"), ethers.parseEther("0.001"), 30,
+    ];
+    const created = await escrowFactory.connect(protocol).createEscrowSeries.staticCall(...args);
+    await escrowFactory.connect(protocol).createEscrowSeries(...args);
+    escrow = (await ethers.getContractFactory(ESCROW_PATH)).attach(created.seriesAddress);
+    await escrow.connect(protocol).depositPrincipal({ value: ethers.parseEther("1") });
+    await escrow.connect(protocol).startSale(ethers.parseEther("0.001"), treasury.address);
+    await escrow.connect(buyer).buyTokens(ethers.parseEther("100"), { value: ethers.parseEther("0.1") });
+    await escrow.connect(protocol).distributeRevenue({ value: ethers.parseEther("0.5") });
+    to = await ethers.provider.getBlockNumber();
+
+    manifest = {
+      chainId: 31337,
+      contracts: {
+        revenueSeriesFactory: await factory.getAddress(),
+        revenueBondEscrowFactory: await escrowFactory.getAddress(),
+        protocolReputationRegistry: await registry.getAddress(),
+      },
+    };
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "equorum-export-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (options) =>
+    exportEvents({ provider: ethers.provider, manifest, abis, from, to, log: () => {}, ...options });
+
+  it("Should export events of factories, registry and every discovered contract", async function () {
+    const out = path.join(dir, "events.jsonl");
+    const result = await run({ out });
+
+    const records = readJsonl(out);
+    expect(records.length).to.equal(result.events);
+
+    const seen = new Set(records.map((r) => `${r.contract}.${r.event}`));
+    for (const name of [
+      "RevenueSeriesFactory.SeriesCreated",
+      "RevenueBondEscrowFactory.EscrowSeriesCreated",
+      "ProtocolReputationRegistry.SeriesRegistered",
+      "ProtocolReputationRegistry.RevenueDistributed",
+      "RevenueSeries.Transfer",
+      "RevenueSeries.RevenueReceived",
+      "RevenueSeries.RevenueClaimed",
+      "RevenueRouter.RevenueReceived",
+      "RevenueRouter.RevenueRouted",
+      "RevenueBondEscrow.PrincipalDeposited",
+      "RevenueBondEscrow.TokensPurchased",
+    ]) {
+      expect(seen, name).to.include(name);
+    }
+
+    // Chain order, with block metadata
+    const positions = records.map((r) => r.blockNumber * 1000 + r.logIndex);
+    expect(positions).to.deep.equal([...positions].sort((a, b) => a - b));
+    const routed = records.find((r) => r.event === "RevenueRouted");
+    const block = await ethers.provider.getBlock(routed.blockNumber);
+    expect(routed.blockTimestamp).to.equal(block.timestamp);
+    expect(routed.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("Should write amounts in ETH with the raw value alongside", async function () {
+    const out = path.join(dir, "events.jsonl");
+    await run({ out });
+
+    const routed = readJsonl(out).find((r) => r.event === "RevenueRouted");
+    expect(routed.args.seriesAmount).to.equal("0.2");
+    expect(routed.args.seriesAmountWei).to.equal(ethers.parseEther("0.2").toString());
+    expect(routed.args.protocolAmount).to.equal("0.8");
+
+    const created = readJsonl(out).find((r) => r.event === "SeriesCreated");
+    // Counts and basis points are not amounts
+    expect(created.args.revenueShareBPS).to.equal("2000");
+    expect(created.args.totalSupply).to.equal("1000000.0");
+  });
+
+  it("Should write CSV with one column per event argument", async function () {
+    const out = path.join(dir, "events.csv");
+    await run({ out, format: "csv" });
+
+    const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+    const header = lines[0].split(",");
+    expect(header).to.deep.equal(csvColumns(abis));
+    expect(header).to.include.members(["blockNumber", "transactionHash", "event", "amount", "amountWei"]);
+
+    // Names with commas and quotes are escaped
+    const created = lines.find((line) => line.includes(",SeriesCreated,"));
+    expect(created).to.include('"Revenue, Series ""A"""');
+  });
+
+  it("Should resume an interrupted export from its checkpoint", async function () {
+    const complete = path.join(dir, "complete.jsonl");
+    await run({ out: complete, chunk: 3 });
+
+    // Fail on the third eth_getLogs request, after two chunks are written
+    let calls = 0;
+    const flaky = new Proxy(ethers.provider, {
+      get(target, prop) {
+        if (prop === "getLogs") {
+          return (filter) => {
+            if (++calls === 3) throw new Error("connection reset");
+            return target.getLogs(filter);
+          };
+        }
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+
+    const out = path.join(dir, "resumed.jsonl");
+    let error;
+    try {
+      await exportEvents({ provider: flaky, manifest, abis, from, to, out, chunk: 3, log: () => {} });
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal("connection reset");
+    const checkpoint = JSON.parse(fs.readFileSync(`${out}.checkpoint.json`, "utf8"));
+    expect(checkpoint.nextBlock).to.equal(from + 6);
+
+    // A partial line past the checkpoint is dropped on resume
+    fs.appendFileSync(out, '{"blockNumber":');
+    await run({ out, from: undefined, to: undefined, chunk: 3 });
+
+    expect(fs.readFileSync(out, "utf8")).to.equal(fs.readFileSync(complete, "utf8"));
+  });
+
+  it("Should refuse to resume a checkpoint with different options", async function () {
+    const out = path.join(dir, "events.jsonl");
+    await run({ out });
+
+    let error;
+    try {
+      await run({ out, format: "csv" });
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.include("belongs to a different export");
+  });
+});
@@ -0,0 +1,24 @@
+const { expect } = require("chai");
+const { exportName, render, staleFiles } = require("../scripts/generate_frontend_abis");
+
+describe("Frontend ABIs", function () {
+  it("Should match the compiled v2 artifacts", function () {
+    // `hardhat test` compiles first, so a mismatch means the committed modules are stale
+    expect(staleFiles(), "run `npm run abis` and commit the result").to.deep.equal([]);
+  });
+
+  it("Should export one module per v2 contract", function () {
+    const files = Object.keys(render());
+    for (const name of ["RevenueSeries", "RevenueRouter", "RevenueBondEscrow", "RevenueBondEscrowFactory"]) {
+      expect(files).to.include(`${name}.js`);
+    }
+    // Helper interfaces declared inside other sources are not exported
+    expect(files).to.not.include("IFactory.js");
+  });
+
+  it("Should derive export names from contract names", function () {
+    expect(exportName("RevenueBondEscrowFactory")).to.equal("REVENUE_BOND_ESCROW_FACTORY_ABI");
+    expect(exportName("EQMDiscountFeePolicy")).to.equal("EQM_DISCOUNT_FEE_POLICY_ABI");
+    expect(exportName("ISafetyPolicy")).to.equal("I_SAFETY_POLICY_ABI");
+  });
+});
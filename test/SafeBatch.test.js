@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runDeployment } = require("../scripts/lib/deploy-v2");
+const { getContracts } = require("../scripts/lib/manifest");
+const { batchChecksum } = require("../scripts/lib/safe-batch");
+const { toJson } = require("../tasks/utils");
+
+const { ethers } = hre;
+
+describe("Safe Transaction Builder batches", function () {
+  let owner, reporter, launchPartner, badActor, policy;
+  let dir, deployment, manifest, contracts, safe;
+
+  // Runs a task with --json, checking that it printed the result it returns
+  async function run(name, args) {
+    const printed = [];
+    const log = console.log;
+    console.log = (line) => printed.push(line);
+    try {
+      const result = await hre.run(name, { deployment, json: true, ...args });
+      expect(printed.join("\n")).to.equal(toJson(result));
+      return result;
+    } finally {
+      console.log = log;
+    }
+  }
+
+  async function runError(name, args) {
+    try {
+      await run(name, args);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  function changeFile(spec, name = "changes.json") {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(spec));
+    return file;
+  }
+
+  // Executes a batch file's transactions as the Safe, as the Safe app would
+  async function execute(file) {
+    const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+    await hre.network.provider.request({ method: "hardhat_impersonateAccount", params: [safe] });
+    await owner.sendTransaction({ to: safe, value: ethers.parseEther("1") });
+    const signer = await ethers.getSigner(safe);
+    for (const tx of batch.transactions) await (await signer.sendTransaction({ to: tx.to, data: tx.data })).wait();
+    await hre.network.provider.request({ method: "hardhat_stopImpersonatingAccount", params: [safe] });
+  }
+
+  before(async function () {
+    [owner, reporter, launchPartner, badActor] = await ethers.getSigners();
+    safe = ethers.Wallet.createRandom().address;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "equorum-safe-"));
+    ({ manifest } = await runDeployment(hre, { deployment: dir, treasury: safe, owner: safe }));
+    deployment = path.join(dir, "v2-deployment-latest.json");
+    contracts = await getContracts(hre, manifest);
+
+    policy = await ethers.deployContract("contracts/v2/policies/WhitelistAccessPolicy.sol:WhitelistAccessPolicy");
+    await policy.transferOwnership(safe);
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("safe:batch", function () {
+    let file, spec;
+
+    before(async function () {
+      spec = {
+        name: "Launch whitelist",
+        description: "Whitelist launch partners, then switch both factories to the whitelist",
+        changes: [
+          { action: "batchAddToWhitelist", policy: await policy.getAddress(), protocols: [launchPartner.address, owner.address] },
+          { action: "setAccessPolicy", factory: "both", policy: await policy.getAddress() },
+          { action: "setFeePolicy", factory: "softFactory", policy: ethers.ZeroAddress },
+          { action: "authorizeReporter", reporter: reporter.address },
+          { action: "blacklistProtocol", protocol: badActor.address, reason: "Missed payments" },
+          { action: "pause", factory: "escrowFactory" },
+        ],
+      };
+      file = changeFile(spec);
+    });
+
+    it("Should write a Transaction Builder batch with encoded calldata", async function () {
+      const result = await run("safe:batch", { changes: file });
+      expect(result.file).to.equal(path.join(dir, "changes.safe.json"));
+
+      const batch = JSON.parse(fs.readFileSync(result.file, "utf8"));
+      expect(batch.version).to.equal("1.0");
+      expect(batch.chainId).to.equal("31337");
+      expect(batch.meta).to.include({ name: spec.name, description: spec.description, createdFromSafeAddress: safe });
+      expect(batch.meta.checksum).to.equal(batchChecksum(hre, batch));
+      expect(batch.transactions).to.have.lengthOf(7);
+
+      const [whitelist, softAccess, escrowAccess] = batch.transactions;
+      expect(whitelist.to).to.equal(await policy.getAddress());
+      expect(whitelist.value).to.equal("0");
+      expect(whitelist.contractMethod).to.deep.equal({
+        inputs: [{ internalType: "address[]", name: "protocols", type: "address[]" }],
+        name: "batchAddToWhitelist",
+        payable: false,
+      });
+      expect(whitelist.contractInputsValues).to.deep.equal({ protocols: `[${launchPartner.address},${owner.address}]` });
+      expect(whitelist.data).to.equal(
+        policy.interface.encodeFunctionData("batchAddToWhitelist", [[launchPartner.address, owner.address]])
+      );
+      expect(softAccess.to).to.equal(manifest.contracts.revenueSeriesFactory);
+      expect(escrowAccess.to).to.equal(manifest.contracts.revenueBondEscrowFactory);
+    });
+
+    it("Should decode every transaction in the summary", async function () {
+      const result = await run("safe:batch", { changes: file });
+      expect(result.transactions.map((tx) => `${tx.contract}.${tx.method}`)).to.deep.equal([
+        "WhitelistAccessPolicy.batchAddToWhitelist",
+        "RevenueSeriesFactory.setAccessPolicy",
+        "RevenueBondEscrowFactory.setAccessPolicy",
+        "RevenueSeriesFactory.setFeePolicy",
+        "ProtocolReputationRegistry.authorizeReporter",
+        "ProtocolReputationRegistry.blacklistProtocol",
+        "RevenueBondEscrowFactory.pause",
+      ]);
+      expect(result.transactions[5].args).to.deep.equal([
+        { name: "protocol", type: "address", value: badActor.address },
+        { name: "reason", type: "string", value: "Missed payments" },
+      ]);
+    });
+
+    it("Should simulate the batch as the Safe without changing the chain", async function () {
+      const result = await run("safe:batch", { changes: file, simulate: true });
+      expect(result.simulation).to.have.lengthOf(7);
+      expect(result.simulation.every((tx) => tx.ok)).to.equal(true);
+
+      expect(await contracts.escrowFactory.paused()).to.equal(false);
+      expect(await contracts.registry.authorizedReporters(reporter.address)).to.equal(false);
+      expect(await ethers.provider.getBalance(safe)).to.equal(0n);
+    });
+
+    it("Should apply the changes when the Safe executes the batch", async function () {
+      const snapshot = await hre.network.provider.request({ method: "evm_snapshot" });
+      await execute((await run("safe:batch", { changes: file })).file);
+
+      expect(await policy.whitelist(launchPartner.address)).to.equal(true);
+      expect((await contracts.softFactory.getPolicies())[2]).to.equal(await policy.getAddress());
+      expect(await contracts.escrowFactory.accessPolicy()).to.equal(await policy.getAddress());
+      expect(await contracts.escrowFactory.paused()).to.equal(true);
+      expect(await contracts.softFactory.paused()).to.equal(false);
+      expect(await contracts.registry.authorizedReporters(reporter.address)).to.equal(true);
+      expect((await contracts.registry.getProtocolStats(badActor.address)).isBlacklisted).to.equal(true);
+      await hre.network.provider.request({ method: "evm_revert", params: [snapshot] });
+    });
+
+    it("Should fail without writing the batch when the simulation reverts", async function () {
+      // An EOA is not a fee policy
+      const bad = changeFile(
+        { name: "Bad fee policy", changes: [{ action: "setFeePolicy", factory: "softFactory", policy: reporter.address }] },
+        "bad.json"
+      );
+      const error = await runError("safe:batch", { changes: bad, simulate: true });
+      expect(error.message).to.include("Transaction #1 reverted in the simulation");
+      expect(fs.existsSync(path.join(dir, "bad.safe.json"))).to.equal(false);
+    });
+
+    it("Should reject malformed change files", async function () {
+      const cases = [
+        [{ name: "x", changes: [{ action: "selfdestruct" }] }, "changes[0].action must be one of setFeePolicy"],
+        [{ name: "x", changes: [{ action: "pause", factory: "router" }] }, "changes[0].factory must be softFactory, escrowFactory or both"],
+        [{ name: "x", changes: [{ action: "authorizeReporter", reporter: "0x1234" }] }, 'changes[0].reporter must be an address, got "0x1234"'],
+        [{ name: "x", changes: [{ action: "pause", factory: "both", reason: "x" }] }, "changes[0]: pause does not take reason"],
+        [{ name: "x", changes: [{ action: "batchAddToWhitelist", policy: reporter.address, protocols: [] }] }, "changes[0].protocols must be a non-empty list"],
+        [{ changes: [] }, "name must be a non-empty string"],
+      ];
+      for (const [spec, message] of cases) {
+        const error = await runError("safe:batch", { changes: changeFile(spec, "invalid.json") });
+        expect(error?.message, message).to.include(message);
+      }
+    });
+
+    it("Should map updateReputationRegistry to each factory's setter", async function () {
+      const result = await run("safe:batch", {
+        changes: changeFile({ name: "Registry", changes: [{ action: "updateReputationRegistry", factory: "both", registry: reporter.address }] }, "registry.json"),
+        simulate: true,
+      });
+      expect(result.transactions.map((tx) => tx.method)).to.deep.equal(["updateReputationRegistry", "setReputationRegistry"]);
+      expect(result.simulation.every((tx) => tx.ok)).to.equal(true);
+    });
+  });
+
+  describe("safe:decode", function () {
+    it("Should decode a batch and check its checksum", async function () {
+      const { file } = await run("safe:batch", {
+        changes: changeFile({ name: "Unpause", changes: [{ action: "unpause", factory: "softFactory" }] }, "unpause.json"),
+      });
+      const decoded = await run("safe:decode", { batch: file });
+      expect(decoded.checksumOk).to.equal(true);
+      expect(decoded.transactions[0]).to.include({ contract: "RevenueSeriesFactory", method: "unpause" });
+
+      const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+      batch.transactions[0].to = manifest.contracts.revenueBondEscrowFactory;
+      fs.writeFileSync(file, JSON.stringify(batch));
+      const tampered = await run("safe:decode", { batch: file });
+      expect(tampered.checksumOk).to.equal(false);
+      expect(tampered.transactions[0].contract).to.equal("RevenueBondEscrowFactory");
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployFullStack, createSeriesViaFactory } = require("./helpers");
+const { toJson } = require("../tasks/utils");
+
+const { ethers } = hre;
+
+describe("Hardhat tasks", function () {
+  let owner, treasury, protocol, alice, buyer, registry, factory, escrowFactory;
+  let series, router, escrow;
+  let dir, deployment;
+
+  const ESCROW_FACTORY_PATH = "contracts/v2/core/RevenueBondEscrowFactory.sol:RevenueBondEscrowFactory";
+  const ESCROW_DEPLOYER_PATH = "contracts/v2/core/EscrowDeployer.sol:EscrowDeployer";
+  const ROUTER_DEPLOYER_PATH = "contracts/v2/core/RouterDeployer.sol:RouterDeployer";
+  const ESCROW_PATH = "contracts/v2/core/RevenueBondEscrow.sol:RevenueBondEscrow";
+
+  // Runs a task with --json, checking that it printed the result it returns
+  async function run(name, args = {}) {
+    const printed = [];
+    const log = console.log;
+    console.log = (line) => printed.push(line);
+    try {
+      const result = await hre.run(name, { deployment, json: true, ...args });
+      expect(printed.join("\n")).to.equal(toJson(result));
+      return result;
+    } finally {
+      console.log = log;
+    }
+  }
+
+  async function runError(name, args) {
+    try {
+      await run(name, args);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  before(async function () {
+    ({ owner, treasury, protocol, rest: [alice, buyer], registry, factory } = await deployFullStack());
+
+    const escrowDeployer = await (await ethers.getContractFactory(ESCROW_DEPLOYER_PATH)).deploy();
+    const routerDeployer = await (await ethers.getContractFactory(ROUTER_DEPLOYER_PATH)).deploy();
+    escrowFactory = await (await ethers.getContractFactory(ESCROW_FACTORY_PATH)).deploy(
+      treasury.address,
+      await registry.getAddress(),
+      await escrowDeployer.getAddress(),
+      await routerDeployer.getAddress()
+    );
+    await registry.authorizeReporter(await escrowFactory.getAddress());
+    await escrowDeployer.transferOwnership(await escrowFactory.getAddress());
+    await routerDeployer.transferOwnership(await escrowFactory.getAddress());
+
+    ({ series, router } = await createSeriesViaFactory(factory, protocol));
+    await series.connect(protocol).transfer(alice.address, ethers.parseEther("250000"));
+
+    const args = [
+      "Escrow Bond", "ESC", protocol.address, 2000, 365,
+      ethers.parseEther("1000"), ethers.parseEther("1"), ethers.parseEther("0.001"), 30,
+    ];
+    const created = await escrowFactory.connect(protocol).createEscrowSeries.staticCall(...args);
+    await escrowFactory.connect(protocol).createEscrowSeries(...args);
+    escrow = (await ethers.getContractFactory(ESCROW_PATH)).attach(created.seriesAddress);
+    await escrow.connect(protocol).depositPrincipal({ value: ethers.parseEther("1") });
+    await escrow.connect(protocol).startSale(ethers.parseEther("0.001"), treasury.address);
+    await escrow.connect(buyer).buyTokens(ethers.parseEther("100"), { value: ethers.parseEther("0.1") });
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "equorum-tasks-"));
+    deployment = path.join(dir, "v2-deployment-latest.json");
+    const addresses = {
+      protocolReputationRegistry: await registry.getAddress(),
+      revenueSeriesFactory: await factory.getAddress(),
+      escrowDeployer: await escrowDeployer.getAddress(),
+      routerDeployer: await routerDeployer.getAddress(),
+      revenueBondEscrowFactory: await escrowFactory.getAddress(),
+    };
+    fs.writeFileSync(
+      deployment,
+      JSON.stringify({
+        version: "v2",
+        network: "hardhat",
+        chainId: 31337,
+        timestamp: new Date().toISOString(),
+        deployer: owner.address,
+        treasury: treasury.address,
+        contracts: addresses,
+        configuration: {
+          softFactory: {
+            treasury: treasury.address,
+            reputationRegistry: addresses.protocolReputationRegistry,
+            feePolicy: ethers.ZeroAddress,
+            safetyPolicy: ethers.ZeroAddress,
+            accessPolicy: ethers.ZeroAddress,
+            paused: false,
+          },
+          escrowFactory: {
+            treasury: treasury.address,
+            reputationRegistry: addresses.protocolReputationRegistry,
+            escrowDeployer: addresses.escrowDeployer,
+            routerDeployer: addresses.routerDeployer,
+            paused: false,
+          },
+        },
+      })
+    );
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should list the series of both factories", async function () {
+    const list = await run("series:list");
+    expect(list.map((s) => [s.kind, s.address])).to.deep.equal([
+      ["soft", await series.getAddress()],
+      ["escrow", await escrow.getAddress()],
+    ]);
+    expect(list[0].router).to.equal(await router.getAddress());
+    expect(list[0].status).to.equal("Active");
+    expect(list[1].status).to.equal("Active");
+
+    expect(await run("series:list", { protocol: alice.address })).to.deep.equal([]);
+  });
+
+  it("Should route revenue through the router and report the split", async function () {
+    await protocol.sendTransaction({ to: await router.getAddress(), value: ethers.parseEther("1") });
+
+    const before = await run("router:status", { series: await series.getAddress() });
+    expect(before.address).to.equal(await router.getAddress());
+    expect(before.pendingToRoute).to.equal("1.0");
+    expect(before.canRouteNow).to.equal(true);
+
+    const routed = await run("router:route", { router: await router.getAddress() });
+    expect(routed.routed).to.equal(true);
+    expect(routed.seriesAmount).to.equal("0.2");
+    expect(routed.protocolAmount).to.equal("0.8");
+
+    const after = await run("router:status", { router: await router.getAddress() });
+    expect(after.totalRoutedToSeries).to.equal("0.2");
+    expect(after.pendingToRoute).to.equal("0.0");
+  });
+
+  it("Should show a holder's claimable revenue and claim it on their behalf", async function () {
+    const info = await run("series:info", { series: await series.getAddress(), account: alice.address });
+    expect(info.kind).to.equal("soft");
+    expect(info.totalRevenueReceived).to.equal("0.2");
+    expect(info.holder.claimable).to.equal("0.05");
+
+    const balance = await ethers.provider.getBalance(alice.address);
+    const claimed = await run("series:claim", { series: await series.getAddress(), holder: alice.address });
+    expect(claimed.amount).to.equal("0.05");
+    expect(await ethers.provider.getBalance(alice.address)).to.equal(balance + ethers.parseEther("0.05"));
+
+    const error = await runError("series:claim", { series: await series.getAddress(), holder: alice.address });
+    expect(error?.message).to.include("Nothing to claim");
+  });
+
+  it("Should distribute revenue from the issuing protocol only", async function () {
+    // Tasks sign with the first account, so issue a series from it
+    const { series: own } = await createSeriesViaFactory(factory, owner, { name: "Owner Series", symbol: "OWN" });
+    const distributed = await run("series:distribute", { series: await own.getAddress(), amount: "0.5" });
+    expect(distributed.amount).to.equal("0.5");
+    expect(await own.totalRevenueReceived()).to.equal(ethers.parseEther("0.5"));
+
+    const tooSmall = await runError("series:distribute", { series: await own.getAddress(), amount: "0.000001" });
+    expect(tooSmall?.message).to.include("below the series minimum");
+
+    const notProtocol = await runError("series:distribute", { series: await escrow.getAddress(), amount: "0.5" });
+    expect(notProtocol?.message).to.include("Only the issuing protocol");
+  });
+
+  it("Should show escrow principal, sale and holder position", async function () {
+    const info = await run("escrow:info", { escrow: await escrow.getAddress(), account: buyer.address });
+    expect(info.state).to.equal("Active");
+    expect(info.principalDeposited).to.equal(true);
+    expect(info.principalAmount).to.equal("1.0");
+    expect(info.sale.active).to.equal(true);
+    expect(info.sale.tokenPrice).to.equal("0.001");
+    expect(info.holder.balance).to.equal("100.0");
+
+    const error = await runError("escrow:info", { escrow: await series.getAddress() });
+    expect(error?.message).to.include("use series:info");
+  });
+
+  it("Should report the protocol's reputation and series records", async function () {
+    const score = await run("registry:score", { protocol: protocol.address });
+    expect(score.reputationScore).to.equal(Number(await registry.getReputationScore(protocol.address)));
+    expect(score.seriesCreated).to.equal(2);
+    expect(score.series.map((s) => s.address)).to.deep.equal([await series.getAddress(), await escrow.getAddress()]);
+    expect(score.series[0].actualRevenue).to.equal("0.2");
+  });
+
+  it("Should reject addresses not created by the deployment's factories", async function () {
+    const error = await runError("series:info", { series: alice.address });
+    expect(error?.message).to.include("was not created by this deployment's factories");
+
+    const invalid = await runError("series:info", { series: "0x1234" });
+    expect(invalid?.message).to.include("--series must be an address");
+  });
+});